@@ -0,0 +1,130 @@
+const expenseRepository = require('../repositories/expenseRepository');
+const attachmentRepository = require('../repositories/attachmentRepository');
+const storage = require('../storage');
+const {
+  readUploads,
+  storeAttachments,
+  removeAttachments,
+  formatAttachment,
+  listExpenseAttachments
+} = require('../utils/attachments');
+const { ValidationError } = require('../utils/errors');
+
+// Get the attachments of an expense
+exports.getAttachments = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const expense = await expenseRepository.findById(id, groupId);
+    
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    
+    res.status(200).json(await listExpenseAttachments(expense.id, groupId));
+  } catch (error) {
+    console.error(`Error fetching attachments of expense ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching attachments', 
+      error: error.message
+    });
+  }
+};
+
+// Upload receipt photos or PDFs to an expense, as multipart/form-data in the "files" field
+exports.uploadAttachments = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const expense = await expenseRepository.findById(id, groupId);
+    
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    
+    const files = await readUploads(req, res);
+    const attachments = await storeAttachments(expense, files, req.auth.userId);
+    
+    res.status(201).json(attachments.map(attachment => formatAttachment(attachment, groupId)));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error uploading attachments to expense ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error uploading attachments', 
+      error: error.message
+    });
+  }
+};
+
+// Download an attachment
+exports.getAttachmentFile = async (req, res) => {
+  await sendFile(req, res, false);
+};
+
+// Download the thumbnail of an image attachment
+exports.getAttachmentThumbnail = async (req, res) => {
+  await sendFile(req, res, true);
+};
+
+// Delete an attachment; only whoever uploaded it or created the expense can
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const { id, groupId, attachmentId } = req.params;
+    
+    const expense = await expenseRepository.findById(id, groupId);
+    const attachment = expense && await attachmentRepository.findById(attachmentId, expense.id);
+    
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    const allowed = [attachment.uploaded_by, expense.created_by || expense.payer_id]
+      .some(userId => userId && String(userId) === String(req.auth.userId));
+    
+    if (!allowed) {
+      return res.status(403).json({ message: 'Only the uploader or the creator of the expense can delete an attachment' });
+    }
+    
+    await removeAttachments([attachment]);
+    
+    res.status(200).json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error(`Error deleting attachment ${req.params.attachmentId}:`, error);
+    res.status(500).json({ 
+      message: 'Error deleting attachment', 
+      error: error.message
+    });
+  }
+};
+
+// Helper function to send an attachment's file or thumbnail
+async function sendFile(req, res, thumbnail) {
+  try {
+    const { id, groupId, attachmentId } = req.params;
+    
+    const expense = await expenseRepository.findById(id, groupId);
+    const attachment = expense && await attachmentRepository.findById(attachmentId, expense.id);
+    const key = attachment && (thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+    const file = key && await storage.get(key);
+    
+    if (!file) {
+      return res.status(404).json({ message: thumbnail ? 'Thumbnail not found' : 'Attachment not found' });
+    }
+    
+    // Show the file in the browser under its original name
+    const fileName = encodeURIComponent(thumbnail ? `thumbnail-${attachment.file_name}` : attachment.file_name);
+    
+    res.set('Content-Type', thumbnail ? 'image/jpeg' : attachment.content_type);
+    res.set('Content-Disposition', `inline; filename*=UTF-8''${fileName}`);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.status(200).send(file);
+  } catch (error) {
+    console.error(`Error fetching attachment ${req.params.attachmentId}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching attachment', 
+      error: error.message
+    });
+  }
+}
\ No newline at end of file
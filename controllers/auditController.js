@@ -0,0 +1,44 @@
+const auditRepository = require('../repositories/auditRepository');
+const { formatAuditEntries } = require('../utils/audit');
+const { parsePagination, encodeCursor, setPaginationHeaders } = require('../utils/pagination');
+const { ValidationError } = require('../utils/errors');
+
+// Get the group's activity feed: every recorded change to its expenses, members and
+// payments, newest first. Paging uses ?limit= with either ?cursor= or ?offset=.
+exports.getGroupActivity = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { limit, offset, cursor } = parsePagination(req.query);
+    
+    if (cursor && !Number.isInteger(cursor[0])) {
+      throw new ValidationError('cursor is invalid');
+    }
+    
+    // Fetch one entry more than the page, to know whether another page follows
+    const [rows, total] = await Promise.all([
+      auditRepository.list({
+        groupId,
+        beforeId: cursor ? cursor[0] : undefined,
+        limit: limit + 1,
+        offset: cursor ? 0 : offset
+      }),
+      auditRepository.count({ groupId })
+    ]);
+    
+    const entries = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor([entries[entries.length - 1].id]) : null;
+    
+    setPaginationHeaders(req, res, { total, limit, offset, cursor, nextCursor });
+    
+    res.status(200).json(await formatAuditEntries(entries));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error fetching group activity:', error);
+    res.status(500).json({ 
+      message: 'Error fetching group activity', 
+      error: error.message
+    });
+  }
+}; 
\ No newline at end of file
@@ -0,0 +1,284 @@
+const accountRepository = require('../repositories/accountRepository');
+const userRepository = require('../repositories/userRepository');
+const transport = require('../notifications');
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  signSession,
+  signMagicLink,
+  verifyToken
+} = require('../utils/auth');
+
+// The app's page that signs in with ?token=, linked from magic-link emails
+const MAGIC_LINK_URL = process.env.MAGIC_LINK_URL;
+
+// Register a login, linked to an existing user (claim_token, from one of their group
+// members), a new user (name), or none yet
+exports.register = async (req, res) => {
+  const { email, password, user_id, claim_token, name } = req.body;
+
+  // Validate request body
+  if (!isEmail(email)) {
+    return res.status(400).json({ message: 'A valid email is required' });
+  }
+  
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return res.status(400).json({ message: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  try {
+    const existingAccount = await accountRepository.findByEmail(email);
+    
+    if (existingAccount) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+    
+    // Work out which user the login belongs to
+    let user = null;
+    
+    if (user_id || claim_token) {
+      const claimedUserId = readClaim(claim_token, user_id);
+      if (!claimedUserId) {
+        return res.status(403).json({ message: 'Linking to an existing user needs a valid claim_token from one of their group members' });
+      }
+      
+      const linkError = await checkUserLinkable(claimedUserId);
+      if (linkError) {
+        return res.status(400).json({ message: linkError });
+      }
+      user = await userRepository.findById(claimedUserId);
+    } else if (name) {
+      user = await userRepository.create({ name });
+    }
+    
+    const account = await accountRepository.create({
+      email: email.toLowerCase(),
+      password_hash: password ? await hashPassword(password) : null,
+      user_id: user ? user.id : null
+    });
+    
+    res.status(201).json({
+      token: signSession(account),
+      account: publicAccount(account),
+      user
+    });
+  } catch (error) {
+    console.error('Error registering account:', error);
+    res.status(500).json({ 
+      message: 'Error registering account', 
+      error: error.message
+    });
+  }
+};
+
+// Log in with email and password
+exports.login = async (req, res) => {
+  const { email, password } = req.body;
+  
+  if (!email || !password) {
+    return res.status(400).json({ message: 'email and password are required' });
+  }
+  
+  try {
+    const account = await accountRepository.findByEmail(email);
+    
+    if (!account || !(await verifyPassword(password, account.password_hash))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+    
+    res.status(200).json(await startSession(account));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ 
+      message: 'Error logging in', 
+      error: error.message
+    });
+  }
+};
+
+// Email a magic-link token to an account. The response is the same whether or not the email
+// has an account. With MAGIC_LINK_IN_RESPONSE=on (for development only) the token is also
+// returned, so it can be used without a mail server.
+exports.requestMagicLink = async (req, res) => {
+  const { email } = req.body;
+  
+  if (!isEmail(email)) {
+    return res.status(400).json({ message: 'A valid email is required' });
+  }
+  
+  try {
+    const account = await accountRepository.findByEmail(email);
+    const response = { message: 'If this email has an account, a login link has been sent' };
+    
+    if (account) {
+      const token = signMagicLink(account);
+      
+      // A failure to send is logged, so the response does not tell whether the email has an account
+      try {
+        await transport.send({ to: account.email, ...buildMagicLinkMessage(token) });
+      } catch (sendError) {
+        console.error(`Error sending magic link to account ${account.id}:`, sendError);
+      }
+      
+      if (process.env.MAGIC_LINK_IN_RESPONSE === 'on') {
+        response.token = token;
+      }
+    }
+    
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error creating magic link:', error);
+    res.status(500).json({ 
+      message: 'Error creating magic link', 
+      error: error.message
+    });
+  }
+};
+
+// Exchange a magic-link token for a session
+exports.verifyMagicLink = async (req, res) => {
+  const { token } = req.body;
+  
+  try {
+    const claims = token ? verifyToken(token, 'magic_link') : null;
+    
+    if (!claims) {
+      return res.status(401).json({ message: 'Login link is invalid or has expired' });
+    }
+    
+    const account = await accountRepository.findById(claims.sub);
+    
+    if (!account || account.email !== claims.email) {
+      return res.status(401).json({ message: 'Login link is invalid or has expired' });
+    }
+    
+    res.status(200).json(await startSession(account));
+  } catch (error) {
+    console.error('Error verifying magic link:', error);
+    res.status(500).json({ 
+      message: 'Error verifying magic link', 
+      error: error.message
+    });
+  }
+};
+
+// Get the signed-in account and the user it is linked to
+exports.getMe = async (req, res) => {
+  try {
+    const account = await accountRepository.findById(req.auth.accountId);
+    
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    
+    res.status(200).json({
+      account: publicAccount(account),
+      user: account.user_id ? await userRepository.findById(account.user_id) : null
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ 
+      message: 'Error fetching account', 
+      error: error.message
+    });
+  }
+};
+
+// Link the signed-in account to a user with a claim_token from one of their group members;
+// returns a new session token carrying the link
+exports.linkUser = async (req, res) => {
+  const { user_id, claim_token } = req.body;
+  
+  if (!claim_token) {
+    return res.status(400).json({ message: 'claim_token is required' });
+  }
+  
+  const claimedUserId = readClaim(claim_token, user_id);
+  
+  if (!claimedUserId) {
+    return res.status(403).json({ message: 'This claim token is invalid or has expired' });
+  }
+  
+  try {
+    const linkError = await checkUserLinkable(claimedUserId, req.auth.accountId);
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+    
+    const account = await accountRepository.update(req.auth.accountId, { user_id: claimedUserId });
+    
+    res.status(200).json({
+      token: signSession(account),
+      account: publicAccount(account),
+      user: await userRepository.findById(claimedUserId)
+    });
+  } catch (error) {
+    console.error('Error linking account:', error);
+    res.status(500).json({ 
+      message: 'Error linking account', 
+      error: error.message
+    });
+  }
+};
+
+// Helper function to record the login and build the session response
+async function startSession(account) {
+  await accountRepository.update(account.id, { last_login_at: new Date().toISOString() });
+  
+  return {
+    token: signSession(account),
+    account: publicAccount(account),
+    user: account.user_id ? await userRepository.findById(account.user_id) : null
+  };
+}
+
+// Helper function to check that a user exists and no other account is linked to it.
+// Returns an error message, or null if the user can be linked.
+async function checkUserLinkable(userId, accountId) {
+  if (!(await userRepository.findById(userId))) {
+    return 'User not found';
+  }
+  
+  const accounts = await accountRepository.listByUser(userId);
+  
+  if (accounts.some(account => String(account.id) !== String(accountId))) {
+    return 'This user is already linked to another login';
+  }
+  
+  return null;
+}
+
+// Helper function to read the user a claim token is for, or null if it is invalid, has
+// expired or is for another user than user_id (when sent)
+function readClaim(claimToken, userId) {
+  const claims = claimToken ? verifyToken(String(claimToken), 'claim') : null;
+  
+  if (!claims || (userId && String(userId) !== claims.sub)) return null;
+  
+  return Number(claims.sub);
+}
+
+// Helper function to write the email carrying a magic-link token
+function buildMagicLinkMessage(token) {
+  const link = MAGIC_LINK_URL ? `${MAGIC_LINK_URL}${MAGIC_LINK_URL.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : null;
+  const instructions = link ? `Sign in to EzSplit with this link: ${link}` : `Sign in to EzSplit with this code: ${token}`;
+  
+  return {
+    subject: 'Your EzSplit login link',
+    text: `${instructions}\n\nIt stops working after a short while. If you did not ask to sign in, ignore this email.\n`,
+    html: link
+      ? `<p><a href="${link}">Sign in to EzSplit</a></p><p>It stops working after a short while. If you did not ask to sign in, ignore this email.</p>`
+      : `<p>Sign in to EzSplit with this code:</p><p><code>${token}</code></p><p>It stops working after a short while. If you did not ask to sign in, ignore this email.</p>`
+  };
+}
+
+// Helper function to drop the password hash from an account
+function publicAccount({ password_hash, ...account }) {
+  return account;
+}
+
+// Helper function to check an email address
+function isEmail(value) {
+  return typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
\ No newline at end of file
@@ -0,0 +1,44 @@
+const { BANKS, normalizeBankKey, findBank } = require('../utils/banks');
+
+// Get the bank directory, optionally filtered by ?search= on code, name or BIN
+exports.getAllBanks = async (req, res) => {
+  try {
+    const { search } = req.query;
+    
+    if (!search) {
+      return res.status(200).json(BANKS);
+    }
+    
+    const key = normalizeBankKey(search);
+    const banks = BANKS.filter(bank => (
+      [bank.code, bank.short_name, bank.name, bank.bin].some(field => normalizeBankKey(field).includes(key))
+    ));
+    
+    res.status(200).json(banks);
+  } catch (error) {
+    console.error('Error fetching banks:', error);
+    res.status(500).json({ 
+      message: 'Error fetching banks', 
+      error: error.message
+    });
+  }
+};
+
+// Get a single bank by code, name or BIN
+exports.getBank = async (req, res) => {
+  try {
+    const bank = findBank(req.params.code);
+    
+    if (!bank) {
+      return res.status(404).json({ message: 'Bank not found' });
+    }
+    
+    res.status(200).json(bank);
+  } catch (error) {
+    console.error(`Error fetching bank ${req.params.code}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching bank', 
+      error: error.message
+    });
+  }
+}; 
\ No newline at end of file
@@ -0,0 +1,126 @@
+const categoryRepository = require('../repositories/categoryRepository');
+const { normalizeCategory } = require('../utils/categories');
+const { ValidationError } = require('../utils/errors');
+
+// Get the shared categories, and the group's own ones when scoped to a group
+exports.getAllCategories = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const data = await categoryRepository.list({ groupId });
+    
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ 
+      message: 'Error fetching categories', 
+      error: error.message
+    });
+  }
+};
+
+// Create a category: a shared one, or the group's own when scoped to a group
+exports.createCategory = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const category = normalizeCategory(req.body);
+    
+    const nameError = await checkNameAvailable(category.name, groupId);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
+    
+    const data = await categoryRepository.create({ ...category, group_id: groupId || null });
+    
+    res.status(201).json(data);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ 
+      message: 'Error creating category', 
+      error: error.message
+    });
+  }
+};
+
+// Update a category's name, icon and color
+exports.updateCategory = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const existing = await findEditableCategory(id, groupId);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    const category = normalizeCategory(req.body);
+    
+    const nameError = await checkNameAvailable(category.name, groupId, existing.id);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
+    
+    const data = await categoryRepository.update(existing.id, category);
+    
+    res.status(200).json(data);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error updating category with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error updating category', 
+      error: error.message
+    });
+  }
+};
+
+// Delete a category; its expenses become uncategorized
+exports.deleteCategory = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const existing = await findEditableCategory(id, groupId);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    await categoryRepository.remove(existing.id);
+    
+    res.status(200).json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error(`Error deleting category with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error deleting category', 
+      error: error.message
+    });
+  }
+};
+
+// Helper function to get a category that can be changed from where the request was made:
+// a group's own categories through the group, shared ones outside any group. Otherwise null.
+async function findEditableCategory(id, groupId) {
+  const category = await categoryRepository.findById(id);
+  
+  if (!category || String(category.group_id || '') !== String(groupId || '')) {
+    return null;
+  }
+  
+  return category;
+}
+
+// Helper function to check that no other category in the same list has the name
+async function checkNameAvailable(name, groupId, ignoreId) {
+  const clash = await categoryRepository.findByName(name, groupId);
+  
+  if (clash && clash.id !== ignoreId) {
+    return 'A category with this name already exists';
+  }
+  
+  return null;
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+const exchangeRateRepository = require('../repositories/exchangeRateRepository');
+const { ValidationError } = require('../utils/errors');
+const {
+  normalizeCurrency,
+  findRate,
+  parseRatesCsv,
+  normalizeRateRow
+} = require('../utils/currency');
+
+// Get stored exchange rates, optionally filtered by currency
+exports.getAllRates = async (req, res) => {
+  try {
+    const { currency, base_currency } = req.query;
+    
+    const data = await exchangeRateRepository.list({
+      currency: currency ? normalizeCurrency(currency) : undefined,
+      base_currency: base_currency ? normalizeCurrency(base_currency, 'base_currency') : undefined
+    });
+    
+    res.status(200).json(data);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ 
+      message: 'Error fetching exchange rates', 
+      error: error.message 
+    });
+  }
+};
+
+// Look up the rate to convert one currency into another on a date
+exports.lookupRate = async (req, res) => {
+  try {
+    const { from, to, date } = req.query;
+    
+    if (!from || !to) {
+      return res.status(400).json({ message: 'Query parameters from and to are required' });
+    }
+    
+    const fromCurrency = normalizeCurrency(from, 'from');
+    const toCurrency = normalizeCurrency(to, 'to');
+    const lookupDate = date ? new Date(date) : new Date();
+    
+    if (Number.isNaN(lookupDate.getTime())) {
+      return res.status(400).json({ message: 'date must be a date (YYYY-MM-DD)' });
+    }
+    
+    const rate = await findRate(fromCurrency, toCurrency, lookupDate);
+    
+    if (rate === null) {
+      return res.status(404).json({ 
+        message: `No exchange rate from ${fromCurrency} to ${toCurrency} on or before ${lookupDate.toISOString().slice(0, 10)}` 
+      });
+    }
+    
+    res.status(200).json({
+      from: fromCurrency,
+      to: toCurrency,
+      date: lookupDate.toISOString().slice(0, 10),
+      rate
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error looking up exchange rate:', error);
+    res.status(500).json({ 
+      message: 'Error looking up exchange rate', 
+      error: error.message 
+    });
+  }
+};
+
+// Manually enter an exchange rate (replaces the rate for the same pair and date)
+exports.createRate = async (req, res) => {
+  try {
+    const rate = normalizeRateRow(req.body);
+    
+    const [data] = await exchangeRateRepository.upsert([{ ...rate, source: 'manual' }]);
+    
+    res.status(201).json(data);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating exchange rate:', error);
+    res.status(500).json({ 
+      message: 'Error creating exchange rate', 
+      error: error.message 
+    });
+  }
+};
+
+// Import exchange rates from a CSV file (text/csv body) or a JSON array of rates
+exports.importRates = async (req, res) => {
+  try {
+    let rows;
+    
+    if (typeof req.body === 'string') {
+      rows = parseRatesCsv(req.body);
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else if (req.body && Array.isArray(req.body.rates)) {
+      rows = req.body.rates;
+    } else {
+      return res.status(400).json({ 
+        message: 'Send a CSV file with Content-Type text/csv, or a JSON array of rates' 
+      });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No rates to import' });
+    }
+    
+    // Validate every row before storing any of them
+    const ratesToUpsert = rows.map((row, index) => ({
+      ...normalizeRateRow(row, index),
+      source: 'import'
+    }));
+    
+    const data = await exchangeRateRepository.upsert(ratesToUpsert);
+    
+    res.status(201).json({
+      imported: data.length,
+      rates: data
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ 
+      message: 'Error importing exchange rates', 
+      error: error.message 
+    });
+  }
+};
+
+// Delete an exchange rate
+exports.deleteRate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const data = await exchangeRateRepository.remove(id);
+    
+    if (data.length === 0) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+    
+    res.status(200).json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error(`Error deleting exchange rate with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error deleting exchange rate', 
+      error: error.message 
+    });
+  }
+}; 
\ No newline at end of file
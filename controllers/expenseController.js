@@ -1,35 +1,42 @@
-const supabase = require('../utils/supabase');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const userRepository = require('../repositories/userRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const { computeItemizedSplit } = require('../utils/receipt');
+const { groupPayersByExpense } = require('../utils/payers');
+const { buildExpenseTransactions } = require('../utils/transactions');
+const { DEFAULT_CURRENCY, currencyDecimals } = require('../utils/currency');
+const { loadPaymentLedger, buildPaymentStatus, combinePaymentStates } = require('../utils/payments');
+const { findExpensePage } = require('../utils/expenseListing');
+const { prepareExpense } = require('../utils/expenseInput');
+const { snapshotExpense, recordAudit, formatAuditEntries } = require('../utils/audit');
+const { listExpenseAttachments } = require('../utils/attachments');
+const { emitEvent } = require('../utils/events');
+const { storeExpense } = require('../utils/expenseCreation');
+const { canAccessGroup } = require('../utils/auth');
+const auditRepository = require('../repositories/auditRepository');
+const { ValidationError } = require('../utils/errors');
+const { purgeAt } = require('../jobs/purgeTrash');
 
-// Get all expenses with participants
+// Get expenses with participants, filtered, sorted and a page at a time
 exports.getAllExpenses = async (req, res) => {
   try {
-    // Get expenses
-    const { data: expenses, error: expensesError } = await supabase
-      .from('expenses')
-      .select(`
-        *,
-        payer:users(id, name)
-      `)
-      .order('created_at', { ascending: false });
-    
-    if (expensesError) throw expensesError;
+    // Get the page of expenses with their payers, categories and tags
+    const expenses = await attachCategoriesAndTags(await userRepository.attachUsers(
+      await findExpensePage(req, res),
+      'payer_id',
+      'payer'
+    ));
     
     // Get participants for each expense
     const expenseIds = expenses.map(expense => expense.id);
     
     // Only fetch participants if there are expenses
     if (expenseIds.length > 0) {
-      const { data: participants, error: participantsError } = await supabase
-        .from('participants')
-        .select(`
-          expense_id,
-          user_id,
-          amount,
-          user:users(id, name)
-        `)
-        .in('expense_id', expenseIds);
-      
-      if (participantsError) throw participantsError;
+      const [participants, payerRows] = await Promise.all([
+        getParticipantsWithUsers(expenseIds),
+        getExpensePayerRows(expenseIds)
+      ]);
       
       // Group participants by expense_id
       const participantsByExpense = participants.reduce((acc, participant) => {
@@ -43,6 +50,7 @@ exports.getAllExpenses = async (req, res) => {
       // Attach participants to their respective expenses
       const expensesWithParticipants = expenses.map(expense => ({
         ...expense,
+        payers: payersWithFallback(expense, payerRows),
         participants: participantsByExpense[expense.id] || []
       }));
       
@@ -52,6 +60,9 @@ exports.getAllExpenses = async (req, res) => {
       res.status(200).json([]);
     }
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error fetching expenses:', error);
     res.status(500).json({ 
       message: 'Error fetching expenses', 
@@ -63,79 +74,63 @@ exports.getAllExpenses = async (req, res) => {
 // Get expense by ID
 exports.getExpenseById = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, groupId } = req.params;
     
     // Get expense
-    const { data: expense, error: expenseError } = await supabase
-      .from('expenses')
-      .select(`
-        *,
-        payer:users(id, name)
-      `)
-      .eq('id', id)
-      .single();
-    
-    if (expenseError) {
-      if (expenseError.code === 'PGRST116') {
-        return res.status(404).json({ message: 'Expense not found' });
-      }
-      throw expenseError;
+    const storedExpense = await getExpenseWithPayer(id, groupId);
+    
+    if (!storedExpense) {
+      return res.status(404).json({ message: 'Expense not found' });
     }
     
-    // Get participants
-    const { data: participants, error: participantsError } = await supabase
-      .from('participants')
-      .select(`
-        expense_id,
-        user_id,
-        amount,
-        user:users(id, name)
-      `)
-      .eq('expense_id', id);
+    const [expense] = await attachCategoriesAndTags([storedExpense]);
     
-    if (participantsError) throw participantsError;
+    // Get participants, payers, receipt items and attachments together
+    const [participants, payerRows, items, attachments] = await Promise.all([
+      getParticipantsWithUsers([expense.id]),
+      getExpensePayerRows([expense.id]),
+      expenseRepository.listItems(expense.id),
+      listExpenseAttachments(expense.id, groupId)
+    ]);
+    const payers = groupPayersByExpense([expense], payerRows)[expense.id];
     
     // Check if expense is fully paid
-    // For each participant who is not the payer, create a transaction
-    const expenseTransactions = [];
-    
-    participants.forEach(participant => {
-      if (participant.user_id !== expense.payer_id) {
-        expenseTransactions.push({
-          expense_id: expense.id,
-          from_user_id: participant.user_id,
-          to_user_id: expense.payer_id
-        });
-      }
-    });
-    
-    // Check payment status for all transactions
-    let allCompleted = true;
-    
-    for (const trans of expenseTransactions) {
-      // Generate a unique transaction ID based on expense, from, and to
-      const transactionId = `${trans.expense_id}-${trans.from_user_id}-${trans.to_user_id}`;
-      
-      // Check if payment status exists and is paid
-      const { data: paymentStatus, error: paymentError } = await supabase
-        .from('transaction_payment_status')
-        .select('paid')
-        .eq('transaction_id', transactionId)
-        .maybeSingle();
-      
-      if (paymentError) throw paymentError;
-      
-      if (!paymentStatus || !paymentStatus.paid) {
-        allCompleted = false;
-        break;
-      }
-    };
+    // For each participant, create a transaction to each payer other than themselves
+    const expenseTransactions = buildExpenseTransactions(
+      expense,
+      participants,
+      payers,
+      currencyDecimals(expense.currency || DEFAULT_CURRENCY)
+    );
+    
+    // Check payment status for all transactions from the recorded payments
+    const paymentLedger = await loadPaymentLedger(expenseTransactions.map(trans => trans.id));
+    const paymentStatuses = expenseTransactions.map(trans => (
+      buildPaymentStatus(trans.id, parseFloat(trans.amount), paymentLedger)
+    ));
+    const allCompleted = paymentStatuses.every(status => status.paid);
+    
+    // Itemized expenses also get their per-person breakdown
+    const receipt = expense.split_mode === 'items' && items.length > 0
+      ? computeItemizedSplit(items, expense.split && expense.split.charges, currencyDecimals(expense.currency || DEFAULT_CURRENCY))
+      : null;
     
     // Include the payment status with the expense
     const expenseWithParticipants = {
       ...expense,
+      // Expenses created before split modes were stored are reported as exact splits
+      split_mode: expense.split_mode || 'exact',
+      split: expense.split || {
+        mode: 'exact',
+        participants: participants.map(({ user_id, amount }) => ({ user_id, amount: parseFloat(amount) }))
+      },
+      payers: payersWithFallback(expense, payerRows),
       participants: participants || [],
-      allCompleted
+      items,
+      receipt: receipt && { charges: receipt.charges, totals: receipt.totals, breakdown: receipt.breakdown },
+      attachments,
+      allCompleted,
+      payment_state: combinePaymentStates(paymentStatuses)
     };
     
     res.status(200).json(expenseWithParticipants);
@@ -150,69 +145,38 @@ exports.getExpenseById = async (req, res) => {
 
 // Create new expense
 exports.createExpense = async (req, res) => {
-  const { name, amount, payer_id, participants } = req.body;
-  
-  // Validate request body
-  if (!name || !amount || !payer_id || !participants || !Array.isArray(participants) || participants.length === 0) {
-    return res.status(400).json({ 
-      message: 'Invalid request. Required fields: name, amount, payer_id, participants (array)' 
-    });
-  }
-  
+  const { groupId } = req.params;
+
   // Start a transaction
   try {
-    // Insert expense
-    const { data: expense, error: expenseError } = await supabase
-      .from('expenses')
-      .insert({ name, amount, payer_id })
-      .select()
-      .single();
-    
-    if (expenseError) throw expenseError;
-    
-    // Insert participants
-    const participantsToInsert = participants.map(participant => ({
-      expense_id: expense.id,
-      user_id: participant.user_id,
-      amount: participant.amount
-    }));
-    
-    const { error: participantsError } = await supabase
-      .from('participants')
-      .insert(participantsToInsert);
-    
-    if (participantsError) {
-      // If participants insertion fails, delete the expense
-      await supabase.from('expenses').delete().eq('id', expense.id);
-      throw participantsError;
-    }
+    // Validate the body and work out the amounts, split, payers and currency to store
+    const { expense: expenseFields, participants, payers, items, tags } = await prepareExpense(req.body, {
+      group: req.group,
+      groupId
+    });
+    
+    // Insert expense with its participants, receipt items, payers and tags, and record and announce it
+    const expense = await storeExpense(req.auth, {
+      ...expenseFields,
+      group_id: groupId || null,
+      created_by: req.auth.userId || null
+    }, { participants, items, payers, tags });
     
     // Fetch the complete expense with participants
-    const { data: createdExpense } = await supabase
-      .from('expenses')
-      .select(`
-        *,
-        payer:users(id, name)
-      `)
-      .eq('id', expense.id)
-      .single();
-    
-    const { data: createdParticipants } = await supabase
-      .from('participants')
-      .select(`
-        expense_id,
-        user_id,
-        amount,
-        user:users(id, name)
-      `)
-      .eq('expense_id', expense.id);
+    const [createdExpense] = await attachCategoriesAndTags([await getExpenseWithPayer(expense.id, expense.group_id)]);
+    const createdParticipants = await getParticipantsWithUsers([expense.id]);
     
     // Return the created expense with participants
     res.status(201).json({
       ...createdExpense,
-      participants: createdParticipants || []
+      participants: createdParticipants,
+      payers,
+      items: await expenseRepository.listItems(expense.id)
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error creating expense:', error);
     res.status(500).json({ 
       message: 'Error creating expense', 
@@ -223,79 +187,72 @@ exports.createExpense = async (req, res) => {
 
 // Update expense
 exports.updateExpense = async (req, res) => {
-  const { id } = req.params;
-  const { name, amount, payer_id, participants } = req.body;
-  
-  // Validate request body
-  if (!name || !amount || !payer_id || !participants || !Array.isArray(participants) || participants.length === 0) {
-    return res.status(400).json({ 
-      message: 'Invalid request. Required fields: name, amount, payer_id, participants (array)' 
-    });
-  }
+  const { id, groupId } = req.params;
   
   try {
-    // Update expense
-    const { data: expense, error: expenseError } = await supabase
-      .from('expenses')
-      .update({ name, amount, payer_id })
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (expenseError) {
-      if (expenseError.code === 'PGRST116') {
-        return res.status(404).json({ message: 'Expense not found' });
-      }
-      throw expenseError;
+    // Check the expense exists, and get the rate it was entered with
+    const existingExpense = await expenseRepository.findById(id, groupId);
+    
+    if (!existingExpense) {
+      return res.status(404).json({ message: 'Expense not found' });
     }
     
-    // Delete existing participants
-    const { error: deleteError } = await supabase
-      .from('participants')
-      .delete()
-      .eq('expense_id', id);
+    // Group expenses can only be changed by the group's members
+    if (!(await canAccessGroup(req.auth, existingExpense.group_id))) {
+      return res.status(403).json({ message: 'Only members of the group can update this expense' });
+    }
     
-    if (deleteError) throw deleteError;
+    // Validate the body and work out the amounts, split, payers and currency to store
+    const { expense: expenseFields, participants, payers, items, tags } = await prepareExpense(req.body, {
+      group: req.group,
+      groupId,
+      existingExpense
+    });
+    
+    const before = await snapshotExpense(existingExpense.id);
     
-    // Insert new participants
-    const participantsToInsert = participants.map(participant => ({
-      expense_id: expense.id,
-      user_id: participant.user_id,
-      amount: participant.amount
-    }));
+    // Update expense
+    const expense = await expenseRepository.update(existingExpense.id, expenseFields);
     
-    const { error: participantsError } = await supabase
-      .from('participants')
-      .insert(participantsToInsert);
+    // Replace participants, receipt items, payers and (when sent) tags
+    await participantRepository.replaceForExpense(expense.id, participants);
+    await expenseRepository.replaceItems(expense.id, items);
+    await expenseRepository.replacePayers(expense.id, payers);
     
-    if (participantsError) throw participantsError;
+    if (tags) {
+      await expenseRepository.replaceTags(expense.id, tags);
+    }
+    
+    const after = await snapshotExpense(expense.id);
+    
+    await recordAudit(req.auth, {
+      entityType: 'expense',
+      entityId: expense.id,
+      action: 'update',
+      groupId: expense.group_id,
+      before,
+      after
+    });
+    await emitEvent('expense.updated', {
+      groupId: expense.group_id,
+      data: { expense: after, previous: before, actor_user_id: req.auth.userId || null }
+    });
     
     // Fetch the updated expense with participants
-    const { data: updatedExpense } = await supabase
-      .from('expenses')
-      .select(`
-        *,
-        payer:users(id, name)
-      `)
-      .eq('id', expense.id)
-      .single();
-    
-    const { data: updatedParticipants } = await supabase
-      .from('participants')
-      .select(`
-        expense_id,
-        user_id,
-        amount,
-        user:users(id, name)
-      `)
-      .eq('expense_id', expense.id);
+    const [updatedExpense] = await attachCategoriesAndTags([await getExpenseWithPayer(expense.id, expense.group_id)]);
+    const updatedParticipants = await getParticipantsWithUsers([expense.id]);
     
     // Return the updated expense with participants
     res.status(200).json({
       ...updatedExpense,
-      participants: updatedParticipants || []
+      participants: updatedParticipants,
+      payers,
+      items: await expenseRepository.listItems(expense.id)
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error(`Error updating expense with ID ${id}:`, error);
     res.status(500).json({ 
       message: 'Error updating expense', 
@@ -304,34 +261,46 @@ exports.updateExpense = async (req, res) => {
   }
 };
 
-// Delete expense
+// Move an expense to the trash, from where it can be restored until it is purged
 exports.deleteExpense = async (req, res) => {
-  const { id } = req.params;
+  const { id, groupId } = req.params;
   
   try {
     // Check if expense exists
-    const { data: expense, error: checkError } = await supabase
-      .from('expenses')
-      .select('id')
-      .eq('id', id)
-      .single();
-    
-    if (checkError) {
-      if (checkError.code === 'PGRST116') {
-        return res.status(404).json({ message: 'Expense not found' });
-      }
-      throw checkError;
+    const expense = await expenseRepository.findById(id, groupId);
+    
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    
+    // Only the creator may delete an expense; older expenses without one fall back to the payer
+    const ownerId = expense.created_by || expense.payer_id;
+    
+    if (String(ownerId) !== String(req.auth.userId) || !(await canAccessGroup(req.auth, expense.group_id))) {
+      return res.status(403).json({ message: 'Only the creator of an expense can delete it' });
     }
     
-    // Delete expense (participants will be deleted automatically due to CASCADE constraint)
-    const { error: deleteError } = await supabase
-      .from('expenses')
-      .delete()
-      .eq('id', id);
+    const before = await snapshotExpense(expense.id);
     
-    if (deleteError) throw deleteError;
+    // Participants, payers and payments are kept, so the expense can be restored
+    const deleted = await expenseRepository.moveToTrash(expense.id, req.auth.userId);
     
-    res.status(200).json({ message: 'Expense deleted successfully' });
+    await recordAudit(req.auth, {
+      entityType: 'expense',
+      entityId: expense.id,
+      action: 'delete',
+      groupId: expense.group_id,
+      before
+    });
+    await emitEvent('expense.deleted', {
+      groupId: expense.group_id,
+      data: { expense: before, purge_at: purgeAt(deleted.deleted_at), actor_user_id: req.auth.userId || null }
+    });
+    
+    res.status(200).json({
+      message: 'Expense moved to the trash',
+      purge_at: purgeAt(deleted.deleted_at)
+    });
   } catch (error) {
     console.error(`Error deleting expense with ID ${id}:`, error);
     res.status(500).json({ 
@@ -339,4 +308,150 @@ exports.deleteExpense = async (req, res) => {
       error: error.message 
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Get the expenses in the trash, most recently deleted first, with when each will be purged
+exports.getTrash = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const expenses = await userRepository.attachUsers(
+      await expenseRepository.list({ groupId, trash: 'only', order: ['-deleted_at', '-id'] }),
+      'payer_id',
+      'payer'
+    );
+    
+    res.status(200).json(expenses.map(expense => ({
+      ...expense,
+      purge_at: purgeAt(expense.deleted_at)
+    })));
+  } catch (error) {
+    console.error('Error fetching deleted expenses:', error);
+    res.status(500).json({ 
+      message: 'Error fetching deleted expenses', 
+      error: error.message 
+    });
+  }
+};
+
+// Take an expense back out of the trash
+exports.restoreExpense = async (req, res) => {
+  const { id, groupId } = req.params;
+  
+  try {
+    const expense = await expenseRepository.findById(id, groupId, { trash: 'only' });
+    
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found in the trash' });
+    }
+    
+    // Same rule as deleting: only the creator, or for older expenses the payer
+    const ownerId = expense.created_by || expense.payer_id;
+    
+    if (String(ownerId) !== String(req.auth.userId) || !(await canAccessGroup(req.auth, expense.group_id))) {
+      return res.status(403).json({ message: 'Only the creator of an expense can restore it' });
+    }
+    
+    await expenseRepository.restore(expense.id);
+    
+    const after = await snapshotExpense(expense.id);
+    
+    await recordAudit(req.auth, {
+      entityType: 'expense',
+      entityId: expense.id,
+      action: 'restore',
+      groupId: expense.group_id,
+      after
+    });
+    await emitEvent('expense.restored', {
+      groupId: expense.group_id,
+      data: { expense: after, actor_user_id: req.auth.userId || null }
+    });
+    
+    const [restoredExpense] = await attachCategoriesAndTags([await getExpenseWithPayer(expense.id, expense.group_id)]);
+    
+    res.status(200).json({
+      ...restoredExpense,
+      participants: await getParticipantsWithUsers([expense.id]),
+      payers: after.payers,
+      items: after.items
+    });
+  } catch (error) {
+    console.error(`Error restoring expense with ID ${id}:`, error);
+    res.status(500).json({ 
+      message: 'Error restoring expense', 
+      error: error.message 
+    });
+  }
+};
+
+// Get the history of an expense from the audit log, newest first. Deleted expenses keep
+// their history.
+exports.getExpenseHistory = async (req, res) => {
+  const { id, groupId } = req.params;
+  
+  try {
+    const entries = await auditRepository.list({ entityType: 'expense', entityId: id, groupId: groupId || null });
+    
+    if (entries.length === 0) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    
+    res.status(200).json(await formatAuditEntries(entries));
+  } catch (error) {
+    console.error(`Error fetching history of expense with ID ${id}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching expense history', 
+      error: error.message 
+    });
+  }
+};
+
+// Helper function to get an expense with its payer's details, or null if it does not exist
+async function getExpenseWithPayer(id, groupId) {
+  const expense = await expenseRepository.findById(id, groupId);
+  
+  if (!expense) return null;
+  
+  const [expenseWithPayer] = await userRepository.attachUsers([expense], 'payer_id', 'payer');
+  return expenseWithPayer;
+}
+
+// Helper function to attach each expense's category (or null) and tags, with one query each
+async function attachCategoriesAndTags(expenses) {
+  const categoryIds = [...new Set(expenses.map(expense => expense.category_id).filter(id => id))];
+  const expenseIds = expenses.map(expense => expense.id);
+  
+  const [categories, tagRows] = await Promise.all([
+    categoryIds.length > 0 ? categoryRepository.listByIds(categoryIds) : [],
+    expenseIds.length > 0 ? expenseRepository.listTags({ expenseIds }) : []
+  ]);
+  
+  return expenses.map(expense => ({
+    ...expense,
+    category: categories.find(category => category.id === expense.category_id) || null,
+    tags: tagRows.filter(row => row.expense_id === expense.id).map(row => row.tag)
+  }));
+}
+
+// Helper function to get the participants of a list of expenses with their user details
+async function getParticipantsWithUsers(expenseIds) {
+  return userRepository.attachUsers(await participantRepository.list({ expenseIds }));
+}
+
+// Helper function to get expense_payers rows, with payer details, for a list of expenses
+async function getExpensePayerRows(expenseIds) {
+  return userRepository.attachUsers(await expenseRepository.listPayers({ expenseIds }));
+}
+
+// Helper function to get an expense's payers; older expenses were paid in full by payer_id
+function payersWithFallback(expense, payerRows) {
+  const rows = payerRows.filter(row => row.expense_id === expense.id);
+  
+  return rows.length > 0 ? rows : [{
+    expense_id: expense.id,
+    user_id: expense.payer_id,
+    amount: expense.amount,
+    user: expense.payer
+  }];
+}
\ No newline at end of file
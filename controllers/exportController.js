@@ -0,0 +1,238 @@
+const expenseRepository = require('../repositories/expenseRepository');
+const { parseDateRange, loadExpenseDetails } = require('../utils/expenseListing');
+const { buildScopedSummary } = require('../utils/summary');
+const { parseSettlementOptions } = require('../utils/settlement');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/currency');
+const { buildPaymentStatus, combinePaymentStates } = require('../utils/payments');
+const { parseExportFormat, writeExport } = require('../utils/export');
+const { ValidationError } = require('../utils/errors');
+
+// Expenses read per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns of each exported table
+const EXPENSE_COLUMNS = [
+  { header: 'Expense ID', key: 'expense_id', width: 10 },
+  { header: 'Date', key: 'date', width: 22 },
+  { header: 'Expense', key: 'expense', width: 30 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Total', key: 'total', width: 14 },
+  { header: 'Paid by', key: 'paid_by', width: 30 },
+  { header: 'Participant', key: 'participant', width: 20 },
+  { header: 'Share', key: 'share', width: 14 },
+  { header: 'Payment state', key: 'payment_state', width: 16 }
+];
+
+const BALANCE_COLUMNS = [
+  { header: 'User ID', key: 'id', width: 10 },
+  { header: 'Name', key: 'name', width: 20 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Paid', key: 'paid', width: 14 },
+  { header: 'Spent', key: 'spent', width: 14 },
+  { header: 'Balance', key: 'balance', width: 14 },
+  { header: 'Received', key: 'received', width: 14 },
+  { header: 'Pending', key: 'pending', width: 14 },
+  { header: 'Bank', key: 'bank_name', width: 10 },
+  { header: 'Bank account', key: 'bank_account', width: 20 }
+];
+
+const TRANSACTION_COLUMNS = [
+  { header: 'From', key: 'from', width: 20 },
+  { header: 'To', key: 'to', width: 20 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Amount', key: 'amount', width: 14 },
+  { header: 'Paid', key: 'paid_amount', width: 14 },
+  { header: 'Remaining', key: 'remaining', width: 14 },
+  { header: 'Payment state', key: 'payment_state', width: 16 },
+  { header: 'Bank', key: 'bank_name', width: 10 },
+  { header: 'Bank account', key: 'bank_account', width: 20 },
+  { header: 'Transfer memo', key: 'memo', width: 22 },
+  { header: 'Related expenses', key: 'related_expenses', width: 40 }
+];
+
+// Export expenses, one row per participant share (?format=csv|xlsx, optional from and to)
+exports.exportExpenses = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const where = parseDateRange(req.query);
+    
+    await writeExport(res, format, exportFilename(req, 'expenses'), [expensesSheet(req.params.groupId, where)]);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error exporting expenses:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ 
+      message: 'Error exporting expenses', 
+      error: error.message 
+    });
+  }
+};
+
+// Export each user's balance, as in the summary (?format=csv|xlsx, optional from, to and currency)
+exports.exportBalances = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const summary = await buildExportSummary(req);
+    
+    await writeExport(res, format, exportFilename(req, 'balances'), [balancesSheet(summary)]);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error exporting balances:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ 
+      message: 'Error exporting balances', 
+      error: error.message 
+    });
+  }
+};
+
+// Export the settlement plan (?format=csv|xlsx, optional from, to and currency)
+exports.exportTransactions = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const summary = await buildExportSummary(req);
+    
+    await writeExport(res, format, exportFilename(req, 'transactions'), [transactionsSheet(summary)]);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error exporting transactions:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ 
+      message: 'Error exporting transactions', 
+      error: error.message 
+    });
+  }
+};
+
+// Export expenses, balances and the settlement plan as one Excel workbook, a sheet each
+exports.exportWorkbook = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format, 'xlsx');
+    
+    if (format !== 'xlsx') {
+      return res.status(400).json({ 
+        message: 'The full export is an Excel workbook; use /expenses, /balances or /transactions for CSV' 
+      });
+    }
+    
+    const where = parseDateRange(req.query);
+    const summary = await buildExportSummary(req);
+    
+    await writeExport(res, format, exportFilename(req, 'export'), [
+      expensesSheet(req.params.groupId, where),
+      balancesSheet(summary),
+      transactionsSheet(summary)
+    ]);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error exporting workbook:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ 
+      message: 'Error exporting workbook', 
+      error: error.message 
+    });
+  }
+};
+
+// Helper function to build the summary of the expenses in the requested date range
+async function buildExportSummary(req) {
+  return buildScopedSummary(req.group || null, {
+    currency: req.query.currency ? normalizeCurrency(req.query.currency) : undefined,
+    where: parseDateRange(req.query),
+    settlement: parseSettlementOptions(req.query)
+  });
+}
+
+// Helper function to name an export file, e.g. ez-split-group-3-expenses-2024-05-31
+function exportFilename(req, name) {
+  const scope = req.params.groupId ? `-group-${req.params.groupId}` : '';
+  return `ez-split${scope}-${name}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+// Helper function to describe the expenses sheet; its rows are read in batches as it is written
+function expensesSheet(groupId, where) {
+  return { name: 'Expenses', columns: EXPENSE_COLUMNS, rows: expenseRows(groupId, where) };
+}
+
+// Helper function to describe the balances sheet
+function balancesSheet(summary) {
+  return {
+    name: 'Balances',
+    columns: BALANCE_COLUMNS,
+    rows: [summary.userSummary.map(user => ({ ...user, currency: summary.currency }))]
+  };
+}
+
+// Helper function to describe the settlement plan sheet
+function transactionsSheet(summary) {
+  return {
+    name: 'Transactions',
+    columns: TRANSACTION_COLUMNS,
+    rows: [summary.transactions.map(transaction => ({
+      from: transaction.fromName,
+      to: transaction.toName,
+      currency: transaction.currency,
+      amount: transaction.amount,
+      paid_amount: transaction.payment_status.paid_amount,
+      remaining: transaction.payment_status.remaining,
+      payment_state: transaction.payment_status.state,
+      bank_name: transaction.toBankName,
+      bank_account: transaction.toBankAccount,
+      memo: transaction.vietQr ? transaction.vietQr.memo : null,
+      related_expenses: transaction.relatedExpenses.join('; ')
+    }))]
+  };
+}
+
+// Helper function to read expenses oldest first, a batch at a time, as rows of participant
+// shares with the state of what each participant owes for it
+async function* expenseRows(groupId, where) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const expenses = await expenseRepository.list({
+      groupId,
+      where,
+      columns: 'id, name, amount, payer_id, currency, created_at',
+      order: ['created_at', 'id'],
+      limit: EXPORT_BATCH_SIZE,
+      offset
+    });
+    
+    const details = await loadExpenseDetails(expenses);
+    const userName = userId => (details.userMap[userId] ? details.userMap[userId].name : 'Unknown');
+    
+    yield expenses.flatMap(expense => {
+      const paidBy = details.payersByExpense[expense.id]
+        .map(payer => `${userName(payer.user_id)} (${payer.amount})`)
+        .join('; ');
+      
+      return details.participantsByExpense[expense.id].map(participant => {
+        const statuses = details.transactionsByExpense[expense.id]
+          .filter(trans => trans.from_user_id === participant.user_id)
+          .map(trans => buildPaymentStatus(trans.id, parseFloat(trans.amount), details.paymentLedger));
+        
+        return {
+          expense_id: expense.id,
+          date: expense.created_at,
+          expense: expense.name,
+          currency: expense.currency || DEFAULT_CURRENCY,
+          total: parseFloat(expense.amount),
+          paid_by: paidBy,
+          participant: userName(participant.user_id),
+          share: parseFloat(participant.amount),
+          // Payers owe nothing for their own share
+          payment_state: statuses.length > 0 ? combinePaymentStates(statuses) : null
+        };
+      });
+    });
+    
+    if (expenses.length < EXPORT_BATCH_SIZE) return;
+  }
+}
\ No newline at end of file
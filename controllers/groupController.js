@@ -0,0 +1,274 @@
+const groupRepository = require('../repositories/groupRepository');
+const userRepository = require('../repositories/userRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/currency');
+const { removeExpenseFiles } = require('../utils/attachments');
+const { listVisibleUserIds } = require('../utils/auth');
+const { ValidationError } = require('../utils/errors');
+
+// Get all groups the signed-in user belongs to
+exports.getAllGroups = async (req, res) => {
+  try {
+    const groupIds = req.auth.userId ? await groupRepository.getGroupIdsForUser(req.auth.userId) : [];
+    
+    const data = await groupRepository.list({ ids: groupIds });
+    
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({ 
+      message: 'Error fetching groups', 
+      error: error.message
+    });
+  }
+};
+
+// Get a single group with its members
+exports.getGroupById = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const group = await groupRepository.findById(groupId);
+    
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    const members = await groupRepository.listMembers(groupId);
+    
+    res.status(200).json({
+      ...group,
+      members
+    });
+  } catch (error) {
+    console.error(`Error fetching group with ID ${req.params.groupId}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching group', 
+      error: error.message
+    });
+  }
+};
+
+// Create a new group, optionally with initial members; the creator always joins it
+exports.createGroup = async (req, res) => {
+  const { name, description, member_ids, base_currency } = req.body;
+
+  // Validate request body
+  if (!name) {
+    return res.status(400).json({ message: 'Name is required' });
+  }
+  
+  if (member_ids !== undefined && !Array.isArray(member_ids)) {
+    return res.status(400).json({ message: 'member_ids must be an array of user IDs' });
+  }
+  
+  try {
+    await checkMemberIds(req.auth, member_ids || []);
+    
+    const group = await groupRepository.create({
+      name,
+      description,
+      base_currency: base_currency ? normalizeCurrency(base_currency, 'base_currency') : DEFAULT_CURRENCY,
+      created_by: req.auth.userId || null
+    });
+    
+    const memberIds = [...(member_ids || []), ...(req.auth.userId ? [req.auth.userId] : [])];
+    
+    if (memberIds.length > 0) {
+      try {
+        await groupRepository.addMembers(group.id, [...new Set(memberIds.map(Number))]);
+      } catch (membersError) {
+        // If members insertion fails, delete the group
+        await groupRepository.remove(group.id);
+        throw membersError;
+      }
+    }
+    
+    res.status(201).json(group);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating group:', error);
+    res.status(500).json({ 
+      message: 'Error creating group', 
+      error: error.message
+    });
+  }
+};
+
+// Update a group
+exports.updateGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { name, description, base_currency } = req.body;
+    
+    // Basic validation
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    
+    const updateData = { name, description };
+    
+    // Existing expenses keep the rate they were entered with; summaries convert between bases
+    if (base_currency) {
+      updateData.base_currency = normalizeCurrency(base_currency, 'base_currency');
+    }
+    
+    const data = await groupRepository.update(groupId, updateData);
+    
+    if (!data) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    res.status(200).json(data);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error updating group with ID ${req.params.groupId}:`, error);
+    res.status(500).json({ 
+      message: 'Error updating group', 
+      error: error.message
+    });
+  }
+};
+
+// Delete a group; only the member who created it can
+exports.deleteGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    if (!(await canDeleteGroup(req.auth, req.group))) {
+      return res.status(403).json({ message: 'Only the member who created the group can delete it' });
+    }
+    
+    // Refuse to delete groups that still hold expenses
+    const expensesData = await expenseRepository.list({ groupId, limit: 1 });
+    
+    if (expensesData.length > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete group: Group still has expenses'
+      });
+    }
+    
+    // Expenses in the trash go with the group, so delete their attachment files first
+    const trashed = await expenseRepository.list({ groupId, trash: 'only', columns: 'id', order: [] });
+    await removeExpenseFiles(trashed.map(expense => expense.id));
+    
+    // Memberships are deleted automatically due to CASCADE constraint
+    await groupRepository.remove(groupId);
+    
+    res.status(200).json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error(`Error deleting group with ID ${req.params.groupId}:`, error);
+    res.status(500).json({ 
+      message: 'Error deleting group', 
+      error: error.message
+    });
+  }
+};
+
+// Add an existing user to a group: one the signed-in user can see (see GET /api/users)
+exports.addMember = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { user_id } = req.body;
+    
+    if (!user_id) {
+      return res.status(400).json({ message: 'user_id is required' });
+    }
+    
+    const visibleIds = await listVisibleUserIds(req.auth);
+    const user = visibleIds.includes(Number(user_id)) && await userRepository.findById(user_id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const data = await groupRepository.addMember(groupId, user_id);
+    
+    res.status(201).json(data);
+  } catch (error) {
+    console.error(`Error adding member to group ${req.params.groupId}:`, error);
+    res.status(500).json({ 
+      message: 'Error adding group member', 
+      error: error.message
+    });
+  }
+};
+
+// Remove a user from a group
+exports.removeMember = async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    
+    // Get the group's expenses, including those in the trash, to check whether the user is still referenced
+    const expenses = await expenseRepository.list({ groupId, columns: 'id, payer_id', trash: 'include' });
+    
+    if (expenses.some(expense => String(expense.payer_id) === String(userId))) {
+      return res.status(400).json({
+        message: 'Cannot remove member: User is referenced as payer in one or more group expenses'
+      });
+    }
+    
+    const expenseIds = expenses.map(expense => expense.id);
+    
+    if (expenseIds.length > 0) {
+      const payersData = await expenseRepository.listPayers({ expenseIds, userId, limit: 1 });
+      
+      if (payersData.length > 0) {
+        return res.status(400).json({
+          message: 'Cannot remove member: User is referenced as payer in one or more group expenses'
+        });
+      }
+      
+      const participantsData = await participantRepository.list({ expenseIds, userId, limit: 1 });
+      
+      if (participantsData.length > 0) {
+        return res.status(400).json({
+          message: 'Cannot remove member: User is referenced as participant in one or more group expenses'
+        });
+      }
+    }
+    
+    await groupRepository.removeMember(groupId, userId);
+    
+    res.status(200).json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error(`Error removing member from group ${req.params.groupId}:`, error);
+    res.status(500).json({ 
+      message: 'Error removing group member', 
+      error: error.message
+    });
+  }
+};
+
+// Helper function to check the initial members of a new group: users the signed-in user
+// can see (see GET /api/users)
+async function checkMemberIds(auth, memberIds) {
+  if (memberIds.some(id => !/^\d+$/.test(String(id)))) {
+    throw new ValidationError('member_ids must be an array of user IDs');
+  }
+  
+  const [users, visibleIds] = await Promise.all([
+    memberIds.length > 0 ? userRepository.list({ ids: memberIds.map(Number) }) : [],
+    memberIds.length > 0 ? listVisibleUserIds(auth) : []
+  ]);
+  const known = new Set(users.map(user => Number(user.id)).filter(id => visibleIds.includes(id)));
+  const unknown = [...new Set(memberIds.map(Number))].filter(id => !known.has(id));
+  
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown users in member_ids: ${unknown.join(', ')}`);
+  }
+}
+
+// Helper function to check whether the signed-in user may delete a group: its creator, or
+// for groups from before the creator was recorded, its last remaining member
+async function canDeleteGroup(auth, group) {
+  if (group.created_by) return String(group.created_by) === String(auth.userId);
+  
+  const memberIds = await groupRepository.getMemberIds(group.id);
+  return memberIds.length === 1 && String(memberIds[0]) === String(auth.userId);
+}
\ No newline at end of file
@@ -0,0 +1,265 @@
+const userRepository = require('../repositories/userRepository');
+const groupRepository = require('../repositories/groupRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const { prepareExpense } = require('../utils/expenseInput');
+const {
+  parseImportFormat,
+  parseImportFile,
+  nameKey,
+  matchNames,
+  draftNames,
+  draftToExpenseBody
+} = require('../utils/expenseImport');
+const { recordAudit } = require('../utils/audit');
+const { recordCreatedExpenses } = require('../utils/expenseCreation');
+const { listVisibleUserIds } = require('../utils/auth');
+const { ValidationError } = require('../utils/errors');
+
+// Prefix of the stand-in IDs given to people who will be created as users on commit
+const NEW_USER_PREFIX = 'new:';
+
+// Import expenses from a CSV file in our format or a Splitwise group export.
+// Every row is checked like createExpense; with dry_run nothing is stored and the
+// preview is returned, otherwise the whole file is stored, or nothing if any row fails.
+exports.importExpenses = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const options = readImportOptions(req);
+    
+    if (!options.file) {
+      return res.status(400).json({ 
+        message: 'Send the file as the request body with Content-Type text/csv, or as file in a JSON body' 
+      });
+    }
+    
+    const drafts = parseImportFile(options.file, options.format, options.columns);
+    
+    // People in the file are matched to the group's members, or outside a group to the users
+    // the signed-in user may see. Archived users are not matched, as they cannot be added to
+    // expenses.
+    const users = await userRepository.list({
+      ids: groupId ? await groupRepository.getMemberIds(groupId) : await listVisibleUserIds(req.auth),
+      archived: false
+    });
+    const { matches, unmatched, ambiguous } = matchNames(drafts, users, options.userMap);
+    const newUsers = options.createUsers ? unmatched : [];
+    
+    // Until they are created, new users are referred to by a stand-in ID
+    const userId = name => {
+      const user = matches.get(nameKey(name));
+      if (user) return user.id;
+      const newUser = newUsers.find(other => nameKey(other) === nameKey(name));
+      return newUser ? `${NEW_USER_PREFIX}${newUser}` : null;
+    };
+    const memberIds = new Set([
+      ...users.map(user => String(user.id)),
+      ...newUsers.map(name => `${NEW_USER_PREFIX}${name}`)
+    ]);
+    
+    const prepared = [];
+    const errors = [];
+    const skipped = [];
+    
+    for (const draft of drafts) {
+      if (draft.skip) {
+        skipped.push({ row: draft.row, reason: draft.skip });
+        continue;
+      }
+      if (draft.error) {
+        errors.push({ row: draft.row, message: draft.error });
+        continue;
+      }
+      
+      const unknown = draftNames(draft).filter(name => userId(name) === null);
+      if (unknown.length > 0) {
+        errors.push({ row: draft.row, message: `No single user matches: ${unknown.join(', ')}` });
+        continue;
+      }
+      
+      try {
+        // Same checks and calculations as creating the expense through the API
+        const expense = await prepareExpense(draftToExpenseBody(draft, userId), {
+          group: req.group,
+          groupId,
+          rateDate: draft.date ? new Date(draft.date) : undefined,
+          memberIds
+        });
+        prepared.push({ draft, ...expense });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors.push({ row: draft.row, message: error.message });
+      }
+    }
+    
+    const report = {
+      format: options.format,
+      dry_run: options.dryRun,
+      rows: drafts.length,
+      valid_rows: prepared.length,
+      errors,
+      skipped,
+      unmatched_names: options.createUsers ? [] : unmatched,
+      ambiguous_names: ambiguous,
+      new_users: newUsers,
+      expenses: prepared.map(entry => previewExpense(entry, userNames(users, newUsers)))
+    };
+    
+    if (options.dryRun) {
+      return res.status(200).json(report);
+    }
+    
+    if (errors.length > 0 || prepared.length === 0) {
+      return res.status(400).json({ 
+        message: errors.length > 0 ? 'Some rows have errors, so nothing was imported' : 'No expenses to import',
+        ...report 
+      });
+    }
+    
+    const { expenseIds, createdUsers } = await storeImport(prepared, newUsers, { groupId, createdBy: req.auth.userId || null });
+    
+    // Imported users and expenses are recorded and announced like ones created one by one
+    await recordAudit(req.auth, createdUsers.map(user => ({
+      entityType: 'user',
+      entityId: user.id,
+      action: 'create',
+      groupId,
+      after: user
+    })));
+    await recordCreatedExpenses(req.auth, expenseIds);
+    
+    res.status(201).json({
+      ...report,
+      imported: expenseIds.length,
+      expense_ids: expenseIds
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error importing expenses:', error);
+    res.status(500).json({ 
+      message: 'Error importing expenses', 
+      error: error.message 
+    });
+  }
+};
+
+// Helper function to read the file and options, from a JSON body or, for a CSV body,
+// from the query string
+function readImportOptions(req) {
+  const fromJson = req.body && typeof req.body === 'object' && !Array.isArray(req.body);
+  const source = fromJson ? { ...req.query, ...req.body } : req.query;
+  
+  if (source.user_map !== undefined && (typeof source.user_map !== 'object' || Array.isArray(source.user_map))) {
+    throw new ValidationError('user_map must map names to user IDs');
+  }
+  if (source.columns !== undefined && (typeof source.columns !== 'object' || Array.isArray(source.columns))) {
+    throw new ValidationError('columns must map column names to the headers used in the file');
+  }
+  
+  return {
+    file: fromJson ? source.file : req.body,
+    format: parseImportFormat(source.format),
+    dryRun: isTrue(source.dry_run),
+    createUsers: isTrue(source.create_users),
+    userMap: source.user_map || {},
+    columns: source.columns || {}
+  };
+}
+
+// Helper function to read a boolean option sent as JSON or in the query string
+function isTrue(value) {
+  return value === true || ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Helper function to map user IDs, including stand-in IDs of new users, to names
+function userNames(users, newUsers) {
+  return users.reduce((acc, user) => {
+    acc[user.id] = user.name;
+    return acc;
+  }, newUsers.reduce((acc, name) => {
+    acc[`${NEW_USER_PREFIX}${name}`] = name;
+    return acc;
+  }, {}));
+}
+
+// Helper function to describe an expense the import would create
+function previewExpense({ draft, expense, participants, payers }, names) {
+  const person = ({ user_id, amount }) => ({
+    user_id: String(user_id).startsWith(NEW_USER_PREFIX) ? null : user_id,
+    name: names[user_id],
+    amount
+  });
+  
+  return {
+    row: draft.row,
+    date: draft.date,
+    name: expense.name,
+    amount: expense.amount,
+    currency: expense.currency,
+    split_mode: expense.split_mode,
+    payers: payers.map(person),
+    participants: participants.map(person)
+  };
+}
+
+// Helper function to store an import: new users first, then all expenses, participants
+// and payers with one insert each. If anything fails, whatever was stored is deleted again.
+// Returns the new expenses' IDs and the created users.
+async function storeImport(prepared, newUsers, { groupId, createdBy }) {
+  const createdUsers = newUsers.length > 0
+    ? await userRepository.createMany(newUsers.map(name => ({ name, created_by: createdBy })))
+    : [];
+  let expenseIds = [];
+  
+  try {
+    if (groupId && createdUsers.length > 0) {
+      await groupRepository.addMembers(groupId, createdUsers.map(user => user.id));
+    }
+    
+    // Swap the stand-in IDs for the new users' IDs
+    const realIds = newUsers.reduce((acc, name, index) => {
+      acc[`${NEW_USER_PREFIX}${name}`] = createdUsers[index].id;
+      return acc;
+    }, {});
+    const realId = id => (realIds[id] === undefined ? id : realIds[id]);
+    const withRealId = person => ({ ...person, user_id: realId(person.user_id) });
+    
+    const expenses = await expenseRepository.createMany(prepared.map(({ draft, expense }) => ({
+      ...expense,
+      payer_id: realId(expense.payer_id),
+      split: { ...expense.split, participants: expense.split.participants.map(withRealId) },
+      group_id: groupId || null,
+      created_by: createdBy,
+      created_at: draft.date || new Date().toISOString()
+    })));
+    expenseIds = expenses.map(expense => expense.id);
+    
+    await participantRepository.createMany(expenses.flatMap((expense, index) => (
+      prepared[index].participants.map(participant => ({
+        expense_id: expense.id,
+        user_id: realId(participant.user_id),
+        amount: participant.amount
+      }))
+    )));
+    await expenseRepository.createPayers(expenses.flatMap((expense, index) => (
+      prepared[index].payers.map(payer => ({
+        expense_id: expense.id,
+        user_id: realId(payer.user_id),
+        amount: payer.amount
+      }))
+    )));
+    
+    return { expenseIds, createdUsers };
+  } catch (error) {
+    // Leave nothing of a failed import behind
+    if (expenseIds.length > 0) {
+      await expenseRepository.remove(expenseIds);
+    }
+    if (createdUsers.length > 0) {
+      await userRepository.remove(createdUsers.map(user => user.id));
+    }
+    throw error;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+const userRepository = require('../repositories/userRepository');
+const notificationRepository = require('../repositories/notificationRepository');
+const groupRepository = require('../repositories/groupRepository');
+const { parseTransactionId } = require('../utils/transactions');
+const { verifyToken } = require('../utils/auth');
+const {
+  MAX_NUDGE_MESSAGE,
+  loadLedgers,
+  collectDebts,
+  findOpenTransaction,
+  checkNudgeThrottle,
+  findRecipient,
+  sendReminder,
+  buildNudgeMessage
+} = require('../utils/reminders');
+
+// Kinds of reminders a user can turn off
+const PREFERENCE_KINDS = ['digest', 'nudges'];
+
+// Confirmations shown after following an unsubscribe link
+const UNSUBSCRIBED_MESSAGES = {
+  digest: 'You will no longer get the weekly digest',
+  nudges: 'You will no longer get reminders from other people',
+  all: 'You will no longer get reminders'
+};
+
+// Get the signed-in user's reminder preferences
+exports.getPreferences = async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(400).json({ message: 'Link your login to a user to get reminders' });
+    }
+    
+    const preferences = await notificationRepository.getPreferences([req.auth.userId]);
+    
+    res.status(200).json(preferences[req.auth.userId]);
+  } catch (error) {
+    console.error('Error fetching reminder preferences:', error);
+    res.status(500).json({ 
+      message: 'Error fetching reminder preferences', 
+      error: error.message
+    });
+  }
+};
+
+// Turn the weekly digest or nudges on or off for the signed-in user
+exports.updatePreferences = async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(400).json({ message: 'Link your login to a user to get reminders' });
+    }
+    
+    const changes = {};
+    
+    for (const kind of PREFERENCE_KINDS) {
+      if (req.body[kind] === undefined) continue;
+      
+      if (typeof req.body[kind] !== 'boolean') {
+        return res.status(400).json({ message: `${kind} must be true or false` });
+      }
+      changes[kind] = req.body[kind];
+    }
+    
+    const saved = await notificationRepository.savePreferences(req.auth.userId, changes);
+    
+    res.status(200).json({ user_id: saved.user_id, digest: saved.digest, nudges: saved.nudges });
+  } catch (error) {
+    console.error('Error updating reminder preferences:', error);
+    res.status(500).json({ 
+      message: 'Error updating reminder preferences', 
+      error: error.message
+    });
+  }
+};
+
+// Turn reminders off from the link in a reminder email, without signing in.
+// ?kind= is digest or nudges; without it both are turned off.
+exports.unsubscribe = async (req, res) => {
+  try {
+    const { token, kind } = req.query;
+    const claims = token ? verifyToken(String(token), 'unsubscribe') : null;
+    
+    if (!claims) {
+      return res.status(400).json({ message: 'This unsubscribe link is invalid' });
+    }
+    
+    if (kind !== undefined && !PREFERENCE_KINDS.includes(kind)) {
+      return res.status(400).json({ message: `kind must be one of: ${PREFERENCE_KINDS.join(', ')}` });
+    }
+    
+    const user = await userRepository.findById(claims.sub);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const kinds = kind ? [kind] : PREFERENCE_KINDS;
+    await notificationRepository.savePreferences(user.id, kinds.reduce((acc, preference) => {
+      acc[preference] = false;
+      return acc;
+    }, {}));
+    
+    res.status(200).json({ message: UNSUBSCRIBED_MESSAGES[kind || 'all'] });
+  } catch (error) {
+    console.error('Error unsubscribing from reminders:', error);
+    res.status(500).json({ 
+      message: 'Error unsubscribing from reminders', 
+      error: error.message
+    });
+  }
+};
+
+// Get what the signed-in user owes and is owed, as it would go into their weekly digest
+exports.getDigest = async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(400).json({ message: 'Link your login to a user to get reminders' });
+    }
+    
+    const groupIds = await groupRepository.getGroupIdsForUser(req.auth.userId);
+    const debts = collectDebts(req.auth.userId, await loadLedgers({ groupIds }));
+    
+    res.status(200).json(debts);
+  } catch (error) {
+    console.error('Error fetching reminder digest:', error);
+    res.status(500).json({ 
+      message: 'Error fetching reminder digest', 
+      error: error.message
+    });
+  }
+};
+
+// Remind whoever owes a transaction to pay it, by email. Only the person who is owed can
+// nudge, and nudges are throttled per transaction and per person.
+exports.nudgeTransaction = async (req, res) => {
+  try {
+    const { transactionId, groupId } = req.params;
+    const { message } = req.body;
+    const parsed = parseTransactionId(transactionId);
+    
+    if (message !== undefined && message !== null && (typeof message !== 'string' || message.length > MAX_NUDGE_MESSAGE)) {
+      return res.status(400).json({ message: `message must be at most ${MAX_NUDGE_MESSAGE} characters` });
+    }
+    
+    if (!parsed) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    if (String(parsed.toUserId) !== String(req.auth.userId)) {
+      return res.status(403).json({ message: 'Only the person who is owed can send a reminder' });
+    }
+    
+    const transaction = await findOpenTransaction(parsed);
+    
+    if (!transaction || String(transaction.group_id || '') !== String(groupId || '')) {
+      return res.status(404).json({ message: 'Transaction not found or already paid' });
+    }
+    
+    const [debtor, sender] = await Promise.all([
+      userRepository.findById(parsed.fromUserId),
+      userRepository.findById(parsed.toUserId)
+    ]);
+    
+    if (!debtor || !sender) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const [preferences, recipient] = await Promise.all([
+      notificationRepository.getPreferences([debtor.id]),
+      findRecipient(debtor.id)
+    ]);
+    
+    if (!preferences[debtor.id].nudges) {
+      return res.status(400).json({ message: `${debtor.name} has turned off reminders` });
+    }
+    
+    if (!recipient) {
+      return res.status(400).json({ message: `${debtor.name} has no login to send a reminder to` });
+    }
+    
+    const throttle = await checkNudgeThrottle(transaction.transaction_id, debtor.id);
+    
+    if (throttle) {
+      res.set('Retry-After', String(Math.ceil((throttle.retryAt.getTime() - Date.now()) / 1000)));
+      return res.status(429).json({ message: throttle.message, retry_at: throttle.retryAt.toISOString() });
+    }
+    
+    const notification = await sendReminder({
+      user: debtor,
+      recipient,
+      kind: 'nudge',
+      transactionId: transaction.transaction_id,
+      sentBy: sender.id,
+      message: buildNudgeMessage(debtor, sender, transaction, message && message.trim())
+    });
+    
+    if (notification.status !== 'sent') {
+      return res.status(502).json({ message: 'The reminder could not be sent', error: notification.error });
+    }
+    
+    res.status(200).json({
+      message: `Reminder sent to ${debtor.name}`,
+      transaction_id: transaction.transaction_id,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      sent_at: notification.created_at
+    });
+  } catch (error) {
+    console.error(`Error sending a reminder for transaction ${req.params.transactionId}:`, error);
+    res.status(500).json({ 
+      message: 'Error sending reminder', 
+      error: error.message
+    });
+  }
+}; 
\ No newline at end of file
@@ -0,0 +1,403 @@
+const QRCode = require('qrcode');
+const paymentRepository = require('../repositories/paymentRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const userRepository = require('../repositories/userRepository');
+const groupRepository = require('../repositories/groupRepository');
+const { groupPayersByExpense } = require('../utils/payers');
+const { buildExpenseTransactions, parseTransactionId } = require('../utils/transactions');
+const { DEFAULT_CURRENCY, currencyDecimals } = require('../utils/currency');
+const { vietnamTimestamp, loadPaymentLedger, buildPaymentStatus } = require('../utils/payments');
+const { buildScopedSummary } = require('../utils/summary');
+const { parseSettlementOptions } = require('../utils/settlement');
+const { buildTransactionQr } = require('../utils/vietqr');
+const { recordAudit } = require('../utils/audit');
+const { emitEvent } = require('../utils/events');
+const { canAccessGroup } = require('../utils/auth');
+const { ValidationError } = require('../utils/errors');
+
+// Accepted payment methods
+const PAYMENT_METHODS = ['bank_transfer', 'cash', 'momo', 'zalopay', 'card', 'other'];
+
+// Formats the VietQR code of a transaction can be served in
+const QR_FORMATS = ['json', 'text', 'svg', 'png'];
+
+// Get the payments recorded against a transaction, including voided ones
+exports.getTransactionPayments = async (req, res) => {
+  try {
+    const { transactionId, groupId } = req.params;
+    const parsed = parseTransactionId(transactionId);
+    
+    if (!parsed || !(await transactionInScope(parsed, groupId))) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    const payments = await paymentRepository.list({ transactionIds: [transactionId], includeVoided: true });
+    
+    // Per-expense transactions have a known amount, so their status can be worked out here
+    let paymentStatus = null;
+    let amount = null;
+    
+    if (parsed.type === 'expense') {
+      const transaction = await findExpenseTransaction(parsed);
+      
+      if (!transaction) {
+        return res.status(404).json({ message: 'Transaction not found' });
+      }
+      
+      amount = transaction.amount;
+      paymentStatus = buildPaymentStatus(transactionId, amount, await loadPaymentLedger([transactionId]));
+    }
+    
+    res.status(200).json({
+      transaction_id: transactionId,
+      from_user_id: parsed.fromUserId,
+      to_user_id: parsed.toUserId,
+      amount,
+      payment_status: paymentStatus,
+      payments
+    });
+  } catch (error) {
+    console.error(`Error fetching payments for transaction ${req.params.transactionId}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching payments', 
+      error: error.message
+    });
+  }
+};
+
+// Record a full or partial payment against a transaction. Overall and group transactions
+// must be in the settlement worked out now, with the strategy and exclusions in the query
+// (as sent to the summary).
+exports.addPayment = async (req, res) => {
+  try {
+    const { transactionId, groupId } = req.params;
+    const { amount, method = 'bank_transfer', note, paid_at } = req.body;
+    const parsed = parseTransactionId(transactionId);
+    
+    if (!parsed || !(await transactionInScope(parsed, groupId))) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    const paymentGroupId = await transactionGroupId(parsed);
+    
+    if (!isTransactionParty(req.auth, parsed.fromUserId, parsed.toUserId) || !(await canAccessGroup(req.auth, paymentGroupId))) {
+      return res.status(403).json({ message: 'Only the payer or the receiver can record a payment' });
+    }
+    
+    // Validate request
+    const paymentAmount = Number(amount);
+    
+    if (!Number.isFinite(paymentAmount) || paymentAmount <= 0) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+    
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+    
+    if (paid_at !== undefined && Number.isNaN(new Date(paid_at).getTime())) {
+      return res.status(400).json({ message: 'paid_at must be a date' });
+    }
+    
+    // Transactions cannot be overpaid
+    const previousStatus = await findTransactionStatus(parsed, transactionId, req.query);
+    
+    if (!previousStatus) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    if (paymentAmount - previousStatus.remaining >= 0.005) {
+      return res.status(400).json({
+        message: `Payment exceeds the remaining amount of ${previousStatus.remaining}`
+      });
+    }
+    
+    const payment = await paymentRepository.create({
+      transaction_id: transactionId,
+      from_user_id: parsed.fromUserId,
+      to_user_id: parsed.toUserId,
+      amount: paymentAmount,
+      method,
+      note,
+      paid_at: paid_at ? new Date(paid_at).toISOString() : vietnamTimestamp()
+    });
+    
+    await recordAudit(req.auth, {
+      entityType: 'payment',
+      entityId: payment.id,
+      action: 'create',
+      groupId: paymentGroupId,
+      after: payment
+    });
+    await emitPaymentStatusChanged(req.auth, parsed, {
+      change: 'recorded',
+      payment,
+      previousStatus,
+      groupId: paymentGroupId,
+      query: req.query
+    });
+    
+    res.status(201).json(payment);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error adding payment to transaction ${req.params.transactionId}:`, error);
+    res.status(500).json({ 
+      message: 'Error adding payment', 
+      error: error.message
+    });
+  }
+};
+
+// Void a payment; it stays in the ledger but no longer counts towards the transaction
+exports.voidPayment = async (req, res) => {
+  try {
+    const { paymentId, groupId } = req.params;
+    const { reason } = req.body;
+    
+    const payment = await paymentRepository.findById(paymentId);
+    
+    const parsed = payment && parseTransactionId(payment.transaction_id);
+    
+    if (!payment || !(parsed && await transactionInScope(parsed, groupId))) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    
+    const paymentGroupId = await transactionGroupId(parsed);
+    
+    if (!isTransactionParty(req.auth, payment.from_user_id, payment.to_user_id) || !(await canAccessGroup(req.auth, paymentGroupId))) {
+      return res.status(403).json({ message: 'Only the payer or the receiver can void a payment' });
+    }
+    
+    if (payment.voided_at) {
+      return res.status(400).json({ message: 'Payment is already voided' });
+    }
+    
+    const previousStatus = await findTransactionStatus(parsed, payment.transaction_id, req.query);
+    
+    const data = await paymentRepository.update(paymentId, {
+      voided_at: vietnamTimestamp(),
+      void_reason: reason || null
+    });
+    
+    await recordAudit(req.auth, {
+      entityType: 'payment',
+      entityId: payment.id,
+      action: 'void',
+      groupId: paymentGroupId,
+      before: payment,
+      after: data
+    });
+    await emitPaymentStatusChanged(req.auth, parsed, {
+      change: 'voided',
+      payment: data,
+      previousStatus,
+      groupId: paymentGroupId,
+      query: req.query
+    });
+    
+    res.status(200).json(data);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error voiding payment ${req.params.paymentId}:`, error);
+    res.status(500).json({ 
+      message: 'Error voiding payment', 
+      error: error.message
+    });
+  }
+};
+
+// Get the VietQR code for paying a transaction, as JSON, the raw payload, SVG or PNG
+exports.getTransactionQr = async (req, res) => {
+  try {
+    const { transactionId, groupId } = req.params;
+    const { format = 'json', size } = req.query;
+    const parsed = parseTransactionId(transactionId);
+    
+    if (!parsed || !(await transactionInScope(parsed, groupId))) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    if (!QR_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${QR_FORMATS.join(', ')}` });
+    }
+    
+    // Optional amount to pay, e.g. for a partial payment
+    let amount = req.query.amount !== undefined ? Number(req.query.amount) : null;
+    
+    if (amount !== null && (!Number.isFinite(amount) || amount <= 0)) {
+      return res.status(400).json({ message: 'amount must be a positive number' });
+    }
+    
+    let currency = (req.group && req.group.base_currency) || DEFAULT_CURRENCY;
+    
+    // Per-expense transactions default to whatever is still unpaid; overall ones have no
+    // stored amount, so without ?amount= the code leaves it for the payer to type in
+    if (parsed.type === 'expense') {
+      const transaction = await findExpenseTransaction(parsed);
+      
+      if (!transaction) {
+        return res.status(404).json({ message: 'Transaction not found' });
+      }
+      
+      const status = buildPaymentStatus(transactionId, transaction.amount, await loadPaymentLedger([transactionId]));
+      
+      if (status.state === 'paid') {
+        return res.status(400).json({ message: 'Transaction is already paid' });
+      }
+      
+      currency = transaction.currency;
+      amount = amount === null ? status.remaining : Math.min(amount, status.remaining);
+    }
+    
+    const receiver = await userRepository.findById(parsed.toUserId);
+    
+    if (!receiver) {
+      return res.status(404).json({ message: 'Receiver not found' });
+    }
+    
+    const qr = buildTransactionQr(transactionId, {
+      bankName: receiver.bank_name,
+      bankAccount: receiver.bank_account,
+      amount,
+      currency
+    });
+    
+    if (!qr) {
+      return res.status(400).json({
+        message: currency !== 'VND'
+          ? 'VietQR transfers are only available for VND transactions'
+          : `${receiver.name} has no bank account that VietQR supports`
+      });
+    }
+    
+    const width = Math.min(Math.max(parseInt(size, 10) || 300, 100), 1000);
+    
+    if (format === 'text') {
+      return res.type('text/plain').send(qr.payload);
+    }
+    
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(await QRCode.toString(qr.payload, { type: 'svg', width, margin: 2 }));
+    }
+    
+    if (format === 'png') {
+      return res.type('image/png').send(await QRCode.toBuffer(qr.payload, { type: 'png', width, margin: 2 }));
+    }
+    
+    res.status(200).json({
+      transaction_id: transactionId,
+      to_user_id: receiver.id,
+      to_name: receiver.name,
+      ...qr
+    });
+  } catch (error) {
+    console.error(`Error generating QR code for transaction ${req.params.transactionId}:`, error);
+    res.status(500).json({ 
+      message: 'Error generating QR code', 
+      error: error.message
+    });
+  }
+};
+
+// Helper function to check whether the signed-in user pays or receives a transaction
+function isTransactionParty(auth, fromUserId, toUserId) {
+  return !!auth.userId && [fromUserId, toUserId].some(userId => String(userId) === String(auth.userId));
+}
+
+// Helper function to check that a parsed transaction ID refers to a group's settlement or
+// expenses, or without groupId to the overall settlement or expenses outside groups
+async function transactionInScope(parsed, groupId) {
+  if (parsed.type === 'group') return !!groupId && String(parsed.groupId) === String(groupId);
+  if (parsed.type === 'expense') return !!(await expenseRepository.findById(parsed.expenseId, groupId));
+  return !groupId;
+}
+
+// Helper function to get the group a transaction belongs to, or null for overall transactions
+async function transactionGroupId(parsed) {
+  if (parsed.type === 'group') return parsed.groupId;
+  if (parsed.type === 'expense') {
+    const expense = await expenseRepository.findById(parsed.expenseId, null, { anyGroup: true });
+    return expense ? expense.group_id : null;
+  }
+  return null;
+}
+
+// Helper function to get the payment status of a transaction, or null if it does not exist
+// (any more). Overall and group transactions are looked up in the settlement worked out with
+// the settlement options in query.
+async function findTransactionStatus(parsed, transactionId, query) {
+  if (parsed.type !== 'expense') {
+    const transaction = await findSettlementTransaction(parsed, query);
+    return transaction ? transaction.payment_status : null;
+  }
+  
+  const transaction = await findExpenseTransaction(parsed);
+  
+  if (!transaction) return null;
+  
+  return buildPaymentStatus(transactionId, transaction.amount, await loadPaymentLedger([transactionId]));
+}
+
+// Helper function to announce a payment being recorded or voided, with the
+// transaction's payment status before and after
+async function emitPaymentStatusChanged(auth, parsed, { change, payment, previousStatus, groupId, query }) {
+  await emitEvent('payment.status_changed', {
+    groupId,
+    data: {
+      change,
+      transaction_id: payment.transaction_id,
+      from_user_id: parsed.fromUserId,
+      to_user_id: parsed.toUserId,
+      payment,
+      previous_status: previousStatus,
+      payment_status: await findTransactionStatus(parsed, payment.transaction_id, query),
+      actor_user_id: auth.userId || null
+    }
+  });
+}
+
+// Helper function to find an overall or group transaction in the settlement worked out now,
+// as GET /api/summary does, or null if the settlement has no such transaction
+async function findSettlementTransaction(parsed, query) {
+  const group = parsed.type === 'group' ? await groupRepository.findById(parsed.groupId) : null;
+  
+  if (parsed.type === 'group' && !group) return null;
+  
+  const { strategy, exclude } = parseSettlementOptions(query);
+  const summary = await buildScopedSummary(group, { settlement: { strategy, exclude } });
+  
+  return summary.transactions.find(transaction => (
+    !transaction.expense_id && transaction.from === parsed.fromUserId && transaction.to === parsed.toUserId
+  )) || null;
+}
+
+// Helper function to rebuild a per-expense transaction from its parsed ID, or null if it no longer exists
+async function findExpenseTransaction(parsed) {
+  const expense = await expenseRepository.findById(parsed.expenseId, null, { anyGroup: true });
+  
+  if (!expense) return null;
+  
+  const [participants, payerRows] = await Promise.all([
+    participantRepository.list({ expenseIds: [expense.id] }),
+    expenseRepository.listPayers({ expenseIds: [expense.id] })
+  ]);
+  
+  const payers = groupPayersByExpense([expense], payerRows)[expense.id];
+  const transactions = buildExpenseTransactions(
+    expense,
+    participants,
+    payers,
+    currencyDecimals(expense.currency || DEFAULT_CURRENCY)
+  );
+  
+  const transaction = transactions.find(transaction => (
+    transaction.from_user_id === parsed.fromUserId && transaction.to_user_id === parsed.toUserId
+  ));
+  
+  return transaction ? { ...transaction, currency: expense.currency || DEFAULT_CURRENCY } : null;
+}
\ No newline at end of file
@@ -0,0 +1,315 @@
+const recurringExpenseRepository = require('../repositories/recurringExpenseRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const { prepareExpense } = require('../utils/expenseInput');
+const { MAX_BACKFILL_DAYS, materializeDue } = require('../jobs/recurringExpenses');
+const {
+  vietnamDate,
+  parseDate,
+  normalizeSchedule,
+  nextRunDate,
+  upcomingDates,
+  isOccurrence,
+  addDays
+} = require('../utils/schedule');
+const { ValidationError } = require('../utils/errors');
+
+// Get all recurring expenses with their upcoming occurrences
+exports.getAllRecurringExpenses = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const data = await recurringExpenseRepository.list({ groupId });
+    
+    res.status(200).json(data.map(withUpcoming));
+  } catch (error) {
+    console.error('Error fetching recurring expenses:', error);
+    res.status(500).json({ 
+      message: 'Error fetching recurring expenses', 
+      error: error.message
+    });
+  }
+};
+
+// Get a recurring expense with its upcoming occurrences and the expenses it created
+exports.getRecurringExpenseById = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const recurringExpense = await recurringExpenseRepository.findById(id, groupId);
+    
+    if (!recurringExpense) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+    
+    const expenses = await expenseRepository.list({
+      groupId: recurringExpense.group_id,
+      where: { recurring_expense_id: recurringExpense.id },
+      columns: 'id, name, amount, currency, occurrence_date, created_at',
+      order: ['-occurrence_date']
+    });
+    
+    res.status(200).json({
+      ...withUpcoming(recurringExpense),
+      expenses
+    });
+  } catch (error) {
+    console.error(`Error fetching recurring expense with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching recurring expense', 
+      error: error.message
+    });
+  }
+};
+
+// Create a recurring expense. Occurrences already due (a start date today or in the past)
+// are created straight away.
+exports.createRecurringExpense = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const fields = await prepareRecurringExpense(req.body, { group: req.group, groupId });
+    
+    const recurringExpense = await recurringExpenseRepository.create({
+      ...fields,
+      group_id: groupId || null,
+      created_by: req.auth.userId || null
+    });
+    
+    const created = await materializeDue(recurringExpense);
+    const stored = await recurringExpenseRepository.findById(recurringExpense.id, groupId);
+    
+    res.status(201).json({
+      ...withUpcoming(stored),
+      created_expense_ids: created.map(expense => expense.id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating recurring expense:', error);
+    res.status(500).json({ 
+      message: 'Error creating recurring expense', 
+      error: error.message
+    });
+  }
+};
+
+// Update a recurring expense. Changes apply to occurrences from today on; expenses
+// already created are left as they are.
+exports.updateRecurringExpense = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const existing = await recurringExpenseRepository.findById(id, groupId);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+    
+    const fields = await prepareRecurringExpense(req.body, { group: req.group, groupId, existing });
+    
+    const data = await recurringExpenseRepository.update(existing.id, fields);
+    
+    const created = data.paused ? [] : await materializeDue(data);
+    const stored = await recurringExpenseRepository.findById(existing.id, groupId);
+    
+    res.status(200).json({
+      ...withUpcoming(stored),
+      created_expense_ids: created.map(expense => expense.id)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error updating recurring expense with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error updating recurring expense', 
+      error: error.message
+    });
+  }
+};
+
+// Pause a recurring expense; no occurrences are created until it is resumed
+exports.pauseRecurringExpense = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const existing = await recurringExpenseRepository.findById(id, groupId);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+    
+    const data = await recurringExpenseRepository.update(existing.id, { paused: true });
+    
+    res.status(200).json(withUpcoming(data));
+  } catch (error) {
+    console.error(`Error pausing recurring expense with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error pausing recurring expense', 
+      error: error.message
+    });
+  }
+};
+
+// Resume a paused recurring expense. Occurrences that fell while it was paused are not
+// created; it carries on from today.
+exports.resumeRecurringExpense = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const existing = await recurringExpenseRepository.findById(id, groupId);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+    
+    const data = await recurringExpenseRepository.update(existing.id, {
+      paused: false,
+      last_error: null,
+      next_run_date: nextRunDate(existing, vietnamDate())
+    });
+    
+    const created = await materializeDue(data);
+    const stored = await recurringExpenseRepository.findById(existing.id, groupId);
+    
+    res.status(200).json({
+      ...withUpcoming(stored),
+      created_expense_ids: created.map(expense => expense.id)
+    });
+  } catch (error) {
+    console.error(`Error resuming recurring expense with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error resuming recurring expense', 
+      error: error.message
+    });
+  }
+};
+
+// Skip one upcoming occurrence of a recurring expense (the next one when no date is given)
+exports.skipOccurrence = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const existing = await recurringExpenseRepository.findById(id, groupId);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+    
+    const date = req.body.date ? parseDate(req.body.date, 'date') : existing.next_run_date;
+    
+    if (!date || !isOccurrence(existing, date)) {
+      return res.status(400).json({ message: 'date must be an occurrence of this recurring expense' });
+    }
+    
+    if (existing.next_run_date === null || date < existing.next_run_date) {
+      return res.status(400).json({ message: 'Only upcoming occurrences can be skipped' });
+    }
+    
+    const skippedDates = [...new Set([...existing.skipped_dates, date])].sort();
+    const skipped = { ...existing, skipped_dates: skippedDates };
+    
+    const data = await recurringExpenseRepository.update(existing.id, {
+      skipped_dates: skippedDates,
+      next_run_date: nextRunDate(skipped, existing.next_run_date)
+    });
+    
+    res.status(200).json(withUpcoming(data));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error skipping occurrence of recurring expense with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error skipping occurrence', 
+      error: error.message
+    });
+  }
+};
+
+// Delete a recurring expense; the expenses it already created are kept
+exports.deleteRecurringExpense = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    const existing = await recurringExpenseRepository.findById(id, groupId);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+    
+    // Only the creator may delete a recurring expense, like expenses
+    if (String(existing.created_by) !== String(req.auth.userId)) {
+      return res.status(403).json({ message: 'Only the creator of a recurring expense can delete it' });
+    }
+    
+    await recurringExpenseRepository.remove(existing.id);
+    
+    res.status(200).json({ message: 'Recurring expense deleted successfully' });
+  } catch (error) {
+    console.error(`Error deleting recurring expense with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error deleting recurring expense', 
+      error: error.message
+    });
+  }
+};
+
+// Helper function to check a recurring expense sent to create or update one and work out
+// what to store. The body is an expense body (as for POST /api/expenses) with a schedule,
+// start_date (default today) and optional end_date (null to remove it). The template is
+// checked now, so a recurring expense that could never create an expense is rejected up front.
+async function prepareRecurringExpense(body, { group, groupId, existing }) {
+  const { schedule, start_date, end_date, ...template } = body;
+  const today = vietnamDate();
+  
+  const startDate = start_date ? parseDate(start_date, 'start_date') : (existing ? existing.start_date : today);
+  
+  // Updates keep the end date unless one is sent; null removes it
+  let endDate = existing ? existing.end_date : null;
+  if (end_date !== undefined) {
+    endDate = end_date === null || end_date === '' ? null : parseDate(end_date, 'end_date');
+  }
+  
+  if (endDate && endDate < startDate) {
+    throw new ValidationError('end_date must not be before start_date');
+  }
+
+  // A new recurring expense catches up from its start date, so that cannot be long ago
+  if (!existing && startDate < addDays(today, -MAX_BACKFILL_DAYS)) {
+    throw new ValidationError(`start_date must be at most ${MAX_BACKFILL_DAYS} days in the past`);
+  }
+  
+  const normalizedSchedule = normalizeSchedule(schedule || (existing && existing.schedule), startDate);
+  
+  await prepareExpense(template, { group, groupId });
+  
+  const { name, ...expenseTemplate } = template;
+  
+  const fields = {
+    name,
+    template: expenseTemplate,
+    schedule: normalizedSchedule,
+    start_date: startDate,
+    end_date: endDate
+  };
+
+  // Edits take effect from today; a new recurring expense starts at its start date
+  // (catching up on occurrences between then and today)
+  const skippedDates = existing ? existing.skipped_dates : [];
+  
+  return {
+    ...fields,
+    skipped_dates: skippedDates,
+    next_run_date: nextRunDate({ ...fields, skipped_dates: skippedDates }, existing ? today : startDate)
+  };
+}
+
+// Helper function to add the upcoming occurrence dates to a recurring expense
+function withUpcoming(recurringExpense) {
+  return {
+    ...recurringExpense,
+    upcoming_dates: recurringExpense.paused ? [] : upcomingDates(recurringExpense)
+  };
+}
\ No newline at end of file
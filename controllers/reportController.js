@@ -0,0 +1,34 @@
+const { buildSpendingReport } = require('../utils/reports');
+const { normalizeCurrency } = require('../utils/currency');
+const { parseDate } = require('../utils/schedule');
+const { ValidationError } = require('../utils/errors');
+
+// Get spending, paid and net balance per user over time, with the top expenses and
+// average cost per person (?from=, ?to=, ?interval=day|week|month, ?currency=, ?top=)
+exports.getSpendingReport = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { from, to, interval, currency, top } = req.query;
+    
+    const report = await buildSpendingReport({
+      groupId,
+      group: req.group,
+      currency: currency ? normalizeCurrency(currency) : undefined,
+      from: from ? parseDate(from, 'from') : undefined,
+      to: to ? parseDate(to, 'to') : undefined,
+      interval,
+      top
+    });
+    
+    res.status(200).json(report);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error generating spending report:', error);
+    res.status(500).json({ 
+      message: 'Error generating spending report', 
+      error: error.message 
+    });
+  }
+}; 
\ No newline at end of file
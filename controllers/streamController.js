@@ -0,0 +1,43 @@
+const { openStream, closeStream } = require('../utils/liveUpdates');
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 3000;
+
+// Comments are sent this often so proxies do not close a quiet stream
+const HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS) || 25 * 1000;
+
+// Stream changes to expenses and payments as Server-Sent Events, each with the balances
+// recalculated. A reconnecting client sends Last-Event-ID (or ?last_event_id=) to get the
+// events it missed.
+exports.stream = async (req, res) => {
+  const client = { res, userId: req.auth.userId || null, groupId: req.params.groupId || null };
+  let heartbeat = null;
+  
+  try {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the events
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      closeStream(client);
+    });
+    
+    heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    
+    await openStream(client, req.get('Last-Event-ID') || req.query.last_event_id);
+  } catch (error) {
+    console.error('Error opening live update stream:', error);
+    clearInterval(heartbeat);
+    closeStream(client);
+    
+    // The stream has already started, so there is no status to send; the client reconnects
+    res.end();
+  }
+}; 
\ No newline at end of file
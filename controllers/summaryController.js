@@ -1,171 +1,36 @@
-const supabase = require('../utils/supabase');
+const userRepository = require('../repositories/userRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const { groupPayersByExpense } = require('../utils/payers');
+const { buildExpenseTransactions } = require('../utils/transactions');
+const { DEFAULT_CURRENCY, currencyDecimals, normalizeCurrency } = require('../utils/currency');
+const { loadPaymentLedger, buildPaymentStatus, combinePaymentStates } = require('../utils/payments');
+const { buildScopedSummary, transactionQr } = require('../utils/summary');
+const { parseSettlementOptions } = require('../utils/settlement');
+const { buildSpendingBreakdown } = require('../utils/spending');
+const { findExpensePage, loadExpenseDetails, parseDateRange } = require('../utils/expenseListing');
+const { listExpenseAttachments } = require('../utils/attachments');
+const { ValidationError } = require('../utils/errors');
 
-// Get expense summary and calculations
+// Expense columns returned by the expense listings
+const EXPENSE_LISTING_COLUMNS = 'id, name, amount, payer_id, currency, created_at';
+
+// Get expense summary and calculations. ?strategy= picks how the settlement transactions are
+// worked out, ?round= rounds them and ?exclude= leaves users out of them.
 exports.getSummary = async (req, res) => {
   try {
-    // Get all users
-    const { data: users, error: usersError } = await supabase
-      .from('users')
-      .select('id, name, bank_account, bank_name')
-      .order('id');
-    
-    if (usersError) throw usersError;
-    
-    // Get all expenses with payer info
-    const { data: expenses, error: expensesError } = await supabase
-      .from('expenses')
-      .select(`
-        id,
-        name,
-        amount,
-        payer_id
-      `);
-    
-    if (expensesError) throw expensesError;
-    
-    // Get all participants
-    const { data: participants, error: participantsError } = await supabase
-      .from('participants')
-      .select(`
-        expense_id,
-        user_id,
-        amount
-      `);
-    
-    if (participantsError) throw participantsError;
-    
-    // Get all payment statuses
-    const { data: paymentStatuses, error: paymentStatusesError } = await supabase
-      .from('transaction_payment_status')
-      .select('*');
-    
-    if (paymentStatusesError) throw paymentStatusesError;
-    
-    // Create a map of payment statuses by transaction ID
-    const paymentStatusMap = paymentStatuses.reduce((acc, status) => {
-      acc[status.transaction_id] = status;
-      return acc;
-    }, {});
-    
-    // Create user summary map - initialize with all users
-    const userSummary = users.reduce((acc, user) => {
-      acc[user.id] = {
-        id: user.id,
-        name: user.name,
-        paid: 0,         // Total amount paid
-        spent: 0,        // Total amount spent
-        balance: 0,      // Net balance (paid - spent)
-        received: 0,     // Amount received from others (completed payments)
-        pending: 0,      // Amount pending to be received (incomplete payments)
-        bank_account: user.bank_account,
-        bank_name: user.bank_name
-      };
-      return acc;
-    }, {});
-    
-    // Create a map of expenses
-    const expenseMap = expenses.reduce((acc, expense) => {
-      acc[expense.id] = expense;
-      return acc;
-    }, {});
-    
-    // Map to track which expenses each user owes money for
-    const userExpensesMap = {};
-    users.forEach(user => {
-      userExpensesMap[user.id] = new Set();
-    });
-    
-    // Process all expenses
-    expenses.forEach(expense => {
-      // Add to payer's total paid amount
-      if (userSummary[expense.payer_id]) {
-        userSummary[expense.payer_id].paid += parseFloat(expense.amount);
-      }
-    });
-    
-    // Process all participants
-    participants.forEach(participant => {
-      // Add to participant's total spent amount
-      if (userSummary[participant.user_id]) {
-        userSummary[participant.user_id].spent += parseFloat(participant.amount);
-        // Add expense to user's expense list
-        if (userExpensesMap[participant.user_id]) {
-          userExpensesMap[participant.user_id].add(participant.expense_id);
-        }
-      }
-    });
-    
-    // Create a map of payment transactions for tracking
-    const paymentTransactionsMap = {};
-    
-    // For each expense, create payment transactions between participants and payer
-    expenses.forEach(expense => {
-      const expParticipants = participants.filter(p => p.expense_id === expense.id);
-      
-      expParticipants.forEach(participant => {
-        // Skip if participant is the payer
-        if (participant.user_id === expense.payer_id) return;
-        
-        // Generate transaction ID
-        const transactionId = `${expense.id}-${participant.user_id}-${expense.payer_id}`;
-        
-        // Store transaction details
-        paymentTransactionsMap[transactionId] = {
-          from: participant.user_id,
-          to: expense.payer_id,
-          amount: parseFloat(participant.amount),
-          paid: paymentStatusMap[transactionId]?.paid || false
-        };
-      });
-    });
-    
-    // Update received and pending amounts based on payment transactions
-    Object.values(paymentTransactionsMap).forEach(transaction => {
-      // Add to receiver's received amount if paid
-      if (transaction.paid && userSummary[transaction.to]) {
-        userSummary[transaction.to].received += transaction.amount;
-      }
-      
-      // Add to receiver's pending amount if not paid
-      if (!transaction.paid && userSummary[transaction.to]) {
-        userSummary[transaction.to].pending += transaction.amount;
-      }
-    });
-    
-    // Calculate balance for each user
-    Object.values(userSummary).forEach(user => {
-      user.balance = user.paid - user.spent;
-      // Convert all amounts to 2 decimal places
-      user.paid = parseFloat(user.paid.toFixed(2));
-      user.spent = parseFloat(user.spent.toFixed(2));
-      user.balance = parseFloat(user.balance.toFixed(2));
-      user.received = parseFloat(user.received.toFixed(2));
-      user.pending = parseFloat(user.pending.toFixed(2));
-    });
-    
-    // Calculate transactions to settle debts
-    const transactions = calculateTransactions(Object.values(userSummary), userExpensesMap, expenseMap);
-    
-    // Attach payment status to each transaction
-    transactions.forEach(transaction => {
-      // For overall transactions, we need to create a unique ID
-      // We'll use format: "overall-{fromId}-{toId}"
-      const transactionId = `overall-${transaction.from}-${transaction.to}`;
-      
-      // Check if payment status exists
-      transaction.payment_status = paymentStatusMap[transactionId] || {
-        transaction_id: transactionId,
-        paid: false,
-        paid_at: null
-      };
+    const summary = await buildScopedSummary(req.group || null, {
+      currency: req.query.currency ? normalizeCurrency(req.query.currency) : undefined,
+      breakdown: req.query.breakdown === 'currency',
+      settlement: parseSettlementOptions(req.query)
     });
     
     // Return summary data
-    res.status(200).json({
-      userSummary: Object.values(userSummary),
-      transactions
-    });
+    res.status(200).json(summary);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error generating summary:', error);
     res.status(500).json({ 
       message: 'Error generating summary', 
@@ -174,127 +39,71 @@ exports.getSummary = async (req, res) => {
   }
 };
 
-// Helper function to calculate transactions to settle debts
-function calculateTransactions(users, userExpensesMap, expenseMap) {
-  // Clone users array to avoid modifying the original
-  const usersCopy = JSON.parse(JSON.stringify(users));
-  
-  // Create a map of users for easy lookup
-  const userMap = usersCopy.reduce((acc, user) => {
-    acc[user.id] = user;
-    return acc;
-  }, {});
-  
-  // Separate users with debt (negative balance) and credit (positive balance)
-  const debtors = usersCopy.filter(user => user.balance < 0)
-    .sort((a, b) => a.balance - b.balance); // Sort by balance (most negative first)
-  
-  const creditors = usersCopy.filter(user => user.balance > 0)
-    .sort((a, b) => b.balance - a.balance); // Sort by balance (most positive first)
-  
-  const transactions = [];
-  
-  // Calculate transactions until all debts are settled
-  while (debtors.length > 0 && creditors.length > 0) {
-    const debtor = debtors[0];
-    const creditor = creditors[0];
-    
-    // Get absolute debt and credit values
-    const debtAmount = Math.abs(debtor.balance);
-    const creditAmount = creditor.balance;
-    
-    // Determine transaction amount (minimum of debt or credit)
-    const transactionAmount = Math.min(debtAmount, creditAmount);
-    
-    // Add transaction
-    if (transactionAmount > 0) {
-      // Find common expenses between debtor and creditor
-      const debtorExpenses = userExpensesMap[debtor.id] || new Set();
-      const creditorExpenses = Array.from(debtorExpenses)
-        .filter(expenseId => {
-          const expense = expenseMap[expenseId];
-          return expense && expense.payer_id === creditor.id;
-        });
-      
-      // Get expense names
-      const relatedExpenses = creditorExpenses.map(expenseId => {
-        return expenseMap[expenseId]?.name || '';
-      }).filter(name => name);
-      
-      transactions.push({
-        from: debtor.id,
-        to: creditor.id,
-        fromName: debtor.name,
-        toName: creditor.name,
-        amount: parseFloat(transactionAmount.toFixed(2)),
-        fromBankAccount: userMap[debtor.id]?.bank_account,
-        toBankAccount: userMap[creditor.id]?.bank_account,
-        fromBankName: userMap[debtor.id]?.bank_name,
-        toBankName: userMap[creditor.id]?.bank_name,
-        relatedExpenses: relatedExpenses
-      });
-    }
-    
-    // Update balances
-    debtor.balance += transactionAmount;
-    creditor.balance -= transactionAmount;
+// Get spending by category and by tag, in total and per user (?from=, ?to=, ?currency=)
+exports.getSpendingByCategory = async (req, res) => {
+  try {
+    const { groupId } = req.params;
     
-    // Remove users who have settled their balances
-    if (Math.abs(debtor.balance) < 0.01) {
-      debtors.shift();
-    }
+    const breakdown = await buildSpendingBreakdown({
+      groupId,
+      group: req.group,
+      currency: req.query.currency ? normalizeCurrency(req.query.currency) : undefined,
+      where: parseDateRange(req.query)
+    });
     
-    if (Math.abs(creditor.balance) < 0.01) {
-      creditors.shift();
+    res.status(200).json(breakdown);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
     }
+    console.error('Error generating spending by category:', error);
+    res.status(500).json({ 
+      message: 'Error generating spending by category', 
+      error: error.message 
+    });
   }
-  
-  return transactions;
-}
+};
 
 // Get expense summary
 exports.getExpenseSummary = async (req, res) => {
   try {
-    const { expenseId } = req.params;
-
+    const { expenseId, groupId } = req.params;
+    
     // Get expense details
-    const { data: expense, error: expenseError } = await supabase
-      .from('expenses')
-      .select(`
-        *,
-        payer:users(id, name, bank_account, bank_name)
-      `)
-      .eq('id', expenseId)
-      .single();
+    const storedExpense = await expenseRepository.findById(expenseId, groupId);
     
-    if (expenseError) {
-      if (expenseError.code === 'PGRST116') {
-        return res.status(404).json({ message: 'Expense not found' });
-      }
-      throw expenseError;
+    if (!storedExpense) {
+      return res.status(404).json({ message: 'Expense not found' });
     }
     
+    const [expense] = await userRepository.attachUsers([storedExpense], 'payer_id', 'payer');
+    
     // Get participants for this expense
-    const { data: participants, error: participantsError } = await supabase
-      .from('participants')
-      .select(`
-        *,
-        user:users(id, name, bank_account, bank_name)
-      `)
-      .eq('expense_id', expenseId);
+    const participants = await userRepository.attachUsers(
+      await participantRepository.list({ expenseIds: [expense.id] })
+    );
     
-    if (participantsError) throw participantsError;
+    // Get payers for this expense
+    const payerRows = await userRepository.attachUsers(
+      await expenseRepository.listPayers({ expenseIds: [expense.id] })
+    );
+    
+    const payers = groupPayersByExpense([expense], payerRows)[expense.id];
     
     // Create a map of all users involved
     const userMap = {};
     
-    // Add payer
-    userMap[expense.payer.id] = {
-      id: expense.payer.id,
-      name: expense.payer.name,
-      bank_account: expense.payer.bank_account,
-      bank_name: expense.payer.bank_name
-    };
+    // Add payers
+    [expense.payer, ...payerRows.map(row => row.user)].forEach(payer => {
+      if (payer) {
+        userMap[payer.id] = {
+          id: payer.id,
+          name: payer.name,
+          bank_account: payer.bank_account,
+          bank_name: payer.bank_name
+        };
+      }
+    });
     
     // Add participants
     participants.forEach(participant => {
@@ -308,36 +117,19 @@ exports.getExpenseSummary = async (req, res) => {
       }
     });
     
-    // Calculate transactions for this expense
-    const expenseTransactions = [];
+    // Calculate transactions for this expense, from each participant to each payer
+    const expenseCurrency = expense.currency || DEFAULT_CURRENCY;
+    const expenseTransactions = buildExpenseTransactions(expense, participants, payers, currencyDecimals(expenseCurrency));
     
-    // For each participant who is not the payer, create a transaction
-    participants.forEach(participant => {
-      if (participant.user_id !== expense.payer_id) {
-        expenseTransactions.push({
-          expense_id: expense.id,
-          from_user_id: participant.user_id,
-          to_user_id: expense.payer_id,
-          amount: participant.amount
-        });
-      }
-    });
+    // Get recorded payments for these transactions
+    const paymentLedger = await loadPaymentLedger(expenseTransactions.map(trans => trans.id));
     
     // Get payment status for these transactions
     const transactions = [];
     
     for (const trans of expenseTransactions) {
-      // Generate a unique transaction ID based on expense, from, and to - as a string
-      const transactionId = String(`${trans.expense_id}-${trans.from_user_id}-${trans.to_user_id}`);
-      
-      // Check if payment status exists
-      const { data: paymentStatus, error: paymentError } = await supabase
-        .from('transaction_payment_status')
-        .select('*')
-        .eq('transaction_id', transactionId)
-        .maybeSingle();
-      
-      if (paymentError) throw paymentError;
+      const transactionId = trans.id;
+      const paymentStatus = buildPaymentStatus(transactionId, parseFloat(trans.amount), paymentLedger);
       
       transactions.push({
         id: transactionId,
@@ -346,17 +138,15 @@ exports.getExpenseSummary = async (req, res) => {
         fromName: userMap[trans.from_user_id]?.name || 'Unknown',
         toName: userMap[trans.to_user_id]?.name || 'Unknown',
         amount: parseFloat(trans.amount),
+        currency: expenseCurrency,
         fromBankAccount: userMap[trans.from_user_id]?.bank_account,
         toBankAccount: userMap[trans.to_user_id]?.bank_account,
         fromBankName: userMap[trans.from_user_id]?.bank_name,
         toBankName: userMap[trans.to_user_id]?.bank_name,
         relatedExpenses: [expense.name],
         expenseIds: [expense.id],
-        payment_status: paymentStatus || {
-          transaction_id: transactionId,
-          paid: false,
-          paid_at: null
-        }
+        payment_status: paymentStatus,
+        vietQr: transactionQr(transactionId, userMap[trans.to_user_id], paymentStatus, expenseCurrency)
       });
     }
     
@@ -368,10 +158,13 @@ exports.getExpenseSummary = async (req, res) => {
     res.status(200).json({
       expense: {
         ...expense,
-        participants: participants || []
+        payers,
+        participants: participants || [],
+        attachments: await listExpenseAttachments(expense.id, groupId)
       },
       transactions,
-      allCompleted
+      allCompleted,
+      paymentState: combinePaymentStates(allPaymentStatuses)
     });
   } catch (error) {
     console.error(`Error generating summary for expense ${req.params.expenseId}:`, error);
@@ -382,172 +175,48 @@ exports.getExpenseSummary = async (req, res) => {
   }
 };
 
-// Update payment status
-exports.updatePaymentStatus = async (req, res) => {
-  try {
-    const { paymentId } = req.params;
-    const { paid } = req.body;
-    
-    // Validate request
-    if (paid === undefined) {
-      return res.status(400).json({ message: 'Missing paid status' });
-    }
-    
-    // Ensure transaction_id is treated as a string
-    const transactionIdStr = String(paymentId);
-    
-    // Check if payment status exists
-    const { data: existingStatus, error: checkError } = await supabase
-      .from('transaction_payment_status')
-      .select('*')
-      .eq('transaction_id', transactionIdStr)
-      .maybeSingle();
-    
-    if (checkError) throw checkError;
-    
-    let data;
-    let error;
-    
-    if (existingStatus) {
-      // Update existing status
-      // Adjust timezone for Vietnam (GMT+7)
-      const now = new Date();
-      const vietnamTime = new Date(now.getTime() + (7 * 60 * 60 * 1000)); // Add 7 hours
-      
-      const updateData = {
-        paid,
-        paid_at: paid ? vietnamTime.toISOString() : null,
-        updated_at: vietnamTime.toISOString()
-      };
-      
-      ({ data, error } = await supabase
-        .from('transaction_payment_status')
-        .update(updateData)
-        .eq('transaction_id', transactionIdStr)
-        .select()
-        .single());
-    } else {
-      // Create new status
-      // Adjust timezone for Vietnam (GMT+7)
-      const now = new Date();
-      const vietnamTime = new Date(now.getTime() + (7 * 60 * 60 * 1000)); // Add 7 hours
-      
-      const insertData = {
-        transaction_id: transactionIdStr,
-        paid,
-        paid_at: paid ? vietnamTime.toISOString() : null
-      };
-      
-      ({ data, error } = await supabase
-        .from('transaction_payment_status')
-        .insert(insertData)
-        .select()
-        .single());
-    }
-    
-    if (error) throw error;
-    
-    res.status(200).json(data);
-  } catch (error) {
-    console.error(`Error updating payment status for transaction ${req.params.paymentId}:`, error);
-    res.status(500).json({ 
-      message: 'Error updating payment status', 
-      error: error.message 
-    });
-  }
-};
-
-// Get expenses with payment status
+// Get expenses with payment status, filtered, sorted and a page at a time
 exports.getExpensesWithStatus = async (req, res) => {
   try {
-    // Get all expenses with payer info
-    const { data: expenses, error: expensesError } = await supabase
-      .from('expenses')
-      .select(`
-        id,
-        name,
-        amount,
-        payer_id,
-        created_at
-      `)
-      .order('created_at', { ascending: false });
-    
-    if (expensesError) throw expensesError;
-    
-    // Get all users for mapping IDs to names
-    const { data: users, error: usersError } = await supabase
-      .from('users')
-      .select('id, name');
-    
-    if (usersError) throw usersError;
+    const expenses = await findExpensePage(req, res, { columns: EXPENSE_LISTING_COLUMNS });
+    const page = await loadExpenseDetails(expenses);
     
-    const userMap = users.reduce((acc, user) => {
-      acc[user.id] = user.name;
-      return acc;
-    }, {});
-    
-    // Process all expenses to add payment status
-    const expensesWithStatus = [];
-    
-    for (const expense of expenses) {
-      // Get participants for this expense
-      const { data: participants, error: participantsError } = await supabase
-        .from('participants')
-        .select('user_id, amount')
-        .eq('expense_id', expense.id);
-      
-      if (participantsError) throw participantsError;
+    // Assemble each expense's status from the bulk-loaded data
+    const expensesWithStatus = expenses.map(expense => {
+      const expenseTransactions = page.transactionsByExpense[expense.id];
       
       // Count how many payment transactions are needed
-      const paymentCount = participants.filter(p => p.user_id !== expense.payer_id).length;
+      const paymentCount = expenseTransactions.length;
       
-      // Calculate transactions for this expense
-      const expenseTransactions = [];
-      
-      // For each participant who is not the payer, create a transaction
-      participants.forEach(participant => {
-        if (participant.user_id !== expense.payer_id) {
-          expenseTransactions.push({
-            expense_id: expense.id,
-            from_user_id: participant.user_id,
-            to_user_id: expense.payer_id
-          });
-        }
-      });
+      const paymentStatuses = expenseTransactions.map(trans => (
+        buildPaymentStatus(trans.id, parseFloat(trans.amount), page.paymentLedger)
+      ));
       
-      // Count completed payments
-      let completedCount = 0;
+      // Count completed and partially paid payments
+      const completedCount = paymentStatuses.filter(status => status.state === 'paid').length;
+      const partiallyPaidCount = paymentStatuses.filter(status => status.state === 'partially_paid').length;
       
-      for (const trans of expenseTransactions) {
-        // Generate a unique transaction ID based on expense, from, and to - as a string
-        const transactionId = String(`${trans.expense_id}-${trans.from_user_id}-${trans.to_user_id}`);
-        
-        // Check if payment status exists and is paid
-        const { data: paymentStatus, error: paymentError } = await supabase
-          .from('transaction_payment_status')
-          .select('paid')
-          .eq('transaction_id', transactionId)
-          .maybeSingle();
-        
-        if (paymentError) throw paymentError;
-        
-        if (paymentStatus && paymentStatus.paid) {
-          completedCount++;
-        }
-      }
-      
-      expensesWithStatus.push({
+      return {
         ...expense,
-        payer_name: userMap[expense.payer_id] || 'Unknown',
+        payer_name: page.userMap[expense.payer_id]?.name || 'Unknown',
+        payers: page.payersByExpense[expense.id].map(payer => ({
+          ...payer,
+          name: page.userMap[payer.user_id]?.name || 'Unknown'
+        })),
         payment_count: paymentCount,
         completed_count: completedCount,
+        partially_paid_count: partiallyPaidCount,
         all_payments_completed: paymentCount > 0 && completedCount === paymentCount,
-        participants_count: participants.length
-      });
-    }
+        payment_state: combinePaymentStates(paymentStatuses),
+        participants_count: page.participantsByExpense[expense.id].length
+      };
+    });
     
     res.status(200).json(expensesWithStatus);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error fetching expenses with status:', error);
     res.status(500).json({ 
       message: 'Error fetching expenses with status', 
@@ -556,102 +225,46 @@ exports.getExpensesWithStatus = async (req, res) => {
   }
 };
 
-// Get expenses with transactions grouped by expense
+// Get expenses with transactions grouped by expense, filtered, sorted and a page at a time
 exports.getExpensesTransactions = async (req, res) => {
   try {
-    // Get all expenses with payer info
-    const { data: expenses, error: expensesError } = await supabase
-      .from('expenses')
-      .select(`
-        id,
-        name,
-        amount,
-        payer_id,
-        created_at
-      `)
-      .order('created_at', { ascending: false });
-    
-    if (expensesError) throw expensesError;
-    
-    // Get all users for mapping
-    const { data: users, error: usersError } = await supabase
-      .from('users')
-      .select('id, name, bank_account, bank_name');
+    const expenses = await findExpensePage(req, res, { columns: EXPENSE_LISTING_COLUMNS });
+    const page = await loadExpenseDetails(expenses);
+    const { userMap } = page;
     
-    if (usersError) throw usersError;
-    
-    // Create a map of users for easy lookup
-    const userMap = users.reduce((acc, user) => {
-      acc[user.id] = user;
-      return acc;
-    }, {});
-    
-    // Process all expenses to get their transactions
+    // Process the page's expenses to get their transactions
     const expensesWithTransactions = [];
     
-    for (const expense of expenses) {
-      // Get participants for this expense
-      const { data: participants, error: participantsError } = await supabase
-        .from('participants')
-        .select('user_id, amount')
-        .eq('expense_id', expense.id);
-      
-      if (participantsError) throw participantsError;
-      
-      // Calculate transactions for this expense
-      const expenseTransactions = [];
-      
-      // For each participant who is not the payer, create a transaction
-      participants.forEach(participant => {
-        if (participant.user_id !== expense.payer_id) {
-          expenseTransactions.push({
-            expense_id: expense.id,
-            from_user_id: participant.user_id,
-            to_user_id: expense.payer_id,
-            amount: participant.amount
-          });
-        }
-      });
+    expenses.forEach(expense => {
+      const expenseCurrency = expense.currency || DEFAULT_CURRENCY;
+      const expenseTransactions = page.transactionsByExpense[expense.id];
       
       // Skip expenses with no transactions
-      if (expenseTransactions.length === 0) continue;
+      if (expenseTransactions.length === 0) return;
       
       // Get payment status for these transactions
-      const transactions = [];
-      
-      for (const trans of expenseTransactions) {
-        // Generate a unique transaction ID based on expense, from, and to - as a string
-        const transactionId = String(`${trans.expense_id}-${trans.from_user_id}-${trans.to_user_id}`);
+      const transactions = expenseTransactions.map(trans => {
+        const transactionId = trans.id;
+        const paymentStatus = buildPaymentStatus(transactionId, parseFloat(trans.amount), page.paymentLedger);
         
-        // Check if payment status exists
-        const { data: paymentStatus, error: paymentError } = await supabase
-          .from('transaction_payment_status')
-          .select('*')
-          .eq('transaction_id', transactionId)
-          .maybeSingle();
-        
-        if (paymentError) throw paymentError;
-        
-        transactions.push({
+        return {
           id: transactionId,
           fromUserId: trans.from_user_id,
           toUserId: trans.to_user_id,
           fromName: userMap[trans.from_user_id]?.name || 'Unknown',
           toName: userMap[trans.to_user_id]?.name || 'Unknown',
           amount: parseFloat(trans.amount),
+          currency: expenseCurrency,
           fromBankAccount: userMap[trans.from_user_id]?.bank_account,
           toBankAccount: userMap[trans.to_user_id]?.bank_account,
           fromBankName: userMap[trans.from_user_id]?.bank_name,
           toBankName: userMap[trans.to_user_id]?.bank_name,
           relatedExpenses: [expense.name],
           expenseIds: [expense.id],
-          payment_status: paymentStatus || {
-            transaction_id: transactionId,
-            paid: false,
-            paid_at: null
-          }
-        });
-      }
+          payment_status: paymentStatus,
+          vietQr: transactionQr(transactionId, userMap[trans.to_user_id], paymentStatus, expenseCurrency)
+        };
+      });
       
       // Get all payment statuses for this expense to check if all are completed
       const allPaymentStatuses = transactions.map(t => t.payment_status);
@@ -662,14 +275,19 @@ exports.getExpensesTransactions = async (req, res) => {
         expenseId: expense.id,
         expenseName: expense.name,
         amount: parseFloat(expense.amount),
+        currency: expenseCurrency,
         date: expense.created_at,
         transactions,
-        allCompleted
+        allCompleted,
+        paymentState: combinePaymentStates(allPaymentStatuses)
       });
-    }
+    });
     
     res.status(200).json(expensesWithTransactions);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error generating expenses transactions:', error);
     res.status(500).json({ 
       message: 'Error generating expenses transactions', 
@@ -1,14 +1,25 @@
-const supabase = require('../utils/supabase');
+const userRepository = require('../repositories/userRepository');
+const groupRepository = require('../repositories/groupRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const { normalizeBankDetails } = require('../utils/banks');
+const { CLAIM_TTL, canManageUser, sharesGroupWith, signClaim, listVisibleUserIds } = require('../utils/auth');
+const { recordAudit } = require('../utils/audit');
+const { ValidationError } = require('../utils/errors');
+const { mergeUsers } = require('../utils/userMerge');
+const { purgeAt } = require('../jobs/purgeTrash');
 
-// Get all users
+// Get all users the signed-in user may see: the group's members when scoped to a group,
+// otherwise themselves, the users they added, the members of their groups and the people
+// on expenses outside groups. Archived users are only listed with ?include_archived=true
 exports.getAllUsers = async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .select('id, name, bank_account, bank_name')
-      .order('id');
+    const { groupId } = req.params;
     
-    if (error) throw error;
+    const data = await userRepository.list({
+      ids: groupId ? await groupRepository.getMemberIds(groupId) : await listVisibleUserIds(req.auth),
+      archived: req.query.include_archived === 'true' ? undefined : false
+    });
     
     res.status(200).json(data);
   } catch (error) {
@@ -23,15 +34,13 @@ exports.getAllUsers = async (req, res) => {
 // Get a single user by ID
 exports.getUserById = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, groupId } = req.params;
     
-    const { data, error } = await supabase
-      .from('users')
-      .select('id, name, bank_account, bank_name')
-      .eq('id', id)
-      .single();
+    if (!(await canSeeUser(req.auth, groupId, id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    if (error) throw error;
+    const data = await userRepository.findById(id);
     
     if (!data) {
       return res.status(404).json({ message: 'User not found' });
@@ -50,6 +59,7 @@ exports.getUserById = async (req, res) => {
 // Create a new user
 exports.createUser = async (req, res) => {
   try {
+    const { groupId } = req.params;
     const { name, bank_account, bank_name } = req.body;
     
     // Basic validation
@@ -57,16 +67,29 @@ exports.createUser = async (req, res) => {
       return res.status(400).json({ message: 'Name is required' });
     }
     
-    const { data, error } = await supabase
-      .from('users')
-      .insert([{ name, bank_account, bank_name }])
-      .select()
-      .single();
+    // Check the bank against the directory and the account number format
+    const bankDetails = normalizeBankDetails({ bank_account, bank_name });
     
-    if (error) throw error;
+    const data = await userRepository.create({ name, ...bankDetails, created_by: req.auth.userId || null });
+    
+    // Users created through a group are added to it
+    if (groupId) {
+      await groupRepository.addMembers(groupId, [data.id]);
+    }
+    
+    await recordAudit(req.auth, {
+      entityType: 'user',
+      entityId: data.id,
+      action: 'create',
+      groupId,
+      after: data
+    });
     
     res.status(201).json(data);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error creating user:', error);
     res.status(500).json({ 
       message: 'Error creating user', 
@@ -78,7 +101,7 @@ exports.createUser = async (req, res) => {
 // Update a user
 exports.updateUser = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, groupId } = req.params;
     const { name, bank_account, bank_name } = req.body;
     
     // Basic validation
@@ -86,21 +109,38 @@ exports.updateUser = async (req, res) => {
       return res.status(400).json({ message: 'Name is required' });
     }
     
-    const { data, error } = await supabase
-      .from('users')
-      .update({ name, bank_account, bank_name })
-      .eq('id', id)
-      .select()
-      .single();
+    // Check the bank against the directory and the account number format
+    const bankDetails = normalizeBankDetails({ bank_account, bank_name });
     
-    if (error) throw error;
+    if (groupId && !(await groupRepository.isMember(groupId, id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!(await canManageUser(req.auth, id))) {
+      return res.status(403).json({ message: 'You can only update yourself or users without a login who share a group with you' });
+    }
+    
+    const before = await userRepository.findById(id);
+    const data = before && await userRepository.update(id, { name, ...bankDetails });
     
     if (!data) {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    await recordAudit(req.auth, {
+      entityType: 'user',
+      entityId: data.id,
+      action: 'update',
+      groupId,
+      before,
+      after: data
+    });
+    
     res.status(200).json(data);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating user:', error);
     res.status(500).json({ 
       message: 'Error updating user', 
@@ -109,60 +149,67 @@ exports.updateUser = async (req, res) => {
   }
 };
 
-// Delete a user
+// Move a user to the trash, from where they can be restored until they are purged.
+// Users referenced by expenses (including ones in the trash) can be archived instead.
 exports.deleteUser = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, groupId } = req.params;
+    
+    if (groupId && !(await groupRepository.isMember(groupId, id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
     // First check if user exists
-    const { data: existingUser, error: checkError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('id', id)
-      .single();
+    const existingUser = await userRepository.findById(id);
     
-    if (checkError || !existingUser) {
+    if (!existingUser) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Check if user is referenced in expenses or participants
-    const { data: expensesData, error: expensesError } = await supabase
-      .from('expenses')
-      .select('id')
-      .eq('payer_id', id)
-      .limit(1);
+    if (!(await canManageUser(req.auth, id))) {
+      return res.status(403).json({ message: 'You can only delete yourself or users without a login who share a group with you' });
+    }
     
-    if (expensesError) throw expensesError;
+    // Check if user is referenced in expenses or participants
+    const expensesData = await expenseRepository.list({ anyGroup: true, where: { payer_id: id }, trash: 'include', limit: 1 });
     
-    if (expensesData && expensesData.length > 0) {
+    if (expensesData.length > 0) {
       return res.status(400).json({ 
-        message: 'Cannot delete user: User is referenced as payer in one or more expenses'
+        message: 'Cannot delete user: User is referenced as payer in one or more expenses; archive the user instead'
       });
     }
     
-    const { data: participantsData, error: participantsError } = await supabase
-      .from('participants')
-      .select('id')
-      .eq('user_id', id)
-      .limit(1);
+    const payersData = await expenseRepository.listPayers({ userId: id, limit: 1 });
+    
+    if (payersData.length > 0) {
+      return res.status(400).json({ 
+        message: 'Cannot delete user: User is referenced as payer in one or more expenses; archive the user instead'
+      });
+    }
     
-    if (participantsError) throw participantsError;
+    const participantsData = await participantRepository.list({ userId: id, limit: 1 });
     
-    if (participantsData && participantsData.length > 0) {
+    if (participantsData.length > 0) {
       return res.status(400).json({ 
-        message: 'Cannot delete user: User is referenced as participant in one or more expenses'
+        message: 'Cannot delete user: User is referenced as participant in one or more expenses; archive the user instead'
       });
     }
     
-    // If no references, proceed with deletion
-    const { error: deleteError } = await supabase
-      .from('users')
-      .delete()
-      .eq('id', id);
+    // If no references, move the user to the trash
+    const deleted = await userRepository.moveToTrash(existingUser.id);
     
-    if (deleteError) throw deleteError;
+    await recordAudit(req.auth, {
+      entityType: 'user',
+      entityId: existingUser.id,
+      action: 'delete',
+      groupId,
+      before: existingUser
+    });
     
-    res.status(200).json({ message: 'User deleted successfully' });
+    res.status(200).json({
+      message: 'User moved to the trash',
+      purge_at: purgeAt(deleted.deleted_at)
+    });
   } catch (error) {
     console.error('Error deleting user:', error);
     res.status(500).json({ 
@@ -170,4 +217,215 @@ exports.deleteUser = async (req, res) => {
       error: error.message 
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Get the users in the trash the signed-in user may see (only the group's members when
+// scoped to a group), with when each will be purged
+exports.getTrash = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const users = await userRepository.list({
+      ids: groupId ? await groupRepository.getMemberIds(groupId) : await listVisibleUserIds(req.auth),
+      trash: 'only'
+    });
+    
+    res.status(200).json(users.map(user => ({ ...user, purge_at: purgeAt(user.deleted_at) })));
+  } catch (error) {
+    console.error('Error fetching deleted users:', error);
+    res.status(500).json({ 
+      message: 'Error fetching deleted users', 
+      error: error.message 
+    });
+  }
+};
+
+// Take a user back out of the trash
+exports.restoreUser = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    if (groupId && !(await groupRepository.isMember(groupId, id))) {
+      return res.status(404).json({ message: 'User not found in the trash' });
+    }
+    
+    const existingUser = await userRepository.findById(id, { trash: 'only' });
+    
+    if (!existingUser) {
+      return res.status(404).json({ message: 'User not found in the trash' });
+    }
+    
+    if (!(await canManageUser(req.auth, id))) {
+      return res.status(403).json({ message: 'You can only restore yourself or users without a login who share a group with you' });
+    }
+    
+    await userRepository.restore(existingUser.id);
+    const data = await userRepository.findById(existingUser.id);
+    
+    await recordAudit(req.auth, {
+      entityType: 'user',
+      entityId: data.id,
+      action: 'restore',
+      groupId,
+      after: data
+    });
+    
+    res.status(200).json(data);
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    res.status(500).json({ 
+      message: 'Error restoring user', 
+      error: error.message 
+    });
+  }
+};
+
+// Archive a user: they keep their balances and history but are hidden from user lists
+// and cannot be added to new expenses
+exports.archiveUser = async (req, res) => {
+  await setArchived(req, res, true);
+};
+
+// Take a user out of the archive
+exports.unarchiveUser = async (req, res) => {
+  await setArchived(req, res, false);
+};
+
+// Merge the user into another (into_user_id), e.g. someone added twice. Everything the
+// user paid, shared, recorded or belongs to moves over and the user is deleted; with
+// dry_run the report of what would change is returned without changing anything.
+exports.mergeUser = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    const { into_user_id, dry_run = false } = req.body;
+    
+    if (!into_user_id) {
+      return res.status(400).json({ message: 'into_user_id is required' });
+    }
+    
+    if (groupId && (!(await groupRepository.isMember(groupId, id)) || !(await groupRepository.isMember(groupId, into_user_id)))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const [source, target] = await Promise.all([
+      userRepository.findById(id),
+      userRepository.findById(into_user_id)
+    ]);
+    
+    if (!source || !target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!(await canManageUser(req.auth, source.id)) || !(await canManageUser(req.auth, target.id))) {
+      return res.status(403).json({ message: 'You can only merge yourself or users without a login who share a group with you' });
+    }
+    
+    const report = await mergeUsers(source, target, { dryRun: dry_run === true });
+    
+    if (!report.dry_run) {
+      await recordAudit(req.auth, [
+        { entityType: 'user', entityId: source.id, action: 'merge', groupId, before: source, after: report },
+        { entityType: 'user', entityId: target.id, action: 'merge', groupId, before: target, after: report }
+      ]);
+    }
+    
+    res.status(200).json(report);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error merging users:', error);
+    res.status(500).json({ 
+      message: 'Error merging users', 
+      error: error.message 
+    });
+  }
+};
+
+// Issue a token with which the person behind a user without a login can register or link
+// their account to it. Only someone sharing a group with the user can issue one.
+exports.createClaimToken = async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    
+    if (groupId && !(await groupRepository.isMember(groupId, id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const user = await userRepository.findById(id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!(await sharesGroupWith(req.auth, id))) {
+      return res.status(403).json({ message: 'You can only invite users who share a group with you' });
+    }
+    
+    if (!(await canManageUser(req.auth, id)) || String(req.auth.userId) === String(id)) {
+      return res.status(400).json({ message: 'This user already has a login' });
+    }
+    
+    res.status(201).json({ user_id: user.id, claim_token: signClaim(user.id), expires_in: CLAIM_TTL });
+  } catch (error) {
+    console.error('Error creating claim token:', error);
+    res.status(500).json({ 
+      message: 'Error creating claim token', 
+      error: error.message 
+    });
+  }
+};
+
+// Helper function to archive or unarchive the user in the request
+async function setArchived(req, res, archived) {
+  try {
+    const { id, groupId } = req.params;
+    
+    if (groupId && !(await groupRepository.isMember(groupId, id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const before = await userRepository.findById(id);
+    
+    if (!before) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!(await canManageUser(req.auth, id))) {
+      return res.status(403).json({ message: 'You can only archive yourself or users without a login who share a group with you' });
+    }
+    
+    if (Boolean(before.archived_at) === archived) {
+      return res.status(400).json({ message: archived ? 'User is already archived' : 'User is not archived' });
+    }
+    
+    await userRepository.update(before.id, { archived_at: archived ? new Date().toISOString() : null });
+    const data = await userRepository.findById(before.id);
+    
+    await recordAudit(req.auth, {
+      entityType: 'user',
+      entityId: data.id,
+      action: archived ? 'archive' : 'unarchive',
+      groupId,
+      before,
+      after: data
+    });
+    
+    res.status(200).json(data);
+  } catch (error) {
+    console.error(`Error ${archived ? 'archiving' : 'unarchiving'} user:`, error);
+    res.status(500).json({ 
+      message: `Error ${archived ? 'archiving' : 'unarchiving'} user`, 
+      error: error.message 
+    });
+  }
+}
+
+// Helper function to check whether the signed-in user may see a user: in a group its
+// members, otherwise the users listed by GET /api/users
+async function canSeeUser(auth, groupId, userId) {
+  if (groupId) return groupRepository.isMember(groupId, userId);
+  
+  const userIds = await listVisibleUserIds(auth);
+  return userIds.includes(Number(userId));
+}
\ No newline at end of file
@@ -0,0 +1,207 @@
+const webhookRepository = require('../repositories/webhookRepository');
+const { normalizeWebhook, queueRedelivery, formatWebhook } = require('../utils/webhooks');
+const { parsePagination, setPaginationHeaders } = require('../utils/pagination');
+const { ValidationError } = require('../utils/errors');
+
+// Get the webhooks of the group, or the signed-in user's ones outside groups when not
+// scoped to a group
+exports.getAllWebhooks = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const webhooks = await webhookRepository.list({ groupId });
+    
+    res.status(200).json(webhooks.filter(webhook => canSeeWebhook(req.auth, webhook)).map(webhook => formatWebhook(webhook)));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ 
+      message: 'Error fetching webhooks', 
+      error: error.message
+    });
+  }
+};
+
+// Get a webhook by ID
+exports.getWebhookById = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    
+    res.status(200).json(formatWebhook(webhook));
+  } catch (error) {
+    console.error(`Error fetching webhook with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching webhook', 
+      error: error.message
+    });
+  }
+};
+
+// Subscribe a URL to events. The response includes the secret deliveries are signed with.
+exports.createWebhook = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    const webhook = await normalizeWebhook(req.body);
+    
+    const data = await webhookRepository.create({
+      ...webhook,
+      group_id: groupId || null,
+      created_by: req.auth.userId || null
+    });
+    
+    res.status(201).json(formatWebhook(data, { showSecret: true }));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ 
+      message: 'Error creating webhook', 
+      error: error.message
+    });
+  }
+};
+
+// Update a webhook's URL, events, secret, description or whether it is active
+exports.updateWebhook = async (req, res) => {
+  try {
+    const existing = await findWebhook(req);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    
+    // The webhook's URL and secret decide where the group's data goes, so only its creator changes them
+    if (String(existing.created_by) !== String(req.auth.userId)) {
+      return res.status(403).json({ message: 'Only the creator of a webhook can update it' });
+    }
+    
+    const changes = await normalizeWebhook(req.body, existing);
+    
+    const data = await webhookRepository.update(existing.id, changes);
+    
+    res.status(200).json(formatWebhook(data, { showSecret: changes.secret !== undefined }));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error updating webhook with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error updating webhook', 
+      error: error.message
+    });
+  }
+};
+
+// Delete a webhook with its delivery log
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const existing = await findWebhook(req);
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    
+    // Same rule as updating: only the creator
+    if (String(existing.created_by) !== String(req.auth.userId)) {
+      return res.status(403).json({ message: 'Only the creator of a webhook can delete it' });
+    }
+    
+    await webhookRepository.remove(existing.id);
+    
+    res.status(200).json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error(`Error deleting webhook with ID ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error deleting webhook', 
+      error: error.message
+    });
+  }
+};
+
+// Get a webhook's delivery log, newest first, paged with ?limit= and ?offset=
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { limit, offset, cursor } = parsePagination(req.query);
+    
+    if (cursor) {
+      throw new ValidationError('Deliveries are paged with offset, not cursor');
+    }
+    
+    const webhook = await findWebhook(req);
+    
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    
+    const [deliveries, total] = await Promise.all([
+      webhookRepository.listDeliveries(webhook.id, { limit, offset }),
+      webhookRepository.countDeliveries(webhook.id)
+    ]);
+    
+    setPaginationHeaders(req, res, { total, limit, offset, cursor: null, nextCursor: null });
+    
+    res.status(200).json(deliveries);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error fetching deliveries of webhook ${req.params.id}:`, error);
+    res.status(500).json({ 
+      message: 'Error fetching webhook deliveries', 
+      error: error.message
+    });
+  }
+};
+
+// Send a delivery's event again, whatever became of the original delivery
+exports.redeliver = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    
+    const webhook = await findWebhook(req);
+    const delivery = webhook && await webhookRepository.findDelivery(deliveryId, webhook.id);
+    
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+    
+    // Redelivering sends the group's data again, so like changing the webhook it is for the creator
+    if (String(webhook.created_by) !== String(req.auth.userId)) {
+      return res.status(403).json({ message: 'Only the creator of a webhook can redeliver its events' });
+    }
+    
+    if (!webhook.active) {
+      return res.status(400).json({ message: 'Webhook is paused; set active to true before redelivering' });
+    }
+    
+    const redelivery = await queueRedelivery(delivery);
+    
+    res.status(202).json(redelivery);
+  } catch (error) {
+    console.error(`Error redelivering webhook delivery ${req.params.deliveryId}:`, error);
+    res.status(500).json({ 
+      message: 'Error redelivering webhook delivery', 
+      error: error.message
+    });
+  }
+};
+
+// Helper function to check whether the signed-in user may see a webhook and its deliveries:
+// a group's webhooks are shared by its members, the ones outside groups are their creator's
+function canSeeWebhook(auth, webhook) {
+  return !!webhook.group_id || (!!auth.userId && String(webhook.created_by) === String(auth.userId));
+}
+
+// Helper function to get the webhook in the request, if the signed-in user may see it
+async function findWebhook(req) {
+  const { id, groupId } = req.params;
+  
+  const webhook = await webhookRepository.findById(id, groupId);
+  
+  return webhook && canSeeWebhook(req.auth, webhook) ? webhook : null;
+}
\ No newline at end of file
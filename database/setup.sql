@@ -6,6 +6,23 @@ CREATE TABLE IF NOT EXISTS users (
   bank_name VARCHAR(50) DEFAULT 'VPB'
 );
 
+-- Create Groups table (trips, shared flats, ...) so each one has its own ledger
+CREATE TABLE IF NOT EXISTS groups (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Group members table
+CREATE TABLE IF NOT EXISTS group_members (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(group_id, user_id)
+);
+
 -- Create Expenses table
 CREATE TABLE IF NOT EXISTS expenses (
   id SERIAL PRIMARY KEY,
@@ -15,6 +32,33 @@ CREATE TABLE IF NOT EXISTS expenses (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Expenses belong to a group (NULL for expenses created before groups existed)
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS expenses_group_id_idx ON expenses(group_id);
+
+-- Split mode chosen when the expense was entered, and its inputs, so it can be edited again
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS split_mode VARCHAR(20) DEFAULT 'exact';
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS split JSONB;
+
+-- Currencies: groups report in a base currency; each expense keeps its own currency and the
+-- rate used to convert 1 unit of it into the group's base currency when it was entered
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'VND';
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'VND';
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'VND';
+
+-- Create Exchange rates table: 1 unit of currency = rate units of base_currency on rate_date
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id SERIAL PRIMARY KEY,
+  currency VARCHAR(3) NOT NULL,
+  base_currency VARCHAR(3) NOT NULL,
+  rate DECIMAL(18, 8) NOT NULL,
+  rate_date DATE NOT NULL,
+  source VARCHAR(20) DEFAULT 'manual',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(currency, base_currency, rate_date)
+);
+
 -- Create Participants table
 CREATE TABLE IF NOT EXISTS participants (
   id SERIAL PRIMARY KEY,
@@ -23,6 +67,29 @@ CREATE TABLE IF NOT EXISTS participants (
   amount DECIMAL(10, 2) NOT NULL
 );
 
+-- Create Expense items table for itemized receipts; each item is shared equally by user_ids
+CREATE TABLE IF NOT EXISTS expense_items (
+  id SERIAL PRIMARY KEY,
+  expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  name VARCHAR(255) NOT NULL,
+  unit_price DECIMAL(12, 2) NOT NULL,
+  quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
+  amount DECIMAL(12, 2) NOT NULL,
+  user_ids INTEGER[] NOT NULL
+);
+CREATE INDEX IF NOT EXISTS expense_items_expense_id_idx ON expense_items(expense_id);
+
+-- Create Expense payers table for expenses paid by several people; amounts add up to expenses.amount.
+-- expenses.payer_id keeps the main payer; expenses without rows here were paid in full by payer_id.
+CREATE TABLE IF NOT EXISTS expense_payers (
+  id SERIAL PRIMARY KEY,
+  expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id),
+  amount DECIMAL(12, 2) NOT NULL,
+  UNIQUE(expense_id, user_id)
+);
+
 -- Create Payments table to track payment status
 CREATE TABLE IF NOT EXISTS payments (
   id SERIAL PRIMARY KEY,
@@ -46,6 +113,218 @@ CREATE TABLE IF NOT EXISTS transaction_payment_status (
   UNIQUE(transaction_id)
 );
 
+-- Create Transaction payments ledger: full or partial payments against a transaction ID
+-- ("{expenseId}-{fromId}-{toId}", "overall-{fromId}-{toId}" or "group-{groupId}-{fromId}-{toId}").
+-- Voided payments are kept but no longer count. transaction_payment_status rows marked paid
+-- before the ledger existed still count as fully paid.
+CREATE TABLE IF NOT EXISTS transaction_payments (
+  id SERIAL PRIMARY KEY,
+  transaction_id VARCHAR(255) NOT NULL,
+  from_user_id INTEGER REFERENCES users(id),
+  to_user_id INTEGER REFERENCES users(id),
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  method VARCHAR(30) NOT NULL DEFAULT 'bank_transfer',
+  note TEXT,
+  paid_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  voided_at TIMESTAMP DEFAULT NULL,
+  void_reason TEXT
+);
+CREATE INDEX IF NOT EXISTS transaction_payments_transaction_id_idx ON transaction_payments(transaction_id);
+
+-- Create Accounts table: login identities, each linked to at most one user
+-- (password_hash is NULL for accounts that only log in with magic links)
+CREATE TABLE IF NOT EXISTS accounts (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255),
+  user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP
+);
+
+-- Add the user who created each expense; only they can delete it
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Add the user who created each group (only they can delete it) and each user (they can
+-- always see the users they added)
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Indexes for loading the participants and payers of a page of expenses in bulk,
+-- and for paging through expenses newest first
+CREATE INDEX IF NOT EXISTS participants_expense_id_idx ON participants(expense_id);
+CREATE INDEX IF NOT EXISTS expenses_created_at_idx ON expenses(created_at DESC, id DESC);
+
+-- Recurring expenses: a template expense body and a schedule, from which the server
+-- creates real expenses when each occurrence is due
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  template JSONB NOT NULL,
+  schedule JSONB NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  next_run_date DATE,
+  skipped_dates JSONB NOT NULL DEFAULT '[]',
+  paused BOOLEAN NOT NULL DEFAULT FALSE,
+  last_run_at TIMESTAMP,
+  last_error TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS recurring_expenses_next_run_date_idx ON recurring_expenses(next_run_date);
+
+-- Expenses created from a recurring expense, one per occurrence
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_expense_id INTEGER REFERENCES recurring_expenses(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+CREATE UNIQUE INDEX IF NOT EXISTS expenses_recurring_occurrence_idx ON expenses(recurring_expense_id, occurrence_date);
+
+-- Expense categories, shared by everyone (group_id NULL) or kept to one group
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  icon VARCHAR(50),
+  color VARCHAR(7),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (group_id, name)
+);
+
+-- Shared categories have no group, so their names need their own unique index
+CREATE UNIQUE INDEX IF NOT EXISTS categories_shared_name_idx ON categories(name) WHERE group_id IS NULL;
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS expenses_category_id_idx ON expenses(category_id);
+
+-- Free-form tags on expenses, stored lower-case
+CREATE TABLE IF NOT EXISTS expense_tags (
+  id SERIAL PRIMARY KEY,
+  expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+  tag VARCHAR(50) NOT NULL,
+  UNIQUE (expense_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS expense_tags_tag_idx ON expense_tags(tag);
+
+-- Append-only log of changes to expenses, users and payments, with before/after snapshots.
+-- It has no foreign keys so entries outlive what they describe.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  entity_type VARCHAR(20) NOT NULL,
+  entity_id INTEGER NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  group_id INTEGER,
+  actor_user_id INTEGER,
+  actor_account_id INTEGER,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_log_group_id_idx ON audit_log(group_id, id DESC);
+
+-- Entries are never changed or removed
+CREATE OR REPLACE RULE audit_log_no_update AS ON UPDATE TO audit_log DO INSTEAD NOTHING;
+CREATE OR REPLACE RULE audit_log_no_delete AS ON DELETE TO audit_log DO INSTEAD NOTHING;
+
+-- Soft deletion: deleted expenses and users stay in the trash until they are restored or
+-- purged after the retention period. Archived users keep their history but cannot be
+-- added to new expenses.
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS expenses_deleted_at_idx ON expenses(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS users_deleted_at_idx ON users(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Receipt photos and PDFs attached to expenses. The files live in the attachment storage
+-- (local disk or a Supabase Storage bucket) under storage_key; images also get a thumbnail.
+CREATE TABLE IF NOT EXISTS expense_attachments (
+  id SERIAL PRIMARY KEY,
+  expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  storage_key VARCHAR(255) NOT NULL,
+  thumbnail_key VARCHAR(255),
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS expense_attachments_expense_id_idx ON expense_attachments(expense_id);
+
+-- Outgoing webhooks: each subscription gets the events it lists, signed with its secret.
+-- Subscriptions made in a group get that group's events; the others get events outside groups.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+  url VARCHAR(2000) NOT NULL,
+  secret VARCHAR(255) NOT NULL,
+  events JSONB NOT NULL,
+  description VARCHAR(255),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhooks_group_id_idx ON webhooks(group_id);
+
+-- One row per attempt to get an event to a webhook, retried with backoff while pending.
+-- A redelivery is a new row with the same event_id and payload.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER REFERENCES webhooks(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx ON webhook_deliveries(webhook_id, id DESC);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_pending_idx ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Which reminders each user gets; users without a row get all of them
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  digest BOOLEAN NOT NULL DEFAULT TRUE,
+  nudges BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Reminders sent (or attempted) to users: weekly digests and nudges about one transaction.
+-- Also what throttling is worked out from.
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL,
+  transaction_id VARCHAR(100),
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  error TEXT,
+  sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_id_idx ON notifications(user_id, kind, created_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_transaction_id_idx ON notifications(transaction_id, created_at DESC);
+
 -- Insert default users with bank accounts and bank names
 INSERT INTO users (name, bank_account, bank_name) VALUES 
 ('Tiến Lê', '0041000382078', 'VCB'), 
@@ -55,4 +334,16 @@ INSERT INTO users (name, bank_account, bank_name) VALUES
 ('Karin', '257357201', 'VPB'), 
 ('Duy Trần', '29091998', 'VPB'),
 ('Minh Lê', NULL, NULL)
+ON CONFLICT DO NOTHING; 
+
+-- Insert the shared default categories
+INSERT INTO categories (name, icon, color) VALUES
+('Food & drink', 'utensils', '#F97316'),
+('Transport', 'car', '#3B82F6'),
+('Accommodation', 'bed', '#8B5CF6'),
+('Entertainment', 'ticket', '#EC4899'),
+('Shopping', 'shopping-bag', '#14B8A6'),
+('Utilities', 'bolt', '#EAB308'),
+('Rent', 'home', '#6366F1'),
+('Other', 'tag', '#6B7280')
 ON CONFLICT DO NOTHING; 
\ No newline at end of file
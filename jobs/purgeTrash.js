@@ -0,0 +1,82 @@
+const expenseRepository = require('../repositories/expenseRepository');
+const userRepository = require('../repositories/userRepository');
+const { recordAudit } = require('../utils/audit');
+const { removeExpenseFiles } = require('../utils/attachments');
+
+// How long deleted expenses and users stay in the trash (default: 30 days)
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often to look for expired trash (default: every 6 hours)
+const CHECK_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+let timer = null;
+
+// The time an expense or user deleted at deletedAt is purged
+function purgeAt(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Delete for good the expenses and users that have been in the trash for longer than the
+// retention period. Expenses go first, so users only they referenced can follow.
+// Returns the number of expenses and users purged.
+async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = { deleted_at: { lt: cutoff } };
+  
+  const expenses = await expenseRepository.list({ anyGroup: true, where: expired, trash: 'only', order: [] });
+  if (expenses.length > 0) {
+    await removeExpenseFiles(expenses.map(expense => expense.id));
+    await expenseRepository.remove(expenses.map(expense => expense.id));
+    await recordAudit(null, expenses.map(expense => ({
+      entityType: 'expense',
+      entityId: expense.id,
+      action: 'purge',
+      groupId: expense.group_id,
+      before: expense
+    })));
+  }
+  
+  const users = (await userRepository.list({ trash: 'only' }))
+    .filter(user => new Date(user.deleted_at) < new Date(cutoff));
+  if (users.length > 0) {
+    await userRepository.remove(users.map(user => user.id));
+    await recordAudit(null, users.map(user => ({
+      entityType: 'user',
+      entityId: user.id,
+      action: 'purge',
+      before: user
+    })));
+  }
+  
+  return { expenses: expenses.length, users: users.length };
+}
+
+// Purge expired trash now, then check again on an interval.
+// Set TRASH_PURGE=off to run without purging (e.g. on extra instances).
+function startTrashPurge() {
+  if (timer || process.env.TRASH_PURGE === 'off') return;
+  
+  const check = () => purgeTrash().catch(error => {
+    console.error('Error purging the trash:', error);
+  });
+  
+  check();
+  timer = setInterval(check, CHECK_INTERVAL_MS);
+
+  // Do not keep the process alive just for the purge
+  timer.unref();
+}
+
+// Stop purging expired trash
+function stopTrashPurge() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeAt,
+  purgeTrash,
+  startTrashPurge,
+  stopTrashPurge
+}; 
\ No newline at end of file
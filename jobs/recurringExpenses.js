@@ -0,0 +1,132 @@
+const recurringExpenseRepository = require('../repositories/recurringExpenseRepository');
+const groupRepository = require('../repositories/groupRepository');
+const { prepareExpense } = require('../utils/expenseInput');
+const { storeExpense } = require('../utils/expenseCreation');
+const { vietnamDate, vietnamMidnight, nextRunDate, addDays } = require('../utils/schedule');
+const { ValidationError } = require('../utils/errors');
+
+// How often to look for due occurrences (default: every hour)
+const CHECK_INTERVAL_MS = Number(process.env.RECURRING_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+// How far back a new recurring expense may start, so its catch-up stays small
+const MAX_BACKFILL_DAYS = 90;
+
+// Occurrences created per recurring expense, and in all, on one run; the rest are caught up
+// on the next checks
+const MAX_OCCURRENCES_PER_RUN = 100;
+const MAX_OCCURRENCES_PER_CHECK = 500;
+
+let timer = null;
+let running = null;
+
+// Create the expenses for every occurrence of a recurring expense that is due by today,
+// including ones missed while the server was down, and move its next run date on. At most
+// limit occurrences are looked at; the next run carries on from there. Expenses are created
+// like those sent to the API, with an audit entry and an expense.created event.
+// An occurrence that already has an expense is not created twice. A template that no
+// longer validates (a participant left the group, a rate is missing) pauses the
+// recurring expense with the reason in last_error. Returns the created expenses.
+async function materializeDue(recurringExpense, today = vietnamDate(), limit = MAX_OCCURRENCES_PER_RUN) {
+  const created = [];
+  const group = recurringExpense.group_id ? await groupRepository.findById(recurringExpense.group_id) : null;
+  let date = recurringExpense.next_run_date;
+  
+  for (let count = 0; date && date <= today && count < limit; count++) {
+    try {
+      const { expense, participants, payers, items, tags } = await prepareExpense(
+        { ...recurringExpense.template, name: recurringExpense.name },
+        { group, groupId: recurringExpense.group_id, rateDate: new Date(date) }
+      );
+      
+      created.push(await storeExpense(null, {
+        ...expense,
+        group_id: recurringExpense.group_id,
+        created_by: recurringExpense.created_by,
+        recurring_expense_id: recurringExpense.id,
+        occurrence_date: date,
+        created_at: vietnamMidnight(date)
+      }, { participants, items, payers, tags }));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await recurringExpenseRepository.update(recurringExpense.id, {
+          paused: true,
+          last_error: `Paused on ${date}: ${error.message}`
+        });
+        return created;
+      }
+      // Postgres unique violation: the occurrence was created by an earlier run
+      if (error.code !== '23505') throw error;
+    }
+    
+    date = nextRunDate(recurringExpense, addDays(date, 1));
+    
+    await recurringExpenseRepository.update(recurringExpense.id, {
+      next_run_date: date,
+      last_run_at: new Date().toISOString(),
+      last_error: null
+    });
+  }
+  
+  return created;
+}
+
+// Create the due occurrences of all active recurring expenses. One failing recurring
+// expense is logged and retried on the next check without holding up the others.
+async function runDueRecurringExpenses(today = vietnamDate()) {
+  if (running) return running;
+  
+  running = (async () => {
+    const due = await recurringExpenseRepository.listDue(today);
+    let createdCount = 0;
+    
+    for (const recurringExpense of due) {
+      if (createdCount >= MAX_OCCURRENCES_PER_CHECK) break;
+      
+      try {
+        const limit = Math.min(MAX_OCCURRENCES_PER_RUN, MAX_OCCURRENCES_PER_CHECK - createdCount);
+        createdCount += (await materializeDue(recurringExpense, today, limit)).length;
+      } catch (error) {
+        console.error(`Error creating expenses for recurring expense ${recurringExpense.id}:`, error);
+        await recurringExpenseRepository.update(recurringExpense.id, { last_error: error.message });
+      }
+    }
+    
+    return createdCount;
+  })();
+  
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+// Catch up on missed occurrences now, then check again on an interval.
+// Set RECURRING_SCHEDULER=off to run without the scheduler (e.g. on extra instances).
+function startRecurringExpenses() {
+  if (timer || process.env.RECURRING_SCHEDULER === 'off') return;
+  
+  const check = () => runDueRecurringExpenses().catch(error => {
+    console.error('Error running recurring expenses:', error);
+  });
+  
+  check();
+  timer = setInterval(check, CHECK_INTERVAL_MS);
+
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+}
+
+// Stop checking for due occurrences
+function stopRecurringExpenses() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  MAX_BACKFILL_DAYS,
+  materializeDue,
+  runDueRecurringExpenses,
+  startRecurringExpenses,
+  stopRecurringExpenses
+}; 
\ No newline at end of file
@@ -0,0 +1,112 @@
+const userRepository = require('../repositories/userRepository');
+const accountRepository = require('../repositories/accountRepository');
+const notificationRepository = require('../repositories/notificationRepository');
+const { loadLedgers, collectDebts, sendReminder, buildDigestMessage } = require('../utils/reminders');
+const { vietnamDate, vietnamMidnight, addDays } = require('../utils/schedule');
+
+// Digests go out weekly on DIGEST_DAY (0 is Sunday; default Monday) from DIGEST_HOUR
+// (default 9:00) Vietnam time
+const DIGEST_DAY = process.env.DIGEST_DAY !== undefined ? Number(process.env.DIGEST_DAY) : 1;
+const DIGEST_HOUR = process.env.DIGEST_HOUR !== undefined ? Number(process.env.DIGEST_HOUR) : 9;
+
+// How often to check whether digests are due (default: every hour)
+const CHECK_INTERVAL_MS = Number(process.env.DIGEST_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+let timer = null;
+let running = null;
+
+// The most recent time digests were due, at or before now
+function latestDigestTime(now = new Date()) {
+  const today = vietnamDate(now);
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  const dueAt = date => new Date(new Date(vietnamMidnight(date)).getTime() + DIGEST_HOUR * 60 * 60 * 1000);
+  
+  const daysSince = (weekday - DIGEST_DAY + 7) % 7;
+  
+  const thisWeek = dueAt(addDays(today, -daysSince));
+  return thisWeek <= now ? thisWeek : dueAt(addDays(today, -daysSince - 7));
+}
+
+// Send this week's digest to every user with a login who has not had it yet, has not
+// turned digests off, and owes or is owed something. Users who have nothing outstanding
+// get no email. Returns the number of digests sent.
+async function sendDueDigests(now = new Date()) {
+  if (running) return running;
+  
+  running = (async () => {
+    const since = latestDigestTime(now).toISOString();
+    const accounts = await accountRepository.listLinked();
+    const userIds = [...new Set(accounts.map(account => account.user_id))];
+    
+    if (userIds.length === 0) return 0;
+    
+    const [users, preferences, alreadySent] = await Promise.all([
+      userRepository.list({ ids: userIds, archived: false }),
+      notificationRepository.getPreferences(userIds),
+      notificationRepository.list({ userIds, kind: 'digest', status: 'sent', since })
+    ]);
+    
+    const due = users.filter(user => (
+      preferences[user.id].digest && !alreadySent.some(notification => notification.user_id === user.id)
+    ));
+    
+    if (due.length === 0) return 0;
+    
+    // Every group's debts are worked out once and shared between the digests
+    const ledgers = await loadLedgers();
+    let sentCount = 0;
+    
+    for (const user of due) {
+      const debts = collectDebts(user.id, ledgers);
+      if (debts.owes.length === 0 && debts.owed.length === 0) continue;
+      
+      const account = accounts.find(account => account.user_id === user.id);
+      const notification = await sendReminder({
+        user,
+        recipient: account.email,
+        kind: 'digest',
+        message: buildDigestMessage(user, debts)
+      });
+      
+      if (notification.status === 'sent') sentCount += 1;
+    }
+    
+    return sentCount;
+  })();
+  
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+// Send the digests due since the last run now (e.g. when the server was down at the
+// digest time), then check again on an interval.
+// Set DIGESTS=off to run without sending digests (e.g. on extra instances).
+function startReminderDigests() {
+  if (timer || process.env.DIGESTS === 'off') return;
+  
+  const check = () => sendDueDigests().catch(error => {
+    console.error('Error sending reminder digests:', error);
+  });
+  
+  check();
+  timer = setInterval(check, CHECK_INTERVAL_MS);
+
+  // Do not keep the process alive just for the digests
+  timer.unref();
+}
+
+// Stop sending digests
+function stopReminderDigests() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  latestDigestTime,
+  sendDueDigests,
+  startReminderDigests,
+  stopReminderDigests
+}; 
\ No newline at end of file
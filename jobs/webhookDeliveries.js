@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const webhookRepository = require('../repositories/webhookRepository');
+const { checkPublicUrl, lookupPublic } = require('../utils/publicAddresses');
+
+// How often to look for deliveries to retry (default: every 30 seconds)
+const CHECK_INTERVAL_MS = Number(process.env.WEBHOOK_CHECK_INTERVAL_MS) || 30 * 1000;
+
+// Attempts before a delivery is given up, and the wait before the first retry; each
+// further retry waits four times as long (1, 4, 16, 64 and 256 minutes by default)
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+
+// How long to wait for a webhook to answer
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Deliveries sent per batch, and how much of a response to keep in the log
+const BATCH_SIZE = 50;
+const MAX_LOGGED_RESPONSE = 1000;
+
+let timer = null;
+let running = null;
+let rerun = false;
+
+// Sign a payload for a webhook: HMAC-SHA256 with its secret over "<timestamp>.<body>"
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// When to try a delivery again after it has failed attempts times
+function nextAttemptAt(attempts, now = new Date()) {
+  return new Date(now.getTime() + RETRY_BASE_MS * 4 ** (attempts - 1)).toISOString();
+}
+
+// POST a delivery's payload to its webhook and record the outcome. A 2xx answer counts
+// as delivered; anything else is retried with backoff until MAX_ATTEMPTS.
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  const result = { response_status: null, response_body: null, error: null };
+  
+  try {
+    // Checked again on every attempt, as the host may since resolve somewhere else
+    await checkPublicUrl(webhook.url);
+    
+    const response = await postJson(webhook.url, body, {
+      'User-Agent': 'EzSplit-Webhooks/1.0',
+      'X-EzSplit-Event': delivery.event_type,
+      'X-EzSplit-Delivery': String(delivery.id),
+      'X-EzSplit-Timestamp': String(timestamp),
+      'X-EzSplit-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    });
+    
+    result.response_status = response.status;
+    result.response_body = response.body;
+  } catch (error) {
+    result.error = error.message;
+  }
+  
+  const delivered = result.response_status >= 200 && result.response_status < 300;
+  
+  let status = 'pending';
+  if (delivered) {
+    status = 'succeeded';
+  } else if (attempts >= MAX_ATTEMPTS) {
+    status = 'failed';
+  }
+  
+  return webhookRepository.updateDelivery(delivery.id, {
+    ...result,
+    status,
+    attempts,
+    last_attempt_at: new Date().toISOString(),
+    next_attempt_at: status === 'pending' ? nextAttemptAt(attempts) : null
+  });
+}
+
+// POST a JSON body to a URL without following redirects, connecting only to public
+// addresses. Resolves with the status and the start of the response body.
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupPublic
+    }, response => {
+      let text = '';
+      
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (text.length < MAX_LOGGED_RESPONSE) text += chunk;
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status: response.statusCode, body: text.slice(0, MAX_LOGGED_RESPONSE) });
+      });
+      response.on('error', reject);
+    });
+    
+    // Give up on webhooks that take too long, however slowly they keep answering
+    const timer = setTimeout(() => {
+      request.destroy(Object.assign(new Error(`No response within ${TIMEOUT_MS} ms`), { code: 'ETIMEDOUT' }));
+    }, TIMEOUT_MS);
+    
+    request.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+// Send every pending delivery that is due. Deliveries of paused webhooks wait until the
+// webhook is active again. Returns the number of deliveries attempted.
+async function deliverDue(now = new Date()) {
+  if (running) {
+    // Catch the deliveries queued while this run was going once it finishes
+    rerun = true;
+    return running;
+  }
+  
+  running = (async () => {
+    let attempted = 0;
+    
+    do {
+      rerun = false;
+      const webhooks = await webhookRepository.listActive();
+      const due = webhooks.length > 0
+        ? await webhookRepository.listDueDeliveries(webhooks.map(webhook => webhook.id), now.toISOString(), BATCH_SIZE)
+        : [];
+      
+      for (const delivery of due) {
+        const webhook = webhooks.find(webhook => webhook.id === delivery.webhook_id);
+        
+        try {
+          await attemptDelivery(delivery, webhook);
+          attempted += 1;
+        } catch (error) {
+          console.error(`Error delivering webhook delivery ${delivery.id}:`, error);
+        }
+      }
+      
+      now = new Date();
+    } while (rerun);
+    
+    return attempted;
+  })();
+  
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+// Send due deliveries now without waiting for them, e.g. right after events are queued
+function triggerDeliveries() {
+  if (!timer) return;
+  
+  deliverDue().catch(error => {
+    console.error('Error delivering webhooks:', error);
+  });
+}
+
+// Send the deliveries that were pending when the server stopped, then keep checking for
+// retries. Set WEBHOOK_DELIVERIES=off to run without sending (e.g. on extra instances).
+function startWebhookDeliveries() {
+  if (timer || process.env.WEBHOOK_DELIVERIES === 'off') return;
+  
+  const check = () => deliverDue().catch(error => {
+    console.error('Error delivering webhooks:', error);
+  });
+  
+  timer = setInterval(check, CHECK_INTERVAL_MS);
+  check();
+
+  // Do not keep the process alive just for the deliveries
+  timer.unref();
+}
+
+// Stop sending deliveries
+function stopWebhookDeliveries() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signPayload,
+  deliverDue,
+  triggerDeliveries,
+  startWebhookDeliveries,
+  stopWebhookDeliveries
+}; 
\ No newline at end of file
@@ -0,0 +1,14 @@
+// Only let administrators through: the accounts whose email is listed in ADMIN_EMAILS
+// (comma-separated). Others get 403; without ADMIN_EMAILS nobody is an administrator.
+module.exports = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(email => email);
+  
+  if (!req.auth || !req.auth.email || !adminEmails.includes(String(req.auth.email).toLowerCase())) {
+    return res.status(403).json({ message: 'Only administrators can do this' });
+  }
+  
+  next();
+}; 
\ No newline at end of file
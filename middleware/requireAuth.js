@@ -0,0 +1,34 @@
+const { verifyToken } = require('../utils/auth');
+
+// Check the "Authorization: Bearer <token>" session token and set req.auth, or respond with 401.
+// Browsers' EventSource cannot send headers, so event streams may pass it as ?access_token=.
+module.exports = (req, res, next) => {
+  try {
+    const [scheme, headerToken] = (req.headers.authorization || '').split(' ');
+    const token = scheme === 'Bearer' ? headerToken : streamToken(req);
+    const claims = token ? verifyToken(String(token), 'session') : null;
+    
+    if (!claims) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+    
+    req.auth = {
+      accountId: Number(claims.sub),
+      email: claims.email,
+      userId: claims.user_id
+    };
+    next();
+  } catch (error) {
+    console.error('Error checking authentication:', error);
+    res.status(500).json({ 
+      message: 'Error checking authentication', 
+      error: error.message 
+    });
+  }
+};
+
+// The ?access_token= of a request for an event stream
+function streamToken(req) {
+  const wantsStream = req.method === 'GET' && (req.headers.accept || '').includes('text/event-stream');
+  return wantsStream ? req.query.access_token : null;
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+const groupRepository = require('../repositories/groupRepository');
+
+// Load the group from the :groupId route parameter, or respond with 404.
+// Only members of the group may use it (403 otherwise).
+module.exports = async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    
+    const group = await groupRepository.findById(groupId);
+    
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    if (!req.auth || !req.auth.userId || !(await groupRepository.isMember(groupId, req.auth.userId))) {
+      return res.status(403).json({ message: 'You are not a member of this group' });
+    }
+    
+    req.group = group;
+    next();
+  } catch (error) {
+    console.error(`Error loading group ${req.params.groupId}:`, error);
+    res.status(500).json({ 
+      message: 'Error loading group', 
+      error: error.message 
+    });
+  }
+}; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+// Channels notifications are sent through, selected with NOTIFICATION_TRANSPORT (default: smtp).
+// Each has send({ to, subject, text, html, headers }) and resolves once the message is accepted.
+const TRANSPORTS = {
+  smtp: './transports/smtpTransport',
+  capture: './transports/captureTransport'
+};
+
+const transport = process.env.NOTIFICATION_TRANSPORT || 'smtp';
+
+if (!TRANSPORTS[transport]) {
+  console.error(`Unknown NOTIFICATION_TRANSPORT '${transport}'. Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  process.exit(1);
+}
+
+module.exports = require(TRANSPORTS[transport]);
\ No newline at end of file
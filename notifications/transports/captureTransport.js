@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Messages are kept in memory (the latest MAX_CAPTURED) and, when NOTIFICATION_CAPTURE_DIR is
+// set, written there as JSON files, instead of being sent. Meant for development and tests.
+const MAX_CAPTURED = 100;
+const CAPTURE_DIR = process.env.NOTIFICATION_CAPTURE_DIR;
+
+const captured = [];
+
+// Capture a message
+exports.send = async ({ to, subject, text, html, headers }) => {
+  const message = {
+    messageId: crypto.randomUUID(),
+    to,
+    subject,
+    text,
+    html,
+    headers: headers || {},
+    sent_at: new Date().toISOString()
+  };
+  
+  captured.push(message);
+  if (captured.length > MAX_CAPTURED) captured.shift();
+  
+  if (CAPTURE_DIR) {
+    await fs.mkdir(CAPTURE_DIR, { recursive: true });
+    await fs.writeFile(
+      path.join(CAPTURE_DIR, `${message.sent_at.replace(/[:.]/g, '-')}-${message.messageId}.json`),
+      JSON.stringify(message, null, 2)
+    );
+  }
+  
+  return { messageId: message.messageId };
+};
+
+// Get the captured messages, oldest first
+exports.list = () => captured.slice();
+
+// Forget the captured messages
+exports.clear = () => {
+  captured.length = 0;
+}; 
\ No newline at end of file
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+// Sender address of every notification
+const FROM = process.env.NOTIFICATION_FROM || 'EzSplit <no-reply@ezsplit.local>';
+
+let transporter = null;
+
+// Connect lazily, so the server starts without SMTP settings until something is sent
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not set. Please check your .env file.');
+    }
+    
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  
+  return transporter;
+}
+
+// Send a message by email
+exports.send = async ({ to, subject, text, html, headers }) => {
+  const info = await getTransporter().sendMail({ from: FROM, to, subject, text, html, headers });
+  return { messageId: info.messageId };
+}; 
\ No newline at end of file
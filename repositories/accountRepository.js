@@ -0,0 +1,35 @@
+const db = require('./db');
+
+// Get an account by ID, or null
+exports.findById = async (id) => {
+  const [account] = await db.select('accounts', { where: { id } });
+  return account || null;
+};
+
+// Get an account by email (stored lower-case), or null
+exports.findByEmail = async (email) => {
+  const [account] = await db.select('accounts', { where: { email: String(email).toLowerCase() } });
+  return account || null;
+};
+
+// Get the accounts linked to a user
+exports.listByUser = async (userId) => {
+  return db.select('accounts', { where: { user_id: userId } });
+};
+
+// Get every account linked to a user
+exports.listLinked = async () => {
+  return db.select('accounts', { where: { user_id: { neq: null } } });
+};
+
+// Create an account
+exports.create = async (account) => {
+  const [created] = await db.insert('accounts', account);
+  return created;
+};
+
+// Update an account; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('accounts', { id }, changes);
+  return updated || null;
+}; 
\ No newline at end of file
@@ -0,0 +1,383 @@
+// In-process storage with the same interface as the Supabase adapter. Data lives only as
+// long as the process, which makes it suited to local development and tests.
+
+const now = () => new Date().toISOString();
+
+// Column defaults and unique constraints, mirroring database/setup.sql
+const SCHEMA = {
+  users: {
+    defaults: () => ({ bank_account: null, bank_name: 'VPB', created_by: null, archived_at: null, deleted_at: null })
+  },
+  groups: {
+    defaults: () => ({ description: null, base_currency: 'VND', created_by: null, created_at: now() })
+  },
+  group_members: {
+    defaults: () => ({ joined_at: now() }),
+    unique: [['group_id', 'user_id']]
+  },
+  expenses: {
+    defaults: () => ({
+      payer_id: null,
+      group_id: null,
+      created_by: null,
+      split_mode: 'exact',
+      split: null,
+      currency: 'VND',
+      exchange_rate: 1,
+      base_currency: 'VND',
+      recurring_expense_id: null,
+      occurrence_date: null,
+      category_id: null,
+      deleted_at: null,
+      deleted_by: null,
+      created_at: now()
+    }),
+    unique: [['recurring_expense_id', 'occurrence_date']]
+  },
+  recurring_expenses: {
+    defaults: () => ({
+      group_id: null,
+      end_date: null,
+      next_run_date: null,
+      skipped_dates: [],
+      paused: false,
+      last_run_at: null,
+      last_error: null,
+      created_by: null,
+      created_at: now()
+    })
+  },
+  exchange_rates: {
+    defaults: () => ({ source: 'manual', created_at: now() }),
+    unique: [['currency', 'base_currency', 'rate_date']]
+  },
+  categories: {
+    defaults: () => ({ group_id: null, icon: null, color: null, created_at: now() }),
+    unique: [['group_id', 'name']]
+  },
+  expense_tags: {
+    unique: [['expense_id', 'tag']]
+  },
+  participants: {},
+  expense_items: {
+    defaults: () => ({ position: 0, quantity: 1 })
+  },
+  expense_payers: {
+    unique: [['expense_id', 'user_id']]
+  },
+  transaction_payment_status: {
+    defaults: () => ({ paid: false, paid_at: null, created_at: now(), updated_at: now() }),
+    unique: [['transaction_id']]
+  },
+  transaction_payments: {
+    defaults: () => ({
+      method: 'bank_transfer',
+      note: null,
+      paid_at: now(),
+      created_at: now(),
+      voided_at: null,
+      void_reason: null
+    })
+  },
+  expense_attachments: {
+    defaults: () => ({ width: null, height: null, thumbnail_key: null, uploaded_by: null, created_at: now() })
+  },
+  webhooks: {
+    defaults: () => ({ group_id: null, description: null, active: true, created_by: null, created_at: now(), updated_at: now() })
+  },
+  webhook_deliveries: {
+    defaults: () => ({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now(),
+      last_attempt_at: null,
+      response_status: null,
+      response_body: null,
+      error: null,
+      redelivery_of: null,
+      created_at: now()
+    })
+  },
+  notification_preferences: {
+    defaults: () => ({ digest: true, nudges: true, updated_at: now() }),
+    unique: [['user_id']]
+  },
+  notifications: {
+    defaults: () => ({ transaction_id: null, error: null, sent_by: null, created_at: now() })
+  },
+  audit_log: {
+    defaults: () => ({ group_id: null, actor_user_id: null, actor_account_id: null, before: null, after: null, created_at: now() })
+  },
+  accounts: {
+    defaults: () => ({ password_hash: null, user_id: null, created_at: now(), last_login_at: null }),
+    unique: [['email'], ['user_id']]
+  }
+};
+
+// Foreign keys and their ON DELETE action, keyed by the referenced table
+const REFERENCES = {
+  users: [
+    { table: 'group_members', column: 'user_id', onDelete: 'cascade' },
+    { table: 'accounts', column: 'user_id', onDelete: 'set null' },
+    { table: 'expenses', column: 'created_by', onDelete: 'set null' },
+    { table: 'groups', column: 'created_by', onDelete: 'set null' },
+    { table: 'users', column: 'created_by', onDelete: 'set null' },
+    { table: 'expenses', column: 'deleted_by', onDelete: 'set null' },
+    { table: 'expense_attachments', column: 'uploaded_by', onDelete: 'set null' },
+    { table: 'recurring_expenses', column: 'created_by', onDelete: 'set null' },
+    { table: 'webhooks', column: 'created_by', onDelete: 'set null' },
+    { table: 'notification_preferences', column: 'user_id', onDelete: 'cascade' },
+    { table: 'notifications', column: 'user_id', onDelete: 'cascade' },
+    { table: 'notifications', column: 'sent_by', onDelete: 'set null' }
+  ],
+  groups: [
+    { table: 'group_members', column: 'group_id', onDelete: 'cascade' },
+    { table: 'expenses', column: 'group_id', onDelete: 'cascade' },
+    { table: 'recurring_expenses', column: 'group_id', onDelete: 'cascade' },
+    { table: 'categories', column: 'group_id', onDelete: 'cascade' },
+    { table: 'webhooks', column: 'group_id', onDelete: 'cascade' }
+  ],
+  categories: [
+    { table: 'expenses', column: 'category_id', onDelete: 'set null' }
+  ],
+  recurring_expenses: [
+    { table: 'expenses', column: 'recurring_expense_id', onDelete: 'set null' }
+  ],
+  webhooks: [
+    { table: 'webhook_deliveries', column: 'webhook_id', onDelete: 'cascade' }
+  ],
+  webhook_deliveries: [
+    { table: 'webhook_deliveries', column: 'redelivery_of', onDelete: 'set null' }
+  ],
+  expenses: [
+    { table: 'participants', column: 'expense_id', onDelete: 'cascade' },
+    { table: 'expense_items', column: 'expense_id', onDelete: 'cascade' },
+    { table: 'expense_payers', column: 'expense_id', onDelete: 'cascade' },
+    { table: 'expense_tags', column: 'expense_id', onDelete: 'cascade' },
+    { table: 'expense_attachments', column: 'expense_id', onDelete: 'cascade' }
+  ]
+};
+
+// Columns stored as numbers, so IDs sent as strings compare like they would in Postgres
+const NUMERIC_COLUMNS = ['amount', 'unit_price', 'quantity', 'rate', 'exchange_rate', 'position', 'created_by', 'deleted_by', 'uploaded_by', 'size', 'width', 'height', 'attempts', 'response_status', 'redelivery_of', 'sent_by'];
+
+const tables = {};
+const sequences = {};
+
+// Comparison operators, matching the Supabase adapter
+const OPERATORS = {
+  neq: (value, operand) => (operand === null ? !isNull(value) : !isNull(value) && !same(value, operand)),
+  gt: (value, operand) => !isNull(value) && compare(value, operand) > 0,
+  gte: (value, operand) => !isNull(value) && compare(value, operand) >= 0,
+  lt: (value, operand) => !isNull(value) && compare(value, operand) < 0,
+  lte: (value, operand) => !isNull(value) && compare(value, operand) <= 0,
+  like: (value, operand) => !isNull(value) && likePattern(operand, '').test(String(value)),
+  ilike: (value, operand) => !isNull(value) && likePattern(operand, 'i').test(String(value))
+};
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+function same(a, b) {
+  return !isNull(a) && !isNull(b) && String(a) === String(b);
+}
+
+function compare(a, b) {
+  const bothNumbers = !Number.isNaN(Number(a)) && !Number.isNaN(Number(b)) && a !== '' && b !== '';
+  if (bothNumbers) return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+// Turn a SQL LIKE pattern (% and _, escaped with a backslash) into a regular expression
+function likePattern(pattern, flags) {
+  const source = String(pattern).replace(/\\(.)|(%)|(_)|([.*+?^${}()|[\]\\])/g, (match, escaped, percent, underscore, special) => {
+    if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (percent) return '.*';
+    if (underscore) return '.';
+    return `\\${special}`;
+  });
+  return new RegExp(`^${source}$`, flags);
+}
+
+function rowsOf(table) {
+  if (!tables[table]) tables[table] = [];
+  return tables[table];
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Store IDs, foreign keys and amounts as numbers
+function coerce(row) {
+  Object.keys(row).forEach(column => {
+    const value = row[column];
+    const numeric = column === 'id' || (column.endsWith('_id') && column !== 'transaction_id') || NUMERIC_COLUMNS.includes(column);
+    
+    if (numeric && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      row[column] = Number(value);
+    } else if (column === 'user_ids' && Array.isArray(value)) {
+      row[column] = value.map(Number);
+    }
+  });
+  return row;
+}
+
+function matches(row, where = {}) {
+  if (Array.isArray(where)) {
+    return where.every(conditions => matches(row, conditions));
+  }
+  
+  return Object.entries(where).every(([column, condition]) => {
+    const value = row[column];
+    
+    if (condition === null) return isNull(value);
+    if (Array.isArray(condition)) return condition.some(candidate => same(value, candidate));
+    if (typeof condition === 'object') {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (!OPERATORS[operator]) {
+          throw new Error(`Unsupported operator '${operator}' on ${column}`);
+        }
+        return OPERATORS[operator](value, operand);
+      });
+    }
+    return same(value, condition);
+  });
+}
+
+// Throw like Postgres when a row clashes with another on a unique constraint
+function checkUnique(table, row, ignoreRow) {
+  (SCHEMA[table] && SCHEMA[table].unique || []).forEach(columns => {
+    if (columns.some(column => isNull(row[column]))) return;
+    
+    const clash = rowsOf(table).find(other => (
+      other !== ignoreRow && columns.every(column => same(other[column], row[column]))
+    ));
+    
+    if (clash) {
+      const error = new Error(`duplicate key value violates unique constraint on ${table} (${columns.join(', ')})`);
+      error.code = '23505';
+      throw error;
+    }
+  });
+}
+
+function project(row, columns) {
+  if (columns === '*') return clone(row);
+  
+  return columns.split(',').map(column => column.trim()).reduce((acc, column) => {
+    acc[column] = row[column] === undefined ? null : clone(row[column]);
+    return acc;
+  }, {});
+}
+
+// Sort rows like Postgres: NULLS LAST ascending, NULLS FIRST descending
+function sortRows(rows, order) {
+  return [...rows].sort((a, b) => {
+    for (const entry of order) {
+      const descending = entry.startsWith('-');
+      const column = descending ? entry.slice(1) : entry;
+      let result;
+      
+      if (isNull(a[column]) && isNull(b[column])) result = 0;
+      else if (isNull(a[column])) result = 1;
+      else if (isNull(b[column])) result = -1;
+      else result = compare(a[column], b[column]);
+      
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+// Select rows. order lists columns, with a leading '-' for descending order.
+exports.select = async (table, { columns = '*', where, order = [], limit, offset = 0 } = {}) => {
+  const rows = sortRows(rowsOf(table).filter(row => matches(row, where)), order);
+  const end = limit === undefined ? undefined : offset + limit;
+  return rows.slice(offset, end).map(row => project(row, columns));
+};
+
+// Count the rows matching where
+exports.count = async (table, { where } = {}) => {
+  return rowsOf(table).filter(row => matches(row, where)).length;
+};
+
+// Insert one or more rows and return them as stored
+exports.insert = async (table, rows) => {
+  const defaults = (SCHEMA[table] && SCHEMA[table].defaults) || (() => ({}));
+  const inserted = [];
+  
+  (Array.isArray(rows) ? rows : [rows]).forEach(input => {
+    const row = coerce({ ...defaults(), ...clone(input) });
+    
+    if (isNull(row.id)) {
+      sequences[table] = (sequences[table] || 0) + 1;
+      row.id = sequences[table];
+    } else {
+      sequences[table] = Math.max(sequences[table] || 0, row.id);
+    }
+    
+    checkUnique(table, row);
+    rowsOf(table).push(row);
+    inserted.push(row);
+  });
+  
+  return inserted.map(clone);
+};
+
+// Update the rows matching where and return them
+exports.update = async (table, where, changes) => {
+  const updated = rowsOf(table).filter(row => matches(row, where));
+  
+  updated.forEach(row => {
+    const next = coerce({ ...row, ...clone(changes) });
+    checkUnique(table, next, row);
+    Object.assign(row, next);
+  });
+  
+  return updated.map(clone);
+};
+
+// Delete the rows matching where and return them, applying ON DELETE actions
+exports.remove = async (table, where) => {
+  const removed = rowsOf(table).filter(row => matches(row, where));
+  tables[table] = rowsOf(table).filter(row => !removed.includes(row));
+  
+  const ids = removed.map(row => row.id);
+  
+  for (const reference of REFERENCES[table] || []) {
+    if (reference.onDelete === 'cascade') {
+      await exports.remove(reference.table, { [reference.column]: ids });
+    } else {
+      await exports.update(reference.table, { [reference.column]: ids }, { [reference.column]: null });
+    }
+  }
+  
+  return removed.map(clone);
+};
+
+// Insert rows, updating the ones that clash on the conflict columns
+exports.upsert = async (table, rows, conflictColumns) => {
+  const stored = [];
+  
+  for (const row of Array.isArray(rows) ? rows : [rows]) {
+    const key = conflictColumns.reduce((acc, column) => {
+      acc[column] = row[column];
+      return acc;
+    }, {});
+    const existing = rowsOf(table).find(other => matches(other, key));
+    
+    stored.push(...(existing
+      ? await exports.update(table, { id: existing.id }, row)
+      : await exports.insert(table, row)));
+  }
+  
+  return stored;
+};
+
+// Drop all data (used between test runs)
+exports.reset = () => {
+  Object.keys(tables).forEach(table => delete tables[table]);
+  Object.keys(sequences).forEach(table => delete sequences[table]);
+}; 
\ No newline at end of file
@@ -0,0 +1,85 @@
+const supabase = require('../../utils/supabase');
+
+// Comparison operators accepted in where conditions, e.g. { rate_date: { lte: '2024-01-01' } }
+const OPERATORS = ['neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike'];
+
+// Add where conditions to a query: a value means equals, null means IS NULL,
+// an array means IN, and an object maps operators to values. An array of such
+// condition objects must all hold, so one column can be filtered more than once.
+function applyWhere(query, where = {}) {
+  if (Array.isArray(where)) {
+    return where.reduce(applyWhere, query);
+  }
+  
+  Object.entries(where).forEach(([column, condition]) => {
+    if (condition === null) {
+      query = query.is(column, null);
+    } else if (Array.isArray(condition)) {
+      query = query.in(column, condition);
+    } else if (typeof condition === 'object') {
+      Object.entries(condition).forEach(([operator, value]) => {
+        if (!OPERATORS.includes(operator)) {
+          throw new Error(`Unsupported operator '${operator}' on ${column}`);
+        }
+        query = operator === 'neq' && value === null
+          ? query.not(column, 'is', null)
+          : query[operator](column, value);
+      });
+    } else {
+      query = query.eq(column, condition);
+    }
+  });
+  
+  return query;
+}
+
+// Throw the Supabase error if there is one, otherwise return the rows
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data || [];
+}
+
+// Select rows. order lists columns, with a leading '-' for descending order.
+exports.select = async (table, { columns = '*', where, order = [], limit, offset = 0 } = {}) => {
+  let query = applyWhere(supabase.from(table).select(columns), where);
+  
+  order.forEach(column => {
+    const descending = column.startsWith('-');
+    query = query.order(descending ? column.slice(1) : column, { ascending: !descending });
+  });
+  
+  if (limit !== undefined) {
+    query = query.range(offset, offset + limit - 1);
+  } else if (offset > 0) {
+    query = query.range(offset, offset + 100000);
+  }
+  
+  return unwrap(await query);
+};
+
+// Count the rows matching where
+exports.count = async (table, { where } = {}) => {
+  const { count, error } = await applyWhere(supabase.from(table).select('id', { count: 'exact', head: true }), where);
+  if (error) throw error;
+  return count;
+};
+
+// Insert one or more rows and return them as stored
+exports.insert = async (table, rows) => {
+  return unwrap(await supabase.from(table).insert(rows).select());
+};
+
+// Update the rows matching where and return them
+exports.update = async (table, where, changes) => {
+  return unwrap(await applyWhere(supabase.from(table).update(changes), where).select());
+};
+
+// Delete the rows matching where and return them
+exports.remove = async (table, where) => {
+  return unwrap(await applyWhere(supabase.from(table).delete(), where).select());
+};
+
+// Insert rows, updating the ones that clash on the conflict columns
+exports.upsert = async (table, rows, conflictColumns) => {
+  return unwrap(await supabase.from(table).upsert(rows, { onConflict: conflictColumns.join(',') }).select());
+}; 
\ No newline at end of file
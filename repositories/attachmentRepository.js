@@ -0,0 +1,36 @@
+const db = require('./db');
+
+// List the attachments of some expenses, oldest first
+exports.list = async ({ expenseIds } = {}) => {
+  return db.select('expense_attachments', {
+    where: expenseIds ? { expense_id: expenseIds } : {},
+    order: ['created_at', 'id']
+  });
+};
+
+// Count the attachments of an expense
+exports.count = async (expenseId) => {
+  return db.count('expense_attachments', { where: { expense_id: expenseId } });
+};
+
+// Get an attachment of an expense by ID, or null
+exports.findById = async (id, expenseId) => {
+  const [attachment] = await db.select('expense_attachments', { where: { id, expense_id: expenseId } });
+  return attachment || null;
+};
+
+// Add an attachment
+exports.create = async (attachment) => {
+  const [created] = await db.insert('expense_attachments', attachment);
+  return created;
+};
+
+// Point the attachments uploaded by one user at another
+exports.reassignUploader = async (fromUserId, toUserId) => {
+  return db.update('expense_attachments', { uploaded_by: fromUserId }, { uploaded_by: toUserId });
+};
+
+// Delete an attachment, or several given an array of IDs
+exports.remove = async (id) => {
+  return db.remove('expense_attachments', { id });
+}; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const db = require('./db');
+
+// List audit entries, newest first: those of one entity, or of a group (outside groups when
+// groupId is null). beforeId continues a listing below the last entry seen.
+exports.list = async ({ entityType, entityId, groupId, beforeId, limit, offset } = {}) => {
+  return db.select('audit_log', {
+    where: {
+      ...(entityType ? { entity_type: entityType } : {}),
+      ...(entityId !== undefined ? { entity_id: entityId } : {}),
+      ...(groupId !== undefined ? { group_id: groupId } : {}),
+      ...(beforeId ? { id: { lt: beforeId } } : {})
+    },
+    order: ['-id'],
+    limit,
+    offset
+  });
+};
+
+// Count the audit entries of a group
+exports.count = async ({ groupId } = {}) => {
+  return db.count('audit_log', { where: groupId ? { group_id: groupId } : {} });
+};
+
+// Add audit entries with one insert. Entries are never changed or removed.
+exports.createMany = async (entries) => {
+  return db.insert('audit_log', entries);
+}; 
\ No newline at end of file
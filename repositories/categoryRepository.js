@@ -0,0 +1,51 @@
+const db = require('./db');
+
+// Columns returned for categories
+const CATEGORY_COLUMNS = 'id, group_id, name, icon, color';
+
+// List the shared categories, and a group's own ones when groupId is set, by name
+exports.list = async ({ groupId } = {}) => {
+  const [shared, own] = await Promise.all([
+    db.select('categories', { columns: CATEGORY_COLUMNS, where: { group_id: null } }),
+    groupId ? db.select('categories', { columns: CATEGORY_COLUMNS, where: { group_id: groupId } }) : []
+  ]);
+  
+  return [...shared, ...own].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Get categories by ID
+exports.listByIds = async (ids) => {
+  return db.select('categories', { columns: CATEGORY_COLUMNS, where: { id: ids } });
+};
+
+// Get a category by ID, or null
+exports.findById = async (id) => {
+  const [category] = await db.select('categories', { columns: CATEGORY_COLUMNS, where: { id } });
+  return category || null;
+};
+
+// Get a category by its name among the shared ones, or a group's own ones when groupId is set
+exports.findByName = async (name, groupId) => {
+  const [category] = await db.select('categories', {
+    columns: CATEGORY_COLUMNS,
+    where: { group_id: groupId || null, name: { ilike: name.replace(/[\\%_]/g, '\\$&') } }
+  });
+  return category || null;
+};
+
+// Create a category
+exports.create = async (category) => {
+  const [created] = await db.insert('categories', category);
+  return created;
+};
+
+// Update a category; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('categories', { id }, changes);
+  return updated || null;
+};
+
+// Delete a category (its expenses become uncategorized)
+exports.remove = async (id) => {
+  return db.remove('categories', { id });
+}; 
\ No newline at end of file
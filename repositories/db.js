@@ -0,0 +1,16 @@
+require('dotenv').config();
+
+// Storage adapters, selected with STORAGE_DRIVER (default: supabase)
+const ADAPTERS = {
+  supabase: './adapters/supabaseAdapter',
+  memory: './adapters/memoryAdapter'
+};
+
+const driver = process.env.STORAGE_DRIVER || 'supabase';
+
+if (!ADAPTERS[driver]) {
+  console.error(`Unknown STORAGE_DRIVER '${driver}'. Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  process.exit(1);
+}
+
+module.exports = require(ADAPTERS[driver]);
\ No newline at end of file
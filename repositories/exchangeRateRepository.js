@@ -0,0 +1,41 @@
+const db = require('./db');
+
+// Columns an exchange rate clashes on: one rate per pair and day
+const RATE_KEY = ['currency', 'base_currency', 'rate_date'];
+
+// List stored rates, newest first, optionally filtered by currency and base currency
+exports.list = async ({ currency, base_currency } = {}) => {
+  return db.select('exchange_rates', {
+    where: {
+      ...(currency ? { currency } : {}),
+      ...(base_currency ? { base_currency } : {})
+    },
+    order: ['-rate_date', 'currency']
+  });
+};
+
+// Get the latest rate between two currencies, stored either way round, on or before a date
+exports.findLatest = async (from, to, rateDate) => {
+  // currency and base_currency always differ, so this only matches from/to or to/from
+  const [rate] = await db.select('exchange_rates', {
+    columns: 'currency, base_currency, rate, rate_date',
+    where: {
+      currency: [from, to],
+      base_currency: [from, to],
+      rate_date: { lte: rateDate }
+    },
+    order: ['-rate_date'],
+    limit: 1
+  });
+  return rate || null;
+};
+
+// Store rates, replacing any for the same pair and day
+exports.upsert = async (rates) => {
+  return db.upsert('exchange_rates', rates, RATE_KEY);
+};
+
+// Delete a rate; returns the deleted rows
+exports.remove = async (id) => {
+  return db.remove('exchange_rates', { id });
+}; 
\ No newline at end of file
@@ -0,0 +1,201 @@
+const db = require('./db');
+const participantRepository = require('./participantRepository');
+
+// Build the where conditions for an expense listing. A listing is scoped to the group with
+// groupId, or to the expenses outside groups without it; anyGroup lifts the scope for the
+// server's own work across every expense. where may be one set of conditions or an array
+// of them that must all hold. trash is 'exclude' (the default) to leave out expenses in
+// the trash, 'only' to list just those, or 'include'.
+function expenseWhere({ groupId, anyGroup = false, ids, where = {}, trash = 'exclude' }) {
+  return [
+    ...(Array.isArray(where) ? where : [where]),
+    {
+      ...(anyGroup ? {} : { group_id: groupId || null }),
+      ...(ids ? { id: ids } : {}),
+      ...(trash === 'exclude' ? { deleted_at: null } : {}),
+      ...(trash === 'only' ? { deleted_at: { neq: null } } : {})
+    }
+  ];
+}
+
+// List expenses, newest first: a group's when groupId is set, otherwise those outside groups
+// (every expense with anyGroup); where adds other filters.
+exports.list = async ({ groupId, anyGroup, ids, where, trash, columns, order = ['-created_at', '-id'], limit, offset } = {}) => {
+  return db.select('expenses', {
+    columns,
+    where: expenseWhere({ groupId, anyGroup, ids, where, trash }),
+    order,
+    limit,
+    offset
+  });
+};
+
+// Count the expenses a listing with the same options would return
+exports.count = async ({ groupId, anyGroup, ids, where, trash } = {}) => {
+  return db.count('expenses', { where: expenseWhere({ groupId, anyGroup, ids, where, trash }) });
+};
+
+// Get an expense by ID, only if it belongs to the group with groupId, or to no group without
+// it (any group with anyGroup); otherwise null. Expenses in the trash are only found with
+// trash set to 'only' or 'include'.
+exports.findById = async (id, groupId, { trash, anyGroup } = {}) => {
+  const [expense] = await exports.list({ groupId, anyGroup, ids: [id], trash });
+  return expense || null;
+};
+
+// Get the IDs of the users on a listing's expenses: their payers and participants
+exports.listUserIds = async ({ groupId, anyGroup, trash } = {}) => {
+  const expenses = await exports.list({ groupId, anyGroup, trash, columns: 'id, payer_id', order: [] });
+  const expenseIds = expenses.map(expense => expense.id);
+  
+  if (expenseIds.length === 0) return [];
+  
+  const [participants, payers] = await Promise.all([
+    participantRepository.list({ expenseIds }),
+    exports.listPayers({ expenseIds })
+  ]);
+  
+  const userIds = [
+    ...expenses.map(expense => expense.payer_id),
+    ...participants.map(participant => participant.user_id),
+    ...payers.map(payer => payer.user_id)
+  ];
+  return [...new Set(userIds.filter(id => id !== null && id !== undefined).map(Number))];
+};
+
+// Create an expense
+exports.create = async (expense) => {
+  const [created] = await db.insert('expenses', expense);
+  return created;
+};
+
+// Create an expense with its participants, receipt items, payers and tags. If storing any
+// of them fails, the expense is deleted again.
+exports.createWithDetails = async (expense, { participants, items = [], payers, tags = [] }) => {
+  const created = await exports.create(expense);
+  
+  try {
+    await participantRepository.replaceForExpense(created.id, participants);
+    await exports.replaceItems(created.id, items);
+    await exports.replacePayers(created.id, payers);
+    await exports.replaceTags(created.id, tags);
+  } catch (insertError) {
+    await exports.remove(created.id);
+    throw insertError;
+  }
+  
+  return created;
+};
+
+// Create several expenses with one insert; returned in the same order
+exports.createMany = async (expenses) => {
+  return db.insert('expenses', expenses);
+};
+
+// Update an expense; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('expenses', { id }, changes);
+  return updated || null;
+};
+
+// Move an expense to the trash; its participants, payers and payments are kept for a restore
+exports.moveToTrash = async (id, deletedBy) => {
+  const [updated] = await db.update('expenses', { id }, {
+    deleted_at: new Date().toISOString(),
+    deleted_by: deletedBy || null
+  });
+  return updated || null;
+};
+
+// Move the expenses created or deleted by one user over to another
+exports.reassignCreator = async (fromUserId, toUserId) => {
+  await db.update('expenses', { created_by: fromUserId }, { created_by: toUserId });
+  await db.update('expenses', { deleted_by: fromUserId }, { deleted_by: toUserId });
+};
+
+// Take an expense back out of the trash
+exports.restore = async (id) => {
+  const [updated] = await db.update('expenses', { id }, { deleted_at: null, deleted_by: null });
+  return updated || null;
+};
+
+// Delete an expense for good, or several given an array of IDs (participants, items, payers
+// and tags go with it)
+exports.remove = async (id) => {
+  return db.remove('expenses', { id });
+};
+
+// Get the receipt items of an expense in receipt order
+exports.listItems = async (expenseId) => {
+  return db.select('expense_items', {
+    columns: 'id, name, unit_price, quantity, amount, user_ids',
+    where: { expense_id: expenseId },
+    order: ['position']
+  });
+};
+
+// Replace the receipt items of an expense
+exports.replaceItems = async (expenseId, items) => {
+  await db.remove('expense_items', { expense_id: expenseId });
+  
+  if (items.length === 0) return [];
+  
+  return db.insert('expense_items', items.map((item, index) => ({
+    expense_id: expenseId,
+    position: index,
+    name: item.name,
+    unit_price: item.unit_price,
+    quantity: item.quantity,
+    amount: item.amount,
+    user_ids: item.user_ids
+  })));
+};
+
+// Get expense_payers rows, optionally only for some expenses or one user
+exports.listPayers = async ({ expenseIds, userId, limit } = {}) => {
+  return db.select('expense_payers', {
+    columns: 'expense_id, user_id, amount',
+    where: {
+      ...(expenseIds ? { expense_id: expenseIds } : {}),
+      ...(userId !== undefined ? { user_id: userId } : {})
+    },
+    limit
+  });
+};
+
+// Add payer rows for several expenses with one insert
+exports.createPayers = async (payers) => {
+  return db.insert('expense_payers', payers);
+};
+
+// Replace the payers of an expense
+exports.replacePayers = async (expenseId, payers) => {
+  await db.remove('expense_payers', { expense_id: expenseId });
+  
+  return db.insert('expense_payers', payers.map(payer => ({
+    expense_id: expenseId,
+    user_id: payer.user_id,
+    amount: payer.amount
+  })));
+};
+
+// Get expense_tags rows, optionally only for some expenses or some tags
+exports.listTags = async ({ expenseIds, tags } = {}) => {
+  return db.select('expense_tags', {
+    columns: 'expense_id, tag',
+    where: {
+      ...(expenseIds ? { expense_id: expenseIds } : {}),
+      ...(tags ? { tag: tags } : {})
+    },
+    order: ['tag']
+  });
+};
+
+// Replace the tags of an expense
+exports.replaceTags = async (expenseId, tags) => {
+  await db.remove('expense_tags', { expense_id: expenseId });
+  
+  if (tags.length === 0) return [];
+  
+  return db.insert('expense_tags', tags.map(tag => ({ expense_id: expenseId, tag })));
+}; 
\ No newline at end of file
@@ -0,0 +1,84 @@
+const db = require('./db');
+const { attachUsers } = require('./userRepository');
+
+// List groups, newest first, optionally only the given IDs
+exports.list = async ({ ids } = {}) => {
+  return db.select('groups', {
+    where: ids ? { id: ids } : {},
+    order: ['-created_at']
+  });
+};
+
+// Get a group by ID, or null
+exports.findById = async (id) => {
+  const [group] = await db.select('groups', { where: { id } });
+  return group || null;
+};
+
+// Create a group
+exports.create = async (group) => {
+  const [created] = await db.insert('groups', group);
+  return created;
+};
+
+// Update a group; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('groups', { id }, changes);
+  return updated || null;
+};
+
+// Delete a group (memberships and expenses go with it)
+exports.remove = async (id) => {
+  return db.remove('groups', { id });
+};
+
+// Get the members of a group with their user details, leaving out users in the trash
+exports.listMembers = async (groupId) => {
+  const members = await db.select('group_members', {
+    columns: 'user_id, joined_at',
+    where: { group_id: groupId }
+  });
+  return (await attachUsers(members)).filter(member => member.user);
+};
+
+// Get the IDs of all users who are members of a group
+exports.getMemberIds = async (groupId) => {
+  const members = await db.select('group_members', { columns: 'user_id', where: { group_id: groupId } });
+  return members.map(member => member.user_id);
+};
+
+// Get the IDs of all groups a user is a member of
+exports.getGroupIdsForUser = async (userId) => {
+  const members = await db.select('group_members', { columns: 'group_id', where: { user_id: userId } });
+  return members.map(member => member.group_id);
+};
+
+// Check whether a user belongs to a group
+exports.isMember = async (groupId, userId) => {
+  const members = await db.select('group_members', { where: { group_id: groupId, user_id: userId } });
+  return members.length > 0;
+};
+
+// Return the user IDs from the list that are not members of the group
+exports.findNonMembers = async (groupId, userIds) => {
+  const memberIds = await exports.getMemberIds(groupId);
+  const memberSet = new Set(memberIds.map(Number));
+  
+  return [...new Set(userIds.map(Number))].filter(userId => !memberSet.has(userId));
+};
+
+// Add users to a new group
+exports.addMembers = async (groupId, userIds) => {
+  return db.insert('group_members', userIds.map(userId => ({ group_id: groupId, user_id: userId })));
+};
+
+// Add a user to a group, keeping the existing membership if there is one
+exports.addMember = async (groupId, userId) => {
+  const [member] = await db.upsert('group_members', { group_id: groupId, user_id: userId }, ['group_id', 'user_id']);
+  return member;
+};
+
+// Remove a user from a group
+exports.removeMember = async (groupId, userId) => {
+  return db.remove('group_members', { group_id: groupId, user_id: userId });
+}; 
\ No newline at end of file
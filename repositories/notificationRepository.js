@@ -0,0 +1,54 @@
+const db = require('./db');
+
+// Reminder preferences of a user without a stored row
+const DEFAULT_PREFERENCES = { digest: true, nudges: true };
+
+// Get the reminder preferences of some users, keyed by user ID; users without stored
+// preferences get the defaults
+exports.getPreferences = async (userIds) => {
+  const rows = userIds.length > 0
+    ? await db.select('notification_preferences', { where: { user_id: userIds } })
+    : [];
+  
+  return userIds.reduce((acc, userId) => {
+    const row = rows.find(row => String(row.user_id) === String(userId));
+    acc[userId] = {
+      user_id: Number(userId),
+      digest: row ? row.digest : DEFAULT_PREFERENCES.digest,
+      nudges: row ? row.nudges : DEFAULT_PREFERENCES.nudges
+    };
+    return acc;
+  }, {});
+};
+
+// Store a user's reminder preferences; changes may hold digest and nudges
+exports.savePreferences = async (userId, changes) => {
+  const current = (await exports.getPreferences([userId]))[userId];
+  const [saved] = await db.upsert('notification_preferences', {
+    ...current,
+    ...changes,
+    user_id: userId,
+    updated_at: new Date().toISOString()
+  }, ['user_id']);
+  return saved;
+};
+
+// List notifications sent to users, newest first. since only returns those from that time on.
+exports.list = async ({ userIds, kind, transactionId, status, since } = {}) => {
+  return db.select('notifications', {
+    where: {
+      ...(userIds ? { user_id: userIds } : {}),
+      ...(kind ? { kind } : {}),
+      ...(transactionId ? { transaction_id: transactionId } : {}),
+      ...(status ? { status } : {}),
+      ...(since ? { created_at: { gte: since } } : {})
+    },
+    order: ['-created_at', '-id']
+  });
+};
+
+// Record a notification
+exports.create = async (notification) => {
+  const [created] = await db.insert('notifications', notification);
+  return created;
+}; 
\ No newline at end of file
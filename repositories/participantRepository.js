@@ -0,0 +1,29 @@
+const db = require('./db');
+
+// Get participants, optionally only for some expenses or one user
+exports.list = async ({ expenseIds, userId, limit } = {}) => {
+  return db.select('participants', {
+    columns: 'expense_id, user_id, amount',
+    where: {
+      ...(expenseIds ? { expense_id: expenseIds } : {}),
+      ...(userId !== undefined ? { user_id: userId } : {})
+    },
+    limit
+  });
+};
+
+// Add participants for several expenses with one insert
+exports.createMany = async (participants) => {
+  return db.insert('participants', participants);
+};
+
+// Replace the participants of an expense
+exports.replaceForExpense = async (expenseId, participants) => {
+  await db.remove('participants', { expense_id: expenseId });
+  
+  return db.insert('participants', participants.map(participant => ({
+    expense_id: expenseId,
+    user_id: participant.user_id,
+    amount: participant.amount
+  })));
+}; 
\ No newline at end of file
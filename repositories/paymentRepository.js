@@ -0,0 +1,68 @@
+const db = require('./db');
+
+// Get recorded payments in the order they were paid, optionally only for some transactions.
+// Voided payments are left out unless includeVoided is set.
+exports.list = async ({ transactionIds, includeVoided = false } = {}) => {
+  return db.select('transaction_payments', {
+    where: {
+      ...(transactionIds ? { transaction_id: transactionIds } : {}),
+      ...(includeVoided ? {} : { voided_at: null })
+    },
+    order: ['paid_at']
+  });
+};
+
+// Get a payment by ID, or null
+exports.findById = async (id) => {
+  const [payment] = await db.select('transaction_payments', { where: { id } });
+  return payment || null;
+};
+
+// Record a payment
+exports.create = async (payment) => {
+  const [created] = await db.insert('transaction_payments', payment);
+  return created;
+};
+
+// Update a payment; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('transaction_payments', { id }, changes);
+  return updated || null;
+};
+
+// Get the boolean statuses marked paid before the payments ledger existed
+exports.listLegacyPaid = async (transactionIds) => {
+  return db.select('transaction_payment_status', {
+    where: {
+      paid: true,
+      ...(transactionIds ? { transaction_id: transactionIds } : {})
+    }
+  });
+};
+
+// Get the payments a user made or received, including voided ones
+exports.listByUser = async (userId) => {
+  const [sent, received] = await Promise.all([
+    db.select('transaction_payments', { where: { from_user_id: userId }, order: ['id'] }),
+    db.select('transaction_payments', { where: { to_user_id: userId }, order: ['id'] })
+  ]);
+  
+  return [...sent, ...received.filter(payment => !sent.some(other => other.id === payment.id))];
+};
+
+// Update a boolean status from before the payments ledger existed
+exports.updateLegacy = async (id, changes) => {
+  const [updated] = await db.update('transaction_payment_status', { id }, changes);
+  return updated || null;
+};
+
+// Delete a boolean status from before the payments ledger existed
+exports.removeLegacy = async (id) => {
+  return db.remove('transaction_payment_status', { id });
+};
+
+// Point the rows of the original payments table at another user
+exports.reassignLegacyPayments = async (fromUserId, toUserId) => {
+  await db.update('payments', { from_user_id: fromUserId }, { from_user_id: toUserId });
+  await db.update('payments', { to_user_id: fromUserId }, { to_user_id: toUserId });
+}; 
\ No newline at end of file
@@ -0,0 +1,42 @@
+const db = require('./db');
+
+// List recurring expenses, oldest first: a group's when groupId is set, otherwise those
+// outside groups (every one with anyGroup)
+exports.list = async ({ groupId, anyGroup = false } = {}) => {
+  return db.select('recurring_expenses', {
+    where: anyGroup ? {} : { group_id: groupId || null },
+    order: ['created_at', 'id']
+  });
+};
+
+// List the active recurring expenses with an occurrence due on or before a date
+exports.listDue = async (date) => {
+  return db.select('recurring_expenses', {
+    where: { paused: false, next_run_date: { lte: date } },
+    order: ['next_run_date', 'id']
+  });
+};
+
+// Get a recurring expense by ID, only if it belongs to the group with groupId, or to no
+// group without it; otherwise null
+exports.findById = async (id, groupId) => {
+  const [recurringExpense] = await db.select('recurring_expenses', { where: { id, group_id: groupId || null } });
+  return recurringExpense || null;
+};
+
+// Create a recurring expense
+exports.create = async (recurringExpense) => {
+  const [created] = await db.insert('recurring_expenses', recurringExpense);
+  return created;
+};
+
+// Update a recurring expense; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('recurring_expenses', { id }, changes);
+  return updated || null;
+};
+
+// Delete a recurring expense (the expenses it created are kept)
+exports.remove = async (id) => {
+  return db.remove('recurring_expenses', { id });
+}; 
\ No newline at end of file
@@ -0,0 +1,81 @@
+const db = require('./db');
+
+// Columns returned for users
+const USER_COLUMNS = 'id, name, bank_account, bank_name, archived_at';
+
+// Build the where conditions for a user listing. createdBy limits it to the users one user
+// added. archived is true or false to list only archived or only active users (default:
+// both). trash is 'exclude' (the default) to leave out users in the trash, 'only' to list
+// just those, or 'include'.
+function userWhere({ ids, createdBy, archived, trash = 'exclude' }) {
+  return {
+    ...(ids ? { id: ids } : {}),
+    ...(createdBy !== undefined ? { created_by: createdBy } : {}),
+    ...(archived === true ? { archived_at: { neq: null } } : {}),
+    ...(archived === false ? { archived_at: null } : {}),
+    ...(trash === 'exclude' ? { deleted_at: null } : {}),
+    ...(trash === 'only' ? { deleted_at: { neq: null } } : {})
+  };
+}
+
+// List users ordered by ID, optionally only the given IDs. Users in the trash are listed
+// with their deleted_at.
+exports.list = async ({ ids, createdBy, archived, trash } = {}) => {
+  return db.select('users', {
+    columns: trash && trash !== 'exclude' ? `${USER_COLUMNS}, deleted_at` : USER_COLUMNS,
+    where: userWhere({ ids, createdBy, archived, trash }),
+    order: ['id']
+  });
+};
+
+// Get a user by ID, or null. Users in the trash are only found with trash set to 'only'
+// or 'include'.
+exports.findById = async (id, { trash } = {}) => {
+  const [user] = await exports.list({ ids: [id], trash });
+  return user || null;
+};
+
+// Create a user
+exports.create = async (user) => {
+  const [created] = await db.insert('users', user);
+  return created;
+};
+
+// Create several users with one insert; returned in the same order
+exports.createMany = async (users) => {
+  return db.insert('users', users);
+};
+
+// Update a user; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('users', { id }, changes);
+  return updated || null;
+};
+
+// Move a user to the trash
+exports.moveToTrash = async (id) => {
+  return exports.update(id, { deleted_at: new Date().toISOString() });
+};
+
+// Take a user back out of the trash
+exports.restore = async (id) => {
+  return exports.update(id, { deleted_at: null });
+};
+
+// Delete a user for good, or several given an array of IDs
+exports.remove = async (id) => {
+  return db.remove('users', { id });
+};
+
+// Attach the user referenced by idColumn to each row as `field`, with a single lookup
+exports.attachUsers = async (rows, idColumn = 'user_id', field = 'user') => {
+  const ids = [...new Set(rows.map(row => row[idColumn]).filter(id => id !== null && id !== undefined))];
+  const users = ids.length > 0 ? await exports.list({ ids }) : [];
+  
+  const userMap = users.reduce((acc, user) => {
+    acc[user.id] = user;
+    return acc;
+  }, {});
+  
+  return rows.map(row => ({ ...row, [field]: userMap[row[idColumn]] || null }));
+}; 
\ No newline at end of file
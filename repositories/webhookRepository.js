@@ -0,0 +1,87 @@
+const db = require('./db');
+
+// List webhooks, newest first: a group's own ones when groupId is set, otherwise the ones
+// outside any group
+exports.list = async ({ groupId } = {}) => {
+  return db.select('webhooks', {
+    where: { group_id: groupId || null },
+    order: ['-id']
+  });
+};
+
+// Get the active webhooks that subscribe to an event in a group, or outside groups when
+// groupId is null
+exports.listSubscribed = async (eventType, groupId) => {
+  const webhooks = await db.select('webhooks', { where: { group_id: groupId || null, active: true } });
+  return webhooks.filter(webhook => webhook.events.includes(eventType));
+};
+
+// Get every active webhook
+exports.listActive = async () => {
+  return db.select('webhooks', { where: { active: true } });
+};
+
+// Get a webhook by ID, only if it belongs to the group (or to no group when groupId is
+// not set); otherwise null
+exports.findById = async (id, groupId) => {
+  const [webhook] = await db.select('webhooks', { where: { id, group_id: groupId || null } });
+  return webhook || null;
+};
+
+// Create a webhook
+exports.create = async (webhook) => {
+  const [created] = await db.insert('webhooks', webhook);
+  return created;
+};
+
+// Update a webhook; returns null if it does not exist
+exports.update = async (id, changes) => {
+  const [updated] = await db.update('webhooks', { id }, { ...changes, updated_at: new Date().toISOString() });
+  return updated || null;
+};
+
+// Delete a webhook (its delivery log goes with it)
+exports.remove = async (id) => {
+  return db.remove('webhooks', { id });
+};
+
+// List the deliveries of a webhook, newest first
+exports.listDeliveries = async (webhookId, { limit, offset } = {}) => {
+  return db.select('webhook_deliveries', {
+    where: { webhook_id: webhookId },
+    order: ['-id'],
+    limit,
+    offset
+  });
+};
+
+// Count the deliveries of a webhook
+exports.countDeliveries = async (webhookId) => {
+  return db.count('webhook_deliveries', { where: { webhook_id: webhookId } });
+};
+
+// Get a delivery of a webhook by ID, or null
+exports.findDelivery = async (id, webhookId) => {
+  const [delivery] = await db.select('webhook_deliveries', { where: { id, webhook_id: webhookId } });
+  return delivery || null;
+};
+
+// Get the pending deliveries of some webhooks whose next attempt is due, oldest first
+exports.listDueDeliveries = async (webhookIds, now, limit) => {
+  return db.select('webhook_deliveries', {
+    where: { webhook_id: webhookIds, status: 'pending', next_attempt_at: { lte: now } },
+    order: ['next_attempt_at', 'id'],
+    limit
+  });
+};
+
+// Queue deliveries with one insert
+exports.createDeliveries = async (deliveries) => {
+  return db.insert('webhook_deliveries', deliveries);
+};
+
+// Update a delivery; returns null if it does not exist
+exports.updateDelivery = async (id, changes) => {
+  const [updated] = await db.update('webhook_deliveries', { id }, changes);
+  return updated || null;
+}; 
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const attachmentController = require('../controllers/attachmentController');
+
+// GET the attachments of an expense
+router.get('/', attachmentController.getAttachments);
+
+// POST upload receipt photos or PDFs (multipart/form-data, field "files")
+router.post('/', attachmentController.uploadAttachments);
+
+// GET an attachment's file
+router.get('/:attachmentId', attachmentController.getAttachmentFile);
+
+// GET an image attachment's thumbnail
+router.get('/:attachmentId/thumbnail', attachmentController.getAttachmentThumbnail);
+
+// DELETE an attachment
+router.delete('/:attachmentId', attachmentController.deleteAttachment);
+
+module.exports = router;
\ No newline at end of file
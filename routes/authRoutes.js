@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const requireAuth = require('../middleware/requireAuth');
+
+// POST register a login
+router.post('/register', authController.register);
+
+// POST log in with email and password
+router.post('/login', authController.login);
+
+// POST request a magic-link token
+router.post('/magic-link', authController.requestMagicLink);
+
+// POST exchange a magic-link token for a session
+router.post('/magic-link/verify', authController.verifyMagicLink);
+
+// GET the signed-in account
+router.get('/me', requireAuth, authController.getMe);
+
+// POST link the signed-in account to a user
+router.post('/link', requireAuth, authController.linkUser);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const bankController = require('../controllers/bankController');
+
+// GET the bank directory
+router.get('/', bankController.getAllBanks);
+
+// GET a single bank by code, name or BIN
+router.get('/:code', bankController.getBank);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const categoryController = require('../controllers/categoryController');
+
+// GET all categories
+router.get('/', categoryController.getAllCategories);
+
+// POST create a new category
+router.post('/', categoryController.createCategory);
+
+// PUT update a category
+router.put('/:id', categoryController.updateCategory);
+
+// DELETE a category
+router.delete('/:id', categoryController.deleteCategory);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+const requireAdmin = require('../middleware/requireAdmin');
+
+// GET stored exchange rates
+router.get('/', exchangeRateController.getAllRates);
+
+// GET the rate between two currencies on a date
+router.get('/lookup', exchangeRateController.lookupRate);
+
+// POST manually enter an exchange rate (administrators only, as rates are shared by every group)
+router.post('/', requireAdmin, exchangeRateController.createRate);
+
+// POST import exchange rates from a CSV file or JSON array (administrators only)
+router.post('/import', requireAdmin, bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), exchangeRateController.importRates);
+
+// DELETE an exchange rate (administrators only)
+router.delete('/:id', requireAdmin, exchangeRateController.deleteRate);
+
+module.exports = router;
\ No newline at end of file
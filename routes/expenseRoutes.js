@@ -1,20 +1,33 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 const expenseController = require('../controllers/expenseController');
+const attachmentRoutes = require('./attachmentRoutes');
 
-// GET all expenses
+// GET a page of expenses, filtered and sorted
 router.get('/', expenseController.getAllExpenses);
 
+// GET the expenses in the trash
+router.get('/trash', expenseController.getTrash);
+
 // GET single expense
 router.get('/:id', expenseController.getExpenseById);
 
+// GET the history of an expense
+router.get('/:id/history', expenseController.getExpenseHistory);
+
 // POST new expense
 router.post('/', expenseController.createExpense);
 
 // PUT update expense
 router.put('/:id', expenseController.updateExpense);
 
-// DELETE expense
+// DELETE expense (moves it to the trash)
 router.delete('/:id', expenseController.deleteExpense);
 
+// POST restore an expense from the trash
+router.post('/:id/restore', expenseController.restoreExpense);
+
+// Receipt attachments of an expense
+router.use('/:id/attachments', attachmentRoutes);
+
 module.exports = router; 
\ No newline at end of file
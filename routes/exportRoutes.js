@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const exportController = require('../controllers/exportController');
+
+// GET an Excel workbook with expenses, balances and transactions, one sheet each
+router.get('/', exportController.exportWorkbook);
+
+// GET expenses with participant shares as CSV or Excel
+router.get('/expenses', exportController.exportExpenses);
+
+// GET balances as CSV or Excel
+router.get('/balances', exportController.exportBalances);
+
+// GET the settlement plan as CSV or Excel
+router.get('/transactions', exportController.exportTransactions);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+const auditController = require('../controllers/auditController');
+const requireGroup = require('../middleware/requireGroup');
+const userRoutes = require('./userRoutes');
+const expenseRoutes = require('./expenseRoutes');
+const summaryRoutes = require('./summaryRoutes');
+const exportRoutes = require('./exportRoutes');
+const importRoutes = require('./importRoutes');
+const recurringExpenseRoutes = require('./recurringExpenseRoutes');
+const categoryRoutes = require('./categoryRoutes');
+const reportRoutes = require('./reportRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const streamRoutes = require('./streamRoutes');
+
+// GET all groups
+router.get('/', groupController.getAllGroups);
+
+// GET a single group with members
+router.get('/:groupId', requireGroup, groupController.getGroupById);
+
+// POST create a new group
+router.post('/', groupController.createGroup);
+
+// PUT update a group
+router.put('/:groupId', requireGroup, groupController.updateGroup);
+
+// DELETE a group
+router.delete('/:groupId', requireGroup, groupController.deleteGroup);
+
+// POST add a member to a group
+router.post('/:groupId/members', requireGroup, groupController.addMember);
+
+// DELETE remove a member from a group
+router.delete('/:groupId/members/:userId', requireGroup, groupController.removeMember);
+
+// GET the group's activity feed
+router.get('/:groupId/activity', requireGroup, auditController.getGroupActivity);
+
+// Group-scoped resources
+router.use('/:groupId/users', requireGroup, userRoutes);
+router.use('/:groupId/expenses', requireGroup, expenseRoutes);
+router.use('/:groupId/summary', requireGroup, summaryRoutes);
+router.use('/:groupId/export', requireGroup, exportRoutes);
+router.use('/:groupId/import', requireGroup, importRoutes);
+router.use('/:groupId/recurring-expenses', requireGroup, recurringExpenseRoutes);
+router.use('/:groupId/categories', requireGroup, categoryRoutes);
+router.use('/:groupId/reports', requireGroup, reportRoutes);
+router.use('/:groupId/webhooks', requireGroup, webhookRoutes);
+router.use('/:groupId/stream', requireGroup, streamRoutes);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router({ mergeParams: true });
+const importController = require('../controllers/importController');
+
+// POST import expenses from a CSV file or Splitwise export
+router.post('/expenses', bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), importController.importExpenses);
+
+module.exports = router;
\ No newline at end of file
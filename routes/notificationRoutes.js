@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const requireAuth = require('../middleware/requireAuth');
+
+// GET turn reminders off from the link in a reminder email (no session needed)
+router.get('/unsubscribe', notificationController.unsubscribe);
+
+// GET the signed-in user's reminder preferences
+router.get('/preferences', requireAuth, notificationController.getPreferences);
+
+// PUT turn the weekly digest or nudges on or off
+router.put('/preferences', requireAuth, notificationController.updatePreferences);
+
+// GET what the signed-in user owes and is owed, as in their weekly digest
+router.get('/digest', requireAuth, notificationController.getDigest);
+
+module.exports = router;
\ No newline at end of file
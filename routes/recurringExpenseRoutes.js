@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const recurringExpenseController = require('../controllers/recurringExpenseController');
+
+// GET all recurring expenses
+router.get('/', recurringExpenseController.getAllRecurringExpenses);
+
+// GET a single recurring expense with its upcoming occurrences and created expenses
+router.get('/:id', recurringExpenseController.getRecurringExpenseById);
+
+// POST create a new recurring expense
+router.post('/', recurringExpenseController.createRecurringExpense);
+
+// PUT update a recurring expense
+router.put('/:id', recurringExpenseController.updateRecurringExpense);
+
+// POST pause a recurring expense
+router.post('/:id/pause', recurringExpenseController.pauseRecurringExpense);
+
+// POST resume a paused recurring expense
+router.post('/:id/resume', recurringExpenseController.resumeRecurringExpense);
+
+// POST skip an upcoming occurrence
+router.post('/:id/skip', recurringExpenseController.skipOccurrence);
+
+// DELETE a recurring expense
+router.delete('/:id', recurringExpenseController.deleteRecurringExpense);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const reportController = require('../controllers/reportController');
+
+// GET spending per user over time, bucketed by day, week or month
+router.get('/spending', reportController.getSpendingReport);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const streamController = require('../controllers/streamController');
+
+// GET live updates as Server-Sent Events
+router.get('/', streamController.stream);
+
+module.exports = router;
\ No newline at end of file
@@ -1,20 +1,37 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 const summaryController = require('../controllers/summaryController');
+const paymentController = require('../controllers/paymentController');
+const notificationController = require('../controllers/notificationController');
 
 // GET summary data
 router.get('/', summaryController.getSummary);
 
+// GET spending broken down by category and by tag
+router.get('/categories', summaryController.getSpendingByCategory);
+
 // GET summary for a specific expense
 router.get('/expense/:expenseId', summaryController.getExpenseSummary);
 
-// GET all expenses with payment status
+// GET a page of expenses with payment status, filtered and sorted
 router.get('/expenses-with-status', summaryController.getExpensesWithStatus);
 
-// GET transactions grouped by expenses
+// GET a page of transactions grouped by expenses, filtered and sorted
 router.get('/expenses-transactions', summaryController.getExpensesTransactions);
 
-// Update payment status
-router.post('/payment/:paymentId', summaryController.updatePaymentStatus);
+// GET payments recorded against a transaction
+router.get('/transactions/:transactionId/payments', paymentController.getTransactionPayments);
+
+// POST record a full or partial payment against a transaction
+router.post('/transactions/:transactionId/payments', paymentController.addPayment);
+
+// GET VietQR code for paying a transaction (?format=json|text|svg|png)
+router.get('/transactions/:transactionId/qr', paymentController.getTransactionQr);
+
+// POST remind whoever owes a transaction to pay it
+router.post('/transactions/:transactionId/nudge', notificationController.nudgeTransaction);
+
+// POST void a recorded payment
+router.post('/payments/:paymentId/void', paymentController.voidPayment);
 
 module.exports = router; 
\ No newline at end of file
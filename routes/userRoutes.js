@@ -1,10 +1,13 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 const userController = require('../controllers/userController');
 
 // GET all users
 router.get('/', userController.getAllUsers);
 
+// GET the users in the trash
+router.get('/trash', userController.getTrash);
+
 // GET a single user by ID
 router.get('/:id', userController.getUserById);
 
@@ -14,7 +17,22 @@ router.post('/', userController.createUser);
 // PUT update a user
 router.put('/:id', userController.updateUser);
 
-// DELETE a user
+// DELETE a user (moves them to the trash)
 router.delete('/:id', userController.deleteUser);
 
+// POST restore a user from the trash
+router.post('/:id/restore', userController.restoreUser);
+
+// POST archive a user
+router.post('/:id/archive', userController.archiveUser);
+
+// POST take a user out of the archive
+router.post('/:id/unarchive', userController.unarchiveUser);
+
+// POST issue a token to claim a user without a login
+router.post('/:id/claim-token', userController.createClaimToken);
+
+// POST merge a user into another
+router.post('/:id/merge', userController.mergeUser);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const webhookController = require('../controllers/webhookController');
+
+// GET all webhooks
+router.get('/', webhookController.getAllWebhooks);
+
+// GET a webhook by ID
+router.get('/:id', webhookController.getWebhookById);
+
+// POST create a new webhook
+router.post('/', webhookController.createWebhook);
+
+// PUT update a webhook
+router.put('/:id', webhookController.updateWebhook);
+
+// DELETE a webhook
+router.delete('/:id', webhookController.deleteWebhook);
+
+// GET a webhook's delivery log
+router.get('/:id/deliveries', webhookController.getDeliveries);
+
+// POST send a delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+module.exports = router;
\ No newline at end of file
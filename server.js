@@ -7,19 +7,50 @@ require('dotenv').config();
 const userRoutes = require('./routes/userRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
 const summaryRoutes = require('./routes/summaryRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const bankRoutes = require('./routes/bankRoutes');
+const authRoutes = require('./routes/authRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const importRoutes = require('./routes/importRoutes');
+const recurringExpenseRoutes = require('./routes/recurringExpenseRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const requireAuth = require('./middleware/requireAuth');
+const { startRecurringExpenses } = require('./jobs/recurringExpenses');
+const { startTrashPurge } = require('./jobs/purgeTrash');
+const { startWebhookDeliveries } = require('./jobs/webhookDeliveries');
+const { startReminderDigests } = require('./jobs/reminderDigests');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+// Pagination details are sent in headers, which browsers only expose when listed
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link'] }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Routes
+// Routes; everything but login and unsubscribe links needs a session
+app.use('/api/auth', authRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api', requireAuth);
 app.use('/api/users', userRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/summary', summaryRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/banks', bankRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/recurring-expenses', recurringExpenseRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/stream', streamRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -35,9 +66,23 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
+// Start the server when run directly; tests load the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+    
+    // Create recurring expenses that fell due while the server was down, then keep checking
+    startRecurringExpenses();
+    
+    // Delete expenses and users for good once they have been in the trash too long
+    startTrashPurge();
+    
+    // Send webhook deliveries left pending, then keep retrying failed ones
+    startWebhookDeliveries();
+    
+    // Email the weekly digests of who owes what, catching up on any missed while the server was down
+    startReminderDigests();
+  });
+}
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,38 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files are kept under ATTACHMENT_DIR (default: uploads/ next to server.js)
+const ROOT = path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// Resolve a key to a path inside the root, refusing keys that would leave it
+function filePath(key) {
+  const resolved = path.resolve(ROOT, key);
+  
+  if (!resolved.startsWith(ROOT + path.sep)) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+  
+  return resolved;
+}
+
+// Store a file under key
+exports.put = async (key, buffer) => {
+  const target = filePath(key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, buffer);
+};
+
+// Read a file, or null if there is none under key
+exports.get = async (key) => {
+  try {
+    return await fs.readFile(filePath(key));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Delete files; keys without a file are ignored
+exports.remove = async (keys) => {
+  await Promise.all(keys.map(key => fs.rm(filePath(key), { force: true })));
+}; 
\ No newline at end of file
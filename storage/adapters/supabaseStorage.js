@@ -0,0 +1,30 @@
+const supabase = require('../../utils/supabase');
+
+// Supabase Storage bucket the files are kept in (default: attachments)
+const BUCKET = process.env.ATTACHMENT_BUCKET || 'attachments';
+
+// Store a file under key
+exports.put = async (key, buffer, contentType) => {
+  const { error } = await supabase.storage.from(BUCKET).upload(key, buffer, { contentType, upsert: false });
+  if (error) throw error;
+};
+
+// Read a file, or null if there is none under key
+exports.get = async (key) => {
+  const { data, error } = await supabase.storage.from(BUCKET).download(key);
+  
+  if (error) {
+    if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message)) return null;
+    throw error;
+  }
+  
+  return Buffer.from(await data.arrayBuffer());
+};
+
+// Delete files; keys without a file are ignored
+exports.remove = async (keys) => {
+  if (keys.length === 0) return;
+  
+  const { error } = await supabase.storage.from(BUCKET).remove(keys);
+  if (error) throw error;
+}; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+// File storage backends for attachments, selected with ATTACHMENT_STORAGE (default: local).
+// Each stores files under a key and has put(key, buffer, contentType), get(key) and remove(keys).
+const BACKENDS = {
+  local: './adapters/diskStorage',
+  supabase: './adapters/supabaseStorage'
+};
+
+const backend = process.env.ATTACHMENT_STORAGE || 'local';
+
+if (!BACKENDS[backend]) {
+  console.error(`Unknown ATTACHMENT_STORAGE '${backend}'. Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  process.exit(1);
+}
+
+module.exports = require(BACKENDS[backend]);
\ No newline at end of file
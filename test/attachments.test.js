@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { attachmentDir, useApp, urlFor, signUp } = require('./helpers');
+
+useApp();
+
+// Upload some small PDFs to an expense
+function uploadPdfs(path, token, count) {
+  const form = new FormData();
+  for (let index = 0; index < count; index++) {
+    form.append('files', new Blob([`%PDF-1.4\n% receipt ${index}\n`], { type: 'application/pdf' }), `receipt-${index}.pdf`);
+  }
+
+  return fetch(urlFor(path), { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+}
+
+// Count the files stored for an expense
+function storedFiles(expenseId) {
+  const dir = `${attachmentDir}/expenses/${expenseId}`;
+  return fs.existsSync(dir) ? fs.readdirSync(dir).length : 0;
+}
+
+async function expenseWithReceipts() {
+  const an = await signUp('An');
+  const { body: expense } = await an.client('POST', '/api/expenses', {
+    name: 'Market',
+    amount: 80000,
+    payer_id: an.userId,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }] }
+  });
+
+  return { an, expense, path: `/api/expenses/${expense.id}/attachments` };
+}
+
+test('an expense takes at most 10 attachments', async () => {
+  const { an, expense, path } = await expenseWithReceipts();
+
+  assert.equal((await uploadPdfs(path, an.token, 8)).status, 201);
+
+  const tooMany = await uploadPdfs(path, an.token, 3);
+  assert.equal(tooMany.status, 400);
+
+  const { body: attachments } = await an.client('GET', path);
+  assert.equal(attachments.length, 8);
+  assert.equal(storedFiles(expense.id), 8);
+});
+
+test('uploads at the same time cannot go past the limit together', async () => {
+  const { an, expense, path } = await expenseWithReceipts();
+
+  const responses = await Promise.all([
+    uploadPdfs(path, an.token, 6),
+    uploadPdfs(path, an.token, 6)
+  ]);
+
+  assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+
+  const { body: attachments } = await an.client('GET', path);
+  assert.equal(attachments.length, 6);
+  assert.equal(storedFiles(expense.id), 6);
+});
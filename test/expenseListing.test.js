@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp, signUp } = require('./helpers');
+const db = require('../repositories/db');
+
+useApp();
+
+// More expenses than a status-filtered page checks (2000)
+const EXPENSE_COUNT = 2100;
+
+// A group of An and Binh with EXPENSE_COUNT expenses of 1,000 that An paid and both share,
+// one minute apart, every tenth tagged 'food'. Stored directly, as creating them one by one
+// through the API would be slow.
+async function busyGroup() {
+  const an = await signUp('An');
+  const binh = (await an.client('POST', '/api/users', { name: 'Binh' })).body;
+  const group = (await an.client('POST', '/api/groups', { name: 'Flat', member_ids: [binh.id] })).body;
+
+  const expenses = await db.insert('expenses', Array.from({ length: EXPENSE_COUNT }, (_, index) => ({
+    name: `Groceries ${index + 1}`,
+    amount: 1000,
+    payer_id: an.userId,
+    group_id: group.id,
+    split_mode: 'equal',
+    created_at: new Date(Date.UTC(2024, 0, 1) + index * 60 * 1000).toISOString()
+  })));
+  await db.insert('participants', expenses.flatMap(expense => [
+    { expense_id: expense.id, user_id: an.userId, amount: 500 },
+    { expense_id: expense.id, user_id: binh.id, amount: 500 }
+  ]));
+  await db.insert('expense_tags', expenses.filter((_, index) => index % 10 === 0).map(expense => ({
+    expense_id: expense.id,
+    tag: 'food'
+  })));
+
+  return { an, binh, base: `/api/groups/${group.id}`, expenses };
+}
+
+test('payer, participant and tag filters are counted over every expense', async () => {
+  const { an, binh, base } = await busyGroup();
+
+  const byParticipant = await an.client('GET', `${base}/expenses?participant_id=${binh.id}&limit=10`);
+  assert.equal(byParticipant.status, 200);
+  assert.equal(byParticipant.body.length, 10);
+  assert.equal(byParticipant.headers.get('x-total-count'), String(EXPENSE_COUNT));
+
+  const byPayer = await an.client('GET', `${base}/expenses?payer_id=${binh.id}`);
+  assert.equal(byPayer.body.length, 0);
+  assert.equal(byPayer.headers.get('x-total-count'), '0');
+
+  // Deep offsets work, as nothing is checked a batch at a time
+  const byTag = await an.client('GET', `${base}/expenses?tag=food&payer_id=${an.userId}&offset=200&limit=5`);
+  assert.equal(byTag.status, 200);
+  assert.equal(byTag.headers.get('x-total-count'), String(EXPENSE_COUNT / 10));
+  assert.deepEqual(byTag.body.map(expense => expense.name), [
+    'Groceries 91', 'Groceries 81', 'Groceries 71', 'Groceries 61', 'Groceries 51'
+  ]);
+});
+
+test('a status page stops after 2000 expenses and continues from a cursor', async () => {
+  const { an, binh, base, expenses } = await busyGroup();
+
+  // Only the oldest expense is settled, so it is past the expenses the first page checks
+  const oldest = expenses[0];
+  const payment = await an.client('POST', `${base}/summary/transactions/${oldest.id}-${binh.id}-${an.userId}/payments`, { amount: 500 });
+  assert.equal(payment.status, 201);
+
+  const first = await an.client('GET', `${base}/expenses?status=settled`);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body, []);
+  assert.equal(first.headers.get('x-total-count'), null);
+
+  const cursor = first.headers.get('x-next-cursor');
+  assert.ok(cursor);
+  assert.match(first.headers.get('link'), /rel="next"/);
+
+  const second = await an.client('GET', `${base}/expenses?status=settled&cursor=${encodeURIComponent(cursor)}`);
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.body.map(expense => expense.id), [oldest.id]);
+  assert.equal(second.headers.get('x-next-cursor'), null);
+
+  // An offset past the expenses checked cannot be answered
+  const deep = await an.client('GET', `${base}/expenses?status=settled&offset=1`);
+  assert.equal(deep.status, 400);
+  assert.match(deep.body.message, /page with cursor instead/);
+});
+
+test('a status page that checks every expense has a total', async () => {
+  const { an, base } = await busyGroup();
+
+  const { status, body, headers } = await an.client('GET', `${base}/expenses?status=unsettled&tag=food&limit=20`);
+
+  assert.equal(status, 200);
+  assert.equal(body.length, 20);
+  assert.ok(headers.get('x-next-cursor'));
+
+  const all = await an.client('GET', `${base}/expenses?status=unsettled&tag=food&limit=200&offset=100`);
+  assert.equal(all.body.length, 110);
+  assert.equal(all.headers.get('x-total-count'), String(EXPENSE_COUNT / 10));
+});
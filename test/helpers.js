@@ -0,0 +1,98 @@
+// Shared setup for the tests: the app runs on the in-memory storage adapter, which is
+// emptied before each test, and is called over HTTP on a free port. Attachments go to a
+// temporary directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ezsplit-test-'));
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.ATTACHMENT_STORAGE = 'local';
+process.env.ATTACHMENT_DIR = attachmentDir;
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_TRANSPORT = 'capture';
+process.env.ADMIN_EMAILS = 'admin@example.com';
+delete process.env.NOTIFICATION_CAPTURE_DIR;
+
+const { before, after, beforeEach } = require('node:test');
+const db = require('../repositories/db');
+const app = require('../server');
+
+let server = null;
+let baseUrl = null;
+
+// Start the app before the tests of a file, stop it after them, and empty the storage and
+// the attachment directory before each test
+function useApp() {
+  before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(attachmentDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    fs.rmSync(attachmentDir, { recursive: true, force: true });
+    fs.mkdirSync(attachmentDir);
+  });
+}
+
+// The URL of a path on the app
+function urlFor(path) {
+  return `${baseUrl}${path}`;
+}
+
+// Send a request to the app. body is sent as JSON unless it is a string. Resolves with the
+// status, headers and body (parsed when it is JSON).
+async function request(method, path, { token, body, headers = {} } = {}) {
+  const response = await fetch(urlFor(path), {
+    method,
+    headers: {
+      ...(typeof body === 'string' ? {} : { 'Content-Type': 'application/json' }),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+
+  const type = response.headers.get('content-type') || '';
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: type.includes('json') ? await response.json() : await response.text()
+  };
+}
+
+// Register a login with a new user. Resolves with its session token and user ID, and a
+// client that sends requests with the token.
+async function signUp(name, email = `${name.toLowerCase()}@example.com`) {
+  const { status, body } = await request('POST', '/api/auth/register', {
+    body: { email, password: 'password1', name }
+  });
+
+  if (status !== 201) {
+    throw new Error(`Could not register ${email}: ${JSON.stringify(body)}`);
+  }
+
+  const client = (method, path, requestBody, options = {}) => (
+    request(method, path, { ...options, token: body.token, body: requestBody })
+  );
+
+  return { token: body.token, userId: body.user.id, client };
+}
+
+module.exports = {
+  attachmentDir,
+  useApp,
+  urlFor,
+  request,
+  signUp
+};
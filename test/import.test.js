@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp, signUp } = require('./helpers');
+
+useApp();
+
+const CSV = [
+  'name,amount,paid_by,split_with',
+  'Dinner,300000,An,An;Binh;Chi',
+  'Taxi,90000,Binh,An;Binh'
+].join('\n');
+
+// A group of An and Binh; Chi is only named in the file
+async function trip() {
+  const an = await signUp('An');
+  const binh = (await an.client('POST', '/api/users', { name: 'Binh' })).body;
+  const group = (await an.client('POST', '/api/groups', { name: 'Hoi An', member_ids: [binh.id] })).body;
+
+  const importCsv = query => an.client('POST', `/api/groups/${group.id}/import/expenses${query}`, CSV, {
+    headers: { 'Content-Type': 'text/csv' }
+  });
+
+  return { an, binh, group, importCsv };
+}
+
+test('a dry run previews the import without storing anything', async () => {
+  const { an, group, importCsv } = await trip();
+
+  const { status, body } = await importCsv('?dry_run=true');
+
+  assert.equal(status, 200);
+  assert.equal(body.rows, 2);
+  assert.equal(body.valid_rows, 1);
+  assert.deepEqual(body.unmatched_names, ['Chi']);
+  assert.deepEqual(body.errors, [{ row: 2, message: 'No single user matches: Chi' }]);
+
+  const { body: expenses } = await an.client('GET', `/api/groups/${group.id}/expenses`);
+  assert.equal(expenses.length, 0);
+});
+
+test('a file with errors imports nothing', async () => {
+  const { an, group, importCsv } = await trip();
+
+  const { status, body } = await importCsv('');
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Some rows have errors, so nothing was imported');
+
+  const { body: expenses } = await an.client('GET', `/api/groups/${group.id}/expenses`);
+  assert.equal(expenses.length, 0);
+});
+
+test('an import can create the people it does not know', async () => {
+  const { an, group, importCsv } = await trip();
+
+  const { status, body } = await importCsv('?create_users=true');
+
+  assert.equal(status, 201);
+  assert.equal(body.imported, 2);
+  assert.deepEqual(body.new_users, ['Chi']);
+
+  const { body: details } = await an.client('GET', `/api/groups/${group.id}`);
+  assert.ok(details.members.some(member => member.user.name === 'Chi'));
+
+  const { body: summary } = await an.client('GET', `/api/groups/${group.id}/summary`);
+  const balances = Object.fromEntries(summary.userSummary.map(user => [user.name, user.balance]));
+  assert.deepEqual(balances, { An: 155000, Binh: -55000, Chi: -100000 });
+});
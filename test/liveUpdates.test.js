@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp, urlFor, signUp } = require('./helpers');
+
+useApp();
+
+// Open a live update stream and collect its events until the test stops it
+async function openStream(path, token) {
+  const controller = new AbortController();
+  const response = await fetch(urlFor(path), {
+    headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+    signal: controller.signal
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  // Resolve with the first event named type, reading more of the stream as needed
+  async function next(type) {
+    for (;;) {
+      const index = events.findIndex(event => event.event === type);
+      if (index !== -1) return events.splice(index, 1)[0].data;
+
+      const { value, done } = await reader.read();
+      if (done) throw new Error(`Stream ended before a ${type} event`);
+      buffer += decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(block => {
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => /^(event|data): /.test(line))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+      });
+    }
+  }
+
+  return { next, close: () => controller.abort() };
+}
+
+test('events in a group carry that group\'s balances on the overall stream too', async t => {
+  const an = await signUp('An');
+  const binh = (await an.client('POST', '/api/users', { name: 'Binh' })).body;
+  const chi = (await an.client('POST', '/api/users', { name: 'Chi' })).body;
+  const group = (await an.client('POST', '/api/groups', { name: 'Trip', member_ids: [binh.id] })).body;
+
+  const stream = await openStream('/api/stream', an.token);
+  t.after(stream.close);
+  assert.equal((await stream.next('balances')).group_id, null);
+
+  await an.client('POST', `/api/groups/${group.id}/expenses`, {
+    name: 'Boat',
+    amount: 200000,
+    payer_id: an.userId,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }, { user_id: binh.id }] }
+  });
+
+  const inGroup = await stream.next('expense.created');
+  assert.equal(inGroup.group_id, group.id);
+  assert.equal(inGroup.balances.group_id, group.id);
+  assert.deepEqual(inGroup.balances.users.map(user => [user.id, user.balance]).sort(), [
+    [an.userId, 100000],
+    [binh.id, -100000]
+  ].sort());
+
+  await an.client('POST', '/api/expenses', {
+    name: 'Taxi',
+    amount: 50000,
+    payer_id: chi.id,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }, { user_id: chi.id }] }
+  });
+
+  const overall = await stream.next('expense.created');
+  assert.equal(overall.group_id, null);
+  assert.equal(overall.balances.group_id, null);
+  assert.deepEqual(overall.balances.users.map(user => [user.id, user.balance]).sort(), [
+    [an.userId, -25000],
+    [chi.id, 25000]
+  ].sort());
+});
@@ -0,0 +1,105 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../repositories/adapters/memoryAdapter');
+
+beforeEach(() => {
+  db.reset();
+});
+
+const names = rows => rows.map(row => row.name);
+
+test('inserted rows get IDs, defaults and numeric foreign keys', async () => {
+  const [user] = await db.insert('users', { name: 'An' });
+  const [expense] = await db.insert('expenses', { name: 'Dinner', amount: '300000', payer_id: String(user.id) });
+
+  assert.equal(user.id, 1);
+  assert.equal(user.deleted_at, null);
+  assert.equal(expense.amount, 300000);
+  assert.equal(expense.payer_id, user.id);
+  assert.equal(expense.currency, 'VND');
+});
+
+test('where supports equality, null, lists, operators and lists of conditions', async () => {
+  await db.insert('users', [
+    { name: 'An', bank_account: '123' },
+    { name: 'Binh', bank_account: null },
+    { name: 'Chi', bank_account: '456' },
+    { name: 'chi 2', bank_account: '789' }
+  ]);
+
+  assert.deepEqual(names(await db.select('users', { where: { name: 'An' } })), ['An']);
+  assert.deepEqual(names(await db.select('users', { where: { bank_account: null } })), ['Binh']);
+  assert.deepEqual(names(await db.select('users', { where: { id: [1, '3'] } })), ['An', 'Chi']);
+  assert.deepEqual(names(await db.select('users', { where: { id: { gt: 1, lte: 3 } } })), ['Binh', 'Chi']);
+  assert.deepEqual(names(await db.select('users', { where: { bank_account: { neq: '123' } } })), ['Chi', 'chi 2']);
+  assert.deepEqual(names(await db.select('users', { where: { name: { ilike: 'chi%' } } })), ['Chi', 'chi 2']);
+  assert.deepEqual(names(await db.select('users', { where: { name: { like: 'chi%' } } })), ['chi 2']);
+  assert.deepEqual(names(await db.select('users', { where: [{ id: { gte: 2 } }, { id: { lt: 4 } }] })), ['Binh', 'Chi']);
+  assert.equal(await db.count('users', { where: { bank_account: { neq: null } } }), 3);
+
+  await assert.rejects(db.select('users', { where: { id: { between: 1 } } }), /Unsupported operator/);
+});
+
+test('select orders with nulls like Postgres and pages with limit and offset', async () => {
+  await db.insert('users', [
+    { name: 'An', bank_account: '2' },
+    { name: 'Binh', bank_account: null },
+    { name: 'Chi', bank_account: '1' }
+  ]);
+
+  assert.deepEqual(names(await db.select('users', { order: ['bank_account'] })), ['Chi', 'An', 'Binh']);
+  assert.deepEqual(names(await db.select('users', { order: ['-bank_account'] })), ['Binh', 'An', 'Chi']);
+  assert.deepEqual(names(await db.select('users', { order: ['id'], limit: 1, offset: 1 })), ['Binh']);
+  assert.deepEqual(await db.select('users', { columns: 'id, name', where: { id: 1 } }), [{ id: 1, name: 'An' }]);
+});
+
+test('unique constraints fail like Postgres', async () => {
+  await db.insert('group_members', { group_id: 1, user_id: 1 });
+
+  await assert.rejects(db.insert('group_members', { group_id: 1, user_id: 1 }), { code: '23505' });
+
+  const [other] = await db.insert('group_members', { group_id: 1, user_id: 2 });
+  await assert.rejects(db.update('group_members', { id: other.id }, { user_id: 1 }), { code: '23505' });
+
+  await db.upsert('group_members', { group_id: 1, user_id: 2, joined_at: '2024-01-01' }, ['group_id', 'user_id']);
+  assert.equal(await db.count('group_members'), 2);
+  assert.equal((await db.select('group_members', { where: { user_id: 2 } }))[0].joined_at, '2024-01-01');
+});
+
+test('deleting applies the ON DELETE actions of the schema', async () => {
+  const [user] = await db.insert('users', { name: 'An' });
+  const [group] = await db.insert('groups', { name: 'Trip', created_by: user.id });
+  await db.insert('group_members', { group_id: group.id, user_id: user.id });
+  const [expense] = await db.insert('expenses', { name: 'Dinner', amount: 100, group_id: group.id, created_by: user.id });
+  await db.insert('participants', { expense_id: expense.id, user_id: user.id, amount: 100 });
+
+  await db.remove('users', { id: user.id });
+
+  assert.equal(await db.count('group_members'), 0);
+  assert.equal((await db.select('groups'))[0].created_by, null);
+  assert.equal((await db.select('expenses'))[0].created_by, null);
+
+  await db.remove('groups', { id: group.id });
+
+  assert.equal(await db.count('expenses'), 0);
+  assert.equal(await db.count('participants'), 0);
+});
+
+test('reset drops all data and restarts the IDs', async () => {
+  await db.insert('users', [{ name: 'An' }, { name: 'Binh' }]);
+
+  db.reset();
+
+  assert.equal(await db.count('users'), 0);
+  assert.equal((await db.insert('users', { name: 'Chi' }))[0].id, 1);
+});
+
+test('stored rows cannot be changed through returned ones', async () => {
+  const [user] = await db.insert('users', { name: 'An' });
+  user.name = 'Changed';
+
+  const [stored] = await db.select('users');
+  stored.name = 'Changed again';
+
+  assert.equal((await db.select('users'))[0].name, 'An');
+});
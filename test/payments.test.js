@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp, request, signUp } = require('./helpers');
+
+useApp();
+
+// An pays 300,000 for dinner with Binh and Chi, in a group or outside groups
+async function dinner({ inGroup = true } = {}) {
+  const an = await signUp('An');
+  const binh = (await an.client('POST', '/api/users', { name: 'Binh' })).body;
+  const chi = (await an.client('POST', '/api/users', { name: 'Chi' })).body;
+
+  const group = inGroup
+    ? (await an.client('POST', '/api/groups', { name: 'Da Lat', member_ids: [binh.id, chi.id] })).body
+    : null;
+  const base = group ? `/api/groups/${group.id}` : '/api';
+
+  const { status } = await an.client('POST', `${base}/expenses`, {
+    name: 'Dinner',
+    amount: 300000,
+    payer_id: an.userId,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }, { user_id: binh.id }, { user_id: chi.id }] }
+  });
+  assert.equal(status, 201);
+
+  return { an, binh, chi, group, base };
+}
+
+const summaryOf = async (client, base) => (await client('GET', `${base}/summary`)).body;
+
+test('partial payments count towards the settlement and can be voided', async () => {
+  const { an, binh, group, base } = await dinner();
+  const transactionId = `group-${group.id}-${binh.id}-${an.userId}`;
+
+  let summary = await summaryOf(an.client, base);
+  const transaction = summary.transactions.find(trans => trans.from === binh.id);
+  assert.equal(transaction.amount, 100000);
+  assert.equal(transaction.payment_status.state, 'unpaid');
+
+  const payment = await an.client('POST', `${base}/summary/transactions/${transactionId}/payments`, { amount: 40000, method: 'cash' });
+  assert.equal(payment.status, 201);
+
+  summary = await summaryOf(an.client, base);
+  const status = summary.transactions.find(trans => trans.from === binh.id).payment_status;
+  assert.equal(status.state, 'partially_paid');
+  assert.equal(status.paid_amount, 40000);
+  assert.equal(status.remaining, 60000);
+
+  const receiver = summary.userSummary.find(user => user.id === an.userId);
+  assert.equal(receiver.received, 40000);
+  assert.equal(receiver.pending, 160000);
+
+  const overpaid = await an.client('POST', `${base}/summary/transactions/${transactionId}/payments`, { amount: 70000 });
+  assert.equal(overpaid.status, 400);
+
+  const voided = await an.client('POST', `${base}/summary/payments/${payment.body.id}/void`, { reason: 'Typo' });
+  assert.equal(voided.status, 200);
+
+  const again = await an.client('POST', `${base}/summary/payments/${payment.body.id}/void`, {});
+  assert.equal(again.status, 400);
+
+  summary = await summaryOf(an.client, base);
+  assert.equal(summary.transactions.find(trans => trans.from === binh.id).payment_status.state, 'unpaid');
+  assert.equal(summary.userSummary.find(user => user.id === an.userId).received, 0);
+
+  const { body: ledger } = await an.client('GET', `${base}/summary/transactions/${transactionId}/payments`);
+  assert.equal(ledger.payments.length, 1);
+  assert.ok(ledger.payments[0].voided_at);
+});
+
+test('paying the rest marks an overall transaction as paid', async () => {
+  const { an, chi, base } = await dinner({ inGroup: false });
+  const transactionId = `overall-${chi.id}-${an.userId}`;
+
+  for (const amount of [60000, 40000]) {
+    const { status } = await an.client('POST', `${base}/summary/transactions/${transactionId}/payments`, { amount });
+    assert.equal(status, 201);
+  }
+
+  const summary = await summaryOf(an.client, base);
+  const status = summary.transactions.find(trans => trans.from === chi.id).payment_status;
+  assert.equal(status.state, 'paid');
+  assert.equal(status.payment_count, 2);
+  assert.equal(summary.userSummary.find(user => user.id === an.userId).received, 100000);
+  assert.equal(summary.userSummary.find(user => user.id === an.userId).pending, 100000);
+});
+
+test('only the payer or the receiver can record a payment', async () => {
+  const { an, binh, chi, group, base } = await dinner();
+  const transactionId = `group-${group.id}-${binh.id}-${an.userId}`;
+
+  const outsider = await signUp('Dung');
+  const notMember = await outsider.client('POST', `${base}/summary/transactions/${transactionId}/payments`, { amount: 1000 });
+  assert.equal(notMember.status, 403);
+
+  // Chi is in the group but neither pays nor receives this transfer
+  const { body: claim } = await an.client('POST', `/api/users/${chi.id}/claim-token`);
+  const { body: chiLogin } = await request('POST', '/api/auth/register', {
+    body: { email: 'chi@example.com', password: 'password1', claim_token: claim.claim_token }
+  });
+
+  const bystander = await request('POST', `${base}/summary/transactions/${transactionId}/payments`, {
+    token: chiLogin.token,
+    body: { amount: 1000 }
+  });
+  assert.equal(bystander.status, 403);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp, signUp } = require('./helpers');
+const recurringExpenseRepository = require('../repositories/recurringExpenseRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const { runDueRecurringExpenses, MAX_BACKFILL_DAYS } = require('../jobs/recurringExpenses');
+const { vietnamDate, addDays } = require('../utils/schedule');
+
+useApp();
+
+// A daily coffee An pays for, starting startDaysAgo days ago
+async function dailyCoffee(startDaysAgo) {
+  const an = await signUp('An');
+  const binh = (await an.client('POST', '/api/users', { name: 'Binh' })).body;
+
+  const response = await an.client('POST', '/api/recurring-expenses', {
+    name: 'Coffee',
+    amount: 50000,
+    payer_id: an.userId,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }, { user_id: binh.id }] },
+    schedule: { frequency: 'daily' },
+    start_date: addDays(vietnamDate(), -startDaysAgo)
+  });
+
+  return { an, response };
+}
+
+test('a recurring expense starting in the past catches up on its occurrences once', async () => {
+  const { an, response } = await dailyCoffee(3);
+  assert.equal(response.status, 201);
+  assert.equal(response.body.created_expense_ids.length, 4);
+  assert.equal(response.body.next_run_date, addDays(vietnamDate(), 1));
+
+  // Nothing is due again until tomorrow
+  assert.equal(await runDueRecurringExpenses(), 0);
+
+  const { body: expenses } = await an.client('GET', '/api/expenses');
+  assert.equal(expenses.filter(expense => expense.recurring_expense_id === response.body.id).length, 4);
+});
+
+test('a recurring expense cannot start too far back', async () => {
+  const { response } = await dailyCoffee(MAX_BACKFILL_DAYS + 1);
+
+  assert.equal(response.status, 400);
+});
+
+test('a long outage is caught up a capped number of occurrences per check', async () => {
+  const { response } = await dailyCoffee(0);
+  const today = vietnamDate();
+
+  // As if it had started 150 days ago and the scheduler had not run since
+  const startDate = addDays(today, -150);
+  await recurringExpenseRepository.update(response.body.id, { start_date: startDate, next_run_date: startDate });
+
+  assert.equal(await runDueRecurringExpenses(today), 100);
+  assert.equal((await recurringExpenseRepository.findById(response.body.id)).next_run_date, addDays(today, -50));
+
+  // Today's occurrence was created with the recurring expense and is not created twice
+  assert.equal(await runDueRecurringExpenses(today), 50);
+  assert.equal(await runDueRecurringExpenses(today), 0);
+
+  const count = await expenseRepository.count({ where: { recurring_expense_id: response.body.id } });
+  assert.equal(count, 151);
+});
+
+test('updates keep the end date unless it is sent, and null removes it', async () => {
+  const { an, response } = await dailyCoffee(0);
+  const path = `/api/recurring-expenses/${response.body.id}`;
+  const endDate = addDays(vietnamDate(), 30);
+  const { template } = response.body;
+  const update = changes => an.client('PUT', path, { name: 'Coffee', ...template, ...changes });
+
+  let updated = await update({ end_date: endDate });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.end_date, endDate);
+
+  updated = await update({ amount: 60000 });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.end_date, endDate);
+  assert.equal(updated.body.template.amount, 60000);
+
+  updated = await update({ end_date: null });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.end_date, null);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTransactions, parseSettlementOptions } = require('../utils/settlement');
+const { ValidationError } = require('../utils/errors');
+
+const user = (id, balance) => ({ id, name: `User ${id}`, balance });
+
+const transfers = transactions => transactions.map(({ from, to, amount }) => ({ from, to, amount }));
+
+const settle = (users, options = {}) => calculateTransactions(users, {
+  userExpensesMap: {},
+  expenseMap: {},
+  ...options
+});
+
+// Check that the transfers leave everyone with a zero balance
+function assertSettled(users, transactions) {
+  const balances = Object.fromEntries(users.map(person => [person.id, person.balance]));
+
+  transactions.forEach(({ from, to, amount }) => {
+    balances[from] += amount;
+    balances[to] -= amount;
+  });
+
+  Object.values(balances).forEach(balance => assert.ok(Math.abs(balance) < 0.01));
+}
+
+test('greedy matches the largest debtor with the largest creditor', () => {
+  const users = [user(1, 60), user(2, -40), user(3, -20)];
+
+  assert.deepEqual(transfers(settle(users)), [
+    { from: 2, to: 1, amount: 40 },
+    { from: 3, to: 1, amount: 20 }
+  ]);
+});
+
+test('minimum finds fewer transfers than greedy when people settle among themselves', () => {
+  // 1 and 4 cancel out, as do 2, 3 and 5; greedy does not see that
+  const users = [user(1, 50), user(2, 40), user(3, 30), user(4, -50), user(5, -70)];
+
+  const greedy = settle(users);
+  const minimum = settle(users, { strategy: 'minimum' });
+
+  assertSettled(users, greedy);
+  assertSettled(users, minimum);
+  assert.equal(greedy.length, 4);
+  assert.equal(minimum.length, 3);
+  assert.deepEqual(transfers(minimum).find(transfer => transfer.to === 1), { from: 4, to: 1, amount: 50 });
+});
+
+test('minimum refuses more people than it can search through', () => {
+  const users = Array.from({ length: 17 }, (_, index) => user(index + 1, index % 2 ? -10 : 10))
+    .concat(user(18, -10));
+
+  assert.throws(() => settle(users, { strategy: 'minimum' }), ValidationError);
+});
+
+test('shared nets each pair and per-expense keeps every expense apart', () => {
+  const users = [user(1, 0), user(2, 0)];
+  const expenseTransactions = [
+    { expense_id: 10, from_user_id: 2, to_user_id: 1, amount: 30 },
+    { expense_id: 11, from_user_id: 1, to_user_id: 2, amount: 10 }
+  ];
+  const expenseMap = { 10: { name: 'Dinner' }, 11: { name: 'Taxi' } };
+
+  assert.deepEqual(transfers(settle(users, { strategy: 'shared', expenseTransactions, expenseMap })), [
+    { from: 2, to: 1, amount: 20 }
+  ]);
+
+  const perExpense = settle(users, { strategy: 'per-expense', expenseTransactions, expenseMap });
+
+  assert.deepEqual(perExpense.map(({ from, to, amount, expense_id }) => ({ from, to, amount, expense_id })), [
+    { from: 2, to: 1, amount: 30, expense_id: 10 },
+    { from: 1, to: 2, amount: 10, expense_id: 11 }
+  ]);
+  assert.deepEqual(perExpense[0].relatedExpenses, ['Dinner']);
+});
+
+test('round rounds transfers but keeps the exact amount', () => {
+  const users = [user(1, 12400), user(2, -12400), user(3, 300), user(4, -300)];
+
+  const transactions = settle(users, { round: 1000 });
+
+  assert.deepEqual(transactions.map(({ amount, exact_amount }) => ({ amount, exact_amount })), [
+    { amount: 12000, exact_amount: 12400 }
+  ]);
+});
+
+test('excluded users neither pay nor are paid', () => {
+  const users = [user(1, 60), user(2, -40), user(3, -20)];
+
+  const transactions = settle(users, { exclude: [2] });
+
+  assert.deepEqual(transfers(transactions), [{ from: 3, to: 1, amount: 20 }]);
+  assert.deepEqual(transfers(settle(users, { strategy: 'minimum', exclude: [2] })), [{ from: 3, to: 1, amount: 20 }]);
+});
+
+test('settlement options are read from the query', () => {
+  assert.deepEqual(parseSettlementOptions({}), { strategy: 'greedy', round: null, exclude: [] });
+  assert.deepEqual(parseSettlementOptions({ strategy: 'minimum', round: '1000', exclude: '3, 4' }), {
+    strategy: 'minimum',
+    round: 1000,
+    exclude: [3, 4]
+  });
+  assert.throws(() => parseSettlementOptions({ strategy: 'fastest' }), ValidationError);
+  assert.throws(() => parseSettlementOptions({ round: '-1' }), ValidationError);
+  assert.throws(() => parseSettlementOptions({ exclude: 'abc' }), ValidationError);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { allocate, computeSplit } = require('../utils/split');
+const { ValidationError } = require('../utils/errors');
+
+const amounts = shares => shares.map(share => share.amount);
+
+test('allocate gives the leftover units to the largest fractional parts, first listed first', () => {
+  assert.deepEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepEqual(allocate(100, [1, 2]), [33, 67]);
+  assert.deepEqual(allocate(10, [1, 1, 1], 2), [3.34, 3.33, 3.33]);
+});
+
+test('equal splits always add up to the expense amount', () => {
+  const shares = computeSplit(100000, {
+    mode: 'equal',
+    participants: [{ user_id: 1 }, { user_id: 2 }, { user_id: 3 }]
+  });
+
+  assert.deepEqual(shares, [
+    { user_id: 1, amount: 33334 },
+    { user_id: 2, amount: 33333 },
+    { user_id: 3, amount: 33333 }
+  ]);
+});
+
+test('percent, shares, exact and adjustment splits', () => {
+  assert.deepEqual(amounts(computeSplit(200000, {
+    mode: 'percent',
+    participants: [{ user_id: 1, percent: 25 }, { user_id: 2, percent: 75 }]
+  })), [50000, 150000]);
+
+  assert.deepEqual(amounts(computeSplit(90000, {
+    mode: 'shares',
+    participants: [{ user_id: 1, shares: 1 }, { user_id: 2, shares: 2 }]
+  })), [30000, 60000]);
+
+  assert.deepEqual(amounts(computeSplit(90000, {
+    mode: 'exact',
+    participants: [{ user_id: 1, amount: 40000 }, { user_id: 2, amount: 50000 }]
+  })), [40000, 50000]);
+
+  assert.deepEqual(amounts(computeSplit(100000, {
+    mode: 'adjustment',
+    participants: [{ user_id: 1, adjustment: 20000 }, { user_id: 2, adjustment: 0 }]
+  })), [60000, 40000]);
+});
+
+test('splits that do not add up are refused', () => {
+  assert.throws(() => computeSplit(100, {
+    mode: 'percent',
+    participants: [{ user_id: 1, percent: 50 }, { user_id: 2, percent: 40 }]
+  }), ValidationError);
+
+  assert.throws(() => computeSplit(100, {
+    mode: 'exact',
+    participants: [{ user_id: 1, amount: 50 }, { user_id: 2, amount: 40 }]
+  }), ValidationError);
+
+  assert.throws(() => computeSplit(100, {
+    mode: 'adjustment',
+    participants: [{ user_id: 1, adjustment: 150 }]
+  }), ValidationError);
+});
+
+test('malformed splits are refused', () => {
+  assert.throws(() => computeSplit(100, { mode: 'random', participants: [{ user_id: 1 }] }), ValidationError);
+  assert.throws(() => computeSplit(100, { mode: 'equal', participants: [] }), ValidationError);
+  assert.throws(() => computeSplit(100, { mode: 'equal', participants: [{ user_id: 1 }, { user_id: 1 }] }), ValidationError);
+  assert.throws(() => computeSplit(100, { mode: 'shares', participants: [{ user_id: 1 }] }), ValidationError);
+  assert.throws(() => computeSplit(-5, { mode: 'equal', participants: [{ user_id: 1 }] }), ValidationError);
+});
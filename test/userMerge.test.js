@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useApp, signUp } = require('./helpers');
+
+useApp();
+
+// Binh was added twice to a trip, and both were put on expenses and paid through one of them
+async function duplicateBinh() {
+  const an = await signUp('An');
+  const binh = (await an.client('POST', '/api/users', { name: 'Binh' })).body;
+  const binhAgain = (await an.client('POST', '/api/users', { name: 'Binh N.' })).body;
+  const group = (await an.client('POST', '/api/groups', { name: 'Sapa', member_ids: [binh.id, binhAgain.id] })).body;
+  const base = `/api/groups/${group.id}`;
+
+  await an.client('POST', `${base}/expenses`, {
+    name: 'Hotel',
+    amount: 300000,
+    payer_id: an.userId,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }, { user_id: binh.id }, { user_id: binhAgain.id }] }
+  });
+  await an.client('POST', `${base}/expenses`, {
+    name: 'Taxi',
+    amount: 60000,
+    payer_id: binhAgain.id,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }, { user_id: binhAgain.id }] }
+  });
+  const payment = await an.client('POST', `${base}/summary/transactions/group-${group.id}-${binhAgain.id}-${an.userId}/payments`, {
+    amount: 20000
+  });
+  assert.equal(payment.status, 201);
+
+  return { an, binh, binhAgain, group, base };
+}
+
+const balancesOf = async (client, base) => {
+  const { body: summary } = await client('GET', `${base}/summary`);
+  return { summary, balances: Object.fromEntries(summary.userSummary.map(user => [user.id, user.balance])) };
+};
+
+test('a dry run reports the merge without changing anything', async () => {
+  const { an, binh, binhAgain, base } = await duplicateBinh();
+  const before = await balancesOf(an.client, base);
+
+  const { status, body } = await an.client('POST', `${base}/users/${binhAgain.id}/merge`, { into_user_id: binh.id, dry_run: true });
+
+  assert.equal(status, 200);
+  assert.equal(body.dry_run, true);
+  assert.equal(body.expenses_updated.length, 2);
+  assert.equal(body.payments_updated.length, 1);
+
+  assert.deepEqual((await balancesOf(an.client, base)).balances, before.balances);
+  assert.equal((await an.client('GET', `/api/users/${binhAgain.id}`)).status, 200);
+});
+
+test('merging combines balances, expenses and payments into one user', async () => {
+  const { an, binh, binhAgain, group, base } = await duplicateBinh();
+
+  const { status, body } = await an.client('POST', `${base}/users/${binhAgain.id}/merge`, { into_user_id: binh.id });
+
+  assert.equal(status, 200);
+  assert.equal(body.participants_combined.length, 1);
+  assert.deepEqual(body.transaction_ids, [{
+    from: `group-${group.id}-${binhAgain.id}-${an.userId}`,
+    to: `group-${group.id}-${binh.id}-${an.userId}`
+  }]);
+
+  const { summary, balances } = await balancesOf(an.client, base);
+  assert.deepEqual(balances, { [an.userId]: 170000, [binh.id]: -170000 });
+
+  // The payment made as the duplicate now counts towards Binh's transfer
+  const transfer = summary.transactions.find(trans => trans.from === binh.id);
+  assert.equal(transfer.amount, 170000);
+  assert.equal(transfer.payment_status.paid_amount, 20000);
+
+  assert.equal((await an.client('GET', `/api/users/${binhAgain.id}`)).status, 404);
+});
+
+test('a user cannot be merged into themselves', async () => {
+  const { an, binh, base } = await duplicateBinh();
+
+  const { status } = await an.client('POST', `${base}/users/${binh.id}/merge`, { into_user_id: binh.id });
+
+  assert.equal(status, 400);
+});
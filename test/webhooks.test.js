@@ -0,0 +1,107 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useApp, signUp } = require('./helpers');
+const { deliverDue, signPayload } = require('../jobs/webhookDeliveries');
+
+useApp();
+
+// A local server standing in for a webhook receiver, answering with status
+let receiverStatus = 200;
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(receiverStatus).end();
+  });
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+// A group with a webhook for new expenses. The receiver is on this machine, which
+// webhooks may only reach with WEBHOOK_ALLOW_PRIVATE_URLS=on.
+async function groupWithWebhook() {
+  if (!receiver.listening) {
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  }
+  received.length = 0;
+  receiverStatus = 200;
+
+  const an = await signUp('An');
+  const group = (await an.client('POST', '/api/groups', { name: 'Office lunch' })).body;
+  const base = `/api/groups/${group.id}`;
+
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'on';
+  const webhook = await an.client('POST', `${base}/webhooks`, {
+    url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+    events: ['expense.created'],
+    secret: 'a-secret-of-enough-length'
+  });
+  assert.equal(webhook.status, 201);
+
+  const addLunch = () => an.client('POST', `${base}/expenses`, {
+    name: 'Lunch',
+    amount: 120000,
+    payer_id: an.userId,
+    split: { mode: 'equal', participants: [{ user_id: an.userId }] }
+  });
+
+  return { an, base, webhook: webhook.body, addLunch };
+}
+
+test('webhooks cannot point at private addresses', async t => {
+  t.after(() => { delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS; });
+
+  const an = await signUp('An');
+  const group = (await an.client('POST', '/api/groups', { name: 'Office lunch' })).body;
+
+  for (const url of ['http://127.0.0.1:8080/hooks', 'http://10.0.0.5/hooks', 'http://[::1]/hooks']) {
+    const { status } = await an.client('POST', `/api/groups/${group.id}/webhooks`, { url, events: ['expense.created'] });
+    assert.equal(status, 400, url);
+  }
+});
+
+test('events are delivered signed with the webhook secret', async t => {
+  t.after(() => { delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS; });
+  const { an, base, webhook, addLunch } = await groupWithWebhook();
+
+  const { body: expense } = await addLunch();
+  assert.equal(await deliverDue(), 1);
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  const event = JSON.parse(body);
+  assert.equal(event.type, 'expense.created');
+  assert.equal(event.data.expense.id, expense.id);
+  assert.equal(headers['x-ezsplit-event'], 'expense.created');
+  assert.equal(
+    headers['x-ezsplit-signature'],
+    `sha256=${signPayload(webhook.secret, headers['x-ezsplit-timestamp'], body)}`
+  );
+
+  const { body: deliveries } = await an.client('GET', `${base}/webhooks/${webhook.id}/deliveries`);
+  assert.equal(deliveries[0].status, 'succeeded');
+  assert.equal(deliveries[0].attempts, 1);
+});
+
+test('failed deliveries are retried later', async t => {
+  t.after(() => { delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS; });
+  const { an, base, webhook, addLunch } = await groupWithWebhook();
+  receiverStatus = 503;
+
+  await addLunch();
+  assert.equal(await deliverDue(), 1);
+
+  const { body: [delivery] } = await an.client('GET', `${base}/webhooks/${webhook.id}/deliveries`);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.response_status, 503);
+  assert.ok(new Date(delivery.next_attempt_at) > new Date());
+
+  // Not due again until the retry time, when it goes through
+  assert.equal(await deliverDue(), 0);
+  receiverStatus = 200;
+  assert.equal(await deliverDue(new Date(delivery.next_attempt_at)), 1);
+  assert.equal(received.length, 2);
+});
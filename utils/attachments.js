@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const storage = require('../storage');
+const attachmentRepository = require('../repositories/attachmentRepository');
+const { ValidationError } = require('./errors');
+
+// Limits on attachments: file size (default 10 MB) and number of files per expense
+const MAX_FILE_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+
+// Accepted file types and their extensions. The type is read from the file's first bytes,
+// not from the name or the type the client sent.
+const FILE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+// Thumbnails fit in a square of this many pixels
+const THUMBNAIL_SIZE = 320;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send file names such as "hoá đơn.jpg" as UTF-8
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_FILE_BYTES, files: MAX_ATTACHMENTS }
+}).array('files', MAX_ATTACHMENTS);
+
+// Read the files of a multipart/form-data upload (field "files") into req.files
+function readUploads(req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, error => {
+      if (!error) return resolve(req.files || []);
+      
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Files must be at most ${Math.round(MAX_FILE_BYTES / (1024 * 1024))} MB`,
+          LIMIT_FILE_COUNT: `Upload at most ${MAX_ATTACHMENTS} files at once`,
+          LIMIT_UNEXPECTED_FILE: 'Send the files in the "files" field'
+        };
+        return reject(new ValidationError(messages[error.code] || error.message));
+      }
+      reject(error);
+    });
+  });
+}
+
+// Work out a file's type from its first bytes, or null if it is not an accepted type
+function detectFileType(buffer) {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+  
+  if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith([0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf';
+  return null;
+}
+
+// Check uploaded files, store them with a thumbnail for each image, and record them against
+// the expense. Nothing is kept if any file is rejected or fails to store, or if uploads
+// running at the same time took the expense past MAX_ATTACHMENTS.
+async function storeAttachments(expense, files, uploadedBy) {
+  if (files.length === 0) {
+    throw new ValidationError('Send one or more files in the "files" field as multipart/form-data');
+  }
+  
+  const existing = await attachmentRepository.count(expense.id);
+  if (existing + files.length > MAX_ATTACHMENTS) {
+    throw new ValidationError(`An expense can have at most ${MAX_ATTACHMENTS} attachments (it has ${existing})`);
+  }
+  
+  const prepared = [];
+  for (const file of files) {
+    prepared.push(await prepareFile(expense.id, file));
+  }
+  
+  const storedKeys = [];
+  const created = [];
+  
+  try {
+    for (const { attachment, buffer, thumbnail } of prepared) {
+      await storage.put(attachment.storage_key, buffer, attachment.content_type);
+      storedKeys.push(attachment.storage_key);
+      
+      if (thumbnail) {
+        await storage.put(attachment.thumbnail_key, thumbnail, 'image/jpeg');
+        storedKeys.push(attachment.thumbnail_key);
+      }
+      
+      created.push(await attachmentRepository.create({ ...attachment, uploaded_by: uploadedBy || null }));
+    }
+    
+    // Count again now the rows are in: the oldest MAX_ATTACHMENTS are kept, so of two
+    // uploads running at once the later one is undone
+    const kept = (await attachmentRepository.list({ expenseIds: [expense.id] })).slice(0, MAX_ATTACHMENTS);
+    const keptIds = new Set(kept.map(attachment => attachment.id));
+    
+    if (created.some(attachment => !keptIds.has(attachment.id))) {
+      throw new ValidationError(`An expense can have at most ${MAX_ATTACHMENTS} attachments; another upload added some in the meantime`);
+    }
+  } catch (error) {
+    if (created.length > 0) {
+      await attachmentRepository.remove(created.map(attachment => attachment.id));
+    }
+    await storage.remove(storedKeys);
+    throw error;
+  }
+  
+  return created;
+}
+
+// Check one uploaded file and work out its row, storage keys and thumbnail
+async function prepareFile(expenseId, file) {
+  const contentType = detectFileType(file.buffer);
+  const fileName = (file.originalname || 'attachment').slice(0, 255);
+  
+  if (!contentType) {
+    throw new ValidationError(`${fileName} must be a JPEG, PNG or WebP image or a PDF`);
+  }
+  
+  const key = `expenses/${expenseId}/${crypto.randomUUID()}`;
+  const attachment = {
+    expense_id: expenseId,
+    file_name: fileName,
+    content_type: contentType,
+    size: file.buffer.length,
+    storage_key: `${key}.${FILE_TYPES[contentType]}`,
+    width: null,
+    height: null,
+    thumbnail_key: null
+  };
+  
+  if (contentType === 'application/pdf') {
+    return { attachment, buffer: file.buffer, thumbnail: null };
+  }
+  
+  try {
+    // Turn photos upright according to their EXIF orientation
+    const image = sharp(file.buffer).rotate();
+    const { width, height } = await image.metadata();
+    const thumbnail = await image
+      .clone()
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+    
+    return {
+      attachment: { ...attachment, width, height, thumbnail_key: `${key}-thumbnail.jpg` },
+      buffer: file.buffer,
+      thumbnail
+    };
+  } catch (error) {
+    throw new ValidationError(`${fileName} is not a readable image`);
+  }
+}
+
+// Delete attachments and their files
+async function removeAttachments(attachments) {
+  if (attachments.length === 0) return;
+  
+  await attachmentRepository.remove(attachments.map(attachment => attachment.id));
+  await storage.remove(attachments.flatMap(attachment => (
+    [attachment.storage_key, attachment.thumbnail_key].filter(key => key)
+  )));
+}
+
+// Delete the files of expenses that are about to be deleted for good; their attachment
+// rows go with the expenses
+async function removeExpenseFiles(expenseIds) {
+  if (expenseIds.length === 0) return;
+  
+  const attachments = await attachmentRepository.list({ expenseIds });
+  await storage.remove(attachments.flatMap(attachment => (
+    [attachment.storage_key, attachment.thumbnail_key].filter(key => key)
+  )));
+}
+
+// Prepare an attachment for a response, with the URLs of the file and its thumbnail.
+// groupId gives group-scoped URLs.
+function formatAttachment(attachment, groupId) {
+  const url = `${groupId ? `/api/groups/${groupId}` : '/api'}/expenses/${attachment.expense_id}/attachments/${attachment.id}`;
+  
+  return {
+    id: attachment.id,
+    expense_id: attachment.expense_id,
+    file_name: attachment.file_name,
+    content_type: attachment.content_type,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    uploaded_by: attachment.uploaded_by,
+    created_at: attachment.created_at,
+    url,
+    thumbnail_url: attachment.thumbnail_key ? `${url}/thumbnail` : null
+  };
+}
+
+// Get the attachments of an expense, ready for a response
+async function listExpenseAttachments(expenseId, groupId) {
+  const attachments = await attachmentRepository.list({ expenseIds: [expenseId] });
+  return attachments.map(attachment => formatAttachment(attachment, groupId));
+}
+
+module.exports = {
+  MAX_FILE_BYTES,
+  MAX_ATTACHMENTS,
+  readUploads,
+  detectFileType,
+  storeAttachments,
+  removeAttachments,
+  removeExpenseFiles,
+  formatAttachment,
+  listExpenseAttachments
+}; 
\ No newline at end of file
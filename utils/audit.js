@@ -0,0 +1,88 @@
+const auditRepository = require('../repositories/auditRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const userRepository = require('../repositories/userRepository');
+const { groupPayersByExpense } = require('./payers');
+
+// Take a snapshot of an expense with everything that decides its balances: the row, its
+// participants, payers, receipt items and tags. Returns null if it does not exist.
+async function snapshotExpense(expenseId) {
+  const expense = await expenseRepository.findById(expenseId, null, { anyGroup: true });
+  
+  if (!expense) return null;
+  
+  const [participants, payerRows, items, tagRows] = await Promise.all([
+    participantRepository.list({ expenseIds: [expense.id] }),
+    expenseRepository.listPayers({ expenseIds: [expense.id] }),
+    expenseRepository.listItems(expense.id),
+    expenseRepository.listTags({ expenseIds: [expense.id] })
+  ]);
+  
+  return {
+    ...expense,
+    participants: participants.map(({ user_id, amount }) => ({ user_id, amount: parseFloat(amount) })),
+    payers: groupPayersByExpense([expense], payerRows)[expense.id],
+    items,
+    tags: tagRows.map(row => row.tag)
+  };
+}
+
+// Add entries to the audit log. actor is the signed-in session (req.auth), or null for
+// changes the server makes itself, such as recurring expenses. The change has already been
+// made by the time it is recorded, so a failure to record it is logged rather than thrown.
+async function recordAudit(actor, entries) {
+  const rows = (Array.isArray(entries) ? entries : [entries]).map(entry => ({
+    entity_type: entry.entityType,
+    entity_id: entry.entityId,
+    action: entry.action,
+    group_id: entry.groupId || null,
+    actor_user_id: (actor && actor.userId) || null,
+    actor_account_id: (actor && actor.accountId) || null,
+    before: entry.before || null,
+    after: entry.after || null
+  }));
+  
+  if (rows.length === 0) return;
+  
+  try {
+    await auditRepository.createMany(rows);
+  } catch (error) {
+    console.error('Error recording audit entries:', error, rows);
+  }
+}
+
+// Prepare audit entries for a response: the actor's name, and for updates the fields
+// that changed
+async function formatAuditEntries(entries) {
+  const actorIds = [...new Set(entries.map(entry => entry.actor_user_id).filter(id => id))];
+  const users = actorIds.length > 0 ? await userRepository.list({ ids: actorIds, trash: 'include' }) : [];
+  
+  return entries.map(entry => {
+    const actor = users.find(user => user.id === entry.actor_user_id);
+    
+    return {
+      id: entry.id,
+      entity_type: entry.entity_type,
+      entity_id: entry.entity_id,
+      action: entry.action,
+      group_id: entry.group_id,
+      actor: entry.actor_user_id ? { user_id: entry.actor_user_id, name: actor ? actor.name : 'Unknown' } : null,
+      changes: entry.before && entry.after ? changedFields(entry.before, entry.after) : null,
+      before: entry.before,
+      after: entry.after,
+      created_at: entry.created_at
+    };
+  });
+}
+
+// List the top-level fields whose values differ between two snapshots
+function changedFields(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+module.exports = {
+  snapshotExpense,
+  recordAudit,
+  formatAuditEntries
+}; 
\ No newline at end of file
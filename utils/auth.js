@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const accountRepository = require('../repositories/accountRepository');
+const groupRepository = require('../repositories/groupRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const userRepository = require('../repositories/userRepository');
+
+const scrypt = promisify(crypto.scrypt);
+
+// How long session and magic-link tokens stay valid
+const SESSION_TTL = process.env.JWT_EXPIRES_IN || '7d';
+const MAGIC_LINK_TTL = process.env.MAGIC_LINK_EXPIRES_IN || '15m';
+
+// How long a claim token for signing up as an existing user stays valid
+const CLAIM_TTL = process.env.CLAIM_EXPIRES_IN || '7d';
+
+// Passwords shorter than this are refused
+const MIN_PASSWORD_LENGTH = 8;
+
+// Secret the tokens are signed with
+function jwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set. Please check your .env file.');
+  }
+  return process.env.JWT_SECRET;
+}
+
+// Hash a password with a random salt, stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// Check a password against a stored hash
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || '').split('$');
+  
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Sign a session token for an account; it carries the linked user so requests need no lookup
+function signSession(account) {
+  return jwt.sign(
+    { purpose: 'session', email: account.email, user_id: account.user_id || null },
+    jwtSecret(),
+    { subject: String(account.id), expiresIn: SESSION_TTL }
+  );
+}
+
+// Sign a short-lived magic-link token, exchanged for a session without a password
+function signMagicLink(account) {
+  return jwt.sign(
+    { purpose: 'magic_link', email: account.email },
+    jwtSecret(),
+    { subject: String(account.id), expiresIn: MAGIC_LINK_TTL }
+  );
+}
+
+// Sign a token that lets whoever holds it link their login to an existing user without one
+function signClaim(userId) {
+  return jwt.sign({ purpose: 'claim' }, jwtSecret(), { subject: String(userId), expiresIn: CLAIM_TTL });
+}
+
+// Sign the token of the unsubscribe link in reminder emails. It does not expire, so the
+// link in an old email keeps working.
+function signUnsubscribe(userId) {
+  return jwt.sign({ purpose: 'unsubscribe' }, jwtSecret(), { subject: String(userId) });
+}
+
+// Verify a token of the given purpose; returns its claims, or null if it is invalid or expired
+function verifyToken(token, purpose) {
+  try {
+    const claims = jwt.verify(token, jwtSecret());
+    return claims.purpose === purpose ? claims : null;
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) return null;
+    throw error;
+  }
+}
+
+// Check whether the signed-in user may change a user row: their own, or one nobody has
+// linked a login to yet that shares a group with them or is in no group (friends without
+// an account are managed by the people they split expenses with)
+async function canManageUser(auth, userId) {
+  if (auth.userId && String(auth.userId) === String(userId)) return true;
+  if (!(await sharesGroupWith(auth, userId))) return false;
+  
+  const accounts = await accountRepository.listByUser(userId);
+  return accounts.length === 0;
+}
+
+// Check whether the signed-in user may use something in a group: anything outside groups,
+// and in a group only as one of its members
+async function canAccessGroup(auth, groupId) {
+  if (!groupId) return true;
+  if (!auth.userId) return false;
+  
+  return groupRepository.isMember(groupId, auth.userId);
+}
+
+// Check whether the signed-in user shares a group with a user, or the user is in no group
+async function sharesGroupWith(auth, userId) {
+  const groupIds = await groupRepository.getGroupIdsForUser(userId);
+  
+  if (groupIds.length === 0) return true;
+  if (!auth.userId) return false;
+  
+  const ownGroupIds = (await groupRepository.getGroupIdsForUser(auth.userId)).map(String);
+  return groupIds.some(groupId => ownGroupIds.includes(String(groupId)));
+}
+
+// Get the IDs of the users the signed-in user may see outside a group: themselves, the
+// users they added, the members of their groups and the people on expenses outside groups
+async function listVisibleUserIds(auth) {
+  const groupIds = auth.userId ? await groupRepository.getGroupIdsForUser(auth.userId) : [];
+  const [memberIds, addedUsers, expenseUserIds] = await Promise.all([
+    Promise.all(groupIds.map(groupId => groupRepository.getMemberIds(groupId))),
+    auth.userId ? userRepository.list({ createdBy: auth.userId, trash: 'include' }) : [],
+    expenseRepository.listUserIds({ trash: 'include' })
+  ]);
+  
+  const userIds = [auth.userId, ...memberIds.flat(), ...addedUsers.map(user => user.id), ...expenseUserIds];
+  return [...new Set(userIds.filter(id => id !== null && id !== undefined).map(Number))];
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  CLAIM_TTL,
+  hashPassword,
+  verifyPassword,
+  signSession,
+  signMagicLink,
+  signClaim,
+  signUnsubscribe,
+  verifyToken,
+  canManageUser,
+  canAccessGroup,
+  sharesGroupWith,
+  listVisibleUserIds
+};  
\ No newline at end of file
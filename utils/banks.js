@@ -0,0 +1,111 @@
+const { ValidationError } = require('./errors');
+
+// Vietnamese banks reachable through NAPAS 247, with the BIN used in VietQR codes
+const BANKS = [
+  { code: 'VCB', short_name: 'Vietcombank', name: 'Ngân hàng TMCP Ngoại Thương Việt Nam', bin: '970436' },
+  { code: 'ICB', short_name: 'VietinBank', name: 'Ngân hàng TMCP Công thương Việt Nam', bin: '970415' },
+  { code: 'BIDV', short_name: 'BIDV', name: 'Ngân hàng TMCP Đầu tư và Phát triển Việt Nam', bin: '970418' },
+  { code: 'VBA', short_name: 'Agribank', name: 'Ngân hàng Nông nghiệp và Phát triển Nông thôn Việt Nam', bin: '970405' },
+  { code: 'TCB', short_name: 'Techcombank', name: 'Ngân hàng TMCP Kỹ thương Việt Nam', bin: '970407' },
+  { code: 'MB', short_name: 'MBBank', name: 'Ngân hàng TMCP Quân đội', bin: '970422' },
+  { code: 'ACB', short_name: 'ACB', name: 'Ngân hàng TMCP Á Châu', bin: '970416' },
+  { code: 'VPB', short_name: 'VPBank', name: 'Ngân hàng TMCP Việt Nam Thịnh Vượng', bin: '970432' },
+  { code: 'TPB', short_name: 'TPBank', name: 'Ngân hàng TMCP Tiên Phong', bin: '970423' },
+  { code: 'STB', short_name: 'Sacombank', name: 'Ngân hàng TMCP Sài Gòn Thương Tín', bin: '970403' },
+  { code: 'HDB', short_name: 'HDBank', name: 'Ngân hàng TMCP Phát triển Thành phố Hồ Chí Minh', bin: '970437' },
+  { code: 'VIB', short_name: 'VIB', name: 'Ngân hàng TMCP Quốc tế Việt Nam', bin: '970441' },
+  { code: 'SHB', short_name: 'SHB', name: 'Ngân hàng TMCP Sài Gòn - Hà Nội', bin: '970443' },
+  { code: 'EIB', short_name: 'Eximbank', name: 'Ngân hàng TMCP Xuất Nhập khẩu Việt Nam', bin: '970431' },
+  { code: 'MSB', short_name: 'MSB', name: 'Ngân hàng TMCP Hàng Hải', bin: '970426' },
+  { code: 'OCB', short_name: 'OCB', name: 'Ngân hàng TMCP Phương Đông', bin: '970448' },
+  { code: 'SCB', short_name: 'SCB', name: 'Ngân hàng TMCP Sài Gòn', bin: '970429' },
+  { code: 'SEAB', short_name: 'SeABank', name: 'Ngân hàng TMCP Đông Nam Á', bin: '970440' },
+  { code: 'LPB', short_name: 'LPBank', name: 'Ngân hàng TMCP Lộc Phát Việt Nam', bin: '970449' },
+  { code: 'NAB', short_name: 'NamABank', name: 'Ngân hàng TMCP Nam Á', bin: '970428' },
+  { code: 'ABB', short_name: 'ABBANK', name: 'Ngân hàng TMCP An Bình', bin: '970425' },
+  { code: 'BAB', short_name: 'BacABank', name: 'Ngân hàng TMCP Bắc Á', bin: '970409' },
+  { code: 'BVB', short_name: 'BaoVietBank', name: 'Ngân hàng TMCP Bảo Việt', bin: '970438' },
+  { code: 'VCCB', short_name: 'BVBank', name: 'Ngân hàng TMCP Bản Việt', bin: '970454' },
+  { code: 'PGB', short_name: 'PGBank', name: 'Ngân hàng TMCP Thịnh vượng và Phát triển', bin: '970430' },
+  { code: 'KLB', short_name: 'KienLongBank', name: 'Ngân hàng TMCP Kiên Long', bin: '970452' },
+  { code: 'NCB', short_name: 'NCB', name: 'Ngân hàng TMCP Quốc Dân', bin: '970419' },
+  { code: 'VAB', short_name: 'VietABank', name: 'Ngân hàng TMCP Việt Á', bin: '970427' },
+  { code: 'VIETBANK', short_name: 'VietBank', name: 'Ngân hàng TMCP Việt Nam Thương Tín', bin: '970433' },
+  { code: 'SGICB', short_name: 'SaigonBank', name: 'Ngân hàng TMCP Sài Gòn Công Thương', bin: '970400' },
+  { code: 'PVCB', short_name: 'PVcomBank', name: 'Ngân hàng TMCP Đại Chúng Việt Nam', bin: '970412' },
+  { code: 'OJB', short_name: 'OceanBank', name: 'Ngân hàng Thương mại TNHH MTV Đại Dương', bin: '970414' },
+  { code: 'GPB', short_name: 'GPBank', name: 'Ngân hàng Thương mại TNHH MTV Dầu Khí Toàn Cầu', bin: '970408' },
+  { code: 'DOB', short_name: 'DongABank', name: 'Ngân hàng TMCP Đông Á', bin: '970406' },
+  { code: 'CAKE', short_name: 'CAKE', name: 'TMCP Việt Nam Thịnh Vượng - Ngân hàng số CAKE by VPBank', bin: '546034' },
+  { code: 'UBANK', short_name: 'Ubank', name: 'TMCP Việt Nam Thịnh Vượng - Ngân hàng số Ubank by VPBank', bin: '546035' },
+  { code: 'TIMO', short_name: 'Timo', name: 'Ngân hàng số Timo by Bản Việt Bank', bin: '963388' },
+  { code: 'SHBVN', short_name: 'ShinhanBank', name: 'Ngân hàng TNHH MTV Shinhan Việt Nam', bin: '970424' },
+  { code: 'WVN', short_name: 'Woori', name: 'Ngân hàng TNHH MTV Woori Việt Nam', bin: '970457' },
+  { code: 'UOB', short_name: 'UnitedOverseas', name: 'Ngân hàng United Overseas - Chi nhánh TP. Hồ Chí Minh', bin: '970458' },
+  { code: 'PBVN', short_name: 'PublicBank', name: 'Ngân hàng TNHH MTV Public Việt Nam', bin: '970439' },
+  { code: 'HLBVN', short_name: 'HongLeong', name: 'Ngân hàng TNHH MTV Hong Leong Việt Nam', bin: '970442' },
+  { code: 'CIMB', short_name: 'CIMB', name: 'Ngân hàng TNHH MTV CIMB Việt Nam', bin: '422589' },
+  { code: 'IVB', short_name: 'IndovinaBank', name: 'Ngân hàng TNHH Indovina', bin: '970434' },
+  { code: 'VRB', short_name: 'VRB', name: 'Ngân hàng Liên doanh Việt - Nga', bin: '970421' },
+  { code: 'KBANK', short_name: 'KBank', name: 'Ngân hàng Đại chúng TNHH Kasikornbank', bin: '668888' }
+];
+
+// Lower-case a bank name and drop accents, spaces and punctuation so "MB Bank" matches "MBBank"
+function normalizeBankKey(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Find a bank by code, short name, full name or BIN; returns null when it is not listed
+function findBank(value) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const key = normalizeBankKey(value);
+  
+  return BANKS.find(bank => (
+    [bank.code, bank.short_name, bank.name, bank.bin].some(field => normalizeBankKey(field) === key)
+  )) || null;
+}
+
+// Check a user's bank details and return them ready to store: the bank as its directory code,
+// the account number without spaces or dashes. Fields left out stay undefined; null or '' clears them.
+function normalizeBankDetails({ bank_name, bank_account }) {
+  const details = {};
+  
+  if (bank_name !== undefined) {
+    if (bank_name === null || bank_name === '') {
+      details.bank_name = null;
+    } else {
+      const bank = findBank(bank_name);
+      if (!bank) {
+        throw new ValidationError(`Unknown bank '${bank_name}'; see GET /api/banks for the supported banks`);
+      }
+      details.bank_name = bank.code;
+    }
+  }
+  
+  if (bank_account !== undefined) {
+    if (bank_account === null || bank_account === '') {
+      details.bank_account = null;
+    } else {
+      const account = String(bank_account).replace(/[\s-]/g, '');
+      if (!/^\d{6,19}$/.test(account)) {
+        throw new ValidationError('bank_account must be 6 to 19 digits');
+      }
+      details.bank_account = account;
+    }
+  }
+  
+  return details;
+}
+
+module.exports = {
+  BANKS,
+  normalizeBankKey,
+  findBank,
+  normalizeBankDetails
+}; 
\ No newline at end of file
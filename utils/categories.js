@@ -0,0 +1,70 @@
+const { ValidationError } = require('./errors');
+
+// Limits on tags, so they stay short labels rather than notes
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 50;
+
+// Name used for expenses without a category in spending reports
+const UNCATEGORIZED = 'Uncategorized';
+
+// Check a category sent to create or update one and return its name, icon and color.
+// The icon is a name from the app's icon set; the color a hex code such as #F97316.
+function normalizeCategory({ name, icon, color }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  
+  if (!trimmedName || trimmedName.length > 50) {
+    throw new ValidationError('name is required and must be at most 50 characters');
+  }
+  
+  if (icon !== undefined && icon !== null && (typeof icon !== 'string' || !/^[a-z0-9-]{1,50}$/.test(icon))) {
+    throw new ValidationError('icon must be an icon name of lower-case letters, digits and dashes');
+  }
+  
+  if (color !== undefined && color !== null && !/^#[0-9a-fA-F]{6}$/.test(String(color))) {
+    throw new ValidationError('color must be a hex color such as #F97316');
+  }
+  
+  return {
+    name: trimmedName,
+    icon: icon || null,
+    color: color ? color.toUpperCase() : null
+  };
+}
+
+// Normalize a tag: lower-case, without a leading #, with single spaces
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Check the tags sent with an expense and return them normalized, without duplicates
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new ValidationError('tags must be an array of strings');
+  }
+  
+  const normalized = [...new Set(tags.map(normalizeTag).filter(tag => tag))];
+  
+  if (normalized.length > MAX_TAGS) {
+    throw new ValidationError(`An expense can have at most ${MAX_TAGS} tags`);
+  }
+  
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw new ValidationError(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  
+  return normalized;
+}
+
+// Check whether a category can be used in a group: shared categories anywhere, a group's
+// own ones only in that group
+function isCategoryAvailable(category, groupId) {
+  return category.group_id === null || String(category.group_id) === String(groupId);
+}
+
+module.exports = {
+  UNCATEGORIZED,
+  normalizeCategory,
+  normalizeTag,
+  normalizeTags,
+  isCategoryAvailable
+}; 
\ No newline at end of file
@@ -0,0 +1,54 @@
+// Parse CSV text into rows of fields. Handles quoted fields with commas, quotes ("")
+// and line breaks, CRLF line endings and a leading UTF-8 byte order mark.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+// Check whether a parsed row holds nothing but empty fields
+function isBlankRow(row) {
+  return row.every(field => field.trim() === '');
+}
+
+module.exports = {
+  parseCsv,
+  isBlankRow
+}; 
\ No newline at end of file
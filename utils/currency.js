@@ -0,0 +1,124 @@
+const exchangeRateRepository = require('../repositories/exchangeRateRepository');
+const { ValidationError } = require('./errors');
+
+// Currency used when neither the group nor the request names one
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'VND';
+
+// Minor units per currency; anything not listed uses 2 decimals
+const CURRENCY_DECIMALS = {
+  VND: 0,
+  JPY: 0,
+  KRW: 0,
+  IDR: 0,
+  LAK: 0,
+  KHR: 0,
+  TWD: 0
+};
+
+// Number of decimals amounts in a currency are rounded to
+function currencyDecimals(currency) {
+  return CURRENCY_DECIMALS[currency] !== undefined ? CURRENCY_DECIMALS[currency] : 2;
+}
+
+// Round an amount to the minor unit of its currency
+function roundAmount(amount, currency) {
+  const factor = 10 ** currencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+// Check and upper-case a three-letter ISO 4217 currency code
+function normalizeCurrency(currency, field = 'currency') {
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+    throw new ValidationError(`${field} must be a three-letter currency code such as VND or USD`);
+  }
+  return currency.toUpperCase();
+}
+
+// Check a positive exchange rate
+function normalizeRate(rate, field = 'rate') {
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new ValidationError(`${field} must be a positive number`);
+  }
+  return value;
+}
+
+// Find the rate to convert 1 unit of `from` into `to`, using the latest stored rate on or
+// before the date. Rates stored the other way round are inverted. Returns null if none exists.
+async function findRate(from, to, date = new Date()) {
+  if (from === to) return 1;
+  
+  const rateDate = new Date(date).toISOString().slice(0, 10);
+  
+  const row = await exchangeRateRepository.findLatest(from, to, rateDate);
+  
+  if (!row) return null;
+  
+  return row.currency === from ? parseFloat(row.rate) : 1 / parseFloat(row.rate);
+}
+
+// Parse an exchange-rate file. CSV needs a header row naming the columns
+// currency, base_currency, rate and rate_date (in any order).
+function parseRatesCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line);
+  
+  if (lines.length < 2) {
+    throw new ValidationError('Rates file needs a header row and at least one rate');
+  }
+  
+  const header = lines[0].replace(/^\uFEFF/, '').split(',').map(column => column.trim().toLowerCase());
+  const missing = ['currency', 'base_currency', 'rate', 'rate_date'].filter(column => !header.includes(column));
+  
+  if (missing.length > 0) {
+    throw new ValidationError(`Rates file is missing columns: ${missing.join(', ')}`);
+  }
+  
+  return lines.slice(1).map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return header.reduce((acc, column, index) => {
+      acc[column] = values[index];
+      return acc;
+    }, {});
+  });
+}
+
+// Check one exchange-rate row and return it ready to store
+function normalizeRateRow(row, index) {
+  const prefix = index === undefined ? '' : `Row ${index + 1}: `;
+  
+  try {
+    const rateDate = row.rate_date ? new Date(row.rate_date) : new Date();
+    if (Number.isNaN(rateDate.getTime())) {
+      throw new ValidationError('rate_date must be a date (YYYY-MM-DD)');
+    }
+    
+    const currency = normalizeCurrency(row.currency);
+    const baseCurrency = normalizeCurrency(row.base_currency, 'base_currency');
+    if (currency === baseCurrency) {
+      throw new ValidationError('currency and base_currency must differ');
+    }
+    
+    return {
+      currency,
+      base_currency: baseCurrency,
+      rate: normalizeRate(row.rate),
+      rate_date: rateDate.toISOString().slice(0, 10)
+    };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new ValidationError(`${prefix}${error.message}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  currencyDecimals,
+  roundAmount,
+  normalizeCurrency,
+  normalizeRate,
+  findRate,
+  parseRatesCsv,
+  normalizeRateRow
+}; 
\ No newline at end of file
@@ -0,0 +1,9 @@
+// Error raised for invalid client input; controllers respond with 400
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+module.exports = { ValidationError }; 
\ No newline at end of file
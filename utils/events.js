@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const { queueWebhookDeliveries } = require('./webhooks');
+const { publishLiveUpdate } = require('./liveUpdates');
+
+// Announce a change to expenses or payments: to the webhooks that subscribe to it and to
+// the open live update streams. groupId is the group the change happened in (null outside
+// groups); data is the event's content.
+async function emitEvent(type, { groupId = null, data }) {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    group_id: groupId,
+    created_at: new Date().toISOString(),
+    data
+  };
+  
+  publishLiveUpdate(event);
+  await queueWebhookDeliveries(event);
+}
+
+module.exports = {
+  emitEvent
+}; 
\ No newline at end of file
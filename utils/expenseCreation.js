@@ -0,0 +1,45 @@
+const expenseRepository = require('../repositories/expenseRepository');
+const { snapshotExpense, recordAudit } = require('./audit');
+const { emitEvent } = require('./events');
+
+// Store a prepared expense (see prepareExpense) with its participants, receipt items, payers
+// and tags, then record and announce it. actor is the signed-in session (req.auth), or null
+// for expenses the server creates itself. Returns the new expense's snapshot.
+async function storeExpense(actor, expense, details) {
+  const created = await expenseRepository.createWithDetails(expense, details);
+  
+  const [snapshot] = await recordCreatedExpenses(actor, [created.id]);
+  return snapshot;
+}
+
+// Add the audit entries of newly stored expenses and send their expense.created events, so
+// expenses created through the API, by recurring expenses and by imports all leave the same
+// trail. Returns the expenses' snapshots in the same order.
+async function recordCreatedExpenses(actor, expenseIds) {
+  const snapshots = [];
+  for (const expenseId of expenseIds) {
+    snapshots.push(await snapshotExpense(expenseId));
+  }
+  
+  await recordAudit(actor, snapshots.map(after => ({
+    entityType: 'expense',
+    entityId: after.id,
+    action: 'create',
+    groupId: after.group_id,
+    after
+  })));
+  
+  for (const after of snapshots) {
+    await emitEvent('expense.created', {
+      groupId: after.group_id,
+      data: { expense: after, actor_user_id: (actor && actor.userId) || null }
+    });
+  }
+  
+  return snapshots;
+}
+
+module.exports = {
+  storeExpense,
+  recordCreatedExpenses
+}; 
\ No newline at end of file
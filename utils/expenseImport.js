@@ -0,0 +1,330 @@
+const { parseCsv, isBlankRow } = require('./csv');
+const { allocate } = require('./split');
+const { DEFAULT_CURRENCY, currencyDecimals, normalizeCurrency } = require('./currency');
+const { ValidationError } = require('./errors');
+
+// File formats the importer reads
+const IMPORT_FORMATS = ['csv', 'splitwise'];
+
+// Columns of our own CSV format. A columns mapping in the request renames them
+// to the file's headers, e.g. { "name": "Description" }.
+const CSV_COLUMNS = ['date', 'name', 'amount', 'currency', 'paid_by', 'split_with'];
+const REQUIRED_CSV_COLUMNS = ['name', 'amount', 'paid_by', 'split_with'];
+
+// A Splitwise group export starts with these columns, followed by one column per person
+// holding what the expense did to their balance
+const SPLITWISE_COLUMNS = ['date', 'description', 'category', 'cost', 'currency'];
+
+// Check the ?format= of an import
+function parseImportFormat(format) {
+  const importFormat = format === undefined ? 'csv' : String(format).toLowerCase();
+  
+  if (!IMPORT_FORMATS.includes(importFormat)) {
+    throw new ValidationError(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  
+  return importFormat;
+}
+
+// Parse an import file into one draft per row. A draft has the row number and either
+// the expense (date, name, amount, currency, and payers and participants by name, with
+// amounts or null for an equal split), a skip reason, or an error. Problems with the
+// file as a whole throw a ValidationError.
+function parseImportFile(text, format, columns = {}) {
+  const rows = parseCsv(text || '');
+  
+  if (rows.length < 2) {
+    throw new ValidationError('The file needs a header row and at least one expense');
+  }
+  
+  const drafts = format === 'splitwise' ? parseSplitwiseRows(rows) : parseCsvRows(rows, columns);
+  
+  if (drafts.length === 0) {
+    throw new ValidationError('The file holds no expenses');
+  }
+  
+  return drafts;
+}
+
+// Key names are matched on: lower case, without Vietnamese accents or repeated spaces
+function nameKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[đĐ]/g, 'd')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Match the people named in the drafts to users. userMap maps names to user IDs for
+// names that do not match on their own. Returns the user for each name key, the names
+// no user matches, and the names several users match.
+function matchNames(drafts, users, userMap = {}) {
+  const usersByKey = users.reduce((acc, user) => {
+    const key = nameKey(user.name);
+    acc[key] = [...(acc[key] || []), user];
+    return acc;
+  }, {});
+  const usersById = users.reduce((acc, user) => {
+    acc[user.id] = user;
+    return acc;
+  }, {});
+  
+  const mapped = Object.entries(userMap || {}).reduce((acc, [name, userId]) => {
+    if (!usersById[userId]) {
+      throw new ValidationError(`user_map: ${userId} (for '${name}') is not one of the users expenses can be imported for`);
+    }
+    acc[nameKey(name)] = usersById[userId];
+    return acc;
+  }, {});
+  
+  const matches = new Map();
+  const unmatched = [];
+  const ambiguous = [];
+  
+  draftNames(drafts).forEach(name => {
+    const key = nameKey(name);
+    if (matches.has(key) || unmatched.some(other => nameKey(other) === key) || ambiguous.includes(name)) return;
+    
+    const candidates = usersByKey[key] || [];
+    
+    if (mapped[key]) {
+      matches.set(key, mapped[key]);
+    } else if (candidates.length === 1) {
+      matches.set(key, candidates[0]);
+    } else if (candidates.length > 1) {
+      ambiguous.push(name);
+    } else {
+      unmatched.push(name);
+    }
+  });
+  
+  return { matches, unmatched, ambiguous };
+}
+
+// The distinct names a draft (or list of drafts) refers to, in order of appearance
+function draftNames(drafts) {
+  const names = (Array.isArray(drafts) ? drafts : [drafts])
+    .filter(draft => draft.payers)
+    .flatMap(draft => [...draft.payers, ...draft.participants].map(person => person.name));
+  
+  return [...new Set(names)];
+}
+
+// Turn a draft into a createExpense body, with userId(name) giving each person's user ID
+function draftToExpenseBody(draft, userId) {
+  const body = {
+    name: draft.name,
+    amount: draft.amount,
+    currency: draft.currency || undefined
+  };
+  
+  if (draft.payers.length === 1 && draft.payers[0].amount === null) {
+    body.payer_id = userId(draft.payers[0].name);
+  } else if (draft.payers.some(payer => payer.amount === null)) {
+    throw new ValidationError('paid_by needs an amount for each person when several people paid');
+  } else {
+    body.payers = draft.payers.map(payer => ({ user_id: userId(payer.name), amount: payer.amount }));
+  }
+  
+  body.split = draft.participants.every(participant => participant.amount === null)
+    ? { mode: 'equal', participants: draft.participants.map(participant => ({ user_id: userId(participant.name) })) }
+    : {
+      mode: 'exact',
+      participants: draft.participants.map(participant => ({
+        user_id: userId(participant.name),
+        amount: participant.amount
+      }))
+    };
+  
+  return body;
+}
+
+// Read the rows of our own CSV format
+function parseCsvRows(rows, columns) {
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  const index = CSV_COLUMNS.reduce((acc, column) => {
+    acc[column] = header.indexOf(String((columns && columns[column]) || column).trim().toLowerCase());
+    return acc;
+  }, {});
+  
+  const missing = REQUIRED_CSV_COLUMNS.filter(column => index[column] === -1);
+  if (missing.length > 0) {
+    throw new ValidationError(`The file is missing columns: ${missing.join(', ')}`);
+  }
+  
+  return dataRows(rows).map(({ row, values }) => {
+    const value = column => (index[column] === -1 ? '' : (values[index[column]] || '').trim());
+    
+    return draftFrom(row, () => ({
+      date: parseDraftDate(value('date')),
+      name: value('name'),
+      amount: parseDraftAmount(value('amount'), 'amount'),
+      currency: value('currency'),
+      payers: parsePeople(value('paid_by'), 'paid_by'),
+      participants: parsePeople(value('split_with'), 'split_with')
+    }));
+  });
+}
+
+// Read the rows of a Splitwise group export. Splitwise only keeps what each expense did
+// to each person's balance, so shares are rebuilt to give the same balances: people
+// with a negative amount owe it as their share, and the rest of the cost is shared by
+// the people with a positive amount in proportion to it. Settle-up payments and the
+// closing "Total balance" row are skipped.
+function parseSplitwiseRows(rows) {
+  const header = rows[0].map(column => column.trim());
+  
+  if (SPLITWISE_COLUMNS.some((column, index) => (header[index] || '').toLowerCase() !== column)) {
+    throw new ValidationError('Not a Splitwise export: expected the columns Date, Description, Category, Cost and Currency, then one per person');
+  }
+  
+  const people = header.slice(SPLITWISE_COLUMNS.length);
+  
+  if (people.length === 0 || people.some(name => !name)) {
+    throw new ValidationError('A Splitwise export needs a named column for each person');
+  }
+  
+  return dataRows(rows).map(({ row, values }) => {
+    const [date, description, category, cost, currency] = values.map(value => (value || '').trim());
+    
+    if (description.toLowerCase() === 'total balance') {
+      return { row, skip: 'Total balance row' };
+    }
+    if (category.toLowerCase() === 'payment') {
+      return { row, skip: 'Payment between people, not an expense' };
+    }
+    
+    return draftFrom(row, () => {
+      const amount = parseDraftAmount(cost, 'Cost');
+      const balances = people.map((name, index) => ({
+        name,
+        net: Number((values[SPLITWISE_COLUMNS.length + index] || '').trim() || 0)
+      }));
+      
+      if (balances.some(person => !Number.isFinite(person.net))) {
+        throw new ValidationError('Person columns must be numbers');
+      }
+      
+      return {
+        date: parseDraftDate(date),
+        name: description,
+        amount,
+        currency,
+        ...splitwiseShares(amount, balances, currency)
+      };
+    });
+  });
+}
+
+// Rebuild payers and participant shares from a Splitwise row's balance changes
+function splitwiseShares(amount, balances, currency) {
+  const decimals = currencyDecimals(currency ? normalizeCurrency(currency) : DEFAULT_CURRENCY);
+  const factor = 10 ** decimals;
+  const round = value => Math.round(value * factor) / factor;
+  
+  const debtors = balances.filter(person => person.net < 0);
+  const creditors = balances.filter(person => person.net > 0);
+  const owed = debtors.reduce((sum, person) => sum - person.net, 0);
+  const credited = creditors.reduce((sum, person) => sum + person.net, 0);
+  
+  if (creditors.length === 0) {
+    throw new ValidationError('Nobody paid for this expense');
+  }
+  if (Math.round(Math.abs(owed - credited) * factor) > 0) {
+    throw new ValidationError('Person columns must add up to zero');
+  }
+  if (round(amount - owed) < 0) {
+    throw new ValidationError('Person columns owe more than the cost');
+  }
+  
+  const creditorShares = allocate(round(amount - owed), creditors.map(person => person.net), decimals);
+  const shareOf = new Map(creditors.map((person, index) => [person, creditorShares[index]]));
+  
+  return {
+    payers: creditors.map(person => ({ name: person.name, amount: round(person.net + shareOf.get(person)) })),
+    participants: balances
+      .filter(person => person.net < 0 || shareOf.get(person) > 0)
+      .map(person => ({ name: person.name, amount: person.net < 0 ? round(-person.net) : shareOf.get(person) }))
+  };
+}
+
+// The non-blank rows after the header, with their line numbers in the file
+function dataRows(rows) {
+  return rows.slice(1)
+    .map((values, index) => ({ row: index + 2, values }))
+    .filter(({ values }) => !isBlankRow(values));
+}
+
+// Build a draft for a row, turning validation errors into a row error
+function draftFrom(row, build) {
+  try {
+    return { row, ...build() };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return { row, error: error.message };
+    }
+    throw error;
+  }
+}
+
+// Read a list of people: "An; Bình" or "An: 200000; Bình: 100000"
+function parsePeople(text, column) {
+  const people = text.split(';').map(entry => entry.trim()).filter(entry => entry).map(entry => {
+    const separator = entry.lastIndexOf(':');
+    
+    if (separator === -1) {
+      return { name: entry, amount: null };
+    }
+    
+    return {
+      name: entry.slice(0, separator).trim(),
+      amount: parseDraftAmount(entry.slice(separator + 1).trim(), `${column} amount for ${entry.slice(0, separator).trim()}`)
+    };
+  });
+  
+  if (people.length === 0) {
+    throw new ValidationError(`${column} needs at least one person`);
+  }
+  if (people.some(person => person.amount === null) && people.some(person => person.amount !== null)) {
+    throw new ValidationError(`${column} must give an amount for everyone or no one`);
+  }
+  
+  return people;
+}
+
+// Read a positive amount
+function parseDraftAmount(text, label) {
+  const amount = Number(text);
+  
+  if (text === '' || !Number.isFinite(amount) || amount <= 0) {
+    throw new ValidationError(`${label} must be a positive number`);
+  }
+  
+  return amount;
+}
+
+// Read an optional date or date-time, returned as an ISO timestamp
+function parseDraftDate(text) {
+  if (!text) return null;
+  
+  const date = new Date(text);
+  
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError('date must be a date (YYYY-MM-DD) or date-time');
+  }
+  
+  return date.toISOString();
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CSV_COLUMNS,
+  parseImportFormat,
+  parseImportFile,
+  nameKey,
+  matchNames,
+  draftNames,
+  draftToExpenseBody
+}; 
\ No newline at end of file
@@ -0,0 +1,249 @@
+const groupRepository = require('../repositories/groupRepository');
+const userRepository = require('../repositories/userRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const { computeSplit, normalizeAmount, normalizeSplit } = require('./split');
+const { computeItemizedSplit } = require('./receipt');
+const { normalizePayers, primaryPayerId } = require('./payers');
+const { DEFAULT_CURRENCY, currencyDecimals, normalizeCurrency, normalizeRate, findRate } = require('./currency');
+const { normalizeTags, isCategoryAvailable } = require('./categories');
+const { ValidationError } = require('./errors');
+
+// Check an expense sent to create or update one, and work out what to store: the expense
+// row, its participants, payers, receipt items and tags. Throws a ValidationError when the
+// body is incomplete or inconsistent, or names users outside the group or archived ones.
+// existingExpense keeps the rate an updated expense was entered with, and its category and
+// tags when the body leaves them out (tags is then null); rateDate is the day
+// a missing rate is looked up for; memberIds saves the membership query, and holds only
+// users who can be added to expenses.
+async function prepareExpense(body, { group, groupId, existingExpense, rateDate, memberIds } = {}) {
+  const { name } = body;
+  
+  if (!name || !hasPayerInput(body) || !hasSplitInput(body)) {
+    throw new ValidationError(
+      'Invalid request. Required fields: name, payer_id or payers (array), and items (array) or amount with split (object) or participants (array)'
+    );
+  }
+
+  // Work out the currency and the rate to the group's base currency
+  const currency = await resolveCurrency(body, group, existingExpense, rateDate);
+  const decimals = currencyDecimals(currency.currency);
+
+  // Work out each participant's amount from the items or split, or take the pre-computed amounts
+  const { amount, participants, split, items } = resolveSplit(body, decimals);
+  const payers = resolvePayers(body, amount, decimals);
+
+  // Payers and participants must belong to the group
+  if (groupId) {
+    const membershipError = await validateGroupMembership(groupId, payers, participants, memberIds);
+    if (membershipError) {
+      throw new ValidationError(membershipError);
+    }
+  }
+
+  // Archived users and users in the trash cannot be added to expenses
+  if (!memberIds) {
+    const availabilityError = await validateUsersAvailable(payers, participants, existingExpense);
+    if (availabilityError) {
+      throw new ValidationError(availabilityError);
+    }
+  }
+  
+  const categoryId = await resolveCategory(body, groupId, existingExpense);
+  const tags = body.tags === undefined ? (existingExpense ? null : []) : normalizeTags(body.tags);
+  
+  return {
+    expense: {
+      name,
+      amount,
+      payer_id: primaryPayerId(payers),
+      split_mode: split.mode,
+      split,
+      category_id: categoryId,
+      ...currency
+    },
+    participants,
+    payers,
+    items,
+    tags
+  };
+}
+
+// Check that all payers and participants are group members. memberIds, when given, is a
+// Set of the members' IDs as strings, so the check needs no query.
+async function validateGroupMembership(groupId, payers, participants, memberIds) {
+  const userIds = [...payers, ...participants].map(user => user.user_id);
+  const nonMembers = memberIds
+    ? [...new Set(userIds.filter(userId => !memberIds.has(String(userId))))]
+    : await groupRepository.findNonMembers(groupId, userIds);
+  
+  if (nonMembers.length > 0) {
+    return `Users ${nonMembers.join(', ')} are not members of this group`;
+  }
+  
+  return null;
+}
+
+// Check that all payers and participants are users who are neither archived nor in the
+// trash. Archived users already on an updated expense may stay on it.
+async function validateUsersAvailable(payers, participants, existingExpense) {
+  const userIds = [...new Set([...payers, ...participants].map(user => Number(user.user_id)))];
+  const users = await userRepository.list({ ids: userIds, trash: 'include' });
+  
+  const missing = userIds.filter(userId => !users.some(user => user.id === userId && !user.deleted_at));
+  if (missing.length > 0) {
+    return `Users ${missing.join(', ')} do not exist`;
+  }
+  
+  const archived = users.filter(user => user.archived_at).map(user => user.id);
+  if (archived.length === 0) return null;
+  
+  const currentIds = existingExpense ? await getExpenseUserIds(existingExpense) : new Set();
+  const newlyAdded = archived.filter(userId => !currentIds.has(userId));
+  
+  if (newlyAdded.length > 0) {
+    return `Users ${newlyAdded.join(', ')} are archived and cannot be added to expenses`;
+  }
+  
+  return null;
+}
+
+// Get the IDs of the users who paid for or share an expense
+async function getExpenseUserIds(expense) {
+  const [participants, payerRows] = await Promise.all([
+    participantRepository.list({ expenseIds: [expense.id] }),
+    expenseRepository.listPayers({ expenseIds: [expense.id] })
+  ]);
+  
+  return new Set([expense.payer_id, ...participants.map(row => row.user_id), ...payerRows.map(row => row.user_id)].map(Number));
+}
+
+// Check for a non-empty array
+function isNonEmptyArray(value) {
+  return Array.isArray(value) && value.length > 0;
+}
+
+// Check that the body says how to split the expense:
+// receipt items, or an amount with a split object or pre-computed participants
+function hasSplitInput({ items, amount, split, participants }) {
+  return isNonEmptyArray(items) || (!!amount && (!!split || isNonEmptyArray(participants)));
+}
+
+// Check that the body says who paid: one payer_id or a payers array
+function hasPayerInput({ payer_id, payers }) {
+  return !!payer_id || isNonEmptyArray(payers);
+}
+
+// Get who paid how much. A single payer_id paid the full amount.
+function resolvePayers({ payer_id, payers }, amount, decimals) {
+  if (isNonEmptyArray(payers)) {
+    return normalizePayers(payers, amount, decimals);
+  }
+  
+  return [{ user_id: payer_id, amount: parseFloat(amount) }];
+}
+
+// Get the expense amount, participant amounts and the split to store.
+// Receipt items and split objects are computed server-side; a bare participants array keeps
+// the client's amounts and is checked and recorded as an exact split.
+function resolveSplit({ amount, split, participants, items, charges }, decimals) {
+  if (isNonEmptyArray(items)) {
+    const receipt = computeItemizedSplit(items, charges, decimals);
+    
+    if (amount && Math.abs(normalizeAmount(amount) - receipt.totals.total) >= 10 ** -decimals) {
+      throw new ValidationError(`amount ${amount} does not match the itemized total ${receipt.totals.total}`);
+    }
+    
+    return {
+      amount: receipt.totals.total,
+      participants: receipt.participants,
+      split: { mode: 'items', charges: receipt.charges },
+      items: receipt.items
+    };
+  }
+  
+  const total = normalizeAmount(amount);
+  const normalizedSplit = normalizeSplit(split || {
+    mode: 'exact',
+    participants: participants.map(participant => ({
+      user_id: participant && participant.user_id,
+      amount: participant && participant.amount
+    }))
+  });
+  
+  return {
+    amount: total,
+    participants: computeSplit(total, normalizedSplit, decimals),
+    split: normalizedSplit,
+    items: []
+  };
+}
+
+// Get the category to store. It must exist and be shared or the group's own; without
+// category_id in the body an updated expense keeps its category.
+async function resolveCategory({ category_id }, groupId, existingExpense) {
+  if (category_id === undefined) {
+    return existingExpense ? existingExpense.category_id : null;
+  }
+  
+  if (category_id === null) return null;
+  
+  if (!/^\d+$/.test(String(category_id))) {
+    throw new ValidationError('category_id must be a category ID');
+  }
+  
+  const category = await categoryRepository.findById(category_id);
+  
+  if (!category || !isCategoryAvailable(category, groupId)) {
+    throw new ValidationError(`Category ${category_id} does not exist${groupId ? ' in this group' : ''}`);
+  }
+  
+  return category.id;
+}
+
+// Get the expense currency and the rate used to convert it into the
+// group's base currency. The rate comes from the body, else stays what the expense was
+// entered with, else is looked up in the exchange-rate table (on rateDate, default today).
+async function resolveCurrency({ currency, exchange_rate }, group, existingExpense, rateDate) {
+  const baseCurrency = (group && group.base_currency) || DEFAULT_CURRENCY;
+  const expenseCurrency = currency
+    ? normalizeCurrency(currency)
+    : (existingExpense && existingExpense.currency) || baseCurrency;
+  
+  if (expenseCurrency === baseCurrency) {
+    return { currency: expenseCurrency, exchange_rate: 1, base_currency: baseCurrency };
+  }
+  
+  if (exchange_rate !== undefined && exchange_rate !== null) {
+    return {
+      currency: expenseCurrency,
+      exchange_rate: normalizeRate(exchange_rate, 'exchange_rate'),
+      base_currency: baseCurrency
+    };
+  }
+  
+  if (existingExpense
+    && existingExpense.currency === expenseCurrency
+    && existingExpense.base_currency === baseCurrency) {
+    return {
+      currency: expenseCurrency,
+      exchange_rate: parseFloat(existingExpense.exchange_rate),
+      base_currency: baseCurrency
+    };
+  }
+  
+  const rate = await findRate(expenseCurrency, baseCurrency, rateDate);
+  
+  if (rate === null) {
+    throw new ValidationError(
+      `No exchange rate from ${expenseCurrency} to ${baseCurrency}. Send exchange_rate or add one through /api/exchange-rates`
+    );
+  }
+  
+  return { currency: expenseCurrency, exchange_rate: rate, base_currency: baseCurrency };
+}
+
+module.exports = {
+  prepareExpense
+}; 
\ No newline at end of file
@@ -0,0 +1,413 @@
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const userRepository = require('../repositories/userRepository');
+const { groupPayersByExpense } = require('./payers');
+const { buildExpenseTransactions } = require('./transactions');
+const { DEFAULT_CURRENCY, currencyDecimals } = require('./currency');
+const { loadPaymentLedger, buildPaymentStatus } = require('./payments');
+const { parsePagination, encodeCursor, setPaginationHeaders } = require('./pagination');
+const { normalizeTag } = require('./categories');
+const { ValidationError } = require('./errors');
+
+// Columns expense listings can be sorted by; a leading '-' sorts in descending order
+const SORT_COLUMNS = ['created_at', 'amount', 'name'];
+const DEFAULT_SORT = '-created_at';
+
+// Values of ?status=: settled expenses have every transaction paid
+const PAYMENT_STATUSES = ['settled', 'unsettled'];
+
+// The status filter is checked on this many expenses at a time, and on at most
+// MAX_CHECKED_EXPENSES for one page
+const CHECK_BATCH_SIZE = 200;
+const MAX_CHECKED_EXPENSES = 2000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read the filters and sort order of an expense listing from the query string:
+// from, to, payer_id, participant_id, min_amount, max_amount, search, category_id, tag,
+// status and sort
+function parseExpenseFilters(query) {
+  const where = parseDateRange(query);
+  
+  if (query.category_id !== undefined && query.category_id !== '') {
+    where.push({ category_id: parseCategoryIds(query.category_id) });
+  }
+  
+  const minAmount = parseAmount(query.min_amount, 'min_amount');
+  const maxAmount = parseAmount(query.max_amount, 'max_amount');
+  
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw new ValidationError('min_amount cannot be greater than max_amount');
+  }
+  if (minAmount !== null) {
+    where.push({ amount: { gte: minAmount } });
+  }
+  if (maxAmount !== null) {
+    where.push({ amount: { lte: maxAmount } });
+  }
+  
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  if (search) {
+    // Match the words anywhere in the name, treating % and _ literally
+    where.push({ name: { ilike: `%${search.replace(/[\\%_]/g, '\\$&')}%` } });
+  }
+  
+  if (query.status !== undefined && !PAYMENT_STATUSES.includes(query.status)) {
+    throw new ValidationError(`status must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+  }
+  
+  const sort = query.sort === undefined ? DEFAULT_SORT : String(query.sort);
+  const descending = sort.startsWith('-');
+  const column = descending ? sort.slice(1) : sort;
+  
+  if (!SORT_COLUMNS.includes(column)) {
+    throw new ValidationError(`sort must be one of: ${SORT_COLUMNS.join(', ')} (prefix with - for descending order)`);
+  }
+  
+  return {
+    where,
+    payerId: parseUserId(query.payer_id, 'payer_id'),
+    participantId: parseUserId(query.participant_id, 'participant_id'),
+    tags: parseTags(query.tag),
+    status: query.status || null,
+    sort: { key: sort, column, descending }
+  };
+}
+
+// Read ?from= and ?to= into conditions on when expenses were created. A date without
+// a time includes the whole day.
+function parseDateRange({ from, to }) {
+  const where = [];
+  
+  if (from !== undefined) {
+    where.push({ created_at: { gte: parseDate(from, 'from') } });
+  }
+  if (to !== undefined) {
+    const toDate = parseDate(to, 'to');
+    where.push({ created_at: DATE_ONLY.test(toDate) ? { lt: nextDay(toDate) } : { lte: toDate } });
+  }
+  
+  return where;
+}
+
+// Load one page of the expenses matching the request's filters, in the requested order.
+// Paging uses ?limit= with either ?cursor= (from X-Next-Cursor) or ?offset=, and the
+// pagination headers are set on the response.
+async function findExpensePage(req, res, { columns = '*' } = {}) {
+  const { groupId } = req.params;
+  const filters = parseExpenseFilters(req.query);
+  const { limit, offset, cursor } = parsePagination(req.query);
+  const { key, column, descending } = filters.sort;
+  
+  if (cursor && cursor[0] !== key) {
+    throw new ValidationError('cursor was issued for a different sort order');
+  }
+  
+  const options = {
+    groupId,
+    ids: await findRelatedExpenseIds(groupId, filters),
+    where: filters.where,
+    columns,
+    order: descending ? [`-${column}`, '-id'] : [column, 'id']
+  };
+  
+  if (filters.status !== null) {
+    return findCheckedExpensePage(req, res, options, filters, { limit, offset, cursor });
+  }
+
+  // Fetch one row more than the page, to know whether another page follows
+  const [rows, total] = await Promise.all([
+    cursor
+      ? listAfterCursor({ ...options, limit: limit + 1 }, filters.sort, cursor)
+      : expenseRepository.list({ ...options, limit: limit + 1, offset }),
+    expenseRepository.count({ groupId, ids: options.ids, where: filters.where })
+  ]);
+  
+  const expenses = rows.slice(0, limit);
+  const last = expenses[expenses.length - 1];
+  const nextCursor = rows.length > limit ? encodeCursor([key, last[column], last.id]) : null;
+  
+  setPaginationHeaders(req, res, { total, limit, offset, cursor, nextCursor });
+  
+  return expenses;
+}
+
+// Load a page when the status filter is used. That depends on the payments, so the expenses
+// matching the other filters are read in order a batch at a time and checked until the page
+// is full, checking at most MAX_CHECKED_EXPENSES. When that runs out first the page may be
+// short, and X-Next-Cursor continues after the last expense checked. X-Total-Count is only
+// set when every expense was checked.
+async function findCheckedExpensePage(req, res, options, filters, { limit, offset, cursor }) {
+  const { key, column } = filters.sort;
+  const scanColumns = withColumns(options.columns, ['id', 'amount', 'payer_id', 'currency', column]);
+  const wanted = offset + limit + 1;
+  
+  const matches = [];
+  let position = cursor;
+  let checked = 0;
+  let exhausted = false;
+  
+  while (matches.length < wanted && !exhausted && checked < MAX_CHECKED_EXPENSES) {
+    const batchSize = Math.min(CHECK_BATCH_SIZE, MAX_CHECKED_EXPENSES - checked);
+    const batchOptions = { ...options, columns: scanColumns, limit: batchSize };
+    const batch = position
+      ? await listAfterCursor(batchOptions, filters.sort, position)
+      : await expenseRepository.list(batchOptions);
+    
+    checked += batch.length;
+    exhausted = batch.length < batchSize;
+    
+    if (batch.length === 0) break;
+    
+    const last = batch[batch.length - 1];
+    position = [key, last[column], last.id];
+    
+    const matching = await filterByStatus(batch, filters.status);
+    matches.push(...matching.map(expense => ({ expense, position: [key, expense[column], expense.id] })));
+  }
+  
+  const complete = exhausted || matches.length >= wanted;
+  if (!complete && matches.length < offset) {
+    throw new ValidationError(`offset reaches past the ${MAX_CHECKED_EXPENSES} expenses checked for status; page with cursor instead`);
+  }
+  
+  const page = matches.slice(offset, offset + limit);
+  let nextCursor = null;
+  if (matches.length > offset + limit) {
+    nextCursor = encodeCursor(page[page.length - 1].position);
+  } else if (!exhausted) {
+    nextCursor = encodeCursor(position);
+  }
+  
+  setPaginationHeaders(req, res, {
+    total: exhausted ? matches.length : null,
+    limit,
+    offset,
+    cursor,
+    nextCursor
+  });
+  
+  return page.map(match => match.expense);
+}
+
+// Load everything needed to report on a list of expenses: participants, payers, settlement
+// transactions, recorded payments (unless withPayments is false) and (unless withUsers is
+// false) the users involved.
+// Each is fetched with one query for the whole list, so the number of queries does not
+// grow with the number of expenses.
+async function loadExpenseDetails(expenses, { withUsers = true, withPayments = true } = {}) {
+  const expenseIds = expenses.map(expense => expense.id);
+  const [participants, payerRows] = expenseIds.length > 0
+    ? await Promise.all([
+      participantRepository.list({ expenseIds }),
+      expenseRepository.listPayers({ expenseIds })
+    ])
+    : [[], []];
+  
+  const payersByExpense = groupPayersByExpense(expenses, payerRows);
+  const participantsByExpense = expenses.reduce((acc, expense) => {
+    acc[expense.id] = [];
+    return acc;
+  }, {});
+  participants.forEach(participant => {
+    participantsByExpense[participant.expense_id].push(participant);
+  });
+
+  // Calculate the transactions of each expense, from each participant to each payer
+  const transactionsByExpense = expenses.reduce((acc, expense) => {
+    acc[expense.id] = buildExpenseTransactions(
+      expense,
+      participantsByExpense[expense.id],
+      payersByExpense[expense.id],
+      currencyDecimals(expense.currency || DEFAULT_CURRENCY)
+    );
+    return acc;
+  }, {});
+
+  // Get recorded payments for all the transactions, and the users involved
+  const transactionIds = Object.values(transactionsByExpense).flat().map(trans => trans.id);
+  const userIds = withUsers ? uniqueIds([
+    ...expenses.map(expense => expense.payer_id),
+    ...payerRows.map(payer => payer.user_id),
+    ...participants.map(participant => participant.user_id)
+  ]) : [];
+  
+  const [paymentLedger, users] = await Promise.all([
+    withPayments ? loadPaymentLedger(transactionIds) : null,
+    userIds.length > 0 ? userRepository.list({ ids: userIds }) : []
+  ]);
+  
+  const userMap = users.reduce((acc, user) => {
+    acc[user.id] = user;
+    return acc;
+  }, {});
+  
+  return {
+    participantsByExpense,
+    payersByExpense,
+    transactionsByExpense,
+    paymentLedger,
+    userMap
+  };
+}
+
+// Find the IDs of the expenses in scope passing the payer, participant and tag filters, which
+// are kept in other tables, so the listing can be narrowed to them in its query. Returns
+// null without those filters.
+async function findRelatedExpenseIds(groupId, filters) {
+  const idSets = [];
+  
+  if (filters.payerId !== null) {
+    // Expenses from before multiple payers have no payer rows and were paid by payer_id
+    const [payerRows, paidExpenses] = await Promise.all([
+      expenseRepository.listPayers({ userId: filters.payerId }),
+      expenseRepository.list({ groupId, where: { payer_id: filters.payerId }, columns: 'id', order: [] })
+    ]);
+    idSets.push(new Set([...payerRows.map(row => row.expense_id), ...paidExpenses.map(expense => expense.id)]));
+  }
+  
+  if (filters.participantId !== null) {
+    const participants = await participantRepository.list({ userId: filters.participantId });
+    idSets.push(new Set(participants.map(participant => participant.expense_id)));
+  }
+  
+  if (filters.tags.length > 0) {
+    // Expenses need every one of the tags
+    const tagRows = await expenseRepository.listTags({ tags: filters.tags });
+    const tagsByExpense = tagRows.reduce((acc, row) => {
+      acc[row.expense_id] = (acc[row.expense_id] || 0) + 1;
+      return acc;
+    }, {});
+    idSets.push(new Set(Object.keys(tagsByExpense).filter(id => tagsByExpense[id] === filters.tags.length).map(Number)));
+  }
+  
+  if (idSets.length === 0) return null;
+  
+  const [first, ...rest] = idSets;
+  return [...first].filter(id => rest.every(ids => ids.has(id)));
+}
+
+// Keep the expenses of a batch that are settled (every transaction paid), or not
+async function filterByStatus(expenses, status) {
+  const details = await loadExpenseDetails(expenses, { withUsers: false });
+  
+  return expenses.filter(expense => {
+    const settled = details.transactionsByExpense[expense.id].every(trans => (
+      buildPaymentStatus(trans.id, parseFloat(trans.amount), details.paymentLedger).state === 'paid'
+    ));
+    return settled === (status === 'settled');
+  });
+}
+
+// List the expenses after a cursor's row: first the ones tied with it
+// on the sort column (ordered by ID), then the ones past it
+async function listAfterCursor(options, { column, descending }, cursor) {
+  const [, value, id] = cursor;
+  const after = descending ? 'lt' : 'gt';
+  
+  if (value === undefined || value === null || !Number.isInteger(id)) {
+    throw new ValidationError('cursor is invalid');
+  }
+  
+  const ties = await expenseRepository.list({
+    ...options,
+    where: [...options.where, { [column]: value, id: { [after]: id } }]
+  });
+  
+  if (ties.length >= options.limit) return ties;
+  
+  const rest = await expenseRepository.list({
+    ...options,
+    where: [...options.where, { [column]: { [after]: value } }],
+    limit: options.limit - ties.length
+  });
+  
+  return [...ties, ...rest];
+}
+
+// Read a date or date-time query parameter
+function parseDate(value, name) {
+  const text = String(value);
+  
+  if (Number.isNaN(new Date(text).getTime())) {
+    throw new ValidationError(`${name} must be a date (YYYY-MM-DD) or date-time`);
+  }
+  
+  return DATE_ONLY.test(text) ? text : new Date(text).toISOString();
+}
+
+// Get the day after a YYYY-MM-DD date
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+// Read an optional non-negative amount query parameter
+function parseAmount(value, name) {
+  if (value === undefined || value === '') return null;
+  
+  const amount = Number(value);
+  
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ValidationError(`${name} must be a number of at least 0`);
+  }
+  
+  return amount;
+}
+
+// Read an optional user ID query parameter
+function parseUserId(value, name) {
+  if (value === undefined || value === '') return null;
+  
+  if (!/^\d+$/.test(String(value))) {
+    throw new ValidationError(`${name} must be a user ID`);
+  }
+  
+  return Number(value);
+}
+
+// Read ?category_id=: one or more category IDs separated by commas, or 'none' for
+// uncategorized expenses. Returns one value for the where condition.
+function parseCategoryIds(value) {
+  if (value === 'none') return null;
+  
+  const ids = String(value).split(',').map(id => id.trim());
+  
+  if (ids.some(id => !/^\d+$/.test(id))) {
+    throw new ValidationError("category_id must be category IDs separated by commas, or 'none'");
+  }
+  
+  return ids.map(Number);
+}
+
+// Read ?tag=: one or more tags separated by commas, or the parameter repeated
+function parseTags(value) {
+  if (value === undefined) return [];
+  
+  const values = Array.isArray(value) ? value : [value];
+  
+  return [...new Set(values.flatMap(tags => String(tags).split(',')).map(normalizeTag).filter(tag => tag))];
+}
+
+// Add the columns a listing needs to a select list, unless it already selects everything
+function withColumns(columns, required) {
+  if (columns === '*') return columns;
+  
+  const selected = columns.split(',').map(name => name.trim());
+  return [...selected, ...required.filter(name => !selected.includes(name))].join(', ');
+}
+
+// Drop duplicate and missing IDs
+function uniqueIds(ids) {
+  return [...new Set(ids.filter(id => id !== null && id !== undefined))];
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  PAYMENT_STATUSES,
+  parseDateRange,
+  parseExpenseFilters,
+  findExpensePage,
+  loadExpenseDetails
+}; 
\ No newline at end of file
@@ -0,0 +1,113 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { ValidationError } = require('./errors');
+
+// Formats the export endpoints can write
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Byte order mark, so Excel opens CSV files as UTF-8 and keeps Vietnamese names intact
+const UTF8_BOM = '\uFEFF';
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Check the ?format= of an export
+function parseExportFormat(format, defaultFormat = 'csv') {
+  const exportFormat = format === undefined ? defaultFormat : String(format).toLowerCase();
+  
+  if (!EXPORT_FORMATS.includes(exportFormat)) {
+    throw new ValidationError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  
+  return exportFormat;
+}
+
+// Write one CSV field, quoted when needed. Text starting with = + - or @ gets a leading
+// apostrophe so spreadsheets show it instead of running it as a formula.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  
+  let text = String(value);
+  
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write one CSV line from the row's values for the columns
+function csvLine(columns, row) {
+  return `${columns.map(column => csvField(row[column.key])).join(',')}\r\n`;
+}
+
+// Stream a sheet as a CSV file. sheet has a name, columns ({ header, key, width })
+// and rows: an (async) iterable of arrays of rows, written batch by batch.
+async function writeCsv(res, filename, sheet) {
+  const header = sheet.columns.reduce((acc, column) => {
+    acc[column.key] = column.header;
+    return acc;
+  }, {});
+  
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}.csv"`
+  });
+  res.write(UTF8_BOM + csvLine(sheet.columns, header));
+  
+  for await (const rows of sheet.rows) {
+    // Wait for the client to catch up before reading more rows
+    if (!res.write(rows.map(row => csvLine(sheet.columns, row)).join(''))) {
+      await once(res, 'drain');
+    }
+  }
+  
+  res.end();
+}
+
+// Stream sheets as an Excel workbook, one worksheet each
+async function writeXlsx(res, filename, sheets) {
+  res.set({
+    'Content-Type': XLSX_CONTENT_TYPE,
+    'Content-Disposition': `attachment; filename="${filename}.xlsx"`
+  });
+  
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.columns = sheet.columns.map(({ header, key, width }) => ({ header, key, width }));
+    worksheet.getRow(1).font = { bold: true };
+    
+    for await (const rows of sheet.rows) {
+      rows.forEach(row => worksheet.addRow(row).commit());
+    }
+    
+    worksheet.commit();
+  }
+  
+  await workbook.commit();
+}
+
+// Write sheets in the requested format. CSV holds a single sheet.
+async function writeExport(res, format, filename, sheets) {
+  if (format === 'xlsx') {
+    return writeXlsx(res, filename, sheets);
+  }
+  
+  if (sheets.length !== 1) {
+    throw new ValidationError('A CSV export holds a single table; use format=xlsx for several');
+  }
+  
+  return writeCsv(res, filename, sheets[0]);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  UTF8_BOM,
+  parseExportFormat,
+  csvField,
+  writeCsv,
+  writeXlsx,
+  writeExport
+}; 
\ No newline at end of file
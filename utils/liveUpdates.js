@@ -0,0 +1,161 @@
+const groupRepository = require('../repositories/groupRepository');
+const { buildScopedSummary } = require('./summary');
+const { ValidationError } = require('./errors');
+
+// How many recent events are kept for streams that reconnect with Last-Event-ID
+const HISTORY_SIZE = Number(process.env.STREAM_HISTORY_SIZE) || 1000;
+
+// Event IDs start with when the server started, so IDs from before a restart are recognised
+const STARTED_AT = Date.now().toString(36);
+
+const clients = new Set();
+const history = [];
+let lastSequence = 0;
+
+// Events are sent and streams opened one at a time, so every stream gets its events in order
+let queue = Promise.resolve();
+
+// Run a task after the ones already queued
+function enqueue(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+// Keep an event for reconnecting streams and send it to the open streams that may see it.
+// Returns at once; the event is sent in the background.
+function publishLiveUpdate(event) {
+  lastSequence += 1;
+  
+  const entry = { id: `${STARTED_AT}-${lastSequence}`, sequence: lastSequence, event, balances: undefined };
+  history.push(entry);
+  if (history.length > HISTORY_SIZE) history.shift();
+  
+  enqueue(async () => {
+    const memberships = new Map();
+    
+    for (const client of clients) {
+      if (client.lastSequence >= entry.sequence || !(await canSee(client, entry.event, memberships))) continue;
+      
+      // Balances are those of the event's group (or overall), worked out once and kept for replays
+      if (entry.balances === undefined) {
+        entry.balances = await loadBalances(entry.event.group_id);
+      }
+      writeEntry(client, entry);
+    }
+  }).catch(error => {
+    console.error(`Error sending ${event.type} live update:`, error);
+  });
+}
+
+// Start sending events to a client: { res, userId, groupId }, where groupId limits it to
+// the events of a group. With lastEventId the events missed since then are sent first, or
+// a reset event when they are no longer known. The current balances follow.
+function openStream(client, lastEventId) {
+  return enqueue(async () => {
+    client.lastSequence = lastSequence;
+    clients.add(client);
+    
+    if (lastEventId) {
+      await replay(client, String(lastEventId));
+    }
+    
+    writeEvent(client.res, { event: 'balances', data: await loadBalances(client.groupId) });
+  });
+}
+
+// Stop sending events to a client
+function closeStream(client) {
+  clients.delete(client);
+}
+
+// Send a reconnecting client the events after lastEventId, or a reset event when some of
+// them are no longer kept (or the server restarted since)
+async function replay(client, lastEventId) {
+  const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId);
+  const since = match && match[1] === STARTED_AT ? Number(match[2]) : null;
+  const oldest = history.length > 0 ? history[0].sequence : lastSequence + 1;
+  
+  if (since === null || since > lastSequence || since < oldest - 1) {
+    writeEvent(client.res, {
+      event: 'reset',
+      data: { message: 'Some changes were missed; fetch the data again' }
+    });
+    return;
+  }
+  
+  const memberships = new Map();
+  client.lastSequence = since;
+  
+  for (const entry of history) {
+    if (entry.sequence <= since) continue;
+    
+    if (await canSee(client, entry.event, memberships)) {
+      writeEntry(client, entry);
+    } else {
+      client.lastSequence = entry.sequence;
+    }
+  }
+}
+
+// Whether a client may see an event: streams of a group see that group's events, the others
+// see events outside groups and in the groups their user belongs to. memberships caches the
+// users' group IDs while one event is sent.
+async function canSee(client, event, memberships) {
+  if (client.groupId) {
+    if (String(event.group_id) !== String(client.groupId)) return false;
+  } else if (event.group_id === null) {
+    return true;
+  }
+  
+  if (!client.userId) return false;
+  
+  if (!memberships.has(client.userId)) {
+    memberships.set(client.userId, groupRepository.getGroupIdsForUser(client.userId));
+  }
+  const groupIds = await memberships.get(client.userId);
+  
+  return groupIds.some(groupId => String(groupId) === String(event.group_id));
+}
+
+// Work out the per-user balances of a group's summary, or of the overall summary, as
+// GET /api/summary does. Null when they cannot be worked out (e.g. a missing exchange rate).
+async function loadBalances(groupId) {
+  try {
+    const group = groupId ? await groupRepository.findById(groupId) : null;
+    if (groupId && !group) return null;
+    
+    const summary = await buildScopedSummary(group);
+    
+    return { group_id: group ? group.id : null, currency: summary.currency, users: summary.userSummary };
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      console.error(`Error working out live update balances ${groupId ? `in group ${groupId}` : 'overall'}:`, error);
+    }
+    return null;
+  }
+}
+
+// Send a kept event to a client, with the balances of the event's group or the overall ones
+// (null when the event is replayed and they were not worked out at the time)
+function writeEntry(client, entry) {
+  writeEvent(client.res, {
+    id: entry.id,
+    event: entry.event.type,
+    data: { ...entry.event, balances: entry.balances === undefined ? null : entry.balances }
+  });
+  client.lastSequence = entry.sequence;
+}
+
+// Write one Server-Sent Event, unless the client has gone
+function writeEvent(res, { id, event, data }) {
+  if (res.writableEnded || res.destroyed) return;
+  
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  publishLiveUpdate,
+  openStream,
+  closeStream
+}; 
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { ValidationError } = require('./errors');
+
+// Page size used when the request does not ask for one, and the largest allowed
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Read ?limit= with either ?offset= or ?cursor= from the query string.
+// cursor is decoded into the values it was built from, or null.
+function parsePagination({ limit, offset, cursor }) {
+  const pageLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  const pageOffset = offset === undefined ? 0 : Number(offset);
+  
+  if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_LIMIT) {
+    throw new ValidationError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+    throw new ValidationError('offset must be a whole number of at least 0');
+  }
+  if (cursor !== undefined && offset !== undefined) {
+    throw new ValidationError('Use either cursor or offset, not both');
+  }
+  
+  return {
+    limit: pageLimit,
+    offset: pageOffset,
+    cursor: cursor === undefined ? null : decodeCursor(cursor)
+  };
+}
+
+// Build an opaque cursor from the values that locate the last row of a page
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values), 'utf8').toString('base64url');
+}
+
+// Read the values back out of a cursor
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(values)) return values;
+  } catch (error) {
+    // Reported below
+  }
+  
+  throw new ValidationError('cursor is invalid');
+}
+
+// Describe the page in response headers, so list bodies stay plain arrays:
+// X-Total-Count (left out when total is null, i.e. not known), X-Next-Cursor when there
+// are more rows, and a Link header pointing to the next page (and the previous one when
+// paging by offset). Without a total the next page is linked by cursor.
+function setPaginationHeaders(req, res, { total, limit, offset, cursor, nextCursor }) {
+  const pageUrl = params => {
+    const query = { ...req.query, limit, ...params };
+    delete query[params.cursor === undefined ? 'cursor' : 'offset'];
+    return `<${req.baseUrl}${req.path}?${new URLSearchParams(query)}>`;
+  };
+  
+  const links = [];
+  if (cursor || total === null) {
+    if (nextCursor) {
+      links.push(`${pageUrl({ cursor: nextCursor })}; rel="next"`);
+    }
+  } else if (offset + limit < total) {
+    links.push(`${pageUrl({ offset: offset + limit })}; rel="next"`);
+  }
+  if (!cursor && offset > 0) {
+    links.push(`${pageUrl({ offset: Math.max(0, offset - limit) })}; rel="prev"`);
+  }
+  
+  if (total !== null) {
+    res.set('X-Total-Count', String(total));
+  }
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor);
+  }
+  if (links.length > 0) {
+    res.set('Link', links.join(', '));
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  setPaginationHeaders
+}; 
\ No newline at end of file
@@ -0,0 +1,65 @@
+const { ValidationError } = require('./errors');
+
+// Check a payers array against the expense amount and return it with numeric amounts
+function normalizePayers(payers, amount, decimals = 0) {
+  if (!Array.isArray(payers) || payers.length === 0) {
+    throw new ValidationError('payers must be a non-empty array');
+  }
+  
+  const factor = 10 ** decimals;
+  const seen = new Set();
+  
+  const normalizedPayers = payers.map(payer => {
+    if (!payer || !payer.user_id) {
+      throw new ValidationError('Every payer needs a user_id');
+    }
+    if (seen.has(String(payer.user_id))) {
+      throw new ValidationError(`User ${payer.user_id} appears more than once in payers`);
+    }
+    seen.add(String(payer.user_id));
+    
+    const payerAmount = Number(payer.amount);
+    if (!Number.isFinite(payerAmount) || payerAmount < 0) {
+      throw new ValidationError(`Payer ${payer.user_id} needs a non-negative amount`);
+    }
+    
+    return { user_id: payer.user_id, amount: Math.round(payerAmount * factor) / factor };
+  });
+  
+  const paidUnits = normalizedPayers.reduce((sum, payer) => sum + Math.round(payer.amount * factor), 0);
+  if (paidUnits !== Math.round(Number(amount) * factor)) {
+    throw new ValidationError(`Payer amounts must add up to the expense amount ${amount} (got ${paidUnits / factor})`);
+  }
+  
+  return normalizedPayers;
+}
+
+// The main payer stored in expenses.payer_id: whoever paid the most, the first listed on ties
+function primaryPayerId(payers) {
+  return payers.reduce((main, payer) => (payer.amount > main.amount ? payer : main), payers[0]).user_id;
+}
+
+// Group expense_payers rows by expense. Expenses without rows (created before multiple
+// payers were supported) were paid in full by expenses.payer_id.
+function groupPayersByExpense(expenses, payerRows) {
+  const rowsByExpense = payerRows.reduce((acc, row) => {
+    if (!acc[row.expense_id]) {
+      acc[row.expense_id] = [];
+    }
+    acc[row.expense_id].push({ user_id: row.user_id, amount: parseFloat(row.amount) });
+    return acc;
+  }, {});
+  
+  return expenses.reduce((acc, expense) => {
+    acc[expense.id] = rowsByExpense[expense.id] || [
+      { user_id: expense.payer_id, amount: parseFloat(expense.amount) }
+    ];
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  normalizePayers,
+  primaryPayerId,
+  groupPayersByExpense
+}; 
\ No newline at end of file
@@ -0,0 +1,85 @@
+const paymentRepository = require('../repositories/paymentRepository');
+
+// Remaining amounts below this count as settled
+const PAID_TOLERANCE = 0.005;
+
+// Current time shifted to Vietnam time (GMT+7), as stored in the payment tables
+function vietnamTimestamp(date = new Date()) {
+  return new Date(date.getTime() + (7 * 60 * 60 * 1000)).toISOString();
+}
+
+// Load the payments ledger for a list of transaction IDs (all transactions when omitted):
+// non-voided payments grouped by transaction, and legacy boolean statuses marked paid
+// before the ledger existed, which count as fully paid.
+async function loadPaymentLedger(transactionIds) {
+  if (transactionIds && transactionIds.length === 0) {
+    return { payments: {}, legacy: {} };
+  }
+  
+  const [payments, legacyStatuses] = await Promise.all([
+    paymentRepository.list({ transactionIds }),
+    paymentRepository.listLegacyPaid(transactionIds)
+  ]);
+  
+  return {
+    payments: payments.reduce((acc, payment) => {
+      if (!acc[payment.transaction_id]) {
+        acc[payment.transaction_id] = [];
+      }
+      acc[payment.transaction_id].push(payment);
+      return acc;
+    }, {}),
+    legacy: legacyStatuses.reduce((acc, status) => {
+      acc[status.transaction_id] = status;
+      return acc;
+    }, {})
+  };
+}
+
+// Build the payment status of a transaction from the ledger.
+// state is 'unpaid', 'partially_paid' or 'paid'; paid and paid_at are kept for older clients.
+// factor converts payment amounts when the transaction amount is reported in another currency.
+function buildPaymentStatus(transactionId, amount, ledger, factor = 1) {
+  const payments = ledger.payments[transactionId] || [];
+  const legacyStatus = ledger.legacy[transactionId];
+  
+  const paidAmount = legacyStatus
+    ? amount
+    : payments.reduce((sum, payment) => sum + parseFloat(payment.amount) * factor, 0);
+  const remaining = Math.max(0, amount - paidAmount);
+  
+  let state = 'unpaid';
+  if (remaining < PAID_TOLERANCE) {
+    state = 'paid';
+  } else if (paidAmount >= PAID_TOLERANCE) {
+    state = 'partially_paid';
+  }
+  
+  const lastPayment = payments[payments.length - 1];
+  
+  return {
+    transaction_id: transactionId,
+    state,
+    paid: state === 'paid',
+    paid_amount: parseFloat(paidAmount.toFixed(2)),
+    remaining: parseFloat(remaining.toFixed(2)),
+    paid_at: state === 'paid'
+      ? (legacyStatus ? legacyStatus.paid_at : lastPayment && lastPayment.paid_at)
+      : null,
+    payment_count: payments.length
+  };
+}
+
+// Combine the payment statuses of several transactions (e.g. one expense) into one state
+function combinePaymentStates(statuses) {
+  if (statuses.length > 0 && statuses.every(status => status.state === 'paid')) return 'paid';
+  if (statuses.some(status => status.state !== 'unpaid')) return 'partially_paid';
+  return 'unpaid';
+}
+
+module.exports = {
+  vietnamTimestamp,
+  loadPaymentLedger,
+  buildPaymentStatus,
+  combinePaymentStates
+}; 
\ No newline at end of file
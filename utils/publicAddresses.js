@@ -0,0 +1,79 @@
+const dns = require('dns');
+const net = require('net');
+const { ValidationError } = require('./errors');
+
+// Addresses the server must not send requests to on behalf of users: loopback, private,
+// link-local (including cloud metadata at 169.254.169.254), shared, multicast and reserved
+// ranges. WEBHOOK_ALLOW_PRIVATE_URLS=on lifts this for development, e.g. to receive webhooks
+// on localhost; never set it in production.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+// Check whether an IP address is one requests must not go to. The block list also matches
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1).
+function isBlockedAddress(address) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'on') return false;
+  
+  const family = net.isIP(address);
+  if (!family) return true;
+  
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Check that a URL's host resolves only to public addresses. Throws a ValidationError when
+// it does not resolve or any of its addresses is blocked.
+async function checkPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ValidationError(`url host ${hostname} cannot be resolved`);
+  }
+  
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new ValidationError('url must point at a public address, not a loopback, private or link-local one');
+  }
+}
+
+// A dns.lookup for http.request that refuses blocked addresses, so a host cannot resolve to
+// a public address when checked and a private one when connected to
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+    
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isBlockedAddress,
+  checkPublicUrl,
+  lookupPublic
+}; 
\ No newline at end of file
@@ -0,0 +1,129 @@
+const { ValidationError } = require('./errors');
+const { allocate } = require('./split');
+
+// Check receipt line items and return them with a computed line amount
+function normalizeItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('items must be a non-empty array');
+  }
+  
+  return items.map((item, index) => {
+    const label = item && item.name ? `'${item.name}'` : `#${index + 1}`;
+    
+    if (!item || !item.name) {
+      throw new ValidationError(`Item ${label} needs a name`);
+    }
+    
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    const amount = item.amount !== undefined
+      ? Number(item.amount)
+      : Number(item.unit_price) * quantity;
+    
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new ValidationError(`Item ${label} needs a positive quantity`);
+    }
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new ValidationError(`Item ${label} needs an amount or unit_price`);
+    }
+    if (!Array.isArray(item.user_ids) || item.user_ids.length === 0) {
+      throw new ValidationError(`Item ${label} must be assigned to at least one user (user_ids)`);
+    }
+    
+    return {
+      name: item.name,
+      unit_price: item.unit_price !== undefined ? Number(item.unit_price) : amount / quantity,
+      quantity,
+      amount,
+      user_ids: [...new Set(item.user_ids)]
+    };
+  });
+}
+
+// Check bill-level charges; every field is optional and defaults to 0
+function normalizeCharges(charges = {}) {
+  const fields = ['discount', 'discount_percent', 'service_charge_percent', 'vat_percent', 'tip', 'tip_percent'];
+  
+  return fields.reduce((acc, field) => {
+    const value = charges[field] === undefined || charges[field] === null ? 0 : Number(charges[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`charges.${field} must be a non-negative number`);
+    }
+    acc[field] = value;
+    return acc;
+  }, {});
+}
+
+// Compute the bill total and each person's share of an itemized receipt.
+// Charges are applied in the order they appear on a Vietnamese bill: discount on the subtotal,
+// service charge on the discounted subtotal, VAT on that plus service, then the tip. Since every
+// charge scales with the subtotal, each person pays the total in proportion to their own subtotal.
+function computeItemizedSplit(items, charges, decimals = 0) {
+  const normalizedItems = normalizeItems(items);
+  const normalizedCharges = normalizeCharges(charges);
+  const factor = 10 ** decimals;
+  const round = value => Math.round(value * factor) / factor;
+
+  // Each item is shared equally by the people it is assigned to
+  const subtotals = new Map();
+  normalizedItems.forEach(item => {
+    item.user_ids.forEach(userId => {
+      subtotals.set(userId, (subtotals.get(userId) || 0) + item.amount / item.user_ids.length);
+    });
+  });
+  
+  const subtotal = normalizedItems.reduce((sum, item) => sum + item.amount, 0);
+  const discount = Math.min(
+    subtotal,
+    normalizedCharges.discount + subtotal * normalizedCharges.discount_percent / 100
+  );
+  const discounted = subtotal - discount;
+  const serviceCharge = discounted * normalizedCharges.service_charge_percent / 100;
+  const vat = (discounted + serviceCharge) * normalizedCharges.vat_percent / 100;
+  const tip = normalizedCharges.tip + discounted * normalizedCharges.tip_percent / 100;
+  const total = round(discounted + serviceCharge + vat + tip);
+  
+  if (total <= 0) {
+    throw new ValidationError('Itemized total must be greater than zero');
+  }
+  
+  const userIds = [...subtotals.keys()];
+  const weights = userIds.map(userId => subtotals.get(userId));
+  const amounts = subtotal > 0
+    ? allocate(total, weights, decimals)
+    : allocate(total, userIds.map(() => 1), decimals);
+
+  // Per-person breakdown of how their share was made up
+  const breakdown = userIds.map((userId, index) => {
+    const ratio = subtotal > 0 ? weights[index] / subtotal : 1 / userIds.length;
+    return {
+      user_id: userId,
+      subtotal: round(weights[index]),
+      discount: round(discount * ratio),
+      service_charge: round(serviceCharge * ratio),
+      vat: round(vat * ratio),
+      tip: round(tip * ratio),
+      amount: amounts[index]
+    };
+  });
+  
+  return {
+    items: normalizedItems,
+    charges: normalizedCharges,
+    totals: {
+      subtotal: round(subtotal),
+      discount: round(discount),
+      service_charge: round(serviceCharge),
+      vat: round(vat),
+      tip: round(tip),
+      total
+    },
+    breakdown,
+    participants: breakdown.map(({ user_id, amount }) => ({ user_id, amount }))
+  };
+}
+
+module.exports = {
+  normalizeItems,
+  normalizeCharges,
+  computeItemizedSplit
+}; 
\ No newline at end of file
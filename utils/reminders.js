@@ -0,0 +1,279 @@
+const groupRepository = require('../repositories/groupRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const accountRepository = require('../repositories/accountRepository');
+const notificationRepository = require('../repositories/notificationRepository');
+const transport = require('../notifications');
+const { buildScopedSummary, overallTransactionId } = require('./summary');
+const { loadExpenseDetails } = require('./expenseListing');
+const { buildPaymentStatus } = require('./payments');
+const { DEFAULT_CURRENCY } = require('./currency');
+const { signUnsubscribe } = require('./auth');
+
+// Nudges about one transaction are at most this often, and nobody gets more than
+// MAX_NUDGES_PER_DAY of them in 24 hours
+const NUDGE_COOLDOWN_HOURS = Number(process.env.NUDGE_COOLDOWN_HOURS) || 24;
+const MAX_NUDGES_PER_DAY = 3;
+
+// Longest note a nudge can carry
+const MAX_NUDGE_MESSAGE = 500;
+
+// Where the API is reached from outside, for the unsubscribe links in emails
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Work out the settlement transactions of each group (all groups unless groupIds is set)
+// and of the expenses outside groups, the way the summaries do. A group whose summary
+// cannot be worked out (e.g. a missing exchange rate) is logged and left out.
+async function loadLedgers({ groupIds } = {}) {
+  const groups = await groupRepository.list(groupIds ? { ids: groupIds } : {});
+  const ledgers = [];
+  
+  for (const group of [...groups, null]) {
+    try {
+      const summary = await buildScopedSummary(group);
+      
+      ledgers.push({ group, currency: summary.currency, transactions: summary.transactions });
+    } catch (error) {
+      console.error(`Error working out debts ${group ? `in group ${group.id}` : 'outside groups'}:`, error);
+    }
+  }
+  
+  return ledgers;
+}
+
+// Collect what a user still has to pay (owes) and to receive (owed) from the ledgers,
+// leaving out transactions that are fully paid
+function collectDebts(userId, ledgers) {
+  const debts = { owes: [], owed: [] };
+  
+  ledgers.forEach(({ group, currency, transactions }) => {
+    transactions.forEach(transaction => {
+      if (transaction.payment_status.state === 'paid') return;
+      
+      const entry = {
+        transaction_id: transaction.payment_status.transaction_id,
+        group_id: group ? group.id : null,
+        group_name: group ? group.name : null,
+        amount: transaction.payment_status.remaining,
+        currency,
+        related_expenses: transaction.relatedExpenses
+      };
+      
+      if (String(transaction.from) === String(userId)) {
+        debts.owes.push({ ...entry, to_user_id: transaction.to, to_name: transaction.toName, vietQr: transaction.vietQr });
+      } else if (String(transaction.to) === String(userId)) {
+        debts.owed.push({ ...entry, from_user_id: transaction.from, from_name: transaction.fromName });
+      }
+    });
+  });
+  
+  return debts;
+}
+
+// Find a transaction that is not fully paid from its parsed ID, with what is left to pay,
+// or null if it does not exist or is paid
+async function findOpenTransaction(parsed) {
+  let transaction = null;
+  
+  if (parsed.type === 'expense') {
+    const expense = await expenseRepository.findById(parsed.expenseId, null, { anyGroup: true });
+    if (!expense) return null;
+    
+    const details = await loadExpenseDetails([expense], { withUsers: false });
+    const expenseTransaction = details.transactionsByExpense[expense.id].find(trans => (
+      trans.from_user_id === parsed.fromUserId && trans.to_user_id === parsed.toUserId
+    ));
+    if (!expenseTransaction) return null;
+    
+    transaction = {
+      transaction_id: expenseTransaction.id,
+      group_id: expense.group_id,
+      currency: expense.currency || DEFAULT_CURRENCY,
+      related_expenses: [expense.name],
+      payment_status: buildPaymentStatus(expenseTransaction.id, parseFloat(expenseTransaction.amount), details.paymentLedger)
+    };
+  } else {
+    const group = parsed.type === 'group' ? await groupRepository.findById(parsed.groupId) : null;
+    if (parsed.type === 'group' && !group) return null;
+    
+    const summary = await buildScopedSummary(group);
+    const settlement = summary.transactions.find(trans => (
+      trans.from === parsed.fromUserId && trans.to === parsed.toUserId
+    ));
+    if (!settlement) return null;
+    
+    transaction = {
+      transaction_id: overallTransactionId(group && group.id, settlement.from, settlement.to),
+      group_id: group ? group.id : null,
+      currency: summary.currency,
+      related_expenses: settlement.relatedExpenses,
+      payment_status: settlement.payment_status
+    };
+  }
+  
+  if (transaction.payment_status.state === 'paid') return null;
+  
+  return {
+    ...transaction,
+    from_user_id: parsed.fromUserId,
+    to_user_id: parsed.toUserId,
+    amount: transaction.payment_status.remaining
+  };
+}
+
+// Check whether a nudge about a transaction may be sent to the user who owes it. Returns
+// null when it may, or the reason it may not and when to try again.
+async function checkNudgeThrottle(transactionId, userId, now = new Date()) {
+  const recent = await notificationRepository.list({
+    userIds: [userId],
+    kind: 'nudge',
+    status: 'sent',
+    since: new Date(now.getTime() - Math.max(NUDGE_COOLDOWN_HOURS, 24) * HOUR_MS).toISOString()
+  });
+  
+  const lastForTransaction = recent.find(notification => notification.transaction_id === transactionId);
+  if (lastForTransaction) {
+    const retryAt = new Date(new Date(lastForTransaction.created_at).getTime() + NUDGE_COOLDOWN_HOURS * HOUR_MS);
+    if (retryAt > now) {
+      return { message: `A reminder about this transaction was already sent in the last ${NUDGE_COOLDOWN_HOURS} hours`, retryAt };
+    }
+  }
+  
+  const lastDay = recent.filter(notification => new Date(notification.created_at) > new Date(now.getTime() - 24 * HOUR_MS));
+  if (lastDay.length >= MAX_NUDGES_PER_DAY) {
+    const oldest = lastDay[lastDay.length - 1];
+    return {
+      message: `This person has already had ${MAX_NUDGES_PER_DAY} reminders in the last 24 hours`,
+      retryAt: new Date(new Date(oldest.created_at).getTime() + 24 * HOUR_MS)
+    };
+  }
+  
+  return null;
+}
+
+// Get the email address reminders to a user go to: that of the login linked to them, or null
+async function findRecipient(userId) {
+  const [account] = await accountRepository.listByUser(userId);
+  return account ? account.email : null;
+}
+
+// Send a reminder to a user and record it. A failure to send is recorded with the error
+// and returned as a failed notification rather than thrown.
+async function sendReminder({ user, recipient, kind, transactionId = null, sentBy = null, message }) {
+  const unsubscribeUrl = `${PUBLIC_URL}/api/notifications/unsubscribe?token=${signUnsubscribe(user.id)}&kind=${kind === 'digest' ? 'digest' : 'nudges'}`;
+  let error = null;
+  
+  try {
+    await transport.send({
+      to: recipient,
+      subject: message.subject,
+      text: `${message.text}\n\n--\nStop these emails: ${unsubscribeUrl}\n`,
+      html: `${message.html}<hr><p style="color:#6b7280;font-size:12px">Stop these emails: <a href="${escapeHtml(unsubscribeUrl)}">unsubscribe</a></p>`,
+      headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+    });
+  } catch (sendError) {
+    console.error(`Error sending ${kind} to user ${user.id}:`, sendError);
+    error = sendError.message;
+  }
+  
+  return notificationRepository.create({
+    user_id: user.id,
+    kind,
+    transaction_id: transactionId,
+    recipient,
+    subject: message.subject,
+    status: error ? 'failed' : 'sent',
+    error,
+    sent_by: sentBy
+  });
+}
+
+// Write the weekly digest of what a user owes and is owed
+function buildDigestMessage(user, debts) {
+  const totals = list => Object.entries(list.reduce((acc, debt) => {
+    acc[debt.currency] = (acc[debt.currency] || 0) + debt.amount;
+    return acc;
+  }, {})).map(([currency, amount]) => formatAmount(amount, currency)).join(' + ');
+  
+  const owesLines = debts.owes.map(debt => (
+    `${formatAmount(debt.amount, debt.currency)} to ${debt.to_name}${placeOf(debt)}${expensesOf(debt)}`
+  ));
+  const owedLines = debts.owed.map(debt => (
+    `${formatAmount(debt.amount, debt.currency)} from ${debt.from_name}${placeOf(debt)}`
+  ));
+  
+  const sections = [];
+  if (owesLines.length > 0) sections.push({ title: `You owe ${totals(debts.owes)}`, lines: owesLines });
+  if (owedLines.length > 0) sections.push({ title: `You are owed ${totals(debts.owed)}`, lines: owedLines });
+  
+  return {
+    subject: debts.owes.length > 0 ? `You owe ${totals(debts.owes)} on EzSplit` : `You are owed ${totals(debts.owed)} on EzSplit`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Here is where your EzSplit balances stand this week.',
+      ...sections.flatMap(section => ['', `${section.title}:`, ...section.lines.map(line => `- ${line}`)])
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(user.name)},</p>`,
+      '<p>Here is where your EzSplit balances stand this week.</p>',
+      ...sections.map(section => (
+        `<h3>${escapeHtml(section.title)}</h3><ul>${section.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+      ))
+    ].join('\n')
+  };
+}
+
+// Write a nudge about one transaction from the person who is owed
+function buildNudgeMessage(user, sender, transaction, note) {
+  const amount = formatAmount(transaction.amount, transaction.currency);
+  const lines = [
+    `Hi ${user.name},`,
+    '',
+    `${sender.name} is reminding you that you still owe them ${amount}${expensesOf(transaction)}.`,
+    ...(note ? ['', `"${note}"`] : []),
+    '',
+    `Transaction: ${transaction.transaction_id}`
+  ];
+  
+  return {
+    subject: `${sender.name} reminds you: ${amount} to pay`,
+    text: lines.join('\n'),
+    html: lines.filter(line => line).map(line => `<p>${escapeHtml(line)}</p>`).join('\n')
+  };
+}
+
+// Format an amount with its currency, e.g. "150.000 VND"
+function formatAmount(amount, currency) {
+  return `${new Intl.NumberFormat('vi-VN', { maximumFractionDigits: 2 }).format(amount)} ${currency}`;
+}
+
+// Describe which group a debt belongs to, for the digest
+function placeOf(debt) {
+  return debt.group_name ? ` in ${debt.group_name}` : '';
+}
+
+// List the expenses behind a debt, for the digest and nudges
+function expensesOf(debt) {
+  return debt.related_expenses && debt.related_expenses.length > 0
+    ? ` (${debt.related_expenses.join(', ')})`
+    : '';
+}
+
+// Escape text for the HTML version of an email
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = {
+  MAX_NUDGE_MESSAGE,
+  loadLedgers,
+  collectDebts,
+  findOpenTransaction,
+  checkNudgeThrottle,
+  findRecipient,
+  sendReminder,
+  buildDigestMessage,
+  buildNudgeMessage
+}; 
\ No newline at end of file
@@ -0,0 +1,246 @@
+const userRepository = require('../repositories/userRepository');
+const groupRepository = require('../repositories/groupRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const { groupPayersByExpense } = require('./payers');
+const { DEFAULT_CURRENCY, currencyDecimals } = require('./currency');
+const { findConversionFactors } = require('./summary');
+const { vietnamDate, vietnamMidnight, addDays } = require('./schedule');
+const { ValidationError } = require('./errors');
+
+// Lengths of the periods a report can be bucketed by
+const INTERVALS = ['day', 'week', 'month'];
+
+// Limits that keep a report small enough to chart
+const MAX_BUCKETS = 1000;
+const DEFAULT_TOP = 5;
+const MAX_TOP = 50;
+
+// Build a spending report over a date range (YYYY-MM-DD, Vietnam time): each user's spent,
+// paid and net balance per day, week (from Monday) or month, with running totals, plus the
+// most expensive expenses and the average cost per person. Amounts are converted into
+// currency (default: the group's base currency). Without from or to, the range runs from
+// the first to the last expense.
+async function buildSpendingReport({ groupId, group, currency: requestedCurrency, from, to, interval = 'day', top = DEFAULT_TOP }) {
+  if (!INTERVALS.includes(interval)) {
+    throw new ValidationError(`interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+  if (from && to && from > to) {
+    throw new ValidationError('from must not be after to');
+  }
+  
+  const topCount = parseTop(top);
+  
+  const currency = requestedCurrency || (group && group.base_currency) || DEFAULT_CURRENCY;
+  const decimals = currencyDecimals(currency);
+  
+  const where = [];
+  if (from) {
+    where.push({ created_at: { gte: vietnamMidnight(from) } });
+  }
+  if (to) {
+    where.push({ created_at: { lt: vietnamMidnight(addDays(to, 1)) } });
+  }
+  
+  const expenses = await expenseRepository.list({
+    groupId,
+    where,
+    columns: 'id, name, amount, payer_id, currency, exchange_rate, base_currency, created_at',
+    order: ['created_at', 'id']
+  });
+  const expenseIds = expenses.map(expense => expense.id);
+  
+  const [participants, payerRows, factors] = expenseIds.length > 0
+    ? await Promise.all([
+      participantRepository.list({ expenseIds }),
+      expenseRepository.listPayers({ expenseIds }),
+      findConversionFactors(expenses, currency)
+    ])
+    : [[], [], {}];
+  const payersByExpense = groupPayersByExpense(expenses, payerRows);
+
+  // Work out each expense's day in Vietnam time, and the range to report on
+  expenses.forEach(expense => {
+    expense.date = vietnamDate(new Date(expense.created_at));
+  });
+  
+  const rangeFrom = from || (expenses.length > 0 ? expenses[0].date : to || null);
+  const rangeTo = to || (expenses.length > 0 ? expenses[expenses.length - 1].date : from || null);
+  const buckets = rangeFrom ? buildBuckets(rangeFrom, rangeTo, interval) : [];
+
+  // The members of the group, and anyone else with a share or payment in the range
+  const userIds = [...new Set([
+    ...(groupId ? await groupRepository.getMemberIds(groupId) : []),
+    ...participants.map(participant => participant.user_id),
+    ...payerRows.map(payer => payer.user_id),
+    ...expenses.map(expense => expense.payer_id)
+  ].filter(id => id !== null && id !== undefined).map(Number))];
+  const users = userIds.length > 0 ? await userRepository.list({ ids: userIds }) : [];
+
+  // Spent and paid per user in each bucket
+  const bucketIndex = buckets.reduce((acc, bucket, index) => {
+    acc[bucket.start] = index;
+    return acc;
+  }, {});
+  const spent = buckets.map(() => ({}));
+  const paid = buckets.map(() => ({}));
+  const expenseMap = {};
+  const expenseCounts = buckets.map(() => 0);
+  
+  expenses.forEach(expense => {
+    const index = bucketIndex[bucketStart(expense.date, interval)];
+    expenseMap[expense.id] = { ...expense, index };
+    expenseCounts[index] += 1;
+    
+    payersByExpense[expense.id].forEach(payer => {
+      add(paid[index], payer.user_id, payer.amount * factors[expense.id]);
+    });
+  });
+  
+  participants.forEach(participant => {
+    const expense = expenseMap[participant.expense_id];
+    add(spent[expense.index], participant.user_id, parseFloat(participant.amount) * factors[expense.id]);
+  });
+
+  // Running totals per user across the buckets
+  const running = users.reduce((acc, user) => {
+    acc[user.id] = { spent: 0, paid: 0 };
+    return acc;
+  }, {});
+  let runningTotal = 0;
+  
+  const series = buckets.map((bucket, index) => {
+    const total = sum(Object.values(spent[index]));
+    runningTotal += total;
+    
+    return {
+      ...bucket,
+      total: round(total, decimals),
+      cumulative_total: round(runningTotal, decimals),
+      expense_count: expenseCounts[index],
+      users: users.map(user => {
+        const userSpent = spent[index][user.id] || 0;
+        const userPaid = paid[index][user.id] || 0;
+        running[user.id].spent += userSpent;
+        running[user.id].paid += userPaid;
+        
+        return {
+          user_id: user.id,
+          spent: round(userSpent, decimals),
+          paid: round(userPaid, decimals),
+          net: round(userPaid - userSpent, decimals),
+          cumulative_net: round(running[user.id].paid - running[user.id].spent, decimals)
+        };
+      })
+    };
+  });
+
+  // Averages over the people who had a share and the days in the range
+  const participantCount = new Set(participants.map(participant => String(participant.user_id))).size;
+  const days = rangeFrom ? daysBetween(rangeFrom, rangeTo) + 1 : 0;
+  
+  return {
+    currency,
+    interval,
+    from: rangeFrom,
+    to: rangeTo,
+    total: round(runningTotal, decimals),
+    expense_count: expenses.length,
+    average_per_person: participantCount > 0 ? round(runningTotal / participantCount, decimals) : 0,
+    average_per_day: days > 0 ? round(runningTotal / days, decimals) : 0,
+    users: users.map(user => ({
+      user_id: user.id,
+      name: user.name,
+      spent: round(running[user.id].spent, decimals),
+      paid: round(running[user.id].paid, decimals),
+      net: round(running[user.id].paid - running[user.id].spent, decimals)
+    })),
+    buckets: series,
+    top_expenses: topExpenses(expenses, factors, topCount, decimals)
+  };
+}
+
+// List the buckets covering a date range, each with its first and last day
+function buildBuckets(from, to, interval) {
+  const buckets = [];
+  let start = bucketStart(from, interval);
+  
+  while (start <= to) {
+    if (buckets.length >= MAX_BUCKETS) {
+      throw new ValidationError(`The range has more than ${MAX_BUCKETS} ${interval}s; use a shorter range or a longer interval`);
+    }
+    
+    const next = nextBucketStart(start, interval);
+    buckets.push({ start, end: addDays(next, -1) });
+    start = next;
+  }
+  
+  return buckets;
+}
+
+// The first day of the bucket a date falls in: the date itself, its Monday, or the 1st
+function bucketStart(date, interval) {
+  if (interval === 'month') return `${date.slice(0, 7)}-01`;
+  if (interval === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+}
+
+// The first day of the following bucket
+function nextBucketStart(start, interval) {
+  if (interval === 'month') {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 10);
+  }
+  return addDays(start, interval === 'week' ? 7 : 1);
+}
+
+// The most expensive expenses in the report currency
+function topExpenses(expenses, factors, count, decimals) {
+  return expenses
+    .map(expense => ({
+      id: expense.id,
+      name: expense.name,
+      date: expense.date,
+      amount: round(parseFloat(expense.amount) * factors[expense.id], decimals),
+      original_amount: parseFloat(expense.amount),
+      original_currency: expense.currency || DEFAULT_CURRENCY
+    }))
+    .sort((a, b) => b.amount - a.amount || a.id - b.id)
+    .slice(0, count);
+}
+
+// Read ?top=, the number of top expenses to list
+function parseTop(value) {
+  const count = Number(value);
+  
+  if (!Number.isInteger(count) || count < 0 || count > MAX_TOP) {
+    throw new ValidationError(`top must be a whole number from 0 to ${MAX_TOP}`);
+  }
+  
+  return count;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+function add(totals, userId, amount) {
+  totals[userId] = (totals[userId] || 0) + amount;
+}
+
+function sum(amounts) {
+  return amounts.reduce((acc, amount) => acc + amount, 0);
+}
+
+function round(amount, decimals) {
+  return parseFloat(amount.toFixed(decimals));
+}
+
+module.exports = {
+  INTERVALS,
+  buildSpendingReport
+}; 
\ No newline at end of file
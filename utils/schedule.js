@@ -0,0 +1,186 @@
+const { ValidationError } = require('./errors');
+
+// How often a recurring expense can repeat
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Number of upcoming occurrences shown for a recurring expense
+const UPCOMING_COUNT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VIETNAM_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+// Today's date (YYYY-MM-DD) in Vietnam time (GMT+7)
+function vietnamDate(date = new Date()) {
+  return new Date(date.getTime() + VIETNAM_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Midnight of a date in Vietnam time, as an ISO timestamp
+function vietnamMidnight(date) {
+  return new Date(`${date}T00:00:00+07:00`).toISOString();
+}
+
+// Check a YYYY-MM-DD date and return it, or throw a ValidationError
+function parseDate(value, field) {
+  const text = String(value || '');
+  const date = toUtc(text);
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+    throw new ValidationError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  
+  return text;
+}
+
+// Check a schedule and fill in its defaults from the start date: monthly and yearly
+// schedules repeat on the start date's day of the month, weekly ones on its weekday.
+// Days past the end of a short month fall on its last day.
+function normalizeSchedule(schedule, startDate) {
+  if (!schedule || typeof schedule !== 'object') {
+    throw new ValidationError(`schedule must be an object with a frequency (${FREQUENCIES.join(', ')})`);
+  }
+  
+  const { frequency, interval = 1 } = schedule;
+  const start = toUtc(startDate);
+  
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new ValidationError(`schedule.frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  
+  if (!Number.isInteger(Number(interval)) || Number(interval) < 1) {
+    throw new ValidationError('schedule.interval must be a whole number of at least 1');
+  }
+  
+  const normalized = { frequency, interval: Number(interval) };
+  
+  if (frequency === 'weekly') {
+    normalized.day_of_week = checkRange(schedule.day_of_week, start.getUTCDay(), 0, 6, 'schedule.day_of_week');
+  }
+  
+  if (frequency === 'monthly' || frequency === 'yearly') {
+    normalized.day_of_month = checkRange(schedule.day_of_month, start.getUTCDate(), 1, 31, 'schedule.day_of_month');
+  }
+  
+  if (frequency === 'yearly') {
+    normalized.month = checkRange(schedule.month, start.getUTCMonth() + 1, 1, 12, 'schedule.month');
+  }
+  
+  return normalized;
+}
+
+// Find the next date a recurring expense runs on, on or after a date: the first
+// occurrence of its schedule that is not skipped and not past its end date, or null
+function nextRunDate({ schedule, start_date, end_date, skipped_dates = [] }, fromDate) {
+  let date = occurrenceOnOrAfter(schedule, start_date, fromDate > start_date ? fromDate : start_date);
+  
+  while (skipped_dates.includes(date)) {
+    date = occurrenceOnOrAfter(schedule, start_date, addDays(date, 1));
+  }
+  
+  return end_date && date > end_date ? null : date;
+}
+
+// List the next dates a recurring expense runs on, from its next run date
+function upcomingDates(recurringExpense, count = UPCOMING_COUNT) {
+  const dates = [];
+  let date = recurringExpense.next_run_date;
+  
+  while (date && dates.length < count) {
+    dates.push(date);
+    date = nextRunDate(recurringExpense, addDays(date, 1));
+  }
+  
+  return dates;
+}
+
+// Check whether a date is an occurrence of a recurring expense's schedule
+function isOccurrence({ schedule, start_date, end_date }, date) {
+  return date >= start_date
+    && (!end_date || date <= end_date)
+    && occurrenceOnOrAfter(schedule, start_date, date) === date;
+}
+
+// Move a date (YYYY-MM-DD) by a number of days
+function addDays(date, days) {
+  return new Date(toUtc(date).getTime() + (days * DAY_MS)).toISOString().slice(0, 10);
+}
+
+// First occurrence of a schedule on or after a date. Occurrences are numbered from the
+// period the start date falls in, so an interval of 2 counts every other period from it.
+function occurrenceOnOrAfter(schedule, startDate, date) {
+  const periods = periodsBetween(schedule.frequency, startDate, date);
+  let index = Math.max(0, Math.floor(periods / schedule.interval) - 1);
+  let occurrence = nthOccurrence(schedule, startDate, index);
+  
+  while (occurrence < date || occurrence < startDate) {
+    index += 1;
+    occurrence = nthOccurrence(schedule, startDate, index);
+  }
+  
+  return occurrence;
+}
+
+// The occurrence in the index-th repeat of a schedule, counted from the start date's period
+function nthOccurrence(schedule, startDate, index) {
+  const start = toUtc(startDate);
+  const step = index * schedule.interval;
+  
+  switch (schedule.frequency) {
+    case 'daily':
+      return addDays(startDate, step);
+    case 'weekly': {
+      const firstWeekday = addDays(startDate, (schedule.day_of_week - start.getUTCDay() + 7) % 7);
+      return addDays(firstWeekday, step * 7);
+    }
+    case 'monthly':
+      return dayInMonth(start.getUTCFullYear(), start.getUTCMonth() + step, schedule.day_of_month);
+    default:
+      return dayInMonth(start.getUTCFullYear() + step, schedule.month - 1, schedule.day_of_month);
+  }
+}
+
+// Rough number of schedule periods between two dates, used to skip ahead without
+// stepping through every occurrence
+function periodsBetween(frequency, from, to) {
+  const days = (toUtc(to).getTime() - toUtc(from).getTime()) / DAY_MS;
+  
+  if (days <= 0) return 0;
+  
+  return Math.floor(days / { daily: 1, weekly: 7, monthly: 31, yearly: 366 }[frequency]);
+}
+
+// A day of a month, moved back to the month's last day when the month is shorter.
+// month is zero-based and may run past December into the following years.
+function dayInMonth(year, month, day) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+// Read a YYYY-MM-DD date as midnight UTC, so date arithmetic ignores the server's time zone
+function toUtc(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+// Check an optional whole number within a range, defaulting when it is missing
+function checkRange(value, fallback, min, max, field) {
+  if (value === undefined || value === null) return fallback;
+  
+  const number = Number(value);
+  
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(`${field} must be a whole number from ${min} to ${max}`);
+  }
+  
+  return number;
+}
+
+module.exports = {
+  FREQUENCIES,
+  vietnamDate,
+  vietnamMidnight,
+  parseDate,
+  normalizeSchedule,
+  nextRunDate,
+  upcomingDates,
+  isOccurrence,
+  addDays
+}; 
\ No newline at end of file
@@ -0,0 +1,253 @@
+const { ValidationError } = require('./errors');
+
+// Ways of working out who pays whom:
+// greedy - the largest debtor pays the largest creditor until everyone is settled
+// minimum - the fewest transfers possible
+// shared - people only pay those they shared expenses with, netted per pair
+// per-expense - every expense is settled on its own, without netting
+const STRATEGIES = ['greedy', 'minimum', 'shared', 'per-expense'];
+
+// The minimum tries every way of splitting people into sets that settle among themselves,
+// which takes too long beyond this many people with a balance
+const MAX_MINIMUM_USERS = 16;
+
+// Read the settlement options of a summary request: ?strategy=, ?round= (e.g. 1000 to round
+// transfers to the nearest 1,000) and ?exclude= (comma-separated user IDs)
+function parseSettlementOptions(query) {
+  const strategy = query.strategy || 'greedy';
+  
+  if (!STRATEGIES.includes(strategy)) {
+    throw new ValidationError(`strategy must be one of: ${STRATEGIES.join(', ')}`);
+  }
+  
+  let round = null;
+  if (query.round !== undefined && query.round !== '') {
+    round = Number(query.round);
+    
+    if (!Number.isFinite(round) || round <= 0) {
+      throw new ValidationError('round must be a positive amount, e.g. 1000');
+    }
+  }
+  
+  const exclude = query.exclude === undefined || query.exclude === ''
+    ? []
+    : String(query.exclude).split(',').map(id => Number(id.trim()));
+  
+  if (exclude.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new ValidationError('exclude must be a comma-separated list of user IDs');
+  }
+  
+  return { strategy, round, exclude };
+}
+
+// Calculate transactions to settle debts with a strategy. Excluded users neither pay nor are
+// paid; the others settle among themselves as far as their balances allow. round rounds
+// each suggested transfer to the nearest multiple, leaving out those that round to nothing;
+// exact_amount then keeps the amount before rounding, which payments are counted against.
+// expenseTransactions are the per-expense transactions the shared and per-expense
+// strategies start from.
+function calculateTransactions(users, { strategy = 'greedy', round = null, exclude = [], userExpensesMap, expenseMap, expenseTransactions = [] }) {
+  // Create a map of users for easy lookup
+  const userMap = users.reduce((acc, user) => {
+    acc[user.id] = user;
+    return acc;
+  }, {});
+  
+  const excluded = new Set(exclude.map(String));
+  const isIncluded = userId => userMap[userId] && !excluded.has(String(userId));
+  const balances = users.filter(user => isIncluded(user.id)).map(user => ({ id: user.id, balance: user.balance }));
+  const ownTransactions = expenseTransactions.filter(trans => isIncluded(trans.from_user_id) && isIncluded(trans.to_user_id));
+  
+  let transfers;
+  if (strategy === 'per-expense') {
+    transfers = ownTransactions.map(trans => ({
+      from: trans.from_user_id,
+      to: trans.to_user_id,
+      amount: trans.amount,
+      expenseId: trans.expense_id
+    }));
+  } else if (strategy === 'shared') {
+    transfers = netPairs(ownTransactions);
+  } else if (strategy === 'minimum') {
+    transfers = minimumTransfers(balances);
+  } else {
+    transfers = greedyTransfers(balances);
+  }
+  
+  const transactions = [];
+  
+  transfers.forEach(transfer => {
+    const amount = round ? Math.round(transfer.amount / round) * round : transfer.amount;
+    if (amount <= 0) return;
+    
+    const debtor = userMap[transfer.from];
+    const creditor = userMap[transfer.to];
+    
+    transactions.push({
+      from: debtor.id,
+      to: creditor.id,
+      fromName: debtor.name,
+      toName: creditor.name,
+      amount: parseFloat(amount.toFixed(2)),
+      ...(round ? { exact_amount: parseFloat(transfer.amount.toFixed(2)) } : {}),
+      fromBankAccount: debtor.bank_account,
+      toBankAccount: creditor.bank_account,
+      fromBankName: debtor.bank_name,
+      toBankName: creditor.bank_name,
+      relatedExpenses: transfer.expenseId
+        ? [expenseMap[transfer.expenseId]?.name || ''].filter(name => name)
+        : findRelatedExpenses(debtor.id, creditor.id, userExpensesMap, expenseMap),
+      ...(transfer.expenseId ? { expense_id: transfer.expenseId } : {})
+    });
+  });
+  
+  return transactions;
+}
+
+// Match the largest debtor with the largest creditor until one side is settled
+function greedyTransfers(users) {
+  // Clone users array to avoid modifying the original
+  const usersCopy = users.map(user => ({ ...user }));
+
+  // Separate users with debt (negative balance) and credit (positive balance)
+  const debtors = usersCopy.filter(user => user.balance < 0)
+    .sort((a, b) => a.balance - b.balance); // Sort by balance (most negative first)
+  
+  const creditors = usersCopy.filter(user => user.balance > 0)
+    .sort((a, b) => b.balance - a.balance); // Sort by balance (most positive first)
+  
+  const transfers = [];
+
+  // Calculate transactions until all debts are settled
+  while (debtors.length > 0 && creditors.length > 0) {
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    
+    // Determine transaction amount (minimum of debt or credit)
+    const transactionAmount = Math.min(Math.abs(debtor.balance), creditor.balance);
+    
+    if (transactionAmount > 0) {
+      transfers.push({ from: debtor.id, to: creditor.id, amount: transactionAmount });
+    }
+    
+    // Update balances
+    debtor.balance += transactionAmount;
+    creditor.balance -= transactionAmount;
+    
+    // Remove users who have settled their balances
+    if (Math.abs(debtor.balance) < 0.01) {
+      debtors.shift();
+    }
+    
+    if (Math.abs(creditor.balance) < 0.01) {
+      creditors.shift();
+    }
+  }
+  
+  return transfers;
+}
+
+// Find the fewest transfers that settle everyone. n people can always be settled with n - 1
+// transfers; every set of people whose balances add up to zero and who settle among
+// themselves saves one, so this looks for the most such sets and settles each greedily.
+function minimumTransfers(users) {
+  // Work in cents so that balances add up to exactly zero
+  const people = users
+    .map(user => ({ id: user.id, cents: Math.round(user.balance * 100) }))
+    .filter(person => person.cents !== 0);
+
+  // When some users are excluded the others do not add up to zero; a stand-in takes the
+  // difference and their transfers are dropped
+  const total = people.reduce((sum, person) => sum + person.cents, 0);
+  if (total !== 0) {
+    people.push({ id: null, cents: -total });
+  }
+  
+  if (people.length > MAX_MINIMUM_USERS) {
+    throw new ValidationError(`The minimum strategy works for at most ${MAX_MINIMUM_USERS} people with a balance; use greedy instead`);
+  }
+
+  // For every subset of people (a bit mask): the sum of their balances, and the most sets
+  // adding up to zero it can be split into
+  const size = 1 << people.length;
+  const sums = new Float64Array(size);
+  const sets = new Uint8Array(size);
+  
+  for (let mask = 1; mask < size; mask++) {
+    const lowest = Math.log2(mask & -mask);
+    sums[mask] = sums[mask & (mask - 1)] + people[lowest].cents;
+    
+    let best = 0;
+    for (let index = 0; index < people.length; index++) {
+      if (mask & (1 << index)) best = Math.max(best, sets[mask ^ (1 << index)]);
+    }
+    sets[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Take people out one by one the way that keeps the most sets; each time those left add
+  // up to zero, the ones taken out since the last time form a set
+  const groups = [];
+  let current = [];
+  let mask = size - 1;
+  
+  while (mask) {
+    let next = -1;
+    for (let index = 0; index < people.length; index++) {
+      if ((mask & (1 << index)) && (next === -1 || sets[mask ^ (1 << index)] > sets[mask ^ (1 << next)])) {
+        next = index;
+      }
+    }
+    
+    current.push(people[next]);
+    mask ^= 1 << next;
+    
+    if (sums[mask] === 0) {
+      groups.push(current);
+      current = [];
+    }
+  }
+  
+  return groups
+    .flatMap(group => greedyTransfers(group.map(person => ({ id: person.id, balance: person.cents / 100 }))))
+    .filter(transfer => transfer.from !== null && transfer.to !== null);
+}
+
+// Net the per-expense transactions of each pair of people, so each pair settles what they
+// owe each other across the expenses they shared
+function netPairs(expenseTransactions) {
+  const pairs = {};
+  
+  expenseTransactions.forEach(trans => {
+    const [first, second] = [trans.from_user_id, trans.to_user_id].sort((a, b) => a - b);
+    const key = `${first}-${second}`;
+    
+    // Positive amounts are owed by first to second
+    pairs[key] = pairs[key] || { first, second, amount: 0 };
+    pairs[key].amount += trans.from_user_id === first ? trans.amount : -trans.amount;
+  });
+  
+  return Object.values(pairs)
+    .filter(pair => Math.abs(pair.amount) >= 0.01)
+    .map(pair => (pair.amount > 0
+      ? { from: pair.first, to: pair.second, amount: pair.amount }
+      : { from: pair.second, to: pair.first, amount: -pair.amount }));
+}
+
+// Find the expenses behind a transfer: those the debtor took part in and the creditor paid
+function findRelatedExpenses(debtorId, creditorId, userExpensesMap, expenseMap) {
+  const debtorExpenses = userExpensesMap[debtorId] || new Set();
+  
+  return Array.from(debtorExpenses)
+    .filter(expenseId => {
+      const expense = expenseMap[expenseId];
+      return expense && expense.payers.some(payer => payer.user_id === creditorId);
+    })
+    .map(expenseId => expenseMap[expenseId]?.name || '')
+    .filter(name => name);
+}
+
+module.exports = {
+  STRATEGIES,
+  parseSettlementOptions,
+  calculateTransactions
+}; 
\ No newline at end of file
@@ -0,0 +1,133 @@
+const userRepository = require('../repositories/userRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const { DEFAULT_CURRENCY, currencyDecimals } = require('./currency');
+const { findConversionFactors } = require('./summary');
+const { UNCATEGORIZED } = require('./categories');
+
+// Break spending down by category and by tag, in total and per user. Spending is what each
+// participant's share of an expense came to, converted into currency (default: the group's
+// base currency); where limits the expenses taken into account. An expense with several
+// tags counts towards each of them, so the tag totals can add up to more than the total.
+async function buildSpendingBreakdown({ groupId, group, currency: requestedCurrency, where = [] } = {}) {
+  const currency = requestedCurrency || (group && group.base_currency) || DEFAULT_CURRENCY;
+  const decimals = currencyDecimals(currency);
+  
+  const expenses = await expenseRepository.list({
+    groupId,
+    where,
+    columns: 'id, amount, currency, exchange_rate, base_currency, category_id',
+    order: []
+  });
+  const expenseIds = expenses.map(expense => expense.id);
+  
+  const [participants, tagRows, factors] = expenseIds.length > 0
+    ? await Promise.all([
+      participantRepository.list({ expenseIds }),
+      expenseRepository.listTags({ expenseIds }),
+      findConversionFactors(expenses, currency)
+    ])
+    : [[], [], {}];
+  
+  const categoryIds = [...new Set(expenses.map(expense => expense.category_id).filter(id => id))];
+  const userIds = [...new Set(participants.map(participant => participant.user_id))];
+  
+  const [categories, users] = await Promise.all([
+    categoryIds.length > 0 ? categoryRepository.listByIds(categoryIds) : [],
+    userIds.length > 0 ? userRepository.list({ ids: userIds }) : []
+  ]);
+  
+  const expenseMap = expenses.reduce((acc, expense) => {
+    acc[expense.id] = expense;
+    return acc;
+  }, {});
+  
+  const tagsByExpense = tagRows.reduce((acc, row) => {
+    if (!acc[row.expense_id]) {
+      acc[row.expense_id] = [];
+    }
+    acc[row.expense_id].push(row.tag);
+    return acc;
+  }, {});
+
+  // Add each share to its expense's category and tags
+  const byCategory = {};
+  const byTag = {};
+  let total = 0;
+  
+  participants.forEach(participant => {
+    const expense = expenseMap[participant.expense_id];
+    const amount = parseFloat(participant.amount) * factors[expense.id];
+    const categoryKey = expense.category_id || 'none';
+    
+    total += amount;
+    addShare(byCategory, categoryKey, expense.id, participant.user_id, amount);
+    (tagsByExpense[expense.id] || []).forEach(tag => {
+      addShare(byTag, tag, expense.id, participant.user_id, amount);
+    });
+  });
+  
+  const categoryMap = categories.reduce((acc, category) => {
+    acc[category.id] = category;
+    return acc;
+  }, {});
+  
+  return {
+    currency,
+    total: round(total, decimals),
+    categories: sortByTotal(Object.entries(byCategory).map(([key, bucket]) => {
+      const category = categoryMap[key];
+      
+      return {
+        category_id: category ? category.id : null,
+        name: category ? category.name : UNCATEGORIZED,
+        icon: category ? category.icon : null,
+        color: category ? category.color : null,
+        ...formatBucket(bucket, total, users, decimals)
+      };
+    })),
+    tags: sortByTotal(Object.entries(byTag).map(([tag, bucket]) => ({
+      tag,
+      ...formatBucket(bucket, total, users, decimals)
+    })))
+  };
+}
+
+// Add one participant's share to a category or tag bucket
+function addShare(buckets, key, expenseId, userId, amount) {
+  if (!buckets[key]) {
+    buckets[key] = { total: 0, expenseIds: new Set(), users: {} };
+  }
+  
+  const bucket = buckets[key];
+  bucket.total += amount;
+  bucket.expenseIds.add(expenseId);
+  bucket.users[userId] = (bucket.users[userId] || 0) + amount;
+}
+
+// Round a bucket's amounts and work out its share of the total (as a percentage)
+function formatBucket(bucket, total, users, decimals) {
+  return {
+    total: round(bucket.total, decimals),
+    share: total > 0 ? round((bucket.total / total) * 100, 2) : 0,
+    expense_count: bucket.expenseIds.size,
+    users: sortByTotal(Object.entries(bucket.users).map(([userId, amount]) => ({
+      user_id: Number(userId),
+      name: users.find(user => String(user.id) === userId)?.name || 'Unknown',
+      total: round(amount, decimals)
+    })))
+  };
+}
+
+function sortByTotal(rows) {
+  return rows.sort((a, b) => b.total - a.total);
+}
+
+function round(amount, decimals) {
+  return parseFloat(amount.toFixed(decimals));
+}
+
+module.exports = {
+  buildSpendingBreakdown
+}; 
\ No newline at end of file
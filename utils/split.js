@@ -0,0 +1,152 @@
+const { ValidationError } = require('./errors');
+
+// Supported split modes and the per-participant field each one reads
+const SPLIT_MODES = {
+  equal: null,
+  percent: 'percent',
+  shares: 'shares',
+  exact: 'amount',
+  adjustment: 'adjustment'
+};
+
+// Distribute a total across weights in whole units (dong by default).
+// Every participant gets the floor of their exact share; the leftover units go one by one
+// to the largest fractional parts, ties going to the participant listed first.
+function allocate(total, weights, decimals = 0) {
+  const factor = 10 ** decimals;
+  const totalUnits = Math.round(total * factor);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  
+  if (weightSum <= 0) {
+    throw new ValidationError('Split weights must add up to more than zero');
+  }
+  
+  const exactUnits = weights.map(weight => totalUnits * weight / weightSum);
+  const units = exactUnits.map(value => Math.floor(value));
+  const remainder = totalUnits - units.reduce((sum, value) => sum + value, 0);
+
+  // Round fractions so floating point noise cannot reorder equal shares
+  const order = exactUnits
+    .map((value, index) => ({ index, fraction: Math.round((value - units[index]) * 1e9) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+  
+  for (let i = 0; i < remainder; i++) {
+    units[order[i].index] += 1;
+  }
+  
+  return units.map(value => value / factor);
+}
+
+// Check an expense amount: a positive, finite number (or numeric string). Returns it as a number.
+function normalizeAmount(amount) {
+  const total = typeof amount === 'string' && amount.trim() === '' ? NaN : Number(amount);
+  
+  if (amount === null || typeof amount === 'boolean' || !Number.isFinite(total) || total <= 0) {
+    throw new ValidationError('amount must be a positive number');
+  }
+  
+  return total;
+}
+
+// Check the shape of a split object and return it with only the fields its mode uses
+function normalizeSplit(split) {
+  if (!split || typeof split !== 'object' || !Object.prototype.hasOwnProperty.call(SPLIT_MODES, split.mode)) {
+    throw new ValidationError(`split.mode must be one of: ${Object.keys(SPLIT_MODES).join(', ')}`);
+  }
+  
+  const { mode } = split;
+  const field = SPLIT_MODES[mode];
+  
+  if (!Array.isArray(split.participants) || split.participants.length === 0) {
+    throw new ValidationError('split.participants must be a non-empty array');
+  }
+  
+  const seen = new Set();
+  const participants = split.participants.map(participant => {
+    if (!participant || !participant.user_id) {
+      throw new ValidationError('Every split participant needs a user_id');
+    }
+    if (seen.has(String(participant.user_id))) {
+      throw new ValidationError(`User ${participant.user_id} appears more than once in the split`);
+    }
+    seen.add(String(participant.user_id));
+    
+    if (!field) {
+      return { user_id: participant.user_id };
+    }
+    
+    const value = Number(participant[field] ?? (mode === 'adjustment' ? 0 : NaN));
+    if (!Number.isFinite(value) || (mode !== 'adjustment' && value < 0)) {
+      throw new ValidationError(`Split mode '${mode}' needs a valid ${field} for user ${participant.user_id}`);
+    }
+    
+    return { user_id: participant.user_id, [field]: value };
+  });
+  
+  return { mode, participants };
+}
+
+// Compute per-participant amounts for an expense from a split definition
+function computeSplit(amount, split, decimals = 0) {
+  const total = normalizeAmount(amount);
+  const factor = 10 ** decimals;
+  const { mode, participants } = normalizeSplit(split);
+  let amounts;
+  
+  switch (mode) {
+    case 'equal':
+      amounts = allocate(total, participants.map(() => 1), decimals);
+      break;
+    
+    case 'percent': {
+      const percentSum = participants.reduce((sum, participant) => sum + participant.percent, 0);
+      if (Math.abs(percentSum - 100) > 0.01) {
+        throw new ValidationError(`Split percentages must add up to 100 (got ${percentSum})`);
+      }
+      amounts = allocate(total, participants.map(participant => participant.percent), decimals);
+      break;
+    }
+    
+    case 'shares':
+      amounts = allocate(total, participants.map(participant => participant.shares), decimals);
+      break;
+    
+    case 'exact': {
+      const exactSum = participants.reduce((sum, participant) => sum + Math.round(participant.amount * factor), 0);
+      if (exactSum !== Math.round(total * factor)) {
+        throw new ValidationError(`Split amounts must add up to the expense amount ${total} (got ${exactSum / factor})`);
+      }
+      amounts = participants.map(participant => Math.round(participant.amount * factor) / factor);
+      break;
+    }
+    
+    case 'adjustment': {
+      // Adjustments are added on top of an equal split of what remains
+      const adjustmentSum = participants.reduce((sum, participant) => sum + participant.adjustment, 0);
+      if (adjustmentSum > total) {
+        throw new ValidationError('Split adjustments cannot exceed the expense amount');
+      }
+      const base = allocate(total - adjustmentSum, participants.map(() => 1), decimals);
+      amounts = participants.map((participant, index) => (
+        Math.round((base[index] + participant.adjustment) * factor) / factor
+      ));
+      if (amounts.some(value => value < 0)) {
+        throw new ValidationError('Split adjustments cannot leave a participant with a negative amount');
+      }
+      break;
+    }
+  }
+  
+  return participants.map((participant, index) => ({
+    user_id: participant.user_id,
+    amount: amounts[index]
+  }));
+}
+
+module.exports = {
+  SPLIT_MODES: Object.keys(SPLIT_MODES),
+  allocate,
+  normalizeAmount,
+  normalizeSplit,
+  computeSplit
+}; 
\ No newline at end of file
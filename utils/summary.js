@@ -0,0 +1,352 @@
+const userRepository = require('../repositories/userRepository');
+const groupRepository = require('../repositories/groupRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const { groupPayersByExpense } = require('./payers');
+const { buildExpenseTransactions, expenseTransactionId } = require('./transactions');
+const { calculateTransactions } = require('./settlement');
+const { DEFAULT_CURRENCY, currencyDecimals, findRate } = require('./currency');
+const { loadPaymentLedger, buildPaymentStatus } = require('./payments');
+const { buildTransactionQr } = require('./vietqr');
+const { ValidationError } = require('./errors');
+
+// Work out balances and the transactions that settle them, for a group's members or, outside
+// groups, the people on the expenses. Amounts are reported in currency (default: the group's
+// base currency); breakdown adds per-currency totals to each user; where limits the expenses
+// taken into account; settlement picks how the transactions are worked out (see
+// parseSettlementOptions).
+async function buildSummary({ groupId, group, currency: requestedCurrency, breakdown = false, where = [], settlement = {} } = {}) {
+  // Only the expenses' own participants and payers are needed when not every expense is included
+  const scoped = Boolean(groupId) || where.length > 0;
+
+  // Get all expenses with payer info
+  const expenses = await expenseRepository.list({
+    groupId,
+    where,
+    columns: 'id, name, amount, payer_id, currency, exchange_rate, base_currency',
+    order: []
+  });
+
+  // Get all participants (only those of the selected expenses when scoped), leaving out
+  // those of expenses in the trash
+  const expenseIds = new Set(expenses.map(expense => expense.id));
+  const participants = (await participantRepository.list({
+    expenseIds: scoped ? [...expenseIds] : undefined
+  })).filter(participant => expenseIds.has(participant.expense_id));
+
+  // Get the payers of each expense
+  const payersByExpense = await getPayersByExpense(expenses, scoped);
+  
+  // Get the group's members, or outside groups the people on the expenses
+  const users = await userRepository.list({
+    ids: groupId
+      ? await groupRepository.getMemberIds(groupId)
+      : [...new Set([
+        ...participants.map(participant => participant.user_id),
+        ...Object.values(payersByExpense).flat().map(payer => payer.user_id)
+      ])]
+  });
+
+  // Report everything in the requested currency, defaulting to the group's base currency
+  const currency = requestedCurrency || (group && group.base_currency) || DEFAULT_CURRENCY;
+
+  // Optional per-currency breakdown in each expense's own currency, taken before converting
+  const currencyBreakdown = breakdown
+    ? buildCurrencyBreakdown(expenses, participants, payersByExpense)
+    : null;
+  
+  const conversionFactors = await convertToCurrency(expenses, participants, payersByExpense, currency);
+
+  // Create user summary map - initialize with all users
+  const userSummary = users.reduce((acc, user) => {
+    acc[user.id] = {
+      id: user.id,
+      name: user.name,
+      paid: 0,         // Total amount paid
+      spent: 0,        // Total amount spent
+      balance: 0,      // Net balance (paid - spent)
+      received: 0,     // Amount received from others (recorded payments)
+      pending: 0,      // Amount still to be received (unpaid remainders)
+      bank_account: user.bank_account,
+      bank_name: user.bank_name
+    };
+    if (currencyBreakdown) {
+      acc[user.id].by_currency = currencyBreakdown[user.id] || {};
+    }
+    return acc;
+  }, {});
+
+  // Create a map of expenses
+  const expenseMap = expenses.reduce((acc, expense) => {
+    acc[expense.id] = { ...expense, payers: payersByExpense[expense.id] };
+    return acc;
+  }, {});
+
+  // Map to track which expenses each user owes money for
+  const userExpensesMap = {};
+  users.forEach(user => {
+    userExpensesMap[user.id] = new Set();
+  });
+
+  // Process all expenses
+  expenses.forEach(expense => {
+    // Add to each payer's total paid amount
+    payersByExpense[expense.id].forEach(payer => {
+      if (userSummary[payer.user_id]) {
+        userSummary[payer.user_id].paid += payer.amount;
+      }
+    });
+  });
+
+  // Process all participants
+  participants.forEach(participant => {
+    // Add to participant's total spent amount
+    if (userSummary[participant.user_id]) {
+      userSummary[participant.user_id].spent += parseFloat(participant.amount);
+      // Add expense to user's expense list
+      if (userExpensesMap[participant.user_id]) {
+        userExpensesMap[participant.user_id].add(participant.expense_id);
+      }
+    }
+  });
+
+  // For each expense, create payment transactions between participants and payers
+  const expenseTransactions = [];
+  
+  expenses.forEach(expense => {
+    const expParticipants = participants.filter(p => p.expense_id === expense.id);
+    
+    expenseTransactions.push(...buildExpenseTransactions(expense, expParticipants, payersByExpense[expense.id], currencyDecimals(currency)));
+  });
+
+  // Calculate balance for each user
+  Object.values(userSummary).forEach(user => {
+    user.balance = user.paid - user.spent;
+    // Convert all amounts to 2 decimal places
+    user.paid = parseFloat(user.paid.toFixed(2));
+    user.spent = parseFloat(user.spent.toFixed(2));
+    user.balance = parseFloat(user.balance.toFixed(2));
+  });
+
+  // Calculate transactions to settle debts
+  const transactions = calculateTransactions(Object.values(userSummary), {
+    ...settlement,
+    userExpensesMap,
+    expenseMap,
+    expenseTransactions
+  });
+
+  // For overall transactions, we need to create a unique ID
+  // We'll use format: "overall-{fromId}-{toId}", or "group-{groupId}-{fromId}-{toId}" within a group.
+  // Per-expense transactions keep their own IDs, and their payments are in the expense's currency.
+  const transactionIds = transactions.map(transaction => (
+    transaction.expense_id
+      ? expenseTransactionId(transaction.expense_id, transaction.from, transaction.to)
+      : overallTransactionId(groupId, transaction.from, transaction.to)
+  ));
+
+  // Get the payments recorded against the expenses' transactions and the settlement's
+  const paymentLedger = await loadPaymentLedger([
+    ...new Set([...expenseTransactions.map(trans => trans.id), ...transactionIds])
+  ]);
+
+  // Payments against the settlement's own transactions are recorded in the summary's default
+  // currency (the group's base currency), so they are converted into the report currency
+  const settlementFactor = await findSettlementFactor(group, currency);
+  const settlementStatuses = transactions.map((transaction, index) => (
+    buildPaymentStatus(
+      transactionIds[index],
+      transaction.exact_amount ?? transaction.amount,
+      paymentLedger,
+      transaction.expense_id ? conversionFactors[transaction.expense_id] : settlementFactor
+    )
+  ));
+
+  // Update received and pending amounts: what each receiver is owed comes from the expenses'
+  // transactions, paid either against those (in the expense currency) or against the overall
+  // transactions of the settlement, which count towards what the receiver is owed
+  expenseTransactions.forEach(trans => {
+    if (!userSummary[trans.to_user_id]) return;
+    
+    const status = buildPaymentStatus(trans.id, trans.amount, paymentLedger, conversionFactors[trans.expense_id]);
+    
+    // Add what has actually been paid to the receiver's received amount
+    userSummary[trans.to_user_id].received += Math.min(status.paid_amount, trans.amount);
+    
+    // Add the unpaid remainder to the receiver's pending amount
+    userSummary[trans.to_user_id].pending += status.remaining;
+  });
+  
+  transactions.forEach((transaction, index) => {
+    if (transaction.expense_id || !userSummary[transaction.to]) return;
+    
+    const receiver = userSummary[transaction.to];
+    const paid = settlementStatuses[index].paid_amount;
+    
+    receiver.received += paid;
+    receiver.pending = Math.max(0, receiver.pending - paid);
+  });
+  
+  Object.values(userSummary).forEach(user => {
+    user.received = parseFloat(user.received.toFixed(2));
+    user.pending = parseFloat(user.pending.toFixed(2));
+  });
+
+  // Attach payment status to each transaction
+  transactions.forEach((transaction, index) => {
+    const transactionId = transactionIds[index];
+    
+    transaction.currency = currency;
+    
+    // How much of it has been paid, of the amount before any rounding
+    transaction.payment_status = settlementStatuses[index];
+    
+    // VietQR code for paying what is left
+    transaction.vietQr = transactionQr(transactionId, userSummary[transaction.to], transaction.payment_status, currency);
+  });
+  
+  return {
+    currency,
+    strategy: settlement.strategy || 'greedy',
+    userSummary: Object.values(userSummary),
+    transactions
+  };
+}
+
+// Work out the summary of a group, or of the expenses outside groups when group is null, as
+// GET /api/groups/:groupId/summary and GET /api/summary do. options are those of buildSummary.
+async function buildScopedSummary(group, options = {}) {
+  return buildSummary({ ...options, groupId: group ? group.id : undefined, group });
+}
+
+// Build the ID of an overall settlement transaction
+function overallTransactionId(groupId, fromId, toId) {
+  return groupId ? `group-${groupId}-${fromId}-${toId}` : `overall-${fromId}-${toId}`;
+}
+
+// Build the VietQR details for paying the rest of a transaction to its receiver,
+// or null once it is fully paid
+function transactionQr(transactionId, receiver, paymentStatus, currency) {
+  if (!receiver || paymentStatus.state === 'paid') return null;
+  
+  return buildTransactionQr(transactionId, {
+    bankName: receiver.bank_name,
+    bankAccount: receiver.bank_account,
+    amount: paymentStatus.remaining,
+    currency
+  });
+}
+
+// Get the payers of each expense, keyed by expense ID
+async function getPayersByExpense(expenses, scoped) {
+  const payerRows = await expenseRepository.listPayers({
+    expenseIds: scoped ? expenses.map(expense => expense.id) : undefined
+  });
+  
+  return groupPayersByExpense(expenses, payerRows);
+}
+
+// Work out the factor that converts payments against overall and group transactions, which
+// are in the summary's default currency (the group's base currency), into the report currency
+async function findSettlementFactor(group, currency) {
+  const defaultCurrency = (group && group.base_currency) || DEFAULT_CURRENCY;
+  
+  if (defaultCurrency === currency) return 1;
+  
+  const rate = await findRate(defaultCurrency, currency);
+  
+  if (rate === null) {
+    throw new ValidationError(`No exchange rate from ${defaultCurrency} to ${currency}`);
+  }
+  
+  return rate;
+}
+
+// Convert expense, participant and payer amounts in place into the report currency.
+// Returns the conversion factor used for each expense.
+async function convertToCurrency(expenses, participants, payersByExpense, currency) {
+  const factors = await findConversionFactors(expenses, currency);
+  
+  expenses.forEach(expense => {
+    expense.amount = parseFloat(expense.amount) * factors[expense.id];
+    payersByExpense[expense.id].forEach(payer => {
+      payer.amount *= factors[expense.id];
+    });
+  });
+  
+  participants.forEach(participant => {
+    participant.amount = parseFloat(participant.amount) * (factors[participant.expense_id] || 1);
+  });
+  
+  return factors;
+}
+
+// Work out the factor that converts each expense's amounts into the report currency: first
+// the rate stored on the expense into its base currency, then, if that base differs from
+// the report currency, the latest stored rate. Keyed by expense ID.
+async function findConversionFactors(expenses, currency) {
+  const crossRates = {};
+  
+  for (const expense of expenses) {
+    const baseCurrency = expense.base_currency || DEFAULT_CURRENCY;
+    
+    if (crossRates[baseCurrency] === undefined) {
+      crossRates[baseCurrency] = await findRate(baseCurrency, currency);
+      
+      if (crossRates[baseCurrency] === null) {
+        throw new ValidationError(`No exchange rate from ${baseCurrency} to ${currency}`);
+      }
+    }
+  }
+  
+  return expenses.reduce((acc, expense) => {
+    const baseCurrency = expense.base_currency || DEFAULT_CURRENCY;
+    acc[expense.id] = parseFloat(expense.exchange_rate || 1) * crossRates[baseCurrency];
+    return acc;
+  }, {});
+}
+
+// Total paid, spent and balance per user and per expense currency
+function buildCurrencyBreakdown(expenses, participants, payersByExpense) {
+  const breakdown = {};
+  const currencyByExpense = {};
+  
+  const entry = (userId, currency) => {
+    breakdown[userId] = breakdown[userId] || {};
+    breakdown[userId][currency] = breakdown[userId][currency] || { paid: 0, spent: 0, balance: 0 };
+    return breakdown[userId][currency];
+  };
+  
+  expenses.forEach(expense => {
+    const currency = expense.currency || DEFAULT_CURRENCY;
+    currencyByExpense[expense.id] = currency;
+    payersByExpense[expense.id].forEach(payer => {
+      entry(payer.user_id, currency).paid += payer.amount;
+    });
+  });
+  
+  participants.forEach(participant => {
+    const currency = currencyByExpense[participant.expense_id];
+    if (currency) {
+      entry(participant.user_id, currency).spent += parseFloat(participant.amount);
+    }
+  });
+  
+  Object.values(breakdown).forEach(userBreakdown => {
+    Object.values(userBreakdown).forEach(totals => {
+      totals.balance = parseFloat((totals.paid - totals.spent).toFixed(2));
+      totals.paid = parseFloat(totals.paid.toFixed(2));
+      totals.spent = parseFloat(totals.spent.toFixed(2));
+    });
+  });
+  
+  return breakdown;
+}
+
+module.exports = {
+  buildSummary,
+  buildScopedSummary,
+  findConversionFactors,
+  overallTransactionId,
+  transactionQr
+}; 
\ No newline at end of file
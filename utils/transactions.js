@@ -0,0 +1,71 @@
+const { allocate } = require('./split');
+
+// Build the ID of a per-expense transaction
+function expenseTransactionId(expenseId, fromUserId, toUserId) {
+  return String(`${expenseId}-${fromUserId}-${toUserId}`);
+}
+
+// Build the transactions that settle one expense. Each participant owes every payer
+// (other than themselves) a part of their amount proportional to what that payer paid.
+function buildExpenseTransactions(expense, participants, payers, decimals = 0) {
+  const transactions = [];
+  const paidTotal = payers.reduce((sum, payer) => sum + payer.amount, 0);
+  
+  participants.forEach(participant => {
+    const participantAmount = parseFloat(participant.amount);
+    const amounts = payers.length === 1 || paidTotal <= 0
+      ? payers.map(() => participantAmount / payers.length)
+      : allocate(participantAmount, payers.map(payer => payer.amount), decimals);
+    
+    payers.forEach((payer, index) => {
+      // Skip if participant is the payer
+      if (participant.user_id === payer.user_id || amounts[index] <= 0) return;
+      
+      transactions.push({
+        id: expenseTransactionId(expense.id, participant.user_id, payer.user_id),
+        expense_id: expense.id,
+        from_user_id: participant.user_id,
+        to_user_id: payer.user_id,
+        amount: amounts[index]
+      });
+    });
+  });
+  
+  return transactions;
+}
+
+// Parse a transaction ID into its parts. IDs look like "{expenseId}-{fromId}-{toId}" for
+// per-expense transactions, "overall-{fromId}-{toId}" for the overall settlement and
+// "group-{groupId}-{fromId}-{toId}" for a group's settlement. Returns null for anything else.
+function parseTransactionId(transactionId) {
+  let match = /^(\d+)-(\d+)-(\d+)$/.exec(transactionId);
+  if (match) {
+    return { type: 'expense', expenseId: Number(match[1]), fromUserId: Number(match[2]), toUserId: Number(match[3]) };
+  }
+  
+  match = /^overall-(\d+)-(\d+)$/.exec(transactionId);
+  if (match) {
+    return { type: 'overall', fromUserId: Number(match[1]), toUserId: Number(match[2]) };
+  }
+  
+  match = /^group-(\d+)-(\d+)-(\d+)$/.exec(transactionId);
+  if (match) {
+    return { type: 'group', groupId: Number(match[1]), fromUserId: Number(match[2]), toUserId: Number(match[3]) };
+  }
+  
+  return null;
+}
+
+// Build a transaction ID back from the parts parseTransactionId returns
+function formatTransactionId({ type, expenseId, groupId, fromUserId, toUserId }) {
+  if (type === 'expense') return expenseTransactionId(expenseId, fromUserId, toUserId);
+  if (type === 'group') return `group-${groupId}-${fromUserId}-${toUserId}`;
+  return `overall-${fromUserId}-${toUserId}`;
+}
+
+module.exports = {
+  expenseTransactionId,
+  buildExpenseTransactions,
+  parseTransactionId,
+  formatTransactionId
+}; 
\ No newline at end of file
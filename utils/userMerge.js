@@ -0,0 +1,321 @@
+const userRepository = require('../repositories/userRepository');
+const groupRepository = require('../repositories/groupRepository');
+const expenseRepository = require('../repositories/expenseRepository');
+const participantRepository = require('../repositories/participantRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const accountRepository = require('../repositories/accountRepository');
+const recurringExpenseRepository = require('../repositories/recurringExpenseRepository');
+const attachmentRepository = require('../repositories/attachmentRepository');
+const { groupPayersByExpense, primaryPayerId } = require('./payers');
+const { parseTransactionId, formatTransactionId } = require('./transactions');
+const { ValidationError } = require('./errors');
+
+// Reason given to payments between the two users, which become payments to oneself
+const SELF_PAYMENT_REASON = 'The payer and the receiver were merged into one user';
+
+// Merge the user source into target: every expense (including ones in the trash), payer and
+// participant row, receipt item, recurring expense, payment, group membership and login of
+// source moves to target, and source is deleted. Where both were on the same expense their
+// rows are combined, so every balance stays the same. Transaction IDs naming source are
+// rewritten; payments between the two are voided. With dryRun nothing is changed.
+// Returns a report of what changed (or would change).
+async function mergeUsers(source, target, { dryRun = false } = {}) {
+  if (source.id === target.id) {
+    throw new ValidationError('A user cannot be merged into themselves');
+  }
+  
+  const [sourceAccounts, targetAccounts] = await Promise.all([
+    accountRepository.listByUser(source.id),
+    accountRepository.listByUser(target.id)
+  ]);
+  
+  if (sourceAccounts.length > 0 && targetAccounts.length > 0) {
+    throw new ValidationError('Both users have a login; they cannot be merged');
+  }
+  
+  const expensePlans = await planExpenses(source.id, target.id);
+  const recurringPlans = await planRecurringExpenses(source.id, target.id);
+  const paymentPlans = await planPayments(source.id, target.id);
+  const legacyPlans = await planLegacyStatuses(source.id, target.id);
+  const [sourceGroupIds, targetGroupIds] = await Promise.all([
+    groupRepository.getGroupIdsForUser(source.id),
+    groupRepository.getGroupIdsForUser(target.id)
+  ]);
+  const groupIds = sourceGroupIds.filter(groupId => !targetGroupIds.includes(groupId));
+  
+  if (!dryRun) {
+    for (const plan of expensePlans) {
+      await expenseRepository.update(plan.id, plan.changes);
+      await participantRepository.replaceForExpense(plan.id, plan.participants);
+      if (plan.payers) {
+        await expenseRepository.replacePayers(plan.id, plan.payers);
+      }
+      if (plan.items) {
+        await expenseRepository.replaceItems(plan.id, plan.items);
+      }
+    }
+    await expenseRepository.reassignCreator(source.id, target.id);
+    await attachmentRepository.reassignUploader(source.id, target.id);
+    
+    for (const plan of recurringPlans) {
+      await recurringExpenseRepository.update(plan.id, plan.changes);
+    }
+    for (const plan of paymentPlans) {
+      await paymentRepository.update(plan.id, plan.changes);
+    }
+    for (const plan of legacyPlans) {
+      if (plan.remove) {
+        await paymentRepository.removeLegacy(plan.id);
+      } else {
+        await paymentRepository.updateLegacy(plan.id, plan.changes);
+      }
+    }
+    await paymentRepository.reassignLegacyPayments(source.id, target.id);
+    
+    for (const groupId of groupIds) {
+      await groupRepository.addMember(groupId, target.id);
+    }
+    for (const account of sourceAccounts) {
+      await accountRepository.update(account.id, { user_id: target.id });
+    }
+    
+    // Memberships of source go with it
+    await userRepository.remove(source.id);
+  }
+  
+  const renamed = [...paymentPlans, ...legacyPlans]
+    .filter(plan => plan.newTransactionId && plan.newTransactionId !== plan.transactionId)
+    .map(plan => ({ from: plan.transactionId, to: plan.newTransactionId }));
+  
+  return {
+    dry_run: dryRun,
+    from_user: { id: source.id, name: source.name },
+    into_user: { id: target.id, name: target.name },
+    expenses_updated: expensePlans.map(plan => plan.id),
+    participants_combined: expensePlans.filter(plan => plan.participantsCombined).map(plan => plan.id),
+    payers_combined: expensePlans.filter(plan => plan.payersCombined).map(plan => plan.id),
+    recurring_expenses_updated: recurringPlans.map(plan => plan.id),
+    payments_updated: paymentPlans.filter(plan => !plan.changes.voided_at).map(plan => plan.id),
+    payments_voided: paymentPlans.filter(plan => plan.changes.voided_at).map(plan => plan.id),
+    transaction_ids: [...new Map(renamed.map(entry => [entry.from, entry])).values()],
+    legacy_statuses_updated: legacyPlans.length,
+    groups_joined: groupIds,
+    account_moved: sourceAccounts.length > 0
+  };
+}
+
+// Work out the new payer, participants, payers, split and receipt items of every expense
+// source is on
+async function planExpenses(sourceId, targetId) {
+  const [legacyRows, participantRows, payerRows] = await Promise.all([
+    expenseRepository.list({ anyGroup: true, where: { payer_id: sourceId }, trash: 'include', columns: 'id', order: [] }),
+    participantRepository.list({ userId: sourceId }),
+    expenseRepository.listPayers({ userId: sourceId })
+  ]);
+  const expenseIds = [...new Set([
+    ...legacyRows.map(row => row.id),
+    ...participantRows.map(row => row.expense_id),
+    ...payerRows.map(row => row.expense_id)
+  ])];
+  
+  if (expenseIds.length === 0) return [];
+  
+  const [expenses, participants, payers] = await Promise.all([
+    expenseRepository.list({ anyGroup: true, ids: expenseIds, trash: 'include', order: ['id'] }),
+    participantRepository.list({ expenseIds }),
+    expenseRepository.listPayers({ expenseIds })
+  ]);
+  const payersByExpense = groupPayersByExpense(expenses, payers);
+  const swap = userId => (Number(userId) === sourceId ? targetId : Number(userId));
+  
+  const plans = [];
+  for (const expense of expenses) {
+    const expenseParticipants = participants.filter(participant => participant.expense_id === expense.id);
+    const hasPayerRows = payers.some(payer => payer.expense_id === expense.id);
+    const mergedParticipants = combineAmounts(expenseParticipants, swap);
+    const mergedPayers = combineAmounts(payersByExpense[expense.id], swap);
+    const split = mergeSplit(expense.split, swap, mergedParticipants);
+    const items = expense.split_mode === 'items' ? await expenseRepository.listItems(expense.id) : [];
+    
+    plans.push({
+      id: expense.id,
+      changes: {
+        payer_id: hasPayerRows ? primaryPayerId(mergedPayers) : swap(expense.payer_id),
+        split_mode: split ? split.mode : expense.split_mode,
+        split
+      },
+      participants: mergedParticipants,
+      payers: hasPayerRows ? mergedPayers : null,
+      items: items.length > 0
+        ? items.map(item => ({ ...item, user_ids: [...new Set(item.user_ids.map(swap))] }))
+        : null,
+      participantsCombined: mergedParticipants.length < expenseParticipants.length,
+      payersCombined: mergedPayers.length < payersByExpense[expense.id].length
+    });
+  }
+  
+  return plans;
+}
+
+// Work out the new templates of the recurring expenses that name source
+async function planRecurringExpenses(sourceId, targetId) {
+  const recurringExpenses = await recurringExpenseRepository.list({ anyGroup: true });
+  const swap = userId => (Number(userId) === sourceId ? targetId : userId);
+  
+  return recurringExpenses
+    .filter(recurringExpense => (
+      Number(recurringExpense.created_by) === sourceId || templateUserIds(recurringExpense.template).includes(sourceId)
+    ))
+    .map(recurringExpense => {
+      const { template } = recurringExpense;
+      
+      return {
+        id: recurringExpense.id,
+        changes: {
+          created_by: swap(recurringExpense.created_by),
+          template: {
+            ...template,
+            ...(template.payer_id !== undefined ? { payer_id: swap(template.payer_id) } : {}),
+            ...(Array.isArray(template.payers) ? { payers: combineAmounts(template.payers, swap) } : {}),
+            ...(Array.isArray(template.participants) ? { participants: combineAmounts(template.participants, swap) } : {}),
+            ...(template.split ? { split: mergeSplit(template.split, swap) } : {}),
+            ...(Array.isArray(template.items)
+              ? { items: template.items.map(item => ({ ...item, user_ids: [...new Set((item.user_ids || []).map(swap))] })) }
+              : {})
+          }
+        }
+      };
+    });
+}
+
+// Work out the new transaction IDs of source's payments; payments between the two users
+// are voided
+async function planPayments(sourceId, targetId) {
+  const payments = await paymentRepository.listByUser(sourceId);
+  
+  return payments.map(payment => {
+    const newTransactionId = renameTransaction(payment.transaction_id, sourceId, targetId);
+    const fromUserId = Number(payment.from_user_id) === sourceId ? targetId : payment.from_user_id;
+    const toUserId = Number(payment.to_user_id) === sourceId ? targetId : payment.to_user_id;
+    const selfPayment = Number(fromUserId) === Number(toUserId) && !payment.voided_at;
+    
+    return {
+      id: payment.id,
+      transactionId: payment.transaction_id,
+      newTransactionId,
+      changes: {
+        transaction_id: newTransactionId,
+        from_user_id: fromUserId,
+        to_user_id: toUserId,
+        ...(selfPayment ? { voided_at: new Date().toISOString(), void_reason: SELF_PAYMENT_REASON } : {})
+      }
+    };
+  });
+}
+
+// Work out the new transaction IDs of the boolean statuses from before the payments ledger.
+// A status that would clash with one already kept for the new ID, or that is now between
+// the user and themselves, is removed.
+async function planLegacyStatuses(sourceId, targetId) {
+  const statuses = await paymentRepository.listLegacyPaid();
+  const kept = new Set(statuses.map(status => status.transaction_id));
+  
+  return statuses
+    .map(status => ({ status, parsed: parseTransactionId(status.transaction_id) }))
+    .filter(({ parsed }) => parsed && (parsed.fromUserId === sourceId || parsed.toUserId === sourceId))
+    .map(({ status }) => {
+      const newTransactionId = renameTransaction(status.transaction_id, sourceId, targetId);
+      const parsed = parseTransactionId(newTransactionId);
+      const remove = parsed.fromUserId === parsed.toUserId || kept.has(newTransactionId);
+      
+      kept.add(newTransactionId);
+      
+      return {
+        id: status.id,
+        transactionId: status.transaction_id,
+        newTransactionId: remove ? null : newTransactionId,
+        remove,
+        changes: { transaction_id: newTransactionId }
+      };
+    });
+}
+
+// Swap source for target in a transaction ID; IDs of other shapes are kept
+function renameTransaction(transactionId, sourceId, targetId) {
+  const parsed = parseTransactionId(transactionId);
+  
+  if (!parsed) return transactionId;
+  
+  return formatTransactionId({
+    ...parsed,
+    fromUserId: parsed.fromUserId === sourceId ? targetId : parsed.fromUserId,
+    toUserId: parsed.toUserId === sourceId ? targetId : parsed.toUserId
+  });
+}
+
+// Swap user IDs in rows with an amount, adding up the rows that end up on the same user
+function combineAmounts(rows, swap) {
+  return rows.reduce((acc, row) => {
+    const userId = swap(row.user_id);
+    const existing = acc.find(other => String(other.user_id) === String(userId));
+    
+    if (existing) {
+      existing.amount = Math.round((existing.amount + parseFloat(row.amount)) * 100) / 100;
+    } else {
+      acc.push({ user_id: userId, amount: parseFloat(row.amount) });
+    }
+    return acc;
+  }, []);
+}
+
+// Swap user IDs in a split definition. When both users were in it they become one entry:
+// their shares, percentages or exact amounts are added up, and an equal split becomes one
+// by shares. An adjustment split becomes exact amounts (given as participants), or has its
+// adjustments added up when no amounts are known.
+function mergeSplit(split, swap, participants) {
+  if (!split || !Array.isArray(split.participants)) return split;
+  
+  const swapped = split.participants.map(participant => ({ ...participant, user_id: swap(participant.user_id) }));
+  const userIds = swapped.map(participant => String(participant.user_id));
+  
+  if (new Set(userIds).size === userIds.length) {
+    return { ...split, participants: swapped };
+  }
+  
+  if (split.mode === 'adjustment' && participants) {
+    return { mode: 'exact', participants: participants.map(({ user_id, amount }) => ({ user_id, amount })) };
+  }
+  
+  const mode = split.mode === 'equal' ? 'shares' : split.mode;
+  const field = { shares: 'shares', percent: 'percent', exact: 'amount', adjustment: 'adjustment' }[mode];
+  
+  return {
+    mode,
+    participants: swapped.reduce((acc, participant) => {
+      const value = split.mode === 'equal' ? 1 : Number(participant[field]) || 0;
+      const existing = acc.find(other => String(other.user_id) === String(participant.user_id));
+      
+      if (existing) {
+        existing[field] += value;
+      } else {
+        acc.push({ user_id: participant.user_id, [field]: value });
+      }
+      return acc;
+    }, [])
+  };
+}
+
+// List the user IDs a recurring expense template names
+function templateUserIds(template) {
+  return [
+    template.payer_id,
+    ...(template.payers || []).map(payer => payer.user_id),
+    ...(template.participants || []).map(participant => participant.user_id),
+    ...((template.split && template.split.participants) || []).map(participant => participant.user_id),
+    ...(template.items || []).flatMap(item => item.user_ids || [])
+  ].filter(userId => userId !== undefined && userId !== null).map(Number);
+}
+
+module.exports = {
+  mergeUsers
+}; 
\ No newline at end of file
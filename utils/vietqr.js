@@ -0,0 +1,119 @@
+const { findBank } = require('./banks');
+const { parseTransactionId } = require('./transactions');
+
+// NAPAS identifiers used in the merchant account field of a VietQR code
+const NAPAS_GUID = 'A000000727';
+const TRANSFER_TO_ACCOUNT = 'QRIBFTTA';
+
+// VietQR transfers are always in dong (ISO 4217 numeric code 704)
+const VND_NUMERIC = '704';
+
+// Prefix of the transfer memo, so a transfer can be traced back to its transaction
+const MEMO_PREFIX = 'EZSPLIT';
+
+// Encode one EMVCo field as ID + two-digit length + value
+function emvField(id, value) {
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+// CRC-16/CCITT-FALSE (polynomial 0x1021, initial value 0xFFFF) as four upper-case hex digits
+function crc16(text) {
+  let crc = 0xFFFF;
+  
+  for (const byte of Buffer.from(text, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xFFFF;
+    }
+  }
+  
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Build the transfer memo for a transaction ID. Banks strip most punctuation from memos,
+// so the ID is written with spaces: "12-3-4" -> "EZSPLIT E12 3 4",
+// "overall-3-4" -> "EZSPLIT O 3 4", "group-5-3-4" -> "EZSPLIT G5 3 4".
+function transferMemo(transactionId) {
+  const parsed = parseTransactionId(transactionId);
+  
+  if (!parsed) return null;
+  
+  const prefix = {
+    expense: `E${parsed.expenseId}`,
+    overall: 'O',
+    group: `G${parsed.groupId}`
+  }[parsed.type];
+  
+  return `${MEMO_PREFIX} ${prefix} ${parsed.fromUserId} ${parsed.toUserId}`;
+}
+
+// Read the transaction ID back out of a transfer memo; returns null if it holds none
+function parseTransferMemo(memo) {
+  const match = String(memo || '').toUpperCase().match(new RegExp(`${MEMO_PREFIX}\\s+(E\\d+|O|G\\d+)\\s+(\\d+)\\s+(\\d+)`));
+  
+  if (!match) return null;
+  
+  const [, prefix, fromId, toId] = match;
+  
+  if (prefix === 'O') return `overall-${fromId}-${toId}`;
+  if (prefix[0] === 'G') return `group-${prefix.slice(1)}-${fromId}-${toId}`;
+  return `${prefix.slice(1)}-${fromId}-${toId}`;
+}
+
+// Build a VietQR (NAPAS 247 EMVCo) payload for a transfer to a bank account.
+// Without an amount the code is static and the payer types the amount in.
+function buildVietQrPayload({ bin, accountNumber, amount, memo }) {
+  const beneficiary = emvField('00', bin) + emvField('01', accountNumber);
+  const merchantAccount = emvField('00', NAPAS_GUID) + emvField('01', beneficiary) + emvField('02', TRANSFER_TO_ACCOUNT);
+  const hasAmount = amount !== undefined && amount !== null && amount > 0;
+  
+  let payload = emvField('00', '01')
+    + emvField('01', hasAmount ? '12' : '11')
+    + emvField('38', merchantAccount)
+    + emvField('53', VND_NUMERIC);
+  
+  if (hasAmount) {
+    payload += emvField('54', String(Math.round(amount)));
+  }
+  
+  payload += emvField('58', 'VN');
+  
+  if (memo) {
+    payload += emvField('62', emvField('08', memo));
+  }
+
+  // The checksum covers everything up to and including its own ID and length
+  payload += '6304';
+  return payload + crc16(payload);
+}
+
+// Build the VietQR details for paying a settlement transaction, or null when the receiver
+// has no usable bank account or the transaction is not in dong
+function buildTransactionQr(transactionId, { bankName, bankAccount, amount, currency = 'VND' }) {
+  const bank = findBank(bankName);
+  const accountNumber = bankAccount ? String(bankAccount).replace(/\s/g, '') : '';
+  
+  if (!bank || !/^[0-9A-Za-z]{1,19}$/.test(accountNumber) || currency !== 'VND') {
+    return null;
+  }
+  
+  const memo = transferMemo(transactionId);
+  
+  return {
+    payload: buildVietQrPayload({ bin: bank.bin, accountNumber, amount, memo }),
+    bank_code: bank.code,
+    bank_bin: bank.bin,
+    account_number: accountNumber,
+    amount: amount > 0 ? Math.round(amount) : null,
+    memo
+  };
+}
+
+module.exports = {
+  crc16,
+  transferMemo,
+  parseTransferMemo,
+  buildVietQrPayload,
+  buildTransactionQr
+}; 
\ No newline at end of file
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const webhookRepository = require('../repositories/webhookRepository');
+const { triggerDeliveries } = require('../jobs/webhookDeliveries');
+const { checkPublicUrl } = require('./publicAddresses');
+const { ValidationError } = require('./errors');
+
+// Events a webhook can subscribe to
+const EVENT_TYPES = [
+  'expense.created',
+  'expense.updated',
+  'expense.deleted',
+  'expense.restored',
+  'payment.status_changed'
+];
+
+// Secrets shorter than this are too easy to guess
+const MIN_SECRET_LENGTH = 16;
+
+// Check a webhook sent to create or update one and return the fields to store. When
+// updating, existing holds the current webhook and fields left out keep their values.
+// A new webhook without a secret gets a random one. The URL must resolve to public addresses.
+async function normalizeWebhook({ url, secret, events, description, active }, existing = null) {
+  const changes = {};
+  
+  if (url !== undefined || !existing) {
+    let parsed = null;
+    try {
+      parsed = new URL(String(url));
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || String(url).length > 2000) {
+      throw new ValidationError('url must be an http or https URL');
+    }
+    await checkPublicUrl(parsed.toString());
+    changes.url = parsed.toString();
+  }
+  
+  if (events !== undefined || !existing) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new ValidationError(`events must be a non-empty array of: ${EVENT_TYPES.join(', ')}`);
+    }
+    const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown events: ${unknown.join(', ')}. Use any of: ${EVENT_TYPES.join(', ')}`);
+    }
+    changes.events = [...new Set(events)];
+  }
+  
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > 255) {
+      throw new ValidationError(`secret must be a string of ${MIN_SECRET_LENGTH} to 255 characters`);
+    }
+    changes.secret = secret;
+  } else if (!existing) {
+    changes.secret = crypto.randomBytes(24).toString('hex');
+  }
+  
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > 255)) {
+      throw new ValidationError('description must be at most 255 characters');
+    }
+    changes.description = description || null;
+  }
+  
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new ValidationError('active must be true or false');
+    }
+    changes.active = active;
+  }
+  
+  return changes;
+}
+
+// Queue an event for every active webhook that subscribes to it: the group's webhooks, or
+// those outside groups when the event's group_id is null. The change has already been made
+// by the time it is announced, so a failure to queue is logged rather than thrown.
+async function queueWebhookDeliveries(event) {
+  try {
+    const webhooks = await webhookRepository.listSubscribed(event.type, event.group_id);
+    
+    if (webhooks.length === 0) return;
+    
+    await webhookRepository.createDeliveries(webhooks.map(webhook => ({
+      webhook_id: webhook.id,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event
+    })));
+    
+    triggerDeliveries();
+  } catch (error) {
+    console.error(`Error queuing ${event.type} webhooks:`, error);
+  }
+}
+
+// Queue a delivery's event to be sent again, as a new delivery with the same event
+async function queueRedelivery(delivery) {
+  const [redelivery] = await webhookRepository.createDeliveries([{
+    webhook_id: delivery.webhook_id,
+    event_id: delivery.event_id,
+    event_type: delivery.event_type,
+    payload: delivery.payload,
+    redelivery_of: delivery.id
+  }]);
+  
+  triggerDeliveries();
+  
+  return redelivery;
+}
+
+// Prepare a webhook for a response. The secret is only shown when it has just been set.
+function formatWebhook(webhook, { showSecret = false } = {}) {
+  const { secret, ...fields } = webhook;
+  return showSecret ? { ...fields, secret } : fields;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  normalizeWebhook,
+  queueWebhookDeliveries,
+  queueRedelivery,
+  formatWebhook
+}; 
\ No newline at end of file